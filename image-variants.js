@@ -0,0 +1,251 @@
+// ============================================================================
+// PROFILE IMAGE VARIANTS
+// ============================================================================
+// Thumbnails and modern-format copies generated next to every stored profile
+// image, so gallery tiles and the admin panel don't download the full-size
+// original. Shared by the live upload pipeline (server.js) and the backfill in
+// migrate-images.js so both produce identical files.
+//
+// Variants live beside the image they were made from and reuse its name, which
+// already carries a content hash, so they are just as immutable:
+//   <stem>.<ext>               stored image, e.g. Name_Name@World.1a2b3c4d5e6f.jpg
+//   <stem>.<width>w.<fmt>      thumbnail, e.g. Name_Name@World.1a2b3c4d5e6f.256w.webp
+//   <stem>.<fmt>               full-size modern format, e.g. ....1a2b3c4d5e6f.avif
+//
+// The profile payload exposes them as ProfileImageVariants:
+//   { "128": { jpg, webp, avif }, "256": {...}, "512": {...}, "full": { webp, avif } }
+// Thumbnails keep the stored image's own format (jpg or png) alongside WebP and
+// AVIF for clients that can't decode the newer formats. Widths at or above the
+// source width are skipped (never upscale).
+//
+// Framed renders apply the owner's ImageZoom / ImageOffset so every client shows
+// the same crop without downloading the full image:
+//   <stem>.avatar.<framing>.<ext>   256x256
+//   <stem>.card.<framing>.<ext>     360x480
+// <framing> hashes the zoom and offset, so changing the framing changes the URL.
+// Exposed as ProfileImageRenders: { avatar, card }.
+// ============================================================================
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+let sharp;
+try {
+    sharp = require("sharp");
+} catch (err) {
+    sharp = null;
+}
+
+const THUMBNAIL_WIDTHS = [128, 256, 512];
+const MODERN_FORMATS = ["webp", "avif"];
+const THUMB_JPEG_QUALITY = 85;
+const WEBP_QUALITY = 80;
+const AVIF_QUALITY = 55;
+const AVIF_EFFORT = 2;          // 0-9; higher is smaller but far slower on a single core
+
+// Framing model (matches the plugin's profile image frame): the image is scaled to cover the
+// frame, multiplied by ImageZoom around the frame centre, then shifted by ImageOffset, which is
+// measured in pixels of a RENDER_REFERENCE_FRAME-sized square frame.
+const RENDER_FRAMES = { avatar: { width: 256, height: 256 }, card: { width: 360, height: 480 } };
+const RENDER_REFERENCE_FRAME = 200;
+
+const THUMBNAIL_NAME_RE = /\.\d+w\.[a-z]+$/i;
+const RENDER_NAME_RE = /\.(?:avatar|card)\.[0-9a-f]{8}\.[a-z]+$/i;
+
+function splitImageName(imageFileName) {
+    const ext = path.extname(imageFileName);
+    return { stem: imageFileName.slice(0, -ext.length), format: ext.slice(1).toLowerCase() };
+}
+
+/**
+ * Every variant file an image can have, as { key: { format: fileName } }.
+ * Which of them exist depends on the source width (see existingImageVariants).
+ */
+function variantFileNames(imageFileName) {
+    const { stem, format } = splitImageName(imageFileName);
+    const names = {};
+    for (const width of THUMBNAIL_WIDTHS) {
+        names[width] = {};
+        for (const fmt of [format, ...MODERN_FORMATS]) names[width][fmt] = `${stem}.${width}w.${fmt}`;
+    }
+    names.full = {};
+    for (const fmt of MODERN_FORMATS) {
+        if (fmt !== format) names.full[fmt] = `${stem}.${fmt}`;
+    }
+    return names;
+}
+
+function isFramedRender(fileName) {
+    return RENDER_NAME_RE.test(fileName);
+}
+
+/**
+ * True for files that are variants of another image rather than a stored original:
+ * thumbnails, and full-size modern copies whose original sits next to them.
+ */
+function isImageVariant(fileName, siblings) {
+    if (THUMBNAIL_NAME_RE.test(fileName) || isFramedRender(fileName)) return true;
+    const { stem, format } = splitImageName(fileName);
+    return MODERN_FORMATS.includes(format) && (siblings.has(`${stem}.jpg`) || siblings.has(`${stem}.png`));
+}
+
+/** The variants of imageFileName present in imagesDir, same shape as variantFileNames. */
+function existingImageVariants(imagesDir, imageFileName) {
+    const found = {};
+    for (const [key, formats] of Object.entries(variantFileNames(imageFileName))) {
+        for (const [fmt, fileName] of Object.entries(formats)) {
+            if (!fs.existsSync(path.join(imagesDir, fileName))) continue;
+            (found[key] = found[key] || {})[fmt] = fileName;
+        }
+    }
+    return found;
+}
+
+function encode(pipeline, fmt) {
+    switch (fmt) {
+        case "webp": return pipeline.webp({ quality: WEBP_QUALITY });
+        case "avif": return pipeline.avif({ quality: AVIF_QUALITY, effort: AVIF_EFFORT });
+        case "png": return pipeline.png({ compressionLevel: 9, palette: false });
+        default: return pipeline.jpeg({ quality: THUMB_JPEG_QUALITY, mozjpeg: true, progressive: true });
+    }
+}
+
+/**
+ * Writes any missing variants of imagesDir/imageFileName and returns the ones that exist
+ * afterwards (same shape as variantFileNames). Existing files are left alone, so this is
+ * safe to re-run. A variant that fails to encode is skipped; the rest are still produced.
+ */
+async function generateImageVariants(imagesDir, imageFileName) {
+    if (!sharp) return {};
+    const sourcePath = path.join(imagesDir, imageFileName);
+    const { width } = await sharp(sourcePath, { failOn: "error" }).metadata();
+    const names = variantFileNames(imageFileName);
+
+    for (const [key, formats] of Object.entries(names)) {
+        const targetWidth = key === "full" ? null : Number(key);
+        if (targetWidth && width && targetWidth >= width) continue;
+        for (const [fmt, fileName] of Object.entries(formats)) {
+            const outPath = path.join(imagesDir, fileName);
+            if (fs.existsSync(outPath)) continue;
+            const tempOut = `${outPath}.${crypto.randomBytes(6).toString("hex")}.tmp`;
+            try {
+                let pipeline = sharp(sourcePath).rotate();
+                if (targetWidth) pipeline = pipeline.resize({ width: targetWidth, withoutEnlargement: true });
+                await encode(pipeline, fmt).toFile(tempOut);
+                fs.renameSync(tempOut, outPath);
+            } catch (err) {
+                try { fs.unlinkSync(tempOut); } catch (e) { /* ignore */ }
+                console.error(`[variants] ${fileName}: ${err.message}`);
+            }
+        }
+    }
+    return existingImageVariants(imagesDir, imageFileName);
+}
+
+// Clamp untrusted ImageZoom / ImageOffset values from the profile JSON to something renderable
+function normalizeFraming(zoom, offset) {
+    const z = Number(zoom);
+    const x = Number(offset && offset.X);
+    const y = Number(offset && offset.Y);
+    const clampOffset = v => Number.isFinite(v) ? Math.max(-10000, Math.min(10000, v)) : 0;
+    return {
+        zoom: Number.isFinite(z) && z > 0 ? Math.max(0.1, Math.min(10, z)) : 1,
+        x: clampOffset(x),
+        y: clampOffset(y)
+    };
+}
+
+/** Render file names for an image under the given framing, as { avatar, card }. */
+function renderFileNames(imageFileName, zoom, offset) {
+    const { stem, format } = splitImageName(imageFileName);
+    const framing = normalizeFraming(zoom, offset);
+    const key = crypto.createHash("sha256").update(`${framing.zoom}|${framing.x}|${framing.y}`).digest("hex").substring(0, 8);
+    const names = {};
+    for (const kind of Object.keys(RENDER_FRAMES)) names[kind] = `${stem}.${kind}.${key}.${format}`;
+    return names;
+}
+
+/** The renders of imagesDir/imageFileName present for the given framing, as { avatar, card }. */
+function existingFramedRenders(imagesDir, imageFileName, zoom, offset) {
+    const found = {};
+    for (const [kind, fileName] of Object.entries(renderFileNames(imageFileName, zoom, offset))) {
+        if (fs.existsSync(path.join(imagesDir, fileName))) found[kind] = fileName;
+    }
+    return found;
+}
+
+async function renderFrame(sourcePath, srcW, srcH, frame, framing, format, outPath) {
+    const scale = Math.max(frame.width / srcW, frame.height / srcH) * framing.zoom;
+    const unit = Math.min(frame.width, frame.height) / RENDER_REFERENCE_FRAME;
+    const left = (frame.width - srcW * scale) / 2 + framing.x * unit;
+    const top = (frame.height - srcH * scale) / 2 + framing.y * unit;
+
+    // The part of the frame the image covers; the rest stays background
+    const fx0 = Math.max(0, Math.round(left));
+    const fy0 = Math.max(0, Math.round(top));
+    const fx1 = Math.min(frame.width, Math.round(left + srcW * scale));
+    const fy1 = Math.min(frame.height, Math.round(top + srcH * scale));
+
+    const background = format === "png" ? { r: 0, g: 0, b: 0, alpha: 0 } : { r: 0, g: 0, b: 0, alpha: 1 };
+    let canvas = sharp({ create: { width: frame.width, height: frame.height, channels: 4, background } });
+    if (fx1 > fx0 && fy1 > fy0) {
+        // Crop the matching source region before resizing so large zooms never upscale the whole image
+        const sx0 = Math.max(0, Math.floor((fx0 - left) / scale));
+        const sy0 = Math.max(0, Math.floor((fy0 - top) / scale));
+        const sx1 = Math.min(srcW, Math.max(sx0 + 1, Math.ceil((fx1 - left) / scale)));
+        const sy1 = Math.min(srcH, Math.max(sy0 + 1, Math.ceil((fy1 - top) / scale)));
+        const piece = await sharp(sourcePath).rotate()
+            .extract({ left: sx0, top: sy0, width: sx1 - sx0, height: sy1 - sy0 })
+            .resize(fx1 - fx0, fy1 - fy0, { fit: "fill" })
+            .toBuffer();
+        canvas = sharp(await canvas.composite([{ input: piece, left: fx0, top: fy0 }]).png().toBuffer());
+    }
+    await encode(canvas, format).toFile(outPath);
+}
+
+/**
+ * Renders the avatar and card crops of imagesDir/imageFileName for the given ImageZoom /
+ * ImageOffset, skipping any that already exist. Returns { avatar, card } file names of the
+ * renders that exist afterwards.
+ */
+async function renderFramedImages(imagesDir, imageFileName, zoom, offset) {
+    if (!sharp) return {};
+    const sourcePath = path.join(imagesDir, imageFileName);
+    const meta = await sharp(sourcePath, { failOn: "error" }).metadata();
+    // EXIF orientations 5-8 swap the axes once .rotate() applies them
+    const swap = (meta.orientation || 1) >= 5;
+    const srcW = swap ? meta.height : meta.width;
+    const srcH = swap ? meta.width : meta.height;
+    const { format } = splitImageName(imageFileName);
+    const framing = normalizeFraming(zoom, offset);
+    const names = renderFileNames(imageFileName, zoom, offset);
+
+    const rendered = {};
+    for (const [kind, frame] of Object.entries(RENDER_FRAMES)) {
+        const outPath = path.join(imagesDir, names[kind]);
+        if (!fs.existsSync(outPath)) {
+            const tempOut = `${outPath}.${crypto.randomBytes(6).toString("hex")}.tmp`;
+            try {
+                await renderFrame(sourcePath, srcW, srcH, frame, framing, format, tempOut);
+                fs.renameSync(tempOut, outPath);
+            } catch (err) {
+                try { fs.unlinkSync(tempOut); } catch (e) { /* ignore */ }
+                console.error(`[renders] ${names[kind]}: ${err.message}`);
+                continue;
+            }
+        }
+        rendered[kind] = names[kind];
+    }
+    return rendered;
+}
+
+module.exports = {
+    variantFileNames,
+    isImageVariant,
+    isFramedRender,
+    existingImageVariants,
+    generateImageVariants,
+    existingFramedRenders,
+    renderFramedImages
+};
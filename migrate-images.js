@@ -10,10 +10,22 @@
 // Safety features:
 //   1. Full backup copy of imagesDir → imagesDir.bak before any writes
 //   2. Dry-run mode (--dry-run) reports what would change without writing
-//   3. Never deletes the original until the new file is written AND verified
+//   3. Never deletes anything: a replaced original and its variants are handed
+//      to the server's retired_images grace period, so clients holding their
+//      cached URLs keep loading them until the server's cleanup removes them
 //   4. Resumable, checkpoints after every 100 files, skips already-done
 //   5. Progress logging with running totals
-//   6. Updates profile JSONs to point at the new URL when extension changes
+//   6. Writes every re-encoded image under a new content-hashed name (the
+//      server serves /images as immutable, so a URL must never change content)
+//      and updates the profile JSON to point at it
+//   7. Keeps thumbnails and WebP/AVIF variants (image-variants.js) in step:
+//      a re-encoded image gets fresh variants, and --variants backfills them
+//      for the existing library without touching the originals
+//   8. Only touches images a profile still shows: retired versions and files
+//      no profile points at are skipped
+//
+// Profile JSONs are the source of truth; the server's profile_index.db row is
+// patched alongside so galleries pick up the change without a restart.
 //
 // Usage:
 //   node migrate-images.js --dry-run                  # Report, don't write
@@ -21,10 +33,14 @@
 //   node migrate-images.js                            # Full run
 //   node migrate-images.js --resume                   # Continue from checkpoint
 //   node migrate-images.js --no-backup                # Skip backup (NOT recommended)
+//   node migrate-images.js --variants                 # Only generate missing variants (no backup needed)
+//   node migrate-images.js --variants --resume        # Continue a variants backfill
 // ============================================================================
 
 const fs = require("fs");
 const path = require("path");
+const crypto = require("crypto");
+const { generateImageVariants, variantFileNames, isImageVariant } = require("./image-variants");
 
 let sharp;
 try {
@@ -40,12 +56,13 @@ try {
 const JPEG_QUALITY = 95;
 const PNG_COMPRESSION = 9;
 const MIN_SIZE_WIN = 0.05;
+const VERSIONED_IMAGE_RE = /^(.+?)(?:\.[0-9a-f]{12})?(\.[^.]+)$/;
 
 const DATA_DIR = process.env.NODE_ENV === "production" ? "/app/data" : __dirname;
 const imagesDir = path.join(DATA_DIR, "public", "images");
 const backupDir = imagesDir + ".bak";
 const profilesDir = path.join(DATA_DIR, "profiles");
-const checkpointFile = path.join(DATA_DIR, ".migrate-images-checkpoint");
+const indexDbFile = path.join(DATA_DIR, "profile_index.db");
 
 // ----------------------------------------------------------------------------
 // CLI flags
@@ -54,6 +71,8 @@ const argv = process.argv.slice(2);
 const DRY_RUN = argv.includes("--dry-run");
 const RESUME = argv.includes("--resume");
 const NO_BACKUP = argv.includes("--no-backup");
+const VARIANTS_ONLY = argv.includes("--variants");
+const checkpointFile = path.join(DATA_DIR, VARIANTS_ONLY ? ".migrate-variants-checkpoint" : ".migrate-images-checkpoint");
 const LIMIT = (() => {
     const arg = argv.find(a => a.startsWith("--limit="));
     return arg ? parseInt(arg.split("=")[1], 10) : 0;
@@ -122,6 +141,9 @@ function saveCheckpoint(processedSet) {
 // ----------------------------------------------------------------------------
 async function optimizeOne(filename) {
     const fullPath = path.join(imagesDir, filename);
+    const notCurrent = await skipUnlessCurrent(filename);
+    if (notCurrent) return notCurrent;
+
     let originalSize;
     try {
         originalSize = (await fs.promises.stat(fullPath)).size;
@@ -138,15 +160,9 @@ async function optimizeOne(filename) {
 
     const hasAlpha = metadata.hasAlpha === true;
     const targetExt = hasAlpha ? ".png" : ".jpg";
-    const baseName = path.basename(filename, path.extname(filename));
-    const targetFilename = baseName + targetExt;
-    const targetPath = path.join(imagesDir, targetFilename);
-    const tempPath = targetPath + ".opt.tmp";
-
-    // If the optimized version already exists (previous run), skip
-    if (filename !== targetFilename && fs.existsSync(targetPath)) {
-        return { status: "skipped", filename, reason: "target already exists", originalSize };
-    }
+    // `<characterId>.<ext>` (pre-versioning) or `<characterId>.<contentHash>.<ext>`
+    const baseName = filename.match(VERSIONED_IMAGE_RE)[1];
+    const tempPath = path.join(imagesDir, baseName + ".opt.tmp");
 
     try {
         let pipeline = sharp(fullPath).rotate();
@@ -169,6 +185,9 @@ async function optimizeOne(filename) {
         }
 
         const newSize = (await fs.promises.stat(tempPath)).size;
+        const hash = crypto.createHash("sha256").update(await fs.promises.readFile(tempPath)).digest("hex").substring(0, 12);
+        const targetFilename = `${baseName}.${hash}${targetExt}`;
+        const targetPath = path.join(imagesDir, targetFilename);
 
         // Only adopt if meaningfully smaller
         if (newSize >= originalSize * (1 - MIN_SIZE_WIN)) {
@@ -185,18 +204,22 @@ async function optimizeOne(filename) {
                 originalSize,
                 newSize,
                 savedBytes: originalSize - newSize,
-                extensionChanged: filename !== targetFilename
+                extensionChanged: path.extname(filename) !== targetExt
             };
         }
 
-        // Commit: rename temp → target
+        // Commit: rename temp → new versioned name, build its variants, repoint the profile, then
+        // retire the original and the variants made from it. If the profile moved on meanwhile the
+        // new files are the unreferenced ones, so they are retired instead.
         fs.renameSync(tempPath, targetPath);
-
-        // If extension changed, delete the original (different filename)
-        if (filename !== targetFilename) {
-            try { fs.unlinkSync(fullPath); } catch (e) { /* ignore */ }
-            // Update any profile JSON that references the old filename
-            await updateProfileImageUrl(baseName, filename, targetFilename);
+        const variants = await generateImageVariants(imagesDir, targetFilename);
+        const newFiles = [targetFilename, ...Object.values(variants).flatMap(formats => Object.values(formats))];
+        trackImageFiles(baseName, newFiles);
+        if (await updateProfileImage(baseName, filename, targetFilename, variants)) {
+            retireImageFiles(baseName, [filename, ...variantFilesOf(filename)]);
+        } else {
+            retireImageFiles(baseName, newFiles);
+            return { status: "skipped", filename, reason: "profile changed during migration", originalSize };
         }
 
         return {
@@ -206,7 +229,7 @@ async function optimizeOne(filename) {
             originalSize,
             newSize,
             savedBytes: originalSize - newSize,
-            extensionChanged: filename !== targetFilename
+            extensionChanged: path.extname(filename) !== targetExt
         };
     } catch (err) {
         try { fs.unlinkSync(tempPath); } catch (e) { /* ignore */ }
@@ -214,28 +237,179 @@ async function optimizeOne(filename) {
     }
 }
 
+function variantFilesOf(imageFileName) {
+    return Object.values(variantFileNames(imageFileName)).flatMap(formats => Object.values(formats));
+}
+
 // ----------------------------------------------------------------------------
-// Profile JSON URL update (only fires when extension changes e.g. .png → .jpg)
+// Variant backfill (--variants), originals are left exactly as they are
 // ----------------------------------------------------------------------------
-async function updateProfileImageUrl(characterId, oldFilename, newFilename) {
-    // Profile JSON filename matches the image's base name (characterId)
-    const profilePath = path.join(profilesDir, characterId + ".json");
-    if (!fs.existsSync(profilePath)) return;
+async function backfillVariants(filename) {
+    const notCurrent = await skipUnlessCurrent(filename);
+    if (notCurrent) return notCurrent;
+
+    const baseName = filename.match(VERSIONED_IMAGE_RE)[1];
+    const before = variantFilesOf(filename).filter(f => fs.existsSync(path.join(imagesDir, f))).length;
+    if (DRY_RUN) return { status: before > 0 ? "skipped" : "would-migrate", filename, reason: "variants already present" };
+
+    try {
+        const variants = await generateImageVariants(imagesDir, filename);
+        trackImageFiles(baseName, Object.values(variants).flatMap(formats => Object.values(formats)));
+        const after = Object.values(variants).reduce((n, formats) => n + Object.keys(formats).length, 0);
+        await updateProfileImage(baseName, filename, filename, variants);
+        return after > before
+            ? { status: "migrated", filename, created: after - before }
+            : { status: "skipped", filename, reason: "variants already present" };
+    } catch (err) {
+        return { status: "error", filename, error: err.message };
+    }
+}
+
+// ----------------------------------------------------------------------------
+// Profile JSON + index update (every migrated image gets a new filename)
+// ----------------------------------------------------------------------------
+let indexDb;
+function getIndexDb() {
+    if (indexDb === undefined) {
+        indexDb = null;
+        if (fs.existsSync(indexDbFile)) {
+            try {
+                indexDb = new (require("better-sqlite3"))(indexDbFile);
+                indexDb.pragma("busy_timeout = 5000");
+            } catch (err) {
+                console.error(`⚠️  Profile index not updated (${err.message}); it refreshes on each profile's next upload`);
+            }
+        }
+    }
+    return indexDb;
+}
+
+// ----------------------------------------------------------------------------
+// Server bookkeeping: retired_images and image_files in profile_index.db
+// ----------------------------------------------------------------------------
+
+// A result that skips filename when its profile no longer shows it, or null when it's current.
+// Retired versions are left to the server's cleanup; re-encoding them would only add files no
+// profile points at.
+async function skipUnlessCurrent(filename) {
+    const db = getIndexDb();
+    if (db) {
+        try {
+            if (db.prepare("SELECT 1 FROM retired_images WHERE fileName = ?").get(filename)) {
+                return { status: "skipped", filename, reason: "retired version" };
+            }
+        } catch (err) { /* older index without retired_images */ }
+    }
+
+    const profilePath = profilePathFor(filename.match(VERSIONED_IMAGE_RE)[1]);
+    try {
+        const profile = JSON.parse(await fs.promises.readFile(profilePath, "utf-8"));
+        if (typeof profile.ProfileImageUrl === "string" && profile.ProfileImageUrl.endsWith("/" + filename)) return null;
+    } catch (err) { /* no profile */ }
+    return { status: "skipped", filename, reason: "not shown by any profile" };
+}
+
+// Hands superseded files to the server's grace-period cleanup instead of deleting them, so
+// clients holding their immutable URLs keep loading them for a while. Files of NSFW profiles are
+// marked gated so the server keeps them behind signed links even after the profile is gone.
+function retireImageFiles(baseName, fileNames) {
+    const existing = fileNames.filter(f => fs.existsSync(path.join(imagesDir, f)));
+    const db = getIndexDb();
+    if (!db) {
+        if (existing.length) console.error(`  ⚠️  Profile index unavailable, leaving ${existing.length} superseded files in place`);
+        return;
+    }
+    try {
+        const profilePath = profilePathFor(baseName);
+        const gated = profilePath && db.prepare("SELECT 1 FROM profile_index WHERE characterId = ? AND isNSFW = 1")
+            .get(path.basename(profilePath, ".json")) ? 1 : 0;
+        let retire;
+        try {
+            const stmt = db.prepare(`
+                INSERT INTO retired_images (fileName, retiredAt, gated) VALUES (?, ?, ?)
+                ON CONFLICT(fileName) DO UPDATE SET gated = MAX(gated, excluded.gated)
+            `);
+            retire = (f, now) => stmt.run(f, now, gated);
+        } catch (err) {
+            // Index from before the gated column; the server adds it on its next start
+            const stmt = db.prepare("INSERT OR IGNORE INTO retired_images (fileName, retiredAt) VALUES (?, ?)");
+            retire = (f, now) => stmt.run(f, now);
+        }
+        const now = Date.now();
+        db.transaction(() => { for (const f of existing) retire(f, now); })();
+    } catch (err) {
+        console.error(`  ⚠️  Failed to retire ${existing.join(", ")}: ${err.message}`);
+    }
+}
+
+// Registers newly written files under their profile, so the server finds them without listing imagesDir
+function trackImageFiles(characterId, fileNames) {
+    const db = getIndexDb();
+    if (!db) return;
+    try {
+        const track = db.prepare("INSERT OR IGNORE INTO image_files (fileName, imageBase) VALUES (?, ?)");
+        db.transaction(() => { for (const f of fileNames) track.run(f, characterId); })();
+    } catch (err) {
+        console.error(`  ⚠️  Failed to register ${fileNames.join(", ")}: ${err.message}`);
+    }
+}
+
+function toVariantUrls(variants) {
+    const urls = {};
+    for (const [key, formats] of Object.entries(variants)) {
+        urls[key] = {};
+        for (const [fmt, fileName] of Object.entries(formats)) urls[key][fmt] = `/images/${fileName}`;
+    }
+    return Object.keys(urls).length ? urls : null;
+}
+
+// Image base names are characterIds with anything outside [\w@\-_.] replaced by "_" (so
+// "Name_First Last@World.json" stores "Name_First_Last@World.<hash>.jpg"). Maps a base back to
+// its profile JSON, listing profilesDir once.
+let profileFilesByBase;
+function profilePathFor(baseName) {
+    if (!profileFilesByBase) {
+        profileFilesByBase = new Map();
+        for (const f of fs.existsSync(profilesDir) ? fs.readdirSync(profilesDir) : []) {
+            if (f.endsWith(".json")) profileFilesByBase.set(f.slice(0, -".json".length).replace(/[^\w@\-_.]/g, "_"), f);
+        }
+    }
+    const file = profileFilesByBase.get(baseName);
+    return file ? path.join(profilesDir, file) : null;
+}
+
+// Returns true if the profile now points at newFilename
+async function updateProfileImage(baseName, oldFilename, newFilename, variants) {
+    const profilePath = profilePathFor(baseName);
+    if (!profilePath || !fs.existsSync(profilePath)) return false;
+    const characterId = path.basename(profilePath, ".json");
 
     try {
         const raw = await fs.promises.readFile(profilePath, "utf-8");
         const profile = JSON.parse(raw);
-        if (!profile.ProfileImageUrl) return;
-        if (!profile.ProfileImageUrl.includes(oldFilename)) return;
+        if (!profile.ProfileImageUrl) return false;
+        if (!profile.ProfileImageUrl.includes(oldFilename)) return false;
 
         profile.ProfileImageUrl = profile.ProfileImageUrl.replace(oldFilename, newFilename);
-        profile.LastUpdated = new Date().toISOString();
+        profile.ProfileImageVariants = toVariantUrls(variants);
+        if (oldFilename !== newFilename) profile.LastUpdated = new Date().toISOString();
 
         const tempPath = profilePath + ".tmp";
         await fs.promises.writeFile(tempPath, JSON.stringify(profile, null, 2));
         fs.renameSync(tempPath, profilePath);
+
+        const db = getIndexDb();
+        if (db) {
+            db.prepare(`
+                UPDATE profile_index
+                SET displayJson = json_set(displayJson, '$.ProfileImageUrl', ?, '$.ProfileImageVariants', json(?))
+                WHERE characterId = ? AND displayJson IS NOT NULL
+            `).run(profile.ProfileImageUrl, JSON.stringify(profile.ProfileImageVariants), characterId);
+        }
+        return true;
     } catch (err) {
-        console.error(`  ⚠️  Failed to update profile URL for ${characterId}: ${err.message}`);
+        console.error(`  ⚠️  Failed to update profile image for ${characterId}: ${err.message}`);
+        return false;
     }
 }
 
@@ -246,13 +420,13 @@ async function main() {
     const startTime = Date.now();
 
     console.log("=".repeat(70));
-    console.log("IMAGE OPTIMIZATION MIGRATION");
+    console.log(VARIANTS_ONLY ? "IMAGE VARIANT BACKFILL" : "IMAGE OPTIMIZATION MIGRATION");
     console.log("=".repeat(70));
     console.log(`Mode:        ${DRY_RUN ? "DRY RUN (no writes)" : "LIVE"}`);
     console.log(`Images dir:  ${imagesDir}`);
     console.log(`Profiles:    ${profilesDir}`);
     console.log(`Resume:      ${RESUME ? "yes" : "no (fresh start)"}`);
-    console.log(`Backup:      ${NO_BACKUP ? "SKIPPED (dangerous)" : DRY_RUN ? "skipped (dry run)" : "enabled"}`);
+    console.log(`Backup:      ${VARIANTS_ONLY ? "not needed (adds files only)" : NO_BACKUP ? "SKIPPED (dangerous)" : DRY_RUN ? "skipped (dry run)" : "enabled"}`);
     console.log(`Limit:       ${LIMIT > 0 ? LIMIT : "none"}`);
     console.log("");
 
@@ -261,14 +435,16 @@ async function main() {
         process.exit(1);
     }
 
-    // Backup BEFORE any writes (skipped in dry-run)
-    if (!DRY_RUN) {
+    // Backup BEFORE any writes (skipped in dry-run, and for --variants which only adds files)
+    if (!DRY_RUN && !VARIANTS_ONLY) {
         await backupImagesDir();
     }
 
-    // Enumerate source files
-    const allFiles = fs.readdirSync(imagesDir).filter(f =>
-        /\.(png|jpe?g|webp|gif|tiff?|bmp)$/i.test(f) && !f.endsWith(".opt.tmp")
+    // Enumerate source files (stored images only; variants are derived from them)
+    const dirFiles = fs.readdirSync(imagesDir);
+    const dirSet = new Set(dirFiles);
+    const allFiles = dirFiles.filter(f =>
+        /\.(png|jpe?g|webp|gif|tiff?|bmp)$/i.test(f) && !isImageVariant(f, dirSet)
     );
     console.log(`📂 Found ${allFiles.length.toLocaleString()} image files in source directory`);
 
@@ -297,13 +473,13 @@ async function main() {
 
     for (let i = 0; i < targets.length; i++) {
         const filename = targets[i];
-        const result = await optimizeOne(filename);
+        const result = VARIANTS_ONLY ? await backfillVariants(filename) : await optimizeOne(filename);
 
         if (result.status === "migrated" || result.status === "would-migrate") {
             migrated++;
-            totalOriginalBytes += result.originalSize;
-            totalNewBytes += result.newSize;
-            totalSavedBytes += result.savedBytes;
+            totalOriginalBytes += result.originalSize || 0;
+            totalNewBytes += result.newSize || 0;
+            totalSavedBytes += result.savedBytes || 0;
         } else if (result.status === "skipped") {
             skipped++;
             if (result.originalSize) totalOriginalBytes += result.originalSize;
@@ -367,7 +543,7 @@ async function main() {
     console.log("");
     if (DRY_RUN) {
         console.log("👉 This was a dry run. Re-run without --dry-run to apply changes.");
-    } else {
+    } else if (!VARIANTS_ONLY) {
         console.log(`👉 Backup preserved at: ${backupDir}`);
         console.log(`👉 Rollback: rm -rf ${imagesDir} && mv ${backupDir} ${imagesDir}`);
     }
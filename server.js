@@ -5,6 +5,7 @@ const fs = require("fs");
 const path = require("path");
 const multer = require("multer");
 const crypto = require("crypto");
+const { generateImageVariants, existingImageVariants, existingFramedRenders, renderFramedImages, isFramedRender } = require("./image-variants");
 // sharp handles image optimization on upload. Requires `npm install sharp` on Railway.
 // If sharp fails to load for any reason, image optimization is bypassed and uploads fall back
 // to their original behaviour so the service stays up.
@@ -18,12 +19,27 @@ try {
 
 const app = express();
 const PORT = process.env.PORT || 3000;
+// Public origin for absolute image URLs in responses, e.g. https://profiles.example.com. Unset in
+// production, it stays the origin this server has always used; only in development does each
+// response use the origin its request arrived on, since that comes from client-supplied headers.
+const LEGACY_PUBLIC_BASE_URL = 'https://character-select-profile-server-production.up.railway.app';
+const PUBLIC_BASE_URL = (process.env.PUBLIC_BASE_URL || (process.env.NODE_ENV === 'production' ? LEGACY_PUBLIC_BASE_URL : ''))
+    .replace(/\/+$/, '');
+const PUBLIC_BASE_HOST = PUBLIC_BASE_URL ? new URL(PUBLIC_BASE_URL).host : null;
+
+// Railway terminates TLS in front of the app. Trusting one proxy hop (or TRUST_PROXY, any Express
+// "trust proxy" value) makes req.protocol and req.ip describe the client rather than the proxy.
+const TRUST_PROXY = process.env.TRUST_PROXY || (process.env.NODE_ENV === 'production' ? '1' : '');
+if (TRUST_PROXY && TRUST_PROXY !== 'false') {
+    app.set('trust proxy', TRUST_PROXY === 'true' ? true : /^\d+$/.test(TRUST_PROXY) ? Number(TRUST_PROXY) : TRUST_PROXY);
+}
 
 // ===============================
 // 🚀 RAILWAY VOLUME SETUP
 // ===============================
-// Use mounted volume in production, local directory in development
-const DATA_DIR = process.env.NODE_ENV === 'production' ? '/app/data' : __dirname;
+// Use mounted volume in production, local directory in development. DATA_DIR overrides both (tests
+// point it at a temp directory).
+const DATA_DIR = process.env.DATA_DIR || (process.env.NODE_ENV === 'production' ? '/app/data' : __dirname);
 console.log(`📁 Using data directory: ${DATA_DIR}`);
 
 // Create directories if they don't exist
@@ -40,6 +56,7 @@ if (!fs.existsSync(uploadsDir)) fs.mkdirSync(uploadsDir, { recursive: true });
 // Persistent profile index. Replaces the in-memory caches that needed full 170k-file crawls.
 // Lives on the volume, so it survives restarts and only builds once; maintained on every upload.
 const Database = require("better-sqlite3");
+const { DEFAULT_WORLDS } = require("./worlds");
 const indexDb = new Database(path.join(DATA_DIR, "profile_index.db"));
 indexDb.pragma("journal_mode = WAL");
 indexDb.exec(`
@@ -55,18 +72,325 @@ indexDb.exec(`
     );
     CREATE INDEX IF NOT EXISTS idx_index_physical ON profile_index(physicalName);
     CREATE TABLE IF NOT EXISTS index_meta (key TEXT PRIMARY KEY, value TEXT);
+    CREATE TABLE IF NOT EXISTS likes (
+        characterId TEXT NOT NULL,
+        likerId     TEXT NOT NULL,
+        createdAt   INTEGER NOT NULL,
+        PRIMARY KEY (characterId, likerId)
+    ) WITHOUT ROWID;
+    CREATE INDEX IF NOT EXISTS idx_likes_created ON likes(createdAt);
 `);
 try { indexDb.exec("ALTER TABLE profile_index ADD COLUMN displayJson TEXT"); } catch (e) { /* column already exists */ }
+try { indexDb.exec("ALTER TABLE likes ADD COLUMN likerToken TEXT"); } catch (e) { /* column already exists */ }
+try { indexDb.exec("ALTER TABLE likes ADD COLUMN voidedAt INTEGER"); } catch (e) { /* column already exists */ }
+indexDb.exec("CREATE INDEX IF NOT EXISTS idx_likes_token ON likes(likerToken)");
+try { indexDb.exec("ALTER TABLE profile_index ADD COLUMN isNSFW INTEGER NOT NULL DEFAULT 0"); } catch (e) { /* column already exists */ }
+
+// Gallery support. like_counts keeps a running count of non-voided likes per profile so the gallery
+// can sort by likes without aggregating the likes table per request. index_meta.change_seq is bumped
+// by any write that can change which profiles the gallery shows or what they say, and doubles as the
+// gallery ETag version. Likes only move index_meta.likes_seq, so a busy like stream doesn't
+// invalidate every client's gallery ETag.
+if (!indexDb.prepare("SELECT 1 FROM index_meta WHERE key = 'likes_seq'").get()) {
+    // Triggers from before likes_seq bumped change_seq; recreate them below
+    indexDb.exec(`
+        DROP TRIGGER IF EXISTS trg_likes_count_insert;
+        DROP TRIGGER IF EXISTS trg_likes_count_delete;
+        DROP TRIGGER IF EXISTS trg_likes_count_void;
+    `);
+}
+indexDb.exec(`
+    CREATE INDEX IF NOT EXISTS idx_index_sharing_active ON profile_index(sharing, lastActiveTime);
+    CREATE INDEX IF NOT EXISTS idx_index_sharing_created ON profile_index(sharing, createdAt);
+    CREATE TABLE IF NOT EXISTS like_counts (
+        characterId TEXT PRIMARY KEY,
+        count       INTEGER NOT NULL
+    ) WITHOUT ROWID;
+    INSERT OR IGNORE INTO index_meta (key, value) VALUES ('change_seq', '0');
+    INSERT OR IGNORE INTO index_meta (key, value) VALUES ('likes_seq', '0');
+
+    CREATE TRIGGER IF NOT EXISTS trg_likes_count_insert AFTER INSERT ON likes WHEN NEW.voidedAt IS NULL BEGIN
+        INSERT INTO like_counts (characterId, count) VALUES (NEW.characterId, 1)
+            ON CONFLICT(characterId) DO UPDATE SET count = count + 1;
+        UPDATE index_meta SET value = value + 1 WHERE key = 'likes_seq';
+    END;
+    CREATE TRIGGER IF NOT EXISTS trg_likes_count_delete AFTER DELETE ON likes WHEN OLD.voidedAt IS NULL BEGIN
+        UPDATE like_counts SET count = count - 1 WHERE characterId = OLD.characterId;
+        DELETE FROM like_counts WHERE characterId = OLD.characterId AND count <= 0;
+        UPDATE index_meta SET value = value + 1 WHERE key = 'likes_seq';
+    END;
+    CREATE TRIGGER IF NOT EXISTS trg_likes_count_void AFTER UPDATE OF voidedAt ON likes
+        WHEN OLD.voidedAt IS NULL AND NEW.voidedAt IS NOT NULL BEGIN
+        UPDATE like_counts SET count = count - 1 WHERE characterId = OLD.characterId;
+        UPDATE index_meta SET value = value + 1 WHERE key = 'likes_seq';
+    END;
+
+    CREATE TRIGGER IF NOT EXISTS trg_index_seq_insert AFTER INSERT ON profile_index BEGIN
+        UPDATE index_meta SET value = value + 1 WHERE key = 'change_seq';
+    END;
+    CREATE TRIGGER IF NOT EXISTS trg_index_seq_update AFTER UPDATE ON profile_index BEGIN
+        UPDATE index_meta SET value = value + 1 WHERE key = 'change_seq';
+    END;
+    CREATE TRIGGER IF NOT EXISTS trg_index_seq_delete AFTER DELETE ON profile_index BEGIN
+        UPDATE index_meta SET value = value + 1 WHERE key = 'change_seq';
+    END;
+`);
+
+// One-time backfill of like_counts and isNSFW for databases created before the triggers existed.
+if (!indexDb.prepare("SELECT 1 FROM index_meta WHERE key = 'gallery_v1'").get()) {
+    indexDb.transaction(() => {
+        indexDb.exec(`
+            DELETE FROM like_counts;
+            INSERT INTO like_counts (characterId, count)
+                SELECT characterId, COUNT(*) FROM likes WHERE voidedAt IS NULL GROUP BY characterId;
+            UPDATE profile_index SET isNSFW = COALESCE(json_extract(displayJson, '$.IsNSFW'), 0) WHERE displayJson IS NOT NULL;
+            INSERT OR REPLACE INTO index_meta (key, value) VALUES ('gallery_v1', '1');
+        `);
+    })();
+}
+
+// Content ratings, lowest first. Profiles declare one as ContentRating and the index stores its level,
+// so gallery endpoints filter with `rating <= maxRating`. IsNSFW predates the scale: it is kept on
+// profiles as "rated Mature" for older clients, and profiles saved without a ContentRating are
+// rated from it (true is Mature, false is General).
+const CONTENT_RATINGS = ['General', 'Suggestive', 'Mature'];
+const RATING_MATURE = CONTENT_RATINGS.indexOf('Mature');
+const MAX_CONTENT_RATING = CONTENT_RATINGS.length - 1;
+// Viewers that send neither maxRating nor nsfw=true see General profiles only; Suggestive is opt-in
+const DEFAULT_VIEWER_RATING = 0;
+
+try { indexDb.exec("ALTER TABLE profile_index ADD COLUMN rating INTEGER NOT NULL DEFAULT 0"); } catch (e) { /* column already exists */ }
+// One-time migration of rows indexed before ratings existed, mapping isNSFW onto the scale.
+if (!indexDb.prepare("SELECT 1 FROM index_meta WHERE key = 'ratings_v1'").get()) {
+    indexDb.transaction(() => {
+        indexDb.exec(`
+            UPDATE profile_index SET
+                rating = CASE WHEN isNSFW = 1 THEN ${RATING_MATURE} ELSE 0 END,
+                displayJson = json_set(displayJson, '$.ContentRating',
+                    CASE WHEN isNSFW = 1 THEN '${CONTENT_RATINGS[RATING_MATURE]}' ELSE '${CONTENT_RATINGS[0]}' END)
+            WHERE displayJson IS NOT NULL;
+            INSERT OR REPLACE INTO index_meta (key, value) VALUES ('ratings_v1', '1');
+        `);
+    })();
+}
+
+// A rating name (any case) or level as a level, or null if it isn't one.
+function parseContentRating(value) {
+    if (typeof value === 'number' || (typeof value === 'string' && /^\d+$/.test(value))) {
+        const level = Number(value);
+        return Number.isInteger(level) && level >= 0 && level <= MAX_CONTENT_RATING ? level : null;
+    }
+    if (typeof value !== 'string') return null;
+    const level = CONTENT_RATINGS.findIndex(r => r.toLowerCase() === value.trim().toLowerCase());
+    return level >= 0 ? level : null;
+}
+
+function profileRatingLevel(profile) {
+    const level = parseContentRating(profile.ContentRating);
+    if (level !== null) return level;
+    return profile.IsNSFW ? RATING_MATURE : 0;
+}
+
+// Stores the rating on a profile in its canonical spelling, with IsNSFW kept in step.
+function setContentRating(profile, level) {
+    profile.ContentRating = CONTENT_RATINGS[level];
+    profile.IsNSFW = level >= RATING_MATURE;
+}
+
+// Facet columns for structured gallery filters. Tags get their own table so include/exclude
+// filters and tag counts are index lookups rather than JSON scans.
+try { indexDb.exec("ALTER TABLE profile_index ADD COLUMN server TEXT"); } catch (e) { /* column already exists */ }
+try { indexDb.exec("ALTER TABLE profile_index ADD COLUMN race TEXT COLLATE NOCASE"); } catch (e) { /* column already exists */ }
+try { indexDb.exec("ALTER TABLE profile_index ADD COLUMN pronouns TEXT COLLATE NOCASE"); } catch (e) { /* column already exists */ }
+try { indexDb.exec("ALTER TABLE profile_index ADD COLUMN hasImage INTEGER NOT NULL DEFAULT 0"); } catch (e) { /* column already exists */ }
+indexDb.exec(`
+    CREATE INDEX IF NOT EXISTS idx_index_server ON profile_index(server);
+    CREATE INDEX IF NOT EXISTS idx_index_race ON profile_index(race);
+    CREATE INDEX IF NOT EXISTS idx_index_pronouns ON profile_index(pronouns);
+    CREATE TABLE IF NOT EXISTS profile_tags (
+        characterId TEXT NOT NULL,
+        tag         TEXT NOT NULL,
+        PRIMARY KEY (characterId, tag)
+    ) WITHOUT ROWID;
+    CREATE INDEX IF NOT EXISTS idx_profile_tags_tag ON profile_tags(tag);
+`);
+
+// Gallery change log for delta sync. One row per profile holding the sequence number of its latest
+// change; each change deletes and re-inserts the row at a fresh AUTOINCREMENT seq, so `seq > cursor`
+// is exactly the set of profiles that changed since the cursor. (Not INSERT OR REPLACE: inside a
+// trigger the upsert's own conflict policy would override it.) `name` is kept so removals can be reported under the
+// same sanitised id the profile was served with.
+indexDb.exec(`
+    CREATE TABLE IF NOT EXISTS profile_changes (
+        seq         INTEGER PRIMARY KEY AUTOINCREMENT,
+        characterId TEXT NOT NULL UNIQUE,
+        name        TEXT,
+        changedAt   INTEGER NOT NULL
+    );
+    CREATE TRIGGER IF NOT EXISTS trg_changes_insert AFTER INSERT ON profile_index BEGIN
+        DELETE FROM profile_changes WHERE characterId = NEW.characterId;
+        INSERT INTO profile_changes (characterId, name, changedAt)
+        VALUES (NEW.characterId, json_extract(NEW.displayJson, '$.CharacterName'), strftime('%s', 'now') * 1000);
+    END;
+    CREATE TRIGGER IF NOT EXISTS trg_changes_update AFTER UPDATE OF sharing, displayJson, isNSFW ON profile_index BEGIN
+        DELETE FROM profile_changes WHERE characterId = NEW.characterId;
+        INSERT INTO profile_changes (characterId, name, changedAt)
+        VALUES (NEW.characterId, json_extract(NEW.displayJson, '$.CharacterName'), strftime('%s', 'now') * 1000);
+    END;
+    CREATE TRIGGER IF NOT EXISTS trg_changes_delete AFTER DELETE ON profile_index BEGIN
+        DELETE FROM profile_changes WHERE characterId = OLD.characterId;
+        INSERT INTO profile_changes (characterId, name, changedAt)
+        VALUES (OLD.characterId, json_extract(OLD.displayJson, '$.CharacterName'), strftime('%s', 'now') * 1000);
+    END;
+`);
+// Seed the log with every indexed profile so a client syncing from 0 receives the whole gallery.
+if (!indexDb.prepare("SELECT 1 FROM index_meta WHERE key = 'changes_v1'").get()) {
+    indexDb.exec(`
+        INSERT OR IGNORE INTO profile_changes (characterId, name, changedAt)
+            SELECT characterId, json_extract(displayJson, '$.CharacterName'), strftime('%s', 'now') * 1000
+            FROM profile_index ORDER BY lastActiveTime;
+        INSERT OR REPLACE INTO index_meta (key, value) VALUES ('changes_v1', '1');
+    `);
+}
+
+// Superseded profile image versions waiting out their grace period (see VERSIONED PROFILE IMAGES).
+// image_files lists every file stored for a profile (versions, variants and framed renders) under
+// its sanitized image base, so a profile's files are found without listing imagesDir.
+indexDb.exec(`
+    CREATE TABLE IF NOT EXISTS retired_images (
+        fileName  TEXT PRIMARY KEY,
+        retiredAt INTEGER NOT NULL
+    );
+    CREATE TABLE IF NOT EXISTS image_files (
+        fileName  TEXT PRIMARY KEY,
+        imageBase TEXT NOT NULL
+    ) WITHOUT ROWID;
+    CREATE INDEX IF NOT EXISTS idx_image_files_base ON image_files(imageBase);
+`);
+// gated marks retired files of a profile that was NSFW while they were stored, so they stay behind
+// signed links after the profile itself is gone
+try { indexDb.exec("ALTER TABLE retired_images ADD COLUMN gated INTEGER NOT NULL DEFAULT 0"); } catch (e) { /* column already exists */ }
+
+// Image base of a stored file: everything before the first dot after the world name, e.g.
+// `Name_First_Last@World` for `Name_First_Last@World.1a2b3c4d5e6f.256w.webp`
+function imageBaseOf(fileName) {
+    const dot = fileName.indexOf('.', Math.max(0, fileName.lastIndexOf('@')));
+    return dot > 0 ? fileName.substring(0, dot) : null;
+}
+
+// One-time registration of the files already on disk. From here on every writer records its files.
+if (!indexDb.prepare("SELECT 1 FROM index_meta WHERE key = 'image_files_v1'").get()) {
+    const insert = indexDb.prepare(`INSERT OR IGNORE INTO image_files (fileName, imageBase) VALUES (?, ?)`);
+    let n = 0;
+    indexDb.transaction(() => {
+        for (const f of fs.readdirSync(imagesDir)) {
+            const base = imageBaseOf(f);
+            if (base && !f.endsWith('.tmp')) n += insert.run(f, base).changes;
+        }
+        indexDb.prepare("INSERT OR REPLACE INTO index_meta (key, value) VALUES ('image_files_v1', '1')").run();
+    })();
+    console.log(`🏷️ Registered ${n} stored image files`);
+}
+
+// Pending background image jobs (see IMAGE PROCESSING QUEUE). A row lives until its job finishes,
+// so anything queued or mid-flight when the server stops is picked up again on the next start.
+indexDb.exec(`
+    CREATE TABLE IF NOT EXISTS image_jobs (
+        id           INTEGER PRIMARY KEY AUTOINCREMENT,
+        characterId  TEXT NOT NULL,
+        physicalName TEXT NOT NULL,
+        fileName     TEXT NOT NULL UNIQUE,
+        enqueuedAt   INTEGER NOT NULL,
+        notBefore    INTEGER NOT NULL DEFAULT 0,
+        attempts     INTEGER NOT NULL DEFAULT 0,
+        lastError    TEXT
+    );
+`);
+
+// Perceptual hashes of profile images (see PERCEPTUAL IMAGE HASHES). Each profile has at most one
+// live row, for its current image. Rows of profiles removed by a moderator are kept with removedAt
+// set, so their picture is still recognised after the image file itself is gone.
+indexDb.exec(`
+    CREATE TABLE IF NOT EXISTS image_hashes (
+        id            INTEGER PRIMARY KEY AUTOINCREMENT,
+        characterId   TEXT NOT NULL,
+        physicalName  TEXT,
+        characterName TEXT,
+        fileName      TEXT NOT NULL,
+        hash          TEXT NOT NULL,
+        hashedAt      INTEGER NOT NULL,
+        removedAt     INTEGER,
+        removedReason TEXT
+    );
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_image_hashes_live ON image_hashes (characterId) WHERE removedAt IS NULL;
+`);
+// The hash split into four 16-bit bands, each indexed, so a distance lookup only compares rows that
+// share a nearby band (see imageHashNearParams)
+for (let band = 0; band < 4; band++) {
+    try { indexDb.exec(`ALTER TABLE image_hashes ADD COLUMN band${band} INTEGER`); } catch (e) { /* column already exists */ }
+    indexDb.exec(`CREATE INDEX IF NOT EXISTS idx_image_hashes_band${band} ON image_hashes (band${band})`);
+}
+
+// Full-text search over the free-text profile fields. FTS rows share rowids with profile_index and
+// are written alongside it. profile_index has no INTEGER PRIMARY KEY, so a VACUUM would renumber
+// its rowids: delete the 'search_v1' index_meta key afterwards to rebuild this table.
+indexDb.exec(`
+    CREATE VIRTUAL TABLE IF NOT EXISTS profile_search USING fts5(
+        name, tags, bio, race, status,
+        tokenize = 'unicode61 remove_diacritics 2',
+        prefix = '2 3'
+    );
+`);
+
+// Stable, non-reversible reference to an install token for admin views and bulk actions
+function tokenRef(token) {
+    return token ? crypto.createHash('sha256').update(token).digest('hex').substring(0, 16) : null;
+}
+indexDb.function('token_ref', { deterministic: true }, tokenRef);
+
+// Number of differing bits between two 64-bit perceptual hashes stored as 16 hex chars
+function imageHashDistance(a, b) {
+    let distance = 0;
+    for (let i = 0; i < 16; i += 8) {
+        let x = (parseInt(a.substring(i, i + 8), 16) ^ parseInt(b.substring(i, i + 8), 16)) >>> 0;
+        while (x) { x &= x - 1; distance++; }
+    }
+    return distance;
+}
+indexDb.function('hamming', { deterministic: true }, imageHashDistance);
+
+// The four 16-bit bands of a hash, as stored in image_hashes.band0-3
+function imageHashBands(hash) {
+    return [0, 1, 2, 3].map(band => parseInt(hash.substring(band * 4, band * 4 + 4), 16));
+}
+
+// One-time band backfill for hashes stored before the bands existed
+if (!indexDb.prepare("SELECT 1 FROM index_meta WHERE key = 'image_hash_bands_v1'").get()) {
+    const update = indexDb.prepare('UPDATE image_hashes SET band0 = ?, band1 = ?, band2 = ?, band3 = ? WHERE id = ?');
+    indexDb.transaction(() => {
+        for (const { id, hash } of indexDb.prepare('SELECT id, hash FROM image_hashes').all()) update.run(...imageHashBands(hash), id);
+        indexDb.prepare("INSERT OR REPLACE INTO index_meta (key, value) VALUES ('image_hash_bands_v1', '1')").run();
+    })();
+}
 
 const stmtIndexUpsert = indexDb.prepare(`
-    INSERT INTO profile_index (characterId, physicalName, csName, nameplateColor, sharing, allowNameSync, lastActiveTime, createdAt, displayJson)
-    VALUES (@characterId, @physicalName, @csName, @nameplateColor, @sharing, @allowNameSync, @lastActiveTime, @createdAt, @displayJson)
+    INSERT INTO profile_index (characterId, physicalName, csName, nameplateColor, sharing, allowNameSync, lastActiveTime, createdAt, displayJson, isNSFW,
+        rating, server, race, pronouns, hasImage)
+    VALUES (@characterId, @physicalName, @csName, @nameplateColor, @sharing, @allowNameSync, @lastActiveTime, @createdAt, @displayJson, @isNSFW,
+        @rating, @server, @race, @pronouns, @hasImage)
     ON CONFLICT(characterId) DO UPDATE SET
         physicalName = excluded.physicalName, csName = excluded.csName, nameplateColor = excluded.nameplateColor,
         sharing = excluded.sharing, allowNameSync = excluded.allowNameSync,
-        lastActiveTime = excluded.lastActiveTime, createdAt = excluded.createdAt, displayJson = excluded.displayJson
+        lastActiveTime = excluded.lastActiveTime, createdAt = excluded.createdAt, displayJson = excluded.displayJson,
+        isNSFW = excluded.isNSFW, rating = excluded.rating, server = excluded.server, race = excluded.race, pronouns = excluded.pronouns,
+        hasImage = excluded.hasImage
 `);
 const stmtIndexDelete = indexDb.prepare(`DELETE FROM profile_index WHERE characterId = ?`);
+const stmtTagsDelete = indexDb.prepare(`DELETE FROM profile_tags WHERE characterId = ?`);
+const stmtTagInsert = indexDb.prepare(`INSERT OR IGNORE INTO profile_tags (characterId, tag) VALUES (?, ?)`);
+const stmtIndexRowid = indexDb.prepare(`SELECT rowid FROM profile_index WHERE characterId = ?`);
+const stmtSearchDelete = indexDb.prepare(`DELETE FROM profile_search WHERE rowid = ?`);
+const stmtSearchInsert = indexDb.prepare(`INSERT INTO profile_search (rowid, name, tags, bio, race, status) VALUES (?, ?, ?, ?, ?, ?)`);
 const stmtIndexCount = indexDb.prepare(`SELECT COUNT(*) AS c FROM profile_index`);
 const stmtIndexLookupName = indexDb.prepare(`
     SELECT csName, nameplateColor, allowNameSync, sharing FROM profile_index
@@ -86,6 +410,133 @@ const stmtIndexFindOldVersions = indexDb.prepare(`
     WHERE physicalName = ? AND csName = ? AND characterId != ?
 `);
 
+const stmtIndexDisplayJson = indexDb.prepare(`SELECT displayJson FROM profile_index WHERE characterId = ?`);
+const stmtIndexCsName = indexDb.prepare(`SELECT csName FROM profile_index WHERE characterId = ?`);
+
+// Likes: one row per (profile, liker slot). Counts are always derived from the rows. Voided likes
+// stay in the table so the same liker can't simply like again, but never count.
+const stmtLikeInsert = indexDb.prepare(`INSERT OR IGNORE INTO likes (characterId, likerId, createdAt, likerToken) VALUES (?, ?, ?, ?)`);
+const stmtLikeDelete = indexDb.prepare(`DELETE FROM likes WHERE characterId = ? AND likerId = ? AND voidedAt IS NULL`);
+const stmtLikeExists = indexDb.prepare(`SELECT 1 FROM likes WHERE characterId = ? AND likerId = ?`);
+const stmtLikeCount = indexDb.prepare(`SELECT COUNT(*) AS c FROM likes WHERE characterId = ? AND voidedAt IS NULL`);
+const stmtLikeDeleteAll = indexDb.prepare(`DELETE FROM likes WHERE characterId = ?`);
+// Likes per profile per hour since a cutoff, ShowcasePublic profiles only. Hour buckets keep the
+// row count small enough to score in JS even for busy windows.
+const stmtTrendingBuckets = indexDb.prepare(`
+    SELECT l.characterId, l.createdAt / 3600000 AS hour, COUNT(*) AS n
+    FROM likes l JOIN profile_index p ON p.characterId = l.characterId
+    WHERE l.createdAt >= ? AND l.voidedAt IS NULL AND (p.sharing = 'ShowcasePublic' OR p.sharing = '2')
+    GROUP BY l.characterId, hour
+`);
+const stmtGalleryVersion = indexDb.prepare(`SELECT value FROM index_meta WHERE key = 'change_seq'`);
+const stmtGalleryVersionBump = indexDb.prepare(`UPDATE index_meta SET value = value + 1 WHERE key = 'change_seq'`);
+const stmtLikesVersion = indexDb.prepare(`SELECT value FROM index_meta WHERE key = 'likes_seq'`);
+const stmtChangeRecord = indexDb.prepare(`
+    INSERT OR REPLACE INTO profile_changes (characterId, name, changedAt)
+    SELECT characterId, json_extract(displayJson, '$.CharacterName'), ? FROM profile_index WHERE characterId = ?
+`);
+const stmtChangesSince = indexDb.prepare(`
+    SELECT c.seq, c.characterId, c.name, p.displayJson, p.sharing, p.isNSFW, p.rating, COALESCE(lc.count, 0) AS likeCount
+    FROM profile_changes c
+    LEFT JOIN profile_index p ON p.characterId = c.characterId
+    LEFT JOIN like_counts lc ON lc.characterId = c.characterId
+    WHERE c.seq > ? ORDER BY c.seq LIMIT ?
+`);
+// Tombstones for profiles that no longer exist, past the retention window
+const stmtChangesPrunable = indexDb.prepare(`
+    SELECT MAX(seq) AS maxSeq FROM profile_changes
+    WHERE changedAt < ? AND characterId NOT IN (SELECT characterId FROM profile_index)
+`);
+const stmtChangesPrune = indexDb.prepare(`
+    DELETE FROM profile_changes
+    WHERE changedAt < ? AND characterId NOT IN (SELECT characterId FROM profile_index)
+`);
+const stmtImageRetire = indexDb.prepare(`
+    INSERT INTO retired_images (fileName, retiredAt, gated) VALUES (?, ?, ?)
+    ON CONFLICT(fileName) DO UPDATE SET gated = MAX(gated, excluded.gated)
+`);
+const stmtImageUnretire = indexDb.prepare(`DELETE FROM retired_images WHERE fileName = ?`);
+const stmtImagesRetiredBefore = indexDb.prepare(`SELECT fileName FROM retired_images WHERE retiredAt < ?`);
+const stmtImageIsRetired = indexDb.prepare(`SELECT 1 FROM retired_images WHERE fileName = ?`);
+const stmtImageRetiredGated = indexDb.prepare(`SELECT 1 FROM retired_images WHERE fileName = ? AND gated = 1`);
+const stmtImageGateRetired = indexDb.prepare(`
+    UPDATE retired_images SET gated = 1 WHERE fileName IN (SELECT fileName FROM image_files WHERE imageBase = ?)
+`);
+const stmtImageFileTrack = indexDb.prepare(`INSERT OR IGNORE INTO image_files (fileName, imageBase) VALUES (?, ?)`);
+const stmtImageFileForget = indexDb.prepare(`DELETE FROM image_files WHERE fileName = ?`);
+const stmtImageFilesFor = indexDb.prepare(`SELECT fileName FROM image_files WHERE imageBase = ?`);
+const stmtImageJobEnqueue = indexDb.prepare(`
+    INSERT OR IGNORE INTO image_jobs (characterId, physicalName, fileName, enqueuedAt) VALUES (?, ?, ?, ?)
+`);
+const stmtImageJobsReady = indexDb.prepare(`SELECT * FROM image_jobs WHERE notBefore <= ? ORDER BY id LIMIT ?`);
+const stmtImageJobPending = indexDb.prepare(`SELECT 1 FROM image_jobs WHERE fileName = ?`);
+const stmtImageJobDone = indexDb.prepare(`DELETE FROM image_jobs WHERE id = ?`);
+const stmtImageJobRetry = indexDb.prepare(`
+    UPDATE image_jobs SET attempts = attempts + 1, lastError = ?, notBefore = ? WHERE id = ?
+`);
+const stmtImageJobsSummary = indexDb.prepare(`SELECT COUNT(*) AS depth, MIN(enqueuedAt) AS oldest FROM image_jobs`);
+const stmtImageHashLive = indexDb.prepare(`SELECT * FROM image_hashes WHERE characterId = ? AND removedAt IS NULL`);
+const stmtImageHashDropLive = indexDb.prepare(`DELETE FROM image_hashes WHERE characterId = ? AND removedAt IS NULL`);
+const stmtImageHashInsert = indexDb.prepare(`
+    INSERT INTO image_hashes (characterId, physicalName, characterName, fileName, hash, hashedAt, removedAt, removedReason,
+                              band0, band1, band2, band3)
+    VALUES (@characterId, @physicalName, @characterName, @fileName, @hash, @hashedAt, @removedAt, @removedReason,
+            @band0, @band1, @band2, @band3)
+`);
+const stmtImageHashRetain = indexDb.prepare(`
+    UPDATE image_hashes SET removedAt = ?, removedReason = ? WHERE characterId = ? AND removedAt IS NULL
+`);
+// Hashes within a distance: kept rows of removed profiles, and live rows still matching the profile's
+// image. Only rows with a band among the candidate values (JSON arrays, see imageHashCandidates) are
+// compared, through the band indexes.
+const stmtImageHashesNear = indexDb.prepare(`
+    SELECT h.*, hamming(h.hash, @hash) AS distance, p.displayJson
+    FROM image_hashes h LEFT JOIN profile_index p ON p.characterId = h.characterId
+    WHERE h.id IN (
+            SELECT id FROM image_hashes WHERE band0 IN (SELECT value FROM json_each(@band0))
+            UNION SELECT id FROM image_hashes WHERE band1 IN (SELECT value FROM json_each(@band1))
+            UNION SELECT id FROM image_hashes WHERE band2 IN (SELECT value FROM json_each(@band2))
+            UNION SELECT id FROM image_hashes WHERE band3 IN (SELECT value FROM json_each(@band3)))
+      AND hamming(h.hash, @hash) <= @maxDistance
+      AND (h.removedAt IS NOT NULL OR json_extract(p.displayJson, '$.ProfileImageUrl') = '/images/' || h.fileName)
+    ORDER BY distance, h.hashedAt DESC
+    LIMIT @limit
+`);
+// Indexed profiles with a stored image but no live hash of it
+const stmtImageHashesMissing = indexDb.prepare(`
+    SELECT p.characterId, p.physicalName, p.csName, json_extract(p.displayJson, '$.ProfileImageUrl') AS imageUrl
+    FROM profile_index p
+    LEFT JOIN image_hashes h ON h.characterId = p.characterId AND h.removedAt IS NULL
+        AND '/images/' || h.fileName = json_extract(p.displayJson, '$.ProfileImageUrl')
+    WHERE h.id IS NULL AND json_extract(p.displayJson, '$.ProfileImageUrl') LIKE '/images/%'
+`);
+const stmtLikeCopy = indexDb.prepare(`
+    INSERT OR IGNORE INTO likes (characterId, likerId, createdAt, likerToken, voidedAt)
+    SELECT ?, likerId, createdAt, likerToken, voidedAt FROM likes WHERE characterId = ?
+`);
+
+// Tags are a free-text comma-separated string on the profile. Normalise to lowercase, drop a
+// leading '#', and cap count and length so one profile can't bloat profile_tags.
+const MAX_INDEXED_TAGS = 20;
+const MAX_TAG_LENGTH = 32;
+const MAX_SEARCH_BIO_LENGTH = 4000;
+function parseProfileTags(tags) {
+    if (typeof tags !== 'string' || !tags) return [];
+    const out = new Set();
+    for (const raw of tags.split(',')) {
+        const tag = raw.trim().replace(/^#+/, '').toLowerCase().substring(0, MAX_TAG_LENGTH).trim();
+        if (tag) out.add(tag);
+        if (out.size >= MAX_INDEXED_TAGS) break;
+    }
+    return [...out];
+}
+
+function facetText(value) {
+    if (typeof value !== 'string') return null;
+    const trimmed = value.trim().substring(0, 64);
+    return trimmed || null;
+}
+
 // Normalise a profile object into an index row.
 function profileToIndexRow(characterId, physicalName, profile) {
     let color = "[1,1,1]";
@@ -98,6 +549,7 @@ function profileToIndexRow(characterId, physicalName, profile) {
 
     const sharingStr = (profile.Sharing === undefined || profile.Sharing === null) ? null : String(profile.Sharing);
     const isShowcasePublic = sharingStr === 'ShowcasePublic' || sharingStr === '2';
+    const rating = profileRatingLevel(profile);
 
     // Display fields for the admin All Profiles list. LikeCount + IsBanned are added live at query time.
     const displayJson = JSON.stringify({
@@ -105,6 +557,8 @@ function profileToIndexRow(characterId, physicalName, profile) {
         CharacterName: profile.CharacterName || characterId.split('@')[0],
         Server: extractServerFromName(physicalName),
         ProfileImageUrl: profile.ProfileImageUrl || null,
+        ProfileImageVariants: profile.ProfileImageVariants || null,
+        ProfileImageRenders: profile.ProfileImageRenders || null,
         Tags: profile.Tags || "",
         Bio: profile.Bio || "",
         GalleryStatus: profile.GalleryStatus || "",
@@ -115,7 +569,8 @@ function profileToIndexRow(characterId, physicalName, profile) {
         CreatedAt: profile.CreatedAt || null,
         ImageZoom: profile.ImageZoom || 1.0,
         ImageOffset: profile.ImageOffset || { X: 0, Y: 0 },
-        IsNSFW: profile.IsNSFW || false,
+        IsNSFW: rating >= RATING_MATURE,
+        ContentRating: CONTENT_RATINGS[rating],
         Sharing: isShowcasePublic ? 'ShowcasePublic' : 'AlwaysShare'
     });
 
@@ -128,20 +583,94 @@ function profileToIndexRow(characterId, physicalName, profile) {
         allowNameSync: profile.AllowOthersToSeeMyCSName === true ? 1 : 0,
         lastActiveTime: activeTime,
         createdAt: profile.CreatedAt || null,
-        displayJson: displayJson
+        displayJson: displayJson,
+        isNSFW: rating >= RATING_MATURE ? 1 : 0,
+        rating,
+        // Canonical registry spelling, so "Name@balmung" filters with "Name@Balmung"
+        server: worldRegistry.getWorld(extractServerFromName(physicalName))?.world || extractServerFromName(physicalName),
+        race: facetText(profile.Race),
+        pronouns: facetText(profile.Pronouns),
+        hasImage: profile.ProfileImageUrl ? 1 : 0,
+        tags: parseProfileTags(profile.Tags),
+        search: [
+            profile.CharacterName || characterId.split('@')[0],
+            profile.Tags || "",
+            String(profile.Bio || "").substring(0, MAX_SEARCH_BIO_LENGTH),
+            profile.Race || "",
+            profile.GalleryStatus || ""
+        ]
     };
 }
 
+// Writes the profile_index row and replaces its profile_tags and profile_search rows in one transaction.
+const writeIndexRow = indexDb.transaction((row) => {
+    stmtIndexUpsert.run(row);
+    stmtTagsDelete.run(row.characterId);
+    for (const tag of row.tags) stmtTagInsert.run(row.characterId, tag);
+    const { rowid } = stmtIndexRowid.get(row.characterId);
+    stmtSearchDelete.run(rowid);
+    stmtSearchInsert.run(rowid, ...row.search);
+});
+
+const removeIndexRow = indexDb.transaction((characterId) => {
+    const existing = stmtIndexRowid.get(characterId);
+    if (existing) stmtSearchDelete.run(existing.rowid);
+    stmtIndexDelete.run(characterId);
+    stmtTagsDelete.run(characterId);
+    stmtImageHashDropLive.run(characterId);
+});
+
 function indexUpsertProfile(characterId, physicalName, profile) {
     try {
-        stmtIndexUpsert.run(profileToIndexRow(characterId, physicalName, profile));
+        writeIndexRow(profileToIndexRow(characterId, physicalName, profile));
+        setProfileImagesGated(characterId, profileRatingLevel(profile) >= RATING_MATURE);
     } catch (err) {
         console.error(`[index] upsert failed for ${characterId}: ${err.message}`);
     }
 }
 
 function indexDeleteProfile(characterId) {
-    try { stmtIndexDelete.run(characterId); } catch (err) { /* ignore */ }
+    try { removeIndexRow(characterId); } catch (err) { /* ignore */ }
+}
+
+// One-time backfill of the facet columns and profile_tags for rows indexed before they existed.
+if (!indexDb.prepare("SELECT 1 FROM index_meta WHERE key = 'facets_v1'").get()) {
+    const rows = indexDb.prepare(`SELECT characterId, json_extract(displayJson, '$.Tags') AS tags FROM profile_index WHERE displayJson IS NOT NULL`).all();
+    indexDb.transaction(() => {
+        indexDb.exec(`
+            UPDATE profile_index SET
+                server = CASE WHEN instr(physicalName, '@') > 0 THEN substr(physicalName, instr(physicalName, '@') + 1) ELSE 'Unknown' END,
+                race = NULLIF(trim(substr(COALESCE(json_extract(displayJson, '$.Race'), ''), 1, 64)), ''),
+                pronouns = NULLIF(trim(substr(COALESCE(json_extract(displayJson, '$.Pronouns'), ''), 1, 64)), ''),
+                hasImage = COALESCE(json_extract(displayJson, '$.ProfileImageUrl'), '') != ''
+            WHERE displayJson IS NOT NULL;
+            DELETE FROM profile_tags;
+        `);
+        for (const row of rows) {
+            for (const tag of parseProfileTags(row.tags)) stmtTagInsert.run(row.characterId, tag);
+        }
+        indexDb.prepare("INSERT OR REPLACE INTO index_meta (key, value) VALUES ('facets_v1', '1')").run();
+    })();
+    if (rows.length) console.log(`📇 Gallery facets backfilled for ${rows.length} profiles`);
+}
+
+// One-time (re)build of profile_search from the display data already in profile_index.
+if (!indexDb.prepare("SELECT 1 FROM index_meta WHERE key = 'search_v1'").get()) {
+    indexDb.transaction(() => {
+        indexDb.exec(`
+            DELETE FROM profile_search;
+            INSERT INTO profile_search (rowid, name, tags, bio, race, status)
+                SELECT rowid,
+                    COALESCE(json_extract(displayJson, '$.CharacterName'), ''),
+                    COALESCE(json_extract(displayJson, '$.Tags'), ''),
+                    substr(COALESCE(json_extract(displayJson, '$.Bio'), ''), 1, ${MAX_SEARCH_BIO_LENGTH}),
+                    COALESCE(json_extract(displayJson, '$.Race'), ''),
+                    COALESCE(json_extract(displayJson, '$.GalleryStatus'), '')
+                FROM profile_index WHERE displayJson IS NOT NULL;
+            INSERT OR REPLACE INTO index_meta (key, value) VALUES ('search_v1', '1');
+        `);
+    })();
+    console.log(`🔎 Profile search index built: ${indexDb.prepare("SELECT COUNT(*) AS c FROM profile_search").get().c} rows`);
 }
 
 // One-time build from existing profile files. Runs only when the index is empty; afterwards the
@@ -161,7 +690,10 @@ async function buildIndexIfEmpty() {
         const files = (await fs.promises.readdir(profilesDir))
             .filter(f => f.endsWith(".json") && !f.endsWith("_follows.json"));
         const insertBatch = indexDb.transaction((rows) => {
-            for (const row of rows) stmtIndexUpsert.run(row);
+            for (const row of rows) {
+                writeIndexRow(row);
+                setProfileImagesGated(row.characterId, row.isNSFW === 1);
+            }
         });
         let batch = [];
         let n = 0;
@@ -196,10 +728,118 @@ async function buildIndexIfEmpty() {
     }
 }
 
+// One-time migration: profiles saved before image URLs went host-relative hold absolute URLs on
+// the old hardcoded host. Rewrite them to "/images/<file>" in the JSON files and the index.
+async function normalizeStoredImageUrls() {
+    if (indexDb.prepare("SELECT 1 FROM index_meta WHERE key = 'image_urls_v1'").get()) return;
+    const startTime = Date.now();
+    let updated = 0;
+    try {
+        const files = (await fs.promises.readdir(profilesDir))
+            .filter(f => f.endsWith(".json") && !f.endsWith("_follows.json"));
+        for (const file of files) {
+            try {
+                const filePath = path.join(profilesDir, file);
+                const profile = JSON.parse(await fs.promises.readFile(filePath, "utf-8"));
+                const stored = toStoredImageUrl(profile.ProfileImageUrl);
+                if (stored === profile.ProfileImageUrl) continue;
+                profile.ProfileImageUrl = stored;
+                await atomicWriteProfile(filePath, profile);
+                const characterId = file.substring(0, file.length - 5);
+                const physicalName = extractPhysicalNameFromKey(characterId);
+                if (physicalName) indexUpsertProfile(characterId, physicalName, profile);
+                updated++;
+            } catch (e) { /* skip unreadable file */ }
+        }
+        indexDb.prepare("INSERT OR REPLACE INTO index_meta (key, value) VALUES ('image_urls_v1', '1')").run();
+        console.log(`🔗 Image URLs normalized: ${updated} profiles rewritten in ${Date.now() - startTime}ms`);
+    } catch (err) {
+        console.error("🔗 Image URL normalization error:", err);
+    }
+}
+
+// ===============================
+// 🔞 NSFW IMAGE GATING
+// ===============================
+// Images of IsNSFW profiles are never served by the public /images route below. Responses that
+// include NSFW profiles for clients that opted in (nsfw=true) or admins carry short-lived signed
+// /nsfw-images URLs instead (see withPublicImageUrls), and everyone else gets no image URL at all.
+// Gating follows the profile index, so flipping IsNSFW moves a profile's images between the two
+// routes immediately, variants and renders included.
+const NSFW_IMAGE_URL_TTL = 60 * 60;   // Seconds; links are valid for one to two TTLs (see nsfwLinkEpoch)
+
+// Signing key: IMAGE_URL_SECRET, or one generated on first start and kept in index_meta so
+// links survive restarts
+const IMAGE_URL_SECRET = process.env.IMAGE_URL_SECRET || (() => {
+    const stored = indexDb.prepare("SELECT value FROM index_meta WHERE key = 'image_url_secret'").get();
+    if (stored) return stored.value;
+    const secret = crypto.randomBytes(32).toString('hex');
+    indexDb.prepare("INSERT INTO index_meta (key, value) VALUES ('image_url_secret', ?)").run(secret);
+    return secret;
+})();
+
+// Image file name prefixes (sanitised characterIds) of NSFW profiles. Entries are only dropped when
+// a profile turns SFW; retired files carry their own gated flag so they stay gated across restarts
+// once their profile is gone.
+const gatedImageBases = new Set(
+    indexDb.prepare('SELECT characterId FROM profile_index WHERE isNSFW = 1').all()
+        .map(row => row.characterId.replace(/[^\w@\-_.]/g, "_"))
+);
+
+// One-time: flag files retired before the gated column existed, for profiles that are still NSFW
+if (!indexDb.prepare("SELECT 1 FROM index_meta WHERE key = 'retired_gating_v1'").get()) {
+    indexDb.transaction(() => {
+        for (const base of gatedImageBases) stmtImageGateRetired.run(base);
+        indexDb.prepare("INSERT OR REPLACE INTO index_meta (key, value) VALUES ('retired_gating_v1', '1')").run();
+    })();
+}
+
+function setProfileImagesGated(characterId, gated) {
+    const base = characterId.replace(/[^\w@\-_.]/g, "_");
+    if (gated) {
+        if (!gatedImageBases.has(base)) stmtImageGateRetired.run(base);
+        gatedImageBases.add(base);
+    } else {
+        gatedImageBases.delete(base);
+    }
+}
+
+// Stored image names are `<base>.<...>` where base ends in "@World" and worlds contain no dots
+function isGatedImageFile(fileName) {
+    const base = imageBaseOf(fileName);
+    return !!base && (gatedImageBases.has(base) || !!stmtImageRetiredGated.get(fileName));
+}
+
+// Expiry windows are aligned so every response in the same window issues the same URL, keeping
+// client texture caches and gallery ETags useful
+function nsfwLinkEpoch() {
+    return Math.floor(Date.now() / 1000 / NSFW_IMAGE_URL_TTL);
+}
+
+function signImageLink(fileName, expires) {
+    return crypto.createHmac('sha256', IMAGE_URL_SECRET).update(`${fileName}:${expires}`).digest('base64url');
+}
+
+// Host-relative signed URL for a stored image file, plus when it stops working (unix seconds)
+function signedImageLink(fileName) {
+    const expires = (nsfwLinkEpoch() + 2) * NSFW_IMAGE_URL_TTL;
+    return { url: `/nsfw-images/${fileName}?expires=${expires}&sig=${signImageLink(fileName, expires)}`, expires };
+}
+
+app.use("/images", (req, res, next) => {
+    let fileName;
+    try { fileName = decodeURIComponent(req.path.substring(1)); } catch (e) { return next(); }
+    if (isGatedImageFile(fileName)) return res.status(404).end();
+    next();
+});
+
 // Static route to serve uploaded images.
-// Aggressive caching: image filenames embed the characterId, so a URL's content never changes.
+// Aggressive caching: image filenames embed a hash of their content (see storeProfileImage), so a
+// URL's content never changes; a new picture gets a new URL.
 // 30 day cache + immutable means browsers and Dalamud's texture cache skip revalidation entirely,
 // dramatically cutting egress from repeat views.
+// The bundled mime table predates AVIF (see image-variants.js)
+express.static.mime.define({ 'image/avif': ['avif'] });
 app.use("/images", express.static(path.join(DATA_DIR, "public", "images"), {
     maxAge: '30d',
     immutable: true,
@@ -207,18 +847,176 @@ app.use("/images", express.static(path.join(DATA_DIR, "public", "images"), {
     lastModified: true
 }));
 
-// Cap raw uploads at 10 MB (pre-optimization). Legitimate profile images never need to be larger
+// Signed links to NSFW images. Cached privately until the link expires; never shared caches.
+app.get("/nsfw-images/:fileName", (req, res) => {
+    const { fileName } = req.params;
+    const expires = parseInt(req.query.expires, 10);
+    const sig = typeof req.query.sig === 'string' ? req.query.sig : '';
+    if (!/^[\w@\-.]+$/.test(fileName) || fileName.includes('..') || !Number.isFinite(expires)) {
+        return res.status(404).end();
+    }
+    // Signatures are 43 base64url characters; checking the shape first keeps multi-byte input
+    // (whose Buffer is longer than its string) away from timingSafeEqual
+    if (!/^[\w-]{43}$/.test(sig) || !crypto.timingSafeEqual(Buffer.from(sig), Buffer.from(signImageLink(fileName, expires)))) {
+        return res.status(403).json({ error: 'Invalid image link', code: 'IMAGE_LINK_INVALID' });
+    }
+    const remaining = expires - Math.floor(Date.now() / 1000);
+    if (remaining <= 0) {
+        return res.status(403).json({ error: 'Image link expired', code: 'IMAGE_LINK_EXPIRED' });
+    }
+    res.setHeader('Cache-Control', `private, max-age=${remaining}`);
+    res.sendFile(fileName, { root: imagesDir, dotfiles: 'deny', cacheControl: false }, err => {
+        if (err && !res.headersSent) res.status(err.status || 404).end();
+    });
+});
+
+// Cap raw uploads at 25 MB (pre-optimization). Legitimate profile images never need to be larger
 // than this, and rejecting oversized uploads prevents memory spikes during sharp processing.
+// Oversized files are answered with IMAGE_FILE_TOO_LARGE by the global error handler.
 const MAX_UPLOAD_BYTES = 25 * 1024 * 1024;
 const upload = multer({ dest: uploadsDir, limits: { fileSize: MAX_UPLOAD_BYTES } });
 
+// ===============================
+// 🛂 IMAGE INTAKE
+// ===============================
+// Every uploaded image is checked before the upload touches any stored state: the content must be
+// one of ALLOWED_IMAGE_FORMATS (sniffed from its magic bytes, never trusted from the client), agree
+// with the file's extension, stay within the pixel limits and decode cleanly. Rejections are
+// answered with a 4xx { error, code } the plugin can show as-is, and counted for /admin/system.
+const ALLOWED_IMAGE_FORMATS = {
+    jpeg: { label: 'JPEG', extensions: ['.jpg', '.jpeg'] },
+    png:  { label: 'PNG',  extensions: ['.png'] },
+    webp: { label: 'WebP', extensions: ['.webp'] },
+    gif:  { label: 'GIF',  extensions: ['.gif'] }
+};
+const MAX_IMAGE_DIMENSION = 8192;            // Longest accepted side, in pixels
+const MAX_INPUT_PIXELS = 40 * 1000 * 1000;   // Passed to sharp as limitInputPixels (decompression bombs)
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]);
+
+const IMAGE_REJECTION_CODES = [
+    'IMAGE_FILE_TOO_LARGE',
+    'IMAGE_NOT_RECOGNIZED',
+    'IMAGE_FORMAT_NOT_ALLOWED',
+    'IMAGE_EXTENSION_MISMATCH',
+    'IMAGE_DIMENSIONS_TOO_LARGE',
+    'IMAGE_CORRUPT'
+];
+
+const imageIntakeStats = {
+    startTime: Date.now(),
+    accepted: 0,
+    rejected: Object.fromEntries(IMAGE_REJECTION_CODES.map(code => [code, 0]))
+};
+
+function imageRejection(status, code, error) {
+    return { ok: false, status, code, error };
+}
+
+function recordImageIntake(result, label) {
+    if (result.ok) {
+        imageIntakeStats.accepted++;
+    } else {
+        imageIntakeStats.rejected[result.code]++;
+        console.warn(`🚫 Rejected image upload${label ? ` for ${label}` : ''}: ${result.code} (${result.error})`);
+    }
+    return result;
+}
+
+function sendImageRejection(res, rejection) {
+    return res.status(rejection.status).json({ error: rejection.error, code: rejection.code });
+}
+
+// Format named by a file's leading bytes, if it is one of ALLOWED_IMAGE_FORMATS
+function sniffImageFormat(header) {
+    if (header.length >= 3 && header[0] === 0xFF && header[1] === 0xD8 && header[2] === 0xFF) return 'jpeg';
+    if (header.length >= 8 && header.subarray(0, 8).equals(PNG_SIGNATURE)) return 'png';
+    if (header.length >= 12 && header.toString('latin1', 0, 4) === 'RIFF' && header.toString('latin1', 8, 12) === 'WEBP') return 'webp';
+    if (header.length >= 6 && /^GIF8[79]a$/.test(header.toString('latin1', 0, 6))) return 'gif';
+    return null;
+}
+
+async function probeUploadedImage(file) {
+    const allowedList = Object.values(ALLOWED_IMAGE_FORMATS).map(f => f.label).join(', ');
+    const handle = await fs.promises.open(file.path, 'r');
+    let header;
+    try {
+        const { buffer, bytesRead } = await handle.read(Buffer.alloc(16), 0, 16, 0);
+        header = buffer.subarray(0, bytesRead);
+    } finally {
+        await handle.close();
+    }
+
+    const format = sniffImageFormat(header);
+    if (!format) {
+        // Tell a real image in a format we don't take apart from something that isn't an image at all
+        let detected = null;
+        if (sharp) {
+            try { detected = (await sharp(file.path, { limitInputPixels: MAX_INPUT_PIXELS }).metadata()).format; } catch (e) { /* not an image */ }
+        }
+        return detected
+            ? imageRejection(415, 'IMAGE_FORMAT_NOT_ALLOWED', `${detected.toUpperCase()} images are not supported. Please use ${allowedList}.`)
+            : imageRejection(415, 'IMAGE_NOT_RECOGNIZED', `The uploaded file is not an image. Please use ${allowedList}.`);
+    }
+
+    const { label, extensions } = ALLOWED_IMAGE_FORMATS[format];
+    const ext = path.extname(file.originalname || '').toLowerCase();
+    if (ext && !extensions.includes(ext)) {
+        return imageRejection(415, 'IMAGE_EXTENSION_MISMATCH', `The file is named ${ext} but contains a ${label} image.`);
+    }
+
+    // Without sharp the signature check is all we can do; nothing downstream decodes the file either
+    if (!sharp) return { ok: true, format, extension: extensions[0] };
+
+    let meta;
+    try {
+        meta = await sharp(file.path, { failOn: 'error', limitInputPixels: MAX_INPUT_PIXELS }).metadata();
+    } catch (err) {
+        return imageRejection(422, 'IMAGE_CORRUPT', `The ${label} image could not be read.`);
+    }
+    if (meta.format !== format || !meta.width || !meta.height) {
+        return imageRejection(422, 'IMAGE_CORRUPT', `The ${label} image could not be read.`);
+    }
+    if (meta.width > MAX_IMAGE_DIMENSION || meta.height > MAX_IMAGE_DIMENSION || meta.width * meta.height > MAX_INPUT_PIXELS) {
+        return imageRejection(422, 'IMAGE_DIMENSIONS_TOO_LARGE',
+            `Images can be at most ${MAX_IMAGE_DIMENSION} pixels on a side and ${MAX_INPUT_PIXELS / 1000000} megapixels (this one is ${meta.width}×${meta.height}).`);
+    }
+
+    // Decode once (at reduced size where the codec allows) so truncated pixel data is caught here
+    try {
+        await sharp(file.path, { failOn: 'truncated', limitInputPixels: MAX_INPUT_PIXELS })
+            .resize(64, 64, { fit: 'inside' })
+            .raw()
+            .toBuffer();
+    } catch (err) {
+        return imageRejection(422, 'IMAGE_CORRUPT', `The ${label} image is damaged or incomplete.`);
+    }
+
+    return { ok: true, format, extension: extensions[0], width: meta.width, height: meta.height, hasAlpha: meta.hasAlpha === true };
+}
+
+/**
+ * Validates a multer upload against the intake rules above and counts the outcome.
+ * Returns { ok: true, format, extension, width, height, hasAlpha } for an acceptable image
+ * (dimensions and alpha only when sharp is available), or { ok: false, status, code, error }.
+ */
+async function inspectUploadedImage(file, label) {
+    let result;
+    try {
+        result = await probeUploadedImage(file);
+    } catch (err) {
+        result = imageRejection(422, 'IMAGE_CORRUPT', 'The uploaded image could not be read.');
+    }
+    return recordImageIntake(result, label);
+}
+
 // ===============================
 // 🖼️ IMAGE OPTIMIZATION PIPELINE
 // ===============================
-// Runs on every image upload. Re-encodes PNG → JPEG q95 (no resize, near-lossless) for images
+// Runs from the image queue for every uploaded image. Re-encodes PNG → JPEG q95 (no resize, near-lossless) for images
 // without alpha, or re-compresses PNG for images with alpha. Typical result: ~85-95% file size
-// reduction on PNG sources with no perceptible quality loss at any display size. If sharp fails
-// for any reason, we fall back to the original file so uploads never break.
+// reduction on PNG sources with no perceptible quality loss at any display size. Uploads have already
+// passed intake validation (see IMAGE INTAKE below), so if sharp fails here the original is kept
+// unless it has to change format.
 const JPEG_QUALITY = 95;        // Near-lossless, very close to source PNG quality
 const PNG_COMPRESSION = 9;      // Max deflate compression for PNG (lossless)
 const MIN_SIZE_WIN = 0.05;      // Only replace original if new file is at least 5% smaller
@@ -229,17 +1027,18 @@ const MIN_SIZE_WIN = 0.05;      // Only replace original if new file is at least
  * or    { ok: true, skipped: true, reason } if the original was already optimal
  * or    { ok: false, error } on failure.
  * On failure, outputPath is NOT written and the caller should fall back to the original.
+ * With options.force the re-encoded file is adopted even without a size win (format changes).
  */
-async function optimizeImage(inputPath, outputPath) {
+async function optimizeImage(inputPath, outputPath, options = {}) {
     if (!sharp) {
         return { ok: false, error: "sharp not available" };
     }
     try {
         const originalSize = (await fs.promises.stat(inputPath)).size;
-        const metadata = await sharp(inputPath, { failOn: "error" }).metadata();
+        const metadata = await sharp(inputPath, { failOn: "error", limitInputPixels: MAX_INPUT_PIXELS }).metadata();
         const hasAlpha = metadata.hasAlpha === true;
 
-        let pipeline = sharp(inputPath).rotate(); // auto-orient via EXIF, then strip
+        let pipeline = sharp(inputPath, { limitInputPixels: MAX_INPUT_PIXELS }).rotate(); // auto-orient via EXIF, then strip
 
         if (hasAlpha) {
             pipeline = pipeline.png({ compressionLevel: PNG_COMPRESSION, palette: false });
@@ -265,7 +1064,7 @@ async function optimizeImage(inputPath, outputPath) {
         }
 
         // Only adopt the optimized version if it's meaningfully smaller
-        if (newSize >= originalSize * (1 - MIN_SIZE_WIN)) {
+        if (!options.force && newSize >= originalSize * (1 - MIN_SIZE_WIN)) {
             try { fs.unlinkSync(tempOut); } catch (e) { /* ignore */ }
             return { ok: true, skipped: true, reason: "no meaningful size win", originalSize };
         }
@@ -286,97 +1085,619 @@ async function optimizeImage(inputPath, outputPath) {
     }
 }
 
-// Gallery caching
-let galleryCache = null;
-let galleryCacheTime = 0;
-let galleryCacheBuilding = false;
-let galleryCacheVersion = 0; // Bumped on every cache rebuild - used as ETag for /gallery/v2
-const CACHE_DURATION = 30 * 60 * 1000; // 30 minutes cache - extended for 24k+ profiles
-
-// All Profiles caching (admin endpoint)
-let allProfilesCache = null;
-let allProfilesCacheTime = 0;
-let allProfilesCacheBuilding = false;
-let lastDashboardStats = null;
-
-// Names lookup caching - indexed by physical character name
-let namesCache = null;           // Map<physicalName, {csName, nameplateColor}>
-let namesCacheTime = 0;
-let namesCacheBuilding = false;  // Prevent concurrent rebuilds
-const NAMES_CACHE_DURATION = 30 * 60 * 1000; // 30 minutes - extended for 24k+ profiles
-
-// RP Profiles lookup caching - tracks who has shared profiles (for context menu)
-let profilesLookupCache = null;  // Set<physicalName> - users with shared profiles
-let profilesLookupCacheTime = 0;
-let profilesLookupCacheBuilding = false;
-const PROFILES_LOOKUP_CACHE_DURATION = 30 * 60 * 1000; // 30 minutes - extended for 24k+ profiles
+// ===============================
+// 🏷️ VERSIONED PROFILE IMAGES
+// ===============================
+// /images is served immutable for 30 days, so an image URL must never change content. Uploads are
+// stored as `<characterId>.<contentHash>.<ext>`: a new picture gets a new URL, re-uploading the
+// same picture keeps the old one. Versions an upload supersedes are retired rather than deleted,
+// so clients still holding an older gallery page or delta-sync mirror can load them, and are
+// garbage-collected once IMAGE_VERSION_GRACE_MS has passed. Profiles uploaded before versioning
+// keep their `<characterId>.<ext>` file until their next image upload retires it.
+const IMAGE_VERSION_GRACE_MS = 7 * 24 * 60 * 60 * 1000;
+const IMAGE_GC_INTERVAL = 6 * 60 * 60 * 1000;
+
+// Every stored file of a profile's image (legacy unversioned name included), from image_files
+function listProfileImageFiles(sanitizedBase) {
+    return stmtImageFilesFor.all(sanitizedBase).map(row => row.fileName);
+}
 
-// System diagnostics cache (disk usage is expensive to compute)
-let diskUsageCache = null;
-let diskUsageCacheTime = 0;
-let diskUsageComputing = false;
-const DISK_USAGE_CACHE_DURATION = 6 * 60 * 60 * 1000; // 6 hours - the walk is heavy at 170k files
+// Records files just written to imagesDir for a profile. `files` is a list or a { key: fileName } /
+// { key: { format: fileName } } map as returned by image-variants.js.
+function trackImageFiles(sanitizedBase, files) {
+    const names = Array.isArray(files) ? files
+        : Object.values(files).flatMap(v => typeof v === 'string' ? [v] : Object.values(v));
+    for (const fileName of names) stmtImageFileTrack.run(fileName, sanitizedBase);
+}
 
-// Recursive directory size helper
-async function getDirectorySize(dirPath) {
-    let totalSize = 0;
-    let fileCount = 0;
-    try {
-        const entries = await fs.promises.readdir(dirPath, { withFileTypes: true });
-        for (const entry of entries) {
-            const fullPath = path.join(dirPath, entry.name);
-            if (entry.isFile()) {
-                const stat = await fs.promises.stat(fullPath);
-                totalSize += stat.size;
-                fileCount++;
-            } else if (entry.isDirectory()) {
-                const sub = await getDirectorySize(fullPath);
-                totalSize += sub.size;
-                fileCount += sub.files;
+// Deletes every stored file of a profile at once, for profile removal (no grace period).
+// Returns the names of the files removed.
+function deleteProfileImageFiles(sanitizedBase) {
+    const deleted = [];
+    for (const fileName of listProfileImageFiles(sanitizedBase)) {
+        try {
+            fs.unlinkSync(path.join(imagesDir, fileName));
+            deleted.push(fileName);
+        } catch (e) {
+            if (e.code !== 'ENOENT') {
+                console.error(`[images] failed to remove ${fileName}: ${e.message}`);
+                continue;
             }
         }
-    } catch (err) {
-        // Directory might not exist yet
+        stmtImageFileForget.run(fileName);
+        stmtImageUnretire.run(fileName);
     }
-    return { size: totalSize, files: fileCount };
+    return deleted;
 }
 
-app.use(require('compression')());
-app.use(cors());
-app.use(bodyParser.json({ limit: '25mb' }));
-
-// Handle aborted requests silently (client disconnect during upload)
-app.use((req, res, next) => {
-    req.on('aborted', () => {
-        // Silently ignore - don't log spam
-    });
-    next();
-});
+// Moves a finished image file into imagesDir under its content-hashed name for the profile.
+// Hashes the bytes actually served so identical content always maps to the same URL.
+async function versionImageFile(sourcePath, sanitizedBase, ext) {
+    const hash = crypto.createHash('sha256').update(await fs.promises.readFile(sourcePath)).digest('hex').substring(0, 12);
+    const fileName = `${sanitizedBase}.${hash}${ext}`;
+    const finalImagePath = path.join(imagesDir, fileName);
 
-// Egress bandwidth tracking per endpoint category
-const egressStats = {
-    startTime: Date.now(),
-    categories: {
-        images:        { bytes: 0, requests: 0 },
-        gallery:       { bytes: 0, requests: 0 },
-        names:         { bytes: 0, requests: 0 },
-        profileLookup: { bytes: 0, requests: 0 },
-        profileView:   { bytes: 0, requests: 0 },
-        profileUpload: { bytes: 0, requests: 0 },
-        admin:         { bytes: 0, requests: 0 },
-        other:         { bytes: 0, requests: 0 }
+    if (fs.existsSync(finalImagePath)) {
+        try { fs.unlinkSync(sourcePath); } catch (e) { /* ignore */ }
+    } else {
+        await safeFileMove(sourcePath, finalImagePath);
     }
-};
+    stmtImageFileTrack.run(fileName, sanitizedBase);
+    return fileName;
+}
 
-function categorizeRequest(url) {
-    if (url.startsWith('/images/'))         return 'images';
-    if (url.startsWith('/gallery'))          return 'gallery';
-    if (url.startsWith('/names/'))           return 'names';
-    if (url.startsWith('/profiles/lookup'))  return 'profileLookup';
-    if (url.startsWith('/view/'))            return 'profileView';
-    if (url.startsWith('/upload/'))          return 'profileUpload';
-    if (url.startsWith('/admin'))            return 'admin';
-    return 'other';
+// Retires every stored file of the profile except keepFileName and its variants, which share its
+// `<base>.<hash>.` prefix. Its framed renders are left to syncProfileRenders, which knows the
+// current framing. With no keepFileName everything is retired.
+function retireImageVersionsExcept(sanitizedBase, keepFileName) {
+    const keepPrefix = keepFileName ? keepFileName.slice(0, -path.extname(keepFileName).length) + '.' : null;
+    const now = Date.now();
+    const gated = gatedImageBases.has(sanitizedBase) ? 1 : 0;
+    for (const f of listProfileImageFiles(sanitizedBase)) {
+        const kept = keepPrefix && (f === keepFileName || f.startsWith(keepPrefix));
+        if (!kept) stmtImageRetire.run(f, now, gated);
+        else if (!isFramedRender(f)) stmtImageUnretire.run(f);
+    }
+}
+
+/**
+ * Moves a validated upload into imagesDir under its versioned name exactly as uploaded, retiring
+ * every other version stored for the same profile. `intake` is the file's inspectUploadedImage
+ * result. Optimization, variants and framed renders come later from the image queue (see
+ * enqueueProfileImage). Returns the stored file name.
+ */
+async function storeProfileImage(file, sanitizedBase, intake) {
+    const fileName = await versionImageFile(file.path, sanitizedBase, intake.extension);
+    retireImageVersionsExcept(sanitizedBase, fileName);
+    return fileName;
+}
+
+// After the image queue swaps in the optimized version, the uploader still holds the URL of the
+// original it sent. Echoing that back must not point the profile at the retired original again.
+function resolveEchoedImageUrl(imageUrl, sanitizedBase, profilePath) {
+    const fileName = localImageFileName(imageUrl);
+    if (!fileName || !fileName.startsWith(sanitizedBase + '.') || !stmtImageIsRetired.get(fileName)) return imageUrl;
+    try {
+        const current = JSON.parse(fs.readFileSync(profilePath, 'utf8')).ProfileImageUrl;
+        const currentFile = localImageFileName(current);
+        if (currentFile && currentFile.startsWith(sanitizedBase + '.') && !stmtImageIsRetired.get(currentFile)) return current;
+    } catch (e) { /* no stored profile yet */ }
+    return imageUrl;
+}
+
+function toVariantUrls(variantFiles) {
+    const urls = {};
+    for (const [key, formats] of Object.entries(variantFiles)) {
+        urls[key] = {};
+        for (const [fmt, fileName] of Object.entries(formats)) urls[key][fmt] = `/images/${fileName}`;
+    }
+    return urls;
+}
+
+// File name behind a stored "/images/<file>" URL, or null for external URLs
+function localImageFileName(imageUrl) {
+    if (typeof imageUrl !== 'string' || !imageUrl.startsWith('/images/')) return null;
+    const fileName = imageUrl.substring('/images/'.length);
+    return fileName && !fileName.includes('/') && !fileName.includes('..') ? fileName : null;
+}
+
+// ProfileImageVariants for a stored "/images/<file>" URL, read from the variant files on disk.
+// Used when an upload carries no new image: clients don't own this field, so it's never taken
+// from the uploaded JSON. Null for external or missing images.
+function profileImageVariants(imageUrl) {
+    const fileName = localImageFileName(imageUrl);
+    if (!fileName) return null;
+    const variants = existingImageVariants(imagesDir, fileName);
+    return Object.keys(variants).length ? toVariantUrls(variants) : null;
+}
+
+/**
+ * Sets profile.ProfileImageRenders to the avatar and card crops of the profile's own stored image
+ * under its current ImageZoom / ImageOffset, rendering them the first time a framing is seen
+ * (see image-variants.js). Renders of earlier framings are retired like superseded images.
+ */
+async function syncProfileRenders(sanitizedBase, profile) {
+    const fileName = ownStoredImageFile(sanitizedBase, profile.ProfileImageUrl);
+    if (fileName) await renderImageFraming(sanitizedBase, fileName, profile);
+    applyProfileRenders(sanitizedBase, profile);
+}
+
+// File name of a profile's own stored image, or null for external, foreign or missing images
+function ownStoredImageFile(sanitizedBase, imageUrl) {
+    const fileName = localImageFileName(imageUrl);
+    return fileName && fileName.startsWith(sanitizedBase + '.') && fs.existsSync(path.join(imagesDir, fileName)) ? fileName : null;
+}
+
+// Renders fileName under the profile's current framing, skipping renders that already exist
+async function renderImageFraming(sanitizedBase, fileName, profile) {
+    try {
+        trackImageFiles(sanitizedBase, await renderFramedImages(imagesDir, fileName, profile.ImageZoom, profile.ImageOffset));
+    } catch (err) {
+        console.error(`[renders] framed render failed for ${fileName}: ${err.message}`);
+    }
+}
+
+// The synchronous half of syncProfileRenders: points ProfileImageRenders at whatever renders exist
+// for the current framing, without rendering. Safe between reading and writing a profile.
+function applyProfileRenders(sanitizedBase, profile) {
+    const fileName = ownStoredImageFile(sanitizedBase, profile.ProfileImageUrl);
+    const renders = fileName ? existingFramedRenders(imagesDir, fileName, profile.ImageZoom, profile.ImageOffset) : {};
+
+    const current = new Set(Object.values(renders));
+    const now = Date.now();
+    const gated = gatedImageBases.has(sanitizedBase) ? 1 : 0;
+    for (const f of listProfileImageFiles(sanitizedBase)) {
+        if (!isFramedRender(f)) continue;
+        if (current.has(f)) stmtImageUnretire.run(f);
+        else stmtImageRetire.run(f, now, gated);
+    }
+
+    profile.ProfileImageRenders = null;
+    for (const [kind, renderFile] of Object.entries(renders)) {
+        (profile.ProfileImageRenders = profile.ProfileImageRenders || {})[kind] = `/images/${renderFile}`;
+    }
+}
+
+// Deletes retired image versions whose grace period has passed
+function collectRetiredImages() {
+    try {
+        const due = stmtImagesRetiredBefore.all(Date.now() - IMAGE_VERSION_GRACE_MS);
+        let removed = 0;
+        for (const { fileName } of due) {
+            try {
+                fs.unlinkSync(path.join(imagesDir, fileName));
+                removed++;
+            } catch (e) {
+                if (e.code !== 'ENOENT') {
+                    console.error(`[images] failed to remove retired ${fileName}: ${e.message}`);
+                    continue;
+                }
+            }
+            stmtImageUnretire.run(fileName);
+            stmtImageFileForget.run(fileName);
+        }
+        if (removed > 0) console.log(`🧹 Removed ${removed} superseded image versions`);
+    } catch (err) {
+        console.error('Retired image cleanup error:', err);
+    }
+}
+setInterval(collectRetiredImages, IMAGE_GC_INTERVAL).unref();
+
+// ===============================
+// ⏳ IMAGE PROCESSING QUEUE
+// ===============================
+// Optimizing, re-encoding and rendering variants of a large upload is the most CPU-hungry thing the
+// server does, so it never runs inside the upload request. An upload stores the original as-is,
+// commits the profile and queues a job; IMAGE_QUEUE_WORKERS workers then produce the optimized
+// version with its variants and framed renders and swap it into the profile, which serves the
+// original until then. Jobs live in image_jobs, so a restart resumes them. A job whose profile has
+// since moved to another image is dropped, and a job that keeps failing leaves the original in place.
+const IMAGE_QUEUE_WORKERS = Math.max(1, parseInt(process.env.IMAGE_QUEUE_WORKERS, 10) || 1);
+const IMAGE_JOB_MAX_ATTEMPTS = 3;
+const IMAGE_JOB_RETRY_DELAY = 60 * 1000;        // Multiplied by the attempt number
+const IMAGE_QUEUE_POLL_INTERVAL = 30 * 1000;    // Picks up retries whose delay has passed
+const IMAGE_QUEUE_LATENCY_SAMPLES = 100;
+
+const runningImageJobs = new Set();
+const imageQueueStats = {
+    startTime: Date.now(),
+    processed: 0,
+    superseded: 0,
+    failed: 0,
+    recent: []     // { waitMs, processMs } of the last IMAGE_QUEUE_LATENCY_SAMPLES finished jobs
+};
+
+// Queues the optimization of a stored original. Call after the profile pointing at it is written.
+function enqueueProfileImage(characterId, physicalName, fileName) {
+    if (!sharp) return; // Nothing to optimize with; the original stays
+    stmtImageJobEnqueue.run(characterId, physicalName, fileName, Date.now());
+    setImmediate(pumpImageQueue);
+}
+
+function isImageJobPending(fileName) {
+    return !!fileName && !!stmtImageJobPending.get(fileName);
+}
+
+function pumpImageQueue() {
+    while (runningImageJobs.size < IMAGE_QUEUE_WORKERS) {
+        const job = stmtImageJobsReady.all(Date.now(), runningImageJobs.size + 1).find(j => !runningImageJobs.has(j.id));
+        if (!job) return;
+        runningImageJobs.add(job.id);
+        runImageJob(job).finally(() => {
+            runningImageJobs.delete(job.id);
+            setImmediate(pumpImageQueue);
+        });
+    }
+}
+
+async function runImageJob(job) {
+    const startedAt = Date.now();
+    try {
+        const outcome = await processProfileImage(job);
+        stmtImageJobDone.run(job.id);
+        if (outcome === 'superseded') {
+            imageQueueStats.superseded++;
+            return;
+        }
+        imageQueueStats.processed++;
+        imageQueueStats.recent.push({ waitMs: startedAt - job.enqueuedAt, processMs: Date.now() - startedAt });
+        if (imageQueueStats.recent.length > IMAGE_QUEUE_LATENCY_SAMPLES) imageQueueStats.recent.shift();
+        console.log(`🖼️ Processed image for ${job.characterId} in ${Date.now() - startedAt}ms: ${outcome}`);
+    } catch (err) {
+        if (job.attempts + 1 >= IMAGE_JOB_MAX_ATTEMPTS) {
+            stmtImageJobDone.run(job.id);
+            imageQueueStats.failed++;
+            console.error(`[image-queue] giving up on ${job.fileName} after ${job.attempts + 1} attempts, keeping the original: ${err.message}`);
+        } else {
+            stmtImageJobRetry.run(err.message, Date.now() + IMAGE_JOB_RETRY_DELAY * (job.attempts + 1), job.id);
+            console.error(`[image-queue] ${job.fileName} failed (attempt ${job.attempts + 1}), will retry: ${err.message}`);
+        }
+    }
+}
+
+/**
+ * Produces the optimized version of a queued original (JPEG, or PNG when it has alpha), its
+ * variants and framed renders, and points the profile at it. Returns the stored file name, or
+ * 'superseded' when the profile no longer shows this original.
+ */
+async function processProfileImage(job) {
+    const sanitizedBase = job.characterId.replace(/[^\w@\-_.]/g, "_");
+    const originalUrl = `/images/${job.fileName}`;
+    const profilePath = path.join(profilesDir, `${job.characterId}.json`);
+    const readProfile = () => {
+        try { return JSON.parse(fs.readFileSync(profilePath, 'utf8')); } catch (e) { return null; }
+    };
+
+    const sourcePath = path.join(imagesDir, job.fileName);
+    const initial = readProfile();
+    if (!initial || initial.ProfileImageUrl !== originalUrl || !fs.existsSync(sourcePath)) return 'superseded';
+
+    const meta = await sharp(sourcePath, { failOn: "error", limitInputPixels: MAX_INPUT_PIXELS }).metadata();
+    const sourceExt = path.extname(job.fileName);
+    const targetExt = meta.hasAlpha ? ".png" : ".jpg";
+    const changesFormat = targetExt !== sourceExt;
+
+    // Work on a copy so the original keeps being served untouched until the swap
+    const tempPath = path.join(uploadsDir, `image-job-${job.id}-${crypto.randomBytes(6).toString("hex")}`);
+    let fileName;
+    try {
+        await fs.promises.copyFile(sourcePath, tempPath);
+        const optResult = await optimizeImage(tempPath, tempPath, { force: changesFormat });
+        if (!optResult.ok) {
+            if (changesFormat) throw new Error(`conversion to ${targetExt} failed: ${optResult.error}`);
+            console.error(`[image-queue] optimization failed for ${job.fileName}: ${optResult.error}, keeping original`);
+        } else if (!optResult.skipped) {
+            console.log(`[image-queue] ${changesFormat ? 'converted' : 'optimized'} ${job.fileName}: ${optResult.originalSize} → ${optResult.newSize} bytes (${optResult.reduction})`);
+        }
+        fileName = await versionImageFile(tempPath, sanitizedBase, changesFormat ? targetExt : sourceExt);
+    } finally {
+        fs.unlink(tempPath, () => {});
+    }
+
+    let variants = {};
+    try {
+        variants = await generateImageVariants(imagesDir, fileName);
+    } catch (err) {
+        console.error(`[image-queue] variant generation failed for ${fileName}: ${err.message}`);
+    }
+    trackImageFiles(sanitizedBase, variants);
+    // Render under the framing known now. The profile is then re-read and written back with nothing
+    // awaited in between, so an upload or moderator edit made while this job ran is never
+    // overwritten; if the framing changed meanwhile, the new framing is rendered first and the
+    // profile read again.
+    let profile = initial;
+    for (let attempt = 0; attempt < 3; attempt++) {
+        await renderImageFraming(sanitizedBase, fileName, profile);
+        profile = readProfile();
+        if (!profile || profile.ProfileImageUrl !== originalUrl) break;
+        const renders = existingFramedRenders(imagesDir, fileName, profile.ImageZoom, profile.ImageOffset);
+        if (Object.keys(renders).length) break;
+    }
+
+    if (!profile || profile.ProfileImageUrl !== originalUrl) {
+        // A newer upload (or a deletion) won while this job ran; what it produced is already stale
+        retireImageVersionsExcept(sanitizedBase, profile && localImageFileName(profile.ProfileImageUrl));
+        return 'superseded';
+    }
+    profile.ProfileImageUrl = `/images/${fileName}`;
+    profile.ProfileImageVariants = Object.keys(variants).length ? toVariantUrls(variants) : null;
+    retireImageVersionsExcept(sanitizedBase, fileName);
+    applyProfileRenders(sanitizedBase, profile);
+
+    await atomicWriteProfile(profilePath, profile); // writes synchronously before its first await
+    indexUpsertProfile(job.characterId, job.physicalName, profile);
+    await checkUploadedImageHash(job.characterId, job.physicalName, profile.CharacterName, fileName);
+    return fileName;
+}
+
+function getImageQueueStats() {
+    const { depth, oldest } = stmtImageJobsSummary.get();
+    const recent = imageQueueStats.recent;
+    const avg = key => recent.length ? Math.round(recent.reduce((sum, r) => sum + r[key], 0) / recent.length) : null;
+    return {
+        workers: IMAGE_QUEUE_WORKERS,
+        depth,
+        running: runningImageJobs.size,
+        oldestQueuedMs: oldest ? Date.now() - oldest : null,
+        processed: imageQueueStats.processed,
+        superseded: imageQueueStats.superseded,
+        failed: imageQueueStats.failed,
+        avgWaitMs: avg('waitMs'),
+        avgProcessMs: avg('processMs'),
+        maxProcessMs: recent.length ? Math.max(...recent.map(r => r.processMs)) : null,
+        startTime: imageQueueStats.startTime
+    };
+}
+
+setInterval(pumpImageQueue, IMAGE_QUEUE_POLL_INTERVAL).unref();
+
+// ===============================
+// 🔍 PERCEPTUAL IMAGE HASHES
+// ===============================
+// A 64-bit difference hash (dHash) of every profile image, computed by the image queue and
+// reconciled for existing images at startup. Re-encoding, resizing and light edits barely move it,
+// so the Hamming distance between two hashes tells whether two uploads are the same picture. Uses:
+//   - a new upload that matches the image of a banned or moderator-removed profile is auto-flagged
+//   - /admin/profiles/:characterId/similar-images lists look-alikes for art-theft reports
+const IMAGE_MATCH_DISTANCE = 8;           // Max differing bits (of 64) to auto-flag as the same picture
+const SIMILAR_IMAGES_DEFAULT_DISTANCE = 12;
+const SIMILAR_IMAGES_MAX_DISTANCE = 20;
+
+async function computeImageHash(filePath) {
+    // 9x8 greyscale thumbnail; each bit says whether a pixel is darker than its right neighbour
+    const pixels = await sharp(filePath, { failOn: "error", limitInputPixels: MAX_INPUT_PIXELS })
+        .rotate()
+        .flatten({ background: '#ffffff' })
+        .greyscale()
+        .resize(9, 8, { fit: 'fill' })
+        .raw()
+        .toBuffer();
+    let bits = '';
+    for (let y = 0; y < 8; y++) {
+        for (let x = 0; x < 8; x++) bits += pixels[y * 9 + x] < pixels[y * 9 + x + 1] ? '1' : '0';
+    }
+    return parseInt(bits.substring(0, 32), 2).toString(16).padStart(8, '0') +
+           parseInt(bits.substring(32), 2).toString(16).padStart(8, '0');
+}
+
+const replaceLiveImageHash = indexDb.transaction((row) => {
+    const [band0, band1, band2, band3] = imageHashBands(row.hash);
+    stmtImageHashDropLive.run(row.characterId);
+    stmtImageHashInsert.run({ ...row, band0, band1, band2, band3 });
+});
+
+// Every 16-bit value within `radius` differing bits of `value`
+function bandNeighbours(value, radius, fromBit = 0, out = [value]) {
+    if (radius === 0) return out;
+    for (let bit = fromBit; bit < 16; bit++) {
+        const flipped = value ^ (1 << bit);
+        out.push(flipped);
+        bandNeighbours(flipped, radius - 1, bit + 1, out);
+    }
+    return out;
+}
+
+/**
+ * Parameters for stmtImageHashesNear. Two hashes within maxDistance bits differ by at most
+ * floor(maxDistance / 4) bits in at least one of their four bands, so any match shares a band
+ * value within that radius of the query's band: those values are the candidates.
+ */
+function imageHashNearParams(hash, maxDistance, limit) {
+    const radius = Math.floor(maxDistance / 4);
+    const params = { hash, maxDistance, limit };
+    imageHashBands(hash).forEach((value, band) => {
+        params[`band${band}`] = JSON.stringify(bandNeighbours(value, radius));
+    });
+    return params;
+}
+
+// Hashes a profile's stored image and makes it the profile's live hash. Returns the hash.
+async function recordImageHash(characterId, physicalName, characterName, fileName) {
+    const hash = await computeImageHash(path.join(imagesDir, fileName));
+    replaceLiveImageHash({
+        characterId, physicalName, characterName, fileName, hash,
+        hashedAt: Date.now(), removedAt: null, removedReason: null
+    });
+    return hash;
+}
+
+/**
+ * Keeps the hash of a profile's image before a moderator removes the profile, so the picture is
+ * still recognised once its file is deleted. Hashes the image now if it never was.
+ */
+async function retainImageHash(characterId, physicalName, characterName, imageUrl, reason) {
+    const fileName = localImageFileName(imageUrl);
+    if (!fileName) return;
+    try {
+        const live = stmtImageHashLive.get(characterId);
+        if (!live || live.fileName !== fileName) {
+            if (!sharp || !fs.existsSync(path.join(imagesDir, fileName))) return;
+            await recordImageHash(characterId, physicalName, characterName, fileName);
+        }
+        stmtImageHashRetain.run(Date.now(), reason, characterId);
+    } catch (err) {
+        console.error(`[image-hash] failed to keep hash for ${characterId}: ${err.message}`);
+    }
+}
+
+function isImageHashBanned(row) {
+    return row.removedAt !== null
+        || moderationDB.isProfileBanned(row.characterId)
+        || (!!row.physicalName && moderationDB.isUserBanned(row.physicalName));
+}
+
+function imageMatchSummary(row) {
+    const profile = row.displayJson ? JSON.parse(row.displayJson) : null;
+    return {
+        characterId: row.characterId,
+        characterName: row.characterName,
+        physicalName: row.physicalName,
+        distance: row.distance,
+        banned: moderationDB.isProfileBanned(row.characterId) || (!!row.physicalName && moderationDB.isUserBanned(row.physicalName)),
+        removedAt: row.removedAt ? new Date(row.removedAt).toISOString() : null,
+        removedReason: row.removedReason,
+        IsNSFW: !!(profile && profile.IsNSFW),
+        ContentRating: profile ? CONTENT_RATINGS[profileRatingLevel(profile)] : null,
+        ProfileImageUrl: row.removedAt === null && profile ? profile.ProfileImageUrl : null,
+        ProfileImageVariants: row.removedAt === null && profile ? profile.ProfileImageVariants || null : null
+    };
+}
+
+/**
+ * Hashes a freshly processed upload and flags the profile when the picture matches the image of a
+ * banned or removed profile (its own earlier removal included).
+ */
+async function checkUploadedImageHash(characterId, physicalName, characterName, fileName) {
+    try {
+        const hash = await computeImageHash(path.join(imagesDir, fileName));
+        const matches = stmtImageHashesNear.all(imageHashNearParams(hash, IMAGE_MATCH_DISTANCE, 20))
+            .filter(row => !(row.removedAt === null && row.characterId === characterId))
+            .filter(isImageHashBanned)
+            .map(imageMatchSummary);
+        replaceLiveImageHash({
+            characterId, physicalName, characterName, fileName, hash,
+            hashedAt: Date.now(), removedAt: null, removedReason: null
+        });
+        if (matches.length > 0) autoFlagDB.flagImageMatch(characterId, characterName, hash, matches);
+    } catch (err) {
+        console.error(`[image-hash] failed to hash ${fileName}: ${err.message}`);
+    }
+}
+
+// Hashes indexed images that have no live hash yet: everything uploaded before hashing existed,
+// plus images changed behind the queue's back (migrate-images.js). Runs in the background at
+// startup and resumes where it left off, since hashed images drop out of the query.
+async function reconcileImageHashes() {
+    if (!sharp) return;
+    const missing = stmtImageHashesMissing.all();
+    if (missing.length === 0) return;
+    console.log(`🔍 Hashing ${missing.length} profile images...`);
+    const start = Date.now();
+    let hashed = 0;
+    for (const row of missing) {
+        const fileName = localImageFileName(row.imageUrl);
+        if (!fileName || !fs.existsSync(path.join(imagesDir, fileName))) continue;
+        try {
+            await recordImageHash(row.characterId, row.physicalName, row.csName, fileName);
+            hashed++;
+        } catch (err) {
+            console.error(`[image-hash] ${fileName}: ${err.message}`);
+        }
+        if (hashed > 0 && hashed % 1000 === 0) console.log(`🔍 Hashed ${hashed}/${missing.length} profile images`);
+    }
+    console.log(`🔍 Image hashes ready: ${hashed} hashed in ${Date.now() - start}ms`);
+}
+
+// Trending caching, keyed by window. Scores only move meaningfully over minutes.
+const trendingCache = new Map(); // windowHours -> { ranked: [{characterId, score, recentLikes}], time }
+const TRENDING_CACHE_DURATION = 5 * 60 * 1000;
+const TRENDING_DEFAULT_WINDOW_HOURS = 72;
+const TRENDING_MAX_WINDOW_HOURS = 720;
+
+// All Profiles caching (admin endpoint)
+let allProfilesCache = null;
+let allProfilesCacheTime = 0;
+let allProfilesCacheBuilding = false;
+let lastDashboardStats = null;
+
+// Names lookup caching - indexed by physical character name
+let namesCache = null;           // Map<physicalName, {csName, nameplateColor}>
+let namesCacheTime = 0;
+let namesCacheBuilding = false;  // Prevent concurrent rebuilds
+const NAMES_CACHE_DURATION = 30 * 60 * 1000; // 30 minutes - extended for 24k+ profiles
+
+// RP Profiles lookup caching - tracks who has shared profiles (for context menu)
+let profilesLookupCache = null;  // Set<physicalName> - users with shared profiles
+let profilesLookupCacheTime = 0;
+let profilesLookupCacheBuilding = false;
+const PROFILES_LOOKUP_CACHE_DURATION = 30 * 60 * 1000; // 30 minutes - extended for 24k+ profiles
+
+// System diagnostics cache (disk usage is expensive to compute)
+let diskUsageCache = null;
+let diskUsageCacheTime = 0;
+let diskUsageComputing = false;
+const DISK_USAGE_CACHE_DURATION = 6 * 60 * 60 * 1000; // 6 hours - the walk is heavy at 170k files
+
+// Recursive directory size helper
+async function getDirectorySize(dirPath) {
+    let totalSize = 0;
+    let fileCount = 0;
+    try {
+        const entries = await fs.promises.readdir(dirPath, { withFileTypes: true });
+        for (const entry of entries) {
+            const fullPath = path.join(dirPath, entry.name);
+            if (entry.isFile()) {
+                const stat = await fs.promises.stat(fullPath);
+                totalSize += stat.size;
+                fileCount++;
+            } else if (entry.isDirectory()) {
+                const sub = await getDirectorySize(fullPath);
+                totalSize += sub.size;
+                fileCount += sub.files;
+            }
+        }
+    } catch (err) {
+        // Directory might not exist yet
+    }
+    return { size: totalSize, files: fileCount };
+}
+
+app.use(require('compression')());
+app.use(cors());
+app.use(bodyParser.json({ limit: '25mb' }));
+
+// Handle aborted requests silently (client disconnect during upload)
+app.use((req, res, next) => {
+    req.on('aborted', () => {
+        // Silently ignore - don't log spam
+    });
+    next();
+});
+
+// Egress bandwidth tracking per endpoint category
+const egressStats = {
+    startTime: Date.now(),
+    categories: {
+        images:        { bytes: 0, requests: 0 },
+        gallery:       { bytes: 0, requests: 0 },
+        names:         { bytes: 0, requests: 0 },
+        profileLookup: { bytes: 0, requests: 0 },
+        profileView:   { bytes: 0, requests: 0 },
+        profileUpload: { bytes: 0, requests: 0 },
+        admin:         { bytes: 0, requests: 0 },
+        other:         { bytes: 0, requests: 0 }
+    }
+};
+
+function categorizeRequest(url) {
+    if (url.startsWith('/images/') || url.startsWith('/nsfw-images/')) return 'images';
+    if (url.startsWith('/gallery'))          return 'gallery';
+    if (url.startsWith('/names/'))           return 'names';
+    if (url.startsWith('/profiles/lookup'))  return 'profileLookup';
+    if (url.startsWith('/view/'))            return 'profileView';
+    if (url.startsWith('/upload/'))          return 'profileUpload';
+    if (url.startsWith('/admin'))            return 'admin';
+    return 'other';
 }
 
 // Track response bytes per category
@@ -405,6 +1726,9 @@ const moderationDbFile = path.join(DATA_DIR, "moderation_database.json");
 const activityDbFile = path.join(DATA_DIR, "activity_database.json");
 const flaggedDbFile = path.join(DATA_DIR, "flagged_database.json");
 const tokensDbFile = path.join(DATA_DIR, "tokens_database.json");
+const adminsDbFile = path.join(DATA_DIR, "admins_database.json");
+const apiKeysDbFile = path.join(DATA_DIR, "api_keys_database.json");
+const worldsDbFile = path.join(DATA_DIR, "worlds_database.json");
 
 // 💾 DATABASE CLASSES
 
@@ -423,130 +1747,131 @@ function writeJsonAtomicSync(file, obj) {
     fs.renameSync(tmp, file);
 }
 
+// Likes live in the `likes` table of profile_index.db. Every add/remove is a synchronous SQLite
+// write, so there is no debounce window to lose on a crash and no separate count to drift.
 class LikesDatabase {
     constructor() {
-        this.likes = new Map();
-        this.likeCounts = new Map();
-        this.load();
+        this.importLegacyJson();
     }
 
-    load() {
+    // One-time import of the old likes_database.json blob. Legacy likes have no timestamp and are
+    // stored with createdAt = 0. The JSON file is left in place as a backup.
+    importLegacyJson() {
+        const imported = indexDb.prepare("SELECT value FROM index_meta WHERE key = 'likes_imported'").get();
+        if (imported) {
+            console.log(`💾 Likes ready: ${indexDb.prepare('SELECT COUNT(*) AS c FROM likes').get().c} rows`);
+            return;
+        }
+
         try {
+            let n = 0;
             if (fs.existsSync(likesDbFile)) {
                 const data = JSON.parse(fs.readFileSync(likesDbFile, 'utf-8'));
-                this.likes = new Map(data.likes.map(([k, v]) => [k, new Set(v)]));
-                this.likeCounts = new Map(data.likeCounts);
-                console.log(`💾 Loaded ${this.likeCounts.size} like records`);
+                indexDb.transaction(() => {
+                    for (const [characterId, likers] of data.likes || []) {
+                        for (const likerId of likers) {
+                            n += stmtLikeInsert.run(characterId, likerId, 0, null).changes;
+                        }
+                    }
+                })();
             }
+            indexDb.prepare("INSERT OR REPLACE INTO index_meta (key, value) VALUES ('likes_imported', ?)").run(new Date().toISOString());
+            console.log(`💾 Imported ${n} likes from ${path.basename(likesDbFile)} into profile index`);
         } catch (err) {
-            console.error('Error loading likes database:', err);
-            this.likes = new Map();
-            this.likeCounts = new Map();
+            // Leave the marker unset so the import is retried on next start
+            console.error('Error importing likes database:', err);
         }
     }
 
-    _serialize() {
-        return {
-            likes: Array.from(this.likes.entries()).map(([k, v]) => [k, Array.from(v)]),
-            likeCounts: Array.from(this.likeCounts.entries()),
-            lastSaved: new Date().toISOString()
-        };
+    addLike(characterId, likerId, likerToken) {
+        stmtLikeInsert.run(characterId, likerId, Date.now(), likerToken);
+        return this.getLikeCount(characterId);
     }
 
-    save() {
-        this._dirty = true;
-        if (this._flushTimer) return;
-        this._flushTimer = setTimeout(() => this._flush(), SAVE_DEBOUNCE_MS);
+    removeLike(characterId, likerId) {
+        stmtLikeDelete.run(characterId, likerId);
+        return this.getLikeCount(characterId);
     }
 
-    async _flush() {
-        this._flushTimer = null;
-        if (!this._dirty || this._flushing) return;
-        this._flushing = true;
-        this._dirty = false;
-        try {
-            await writeJsonAtomicAsync(likesDbFile, this._serialize());
-        } catch (err) {
-            console.error('Error saving likes database:', err);
-            this._dirty = true;
-        } finally {
-            this._flushing = false;
-            if (this._dirty && !this._flushTimer) this._flushTimer = setTimeout(() => this._flush(), SAVE_DEBOUNCE_MS);
-        }
+    getLikeCount(characterId) {
+        return stmtLikeCount.get(characterId).c;
+    }
+
+    hasLike(characterId, likerId) {
+        return !!stmtLikeExists.get(characterId, likerId);
+    }
+
+    deleteLikes(characterId) {
+        stmtLikeDeleteAll.run(characterId);
+    }
+
+    // Tokens whose likes in the window span many liker slots or are simply very numerous
+    getTokenBursts(since, minSlots, minLikes) {
+        return indexDb.prepare(`
+            SELECT token_ref(likerToken) AS tokenRef, substr(likerToken, 1, 8) AS tokenPrefix,
+                   COUNT(*) AS likes, COUNT(DISTINCT likerId) AS slots, COUNT(DISTINCT characterId) AS targets,
+                   MIN(createdAt) AS firstAt, MAX(createdAt) AS lastAt,
+                   (SELECT group_concat(likerId, ', ') FROM (
+                       SELECT DISTINCT likerId FROM likes l2
+                       WHERE l2.likerToken = likes.likerToken AND l2.createdAt >= ? AND l2.voidedAt IS NULL LIMIT 10
+                   )) AS sampleSlots
+            FROM likes
+            WHERE createdAt >= ? AND voidedAt IS NULL AND likerToken IS NOT NULL
+            GROUP BY likerToken
+            HAVING slots >= ? OR likes >= ?
+            ORDER BY likes DESC LIMIT 50
+        `).all(since, since, minSlots, minLikes);
+    }
+
+    // Targets whose likes in the window are far above their rate over the preceding baseline period
+    getTargetSpikes(since, windowMs, baselineWindows, minLikes, minRatio) {
+        const baselineStart = since - windowMs * baselineWindows;
+        return indexDb.prepare(`
+            SELECT characterId,
+                   SUM(createdAt >= ?) AS likes,
+                   COUNT(DISTINCT CASE WHEN createdAt >= ? THEN likerToken END) AS tokens,
+                   SUM(createdAt < ?) AS baselineLikes
+            FROM likes
+            WHERE createdAt >= ? AND voidedAt IS NULL
+            GROUP BY characterId
+            HAVING likes >= ?
+        `).all(since, since, since, baselineStart, minLikes)
+            .map(r => {
+                const baselinePerWindow = r.baselineLikes / baselineWindows;
+                return { ...r, baselinePerWindow, ratio: r.likes / Math.max(1, baselinePerWindow) };
+            })
+            .filter(r => r.ratio >= minRatio)
+            .sort((a, b) => b.ratio - a.ratio)
+            .slice(0, 50);
+    }
+
+    // Soft-voids matching likes. Returns the number of likes voided.
+    voidLikes({ tokenRef: ref, characterId, since }) {
+        const where = ['voidedAt IS NULL'];
+        const params = [];
+        if (ref) { where.push('token_ref(likerToken) = ?'); params.push(ref); }
+        if (characterId) { where.push('characterId = ?'); params.push(characterId); }
+        if (since) { where.push('createdAt >= ?'); params.push(since); }
+        return indexDb.prepare(`UPDATE likes SET voidedAt = ? WHERE ${where.join(' AND ')}`)
+            .run(Date.now(), ...params).changes;
+    }
+
+    // Move likes from oldId to newId, unioning by liker so the same user can't double-count.
+    // Runs as a single transaction: either every like moves or none do.
+    migrateLikes(oldId, newId) {
+        if (!oldId || !newId || oldId === newId) return 0;
+        return indexDb.transaction(() => {
+            const added = stmtLikeCopy.run(newId, oldId).changes;
+            stmtLikeDeleteAll.run(oldId);
+            return added;
+        })();
     }
+}
 
-    flushSync() {
-        if (!this._dirty) return;
-        try { writeJsonAtomicSync(likesDbFile, this._serialize()); this._dirty = false; }
-        catch (err) { console.error('Error flushing likes database:', err); }
-    }
-
-    addLike(characterId, likerId) {
-        if (!this.likes.has(characterId)) {
-            this.likes.set(characterId, new Set());
-        }
-        
-        const wasNew = !this.likes.get(characterId).has(likerId);
-        if (wasNew) {
-            this.likes.get(characterId).add(likerId);
-            this.likeCounts.set(characterId, (this.likeCounts.get(characterId) || 0) + 1);
-            this.save();
-        }
-        return this.likeCounts.get(characterId) || 0;
-    }
-
-    removeLike(characterId, likerId) {
-        if (this.likes.has(characterId)) {
-            const wasRemoved = this.likes.get(characterId).delete(likerId);
-            if (wasRemoved) {
-                const newCount = Math.max(0, (this.likeCounts.get(characterId) || 0) - 1);
-                this.likeCounts.set(characterId, newCount);
-                this.save();
-                return newCount;
-            }
-        }
-        return this.likeCounts.get(characterId) || 0;
-    }
-
-    getLikeCount(characterId) {
-        return this.likeCounts.get(characterId) || 0;
-    }
-
-    // Move likes from oldId to newId, unioning by liker so the same user can't double-count
-    migrateLikes(oldId, newId) {
-        if (!oldId || !newId || oldId === newId) return 0;
-        const oldSet = this.likes.get(oldId);
-        if (!oldSet || oldSet.size === 0) {
-            // Still clean up any stray count entry
-            if (this.likeCounts.has(oldId)) {
-                this.likeCounts.delete(oldId);
-                this.save();
-            }
-            return 0;
-        }
-
-        if (!this.likes.has(newId)) this.likes.set(newId, new Set());
-        const newSet = this.likes.get(newId);
-        let added = 0;
-        for (const liker of oldSet) {
-            if (!newSet.has(liker)) {
-                newSet.add(liker);
-                added++;
-            }
-        }
-
-        this.likeCounts.set(newId, newSet.size);
-        this.likes.delete(oldId);
-        this.likeCounts.delete(oldId);
-        this.save();
-        return added;
-    }
-}
-
-class FriendsDatabase {
-    constructor() {
-        this.friends = new Map();
-        this.load();
+class FriendsDatabase {
+    constructor() {
+        this.friends = new Map();
+        this.load();
     }
 
     load() {
@@ -772,14 +2097,23 @@ class ReportsDatabase {
     }
 }
 
+// Ban types by the ModerationDatabase Set that holds them, and the action logged when one expires
+const BAN_TYPES = {
+    profiles: { set: 'bannedProfiles', expiredAction: 'unban' },
+    users: { set: 'bannedUsers', expiredAction: 'unban' },
+    names: { set: 'nameBannedUsers', expiredAction: 'name_unban' }
+};
+
 class ModerationDatabase {
     constructor() {
         this.actions = [];
         this.bannedProfiles = new Set();
         this.bannedUsers = new Set(); // Physical names banned from ALL uploads (user-level ban)
         this.nameBannedUsers = new Set(); // Physical names banned from CS+ Names feature
+        this.banExpiry = { profiles: {}, users: {}, names: {} }; // type -> { key: ISO expiry }; bans without one are permanent
         this.nameWarnings = []; // Warning records for the 3-strike system
         this.userStrikeCounts = new Map(); // physicalName -> strike count
+        this.profileLocks = {}; // characterId -> { field: { adminId, reason, lockedAt, value? } }, see PROFILE_LOCK_FIELDS
         this.load();
     }
 
@@ -791,9 +2125,17 @@ class ModerationDatabase {
                 this.bannedProfiles = new Set(data.bannedProfiles || []);
                 this.bannedUsers = new Set(data.bannedUsers || []);
                 this.nameBannedUsers = new Set(data.nameBannedUsers || []);
+                this.banExpiry = { profiles: {}, users: {}, names: {}, ...data.banExpiry };
                 this.nameWarnings = data.nameWarnings || [];
                 this.userStrikeCounts = new Map(data.userStrikeCounts || []);
-                console.log(`🛡️ Loaded ${this.actions.length} moderation actions, ${this.bannedProfiles.size} banned profiles, ${this.bannedUsers.size} banned users, ${this.nameBannedUsers.size} name-banned users, ${this.nameWarnings.length} name warnings`);
+                this.profileLocks = data.profileLocks || {};
+                // nsfw locks predate content ratings and pinned the profile to Mature
+                for (const locks of Object.values(this.profileLocks)) {
+                    if (!locks.nsfw) continue;
+                    locks.rating = locks.rating || { ...locks.nsfw, value: CONTENT_RATINGS[RATING_MATURE] };
+                    delete locks.nsfw;
+                }
+                console.log(`🛡️ Loaded ${this.actions.length} moderation actions, ${this.bannedProfiles.size} banned profiles, ${this.bannedUsers.size} banned users, ${this.nameBannedUsers.size} name-banned users, ${this.nameWarnings.length} name warnings, ${Object.keys(this.profileLocks).length} locked profiles`);
             }
         } catch (err) {
             console.error('Error loading moderation database:', err);
@@ -801,8 +2143,10 @@ class ModerationDatabase {
             this.bannedProfiles = new Set();
             this.bannedUsers = new Set();
             this.nameBannedUsers = new Set();
+            this.banExpiry = { profiles: {}, users: {}, names: {} };
             this.nameWarnings = [];
             this.userStrikeCounts = new Map();
+            this.profileLocks = {};
         }
     }
 
@@ -813,8 +2157,10 @@ class ModerationDatabase {
                 bannedProfiles: Array.from(this.bannedProfiles),
                 bannedUsers: Array.from(this.bannedUsers),
                 nameBannedUsers: Array.from(this.nameBannedUsers),
+                banExpiry: this.banExpiry,
                 nameWarnings: this.nameWarnings,
                 userStrikeCounts: Array.from(this.userStrikeCounts.entries()),
+                profileLocks: this.profileLocks,
                 lastSaved: new Date().toISOString()
             };
 
@@ -869,22 +2215,25 @@ class ModerationDatabase {
         return moderationAction;
     }
 
-    banProfile(characterId) {
-        this.bannedProfiles.add(characterId);
+    // Every ban takes an optional ISO expiresAt; without one the ban is permanent. Banning again
+    // never shortens an active ban (see addBan). Returns the profile ban's resulting expiry.
+    banProfile(characterId, expiresAt = null) {
+        const profileExpiry = this.addBan('profiles', characterId, expiresAt);
         // Also ban the physical user to prevent evasion by renaming CS+ character
         const physicalName = this.extractPhysicalName(characterId);
-        if (physicalName) {
-            this.bannedUsers.add(physicalName);
-        }
+        if (physicalName) this.addBan('users', physicalName, expiresAt);
         this.save();
+        return profileExpiry;
     }
 
     unbanProfile(characterId) {
         this.bannedProfiles.delete(characterId);
+        this.setBanExpiry('profiles', characterId, null);
         // Also unban the physical user
         const physicalName = this.extractPhysicalName(characterId);
         if (physicalName) {
             this.bannedUsers.delete(physicalName);
+            this.setBanExpiry('users', physicalName, null);
         }
         this.save();
     }
@@ -909,51 +2258,150 @@ class ModerationDatabase {
     }
 
     isProfileBanned(characterId) {
-        return this.bannedProfiles.has(characterId);
+        return this.isBanActive('profiles', characterId);
     }
 
     // User bans - prevents ALL uploads from a physical character
-    banUser(physicalName) {
-        this.bannedUsers.add(physicalName);
+    banUser(physicalName, expiresAt = null) {
+        const userExpiry = this.addBan('users', physicalName, expiresAt);
         this.save();
+        return userExpiry;
     }
 
     unbanUser(physicalName) {
         this.bannedUsers.delete(physicalName);
+        this.setBanExpiry('users', physicalName, null);
         this.save();
     }
 
     isUserBanned(physicalName) {
-        return this.bannedUsers.has(physicalName);
+        return this.isBanActive('users', physicalName);
     }
 
     getBannedUsers() {
-        return Array.from(this.bannedUsers);
+        return Array.from(this.bannedUsers).filter(p => this.isBanActive('users', p));
+    }
+
+    getBannedProfiles() {
+        return Array.from(this.bannedProfiles).filter(id => this.isBanActive('profiles', id));
     }
 
     // Name bans - prevents CS+ name from showing to others
-    banFromNames(physicalName) {
-        this.nameBannedUsers.add(physicalName);
+    banFromNames(physicalName, expiresAt = null) {
+        const nameExpiry = this.addBan('names', physicalName, expiresAt);
         this.save();
+        return nameExpiry;
     }
 
     unbanFromNames(physicalName) {
         this.nameBannedUsers.delete(physicalName);
+        this.setBanExpiry('names', physicalName, null);
         this.save();
     }
 
     isNameBanned(physicalName) {
-        return this.nameBannedUsers.has(physicalName);
+        return this.isBanActive('names', physicalName);
+    }
+
+    // ===== BAN EXPIRY =====
+
+    // Adds a ban that ends at expiresAt (null = permanent) without shortening one already active:
+    // a permanent ban stays permanent, otherwise the later expiry wins. Returns the resulting expiry.
+    // Doesn't save.
+    addBan(type, key, expiresAt) {
+        if (this.isBanActive(type, key)) {
+            const current = this.banExpiry[type][key] || null;
+            if (!current || (expiresAt && Date.parse(current) >= Date.parse(expiresAt))) return current;
+        }
+        this[BAN_TYPES[type].set].add(key);
+        this.setBanExpiry(type, key, expiresAt);
+        return expiresAt;
+    }
+
+    // Doesn't save; callers save once they're done changing bans
+    setBanExpiry(type, key, expiresAt) {
+        if (expiresAt) this.banExpiry[type][key] = expiresAt;
+        else delete this.banExpiry[type][key];
+    }
+
+    // A ban past its expiry no longer applies, even before liftExpiredBans removes it
+    isBanActive(type, key) {
+        if (!this[BAN_TYPES[type].set].has(key)) return false;
+        const expiresAt = this.banExpiry[type][key];
+        return !expiresAt || Date.parse(expiresAt) > Date.now();
+    }
+
+    // Null when not banned, otherwise { expiresAt, remainingSeconds }, both null for a permanent ban
+    describeBan(type, key) {
+        if (!this.isBanActive(type, key)) return null;
+        const expiresAt = this.banExpiry[type][key] || null;
+        const remainingSeconds = expiresAt ? Math.ceil((Date.parse(expiresAt) - Date.now()) / 1000) : null;
+        return { expiresAt, remainingSeconds };
+    }
+
+    // Removes every ban whose expiry has passed, logging each lift. Returns the lifted [{ type, key }].
+    liftExpiredBans() {
+        const now = Date.now();
+        const lifted = [];
+        for (const [type, { set }] of Object.entries(BAN_TYPES)) {
+            for (const [key, expiresAt] of Object.entries(this.banExpiry[type])) {
+                if (Date.parse(expiresAt) > now) continue;
+                this[set].delete(key);
+                delete this.banExpiry[type][key];
+                lifted.push({ type, key });
+            }
+        }
+        if (lifted.length === 0) return lifted;
+
+        this.save();
+        for (const { type, key } of lifted) {
+            this.logAction(BAN_TYPES[type].expiredAction, key, key, 'Temporary ban expired', 'system');
+        }
+        return lifted;
     }
 
     getNameBannedUsers() {
-        return Array.from(this.nameBannedUsers);
+        return Array.from(this.nameBannedUsers).filter(p => this.isBanActive('names', p));
     }
 
     getActions() {
         return this.actions;
     }
 
+    // ===== ADMIN-LOCKED PROFILE FIELDS =====
+
+    getProfileLocks(characterId) {
+        return this.profileLocks[characterId] || {};
+    }
+
+    lockProfileField(characterId, field, adminId, reason, value) {
+        const lock = { adminId, reason, lockedAt: new Date().toISOString() };
+        if (value !== undefined) lock.value = value;
+        this.profileLocks[characterId] = { ...this.getProfileLocks(characterId), [field]: lock };
+        this.save();
+        return lock;
+    }
+
+    // Returns false if the field wasn't locked
+    unlockProfileField(characterId, field) {
+        const locks = this.profileLocks[characterId];
+        if (!locks || !locks[field]) return false;
+        delete locks[field];
+        if (Object.keys(locks).length === 0) delete this.profileLocks[characterId];
+        this.save();
+        return true;
+    }
+
+    // Carries locks over when a profile is replaced under a new key (previousKeys renames and old
+    // versions dropped by cleanupOldCharacterVersions); locks already on the new key win
+    migrateProfileLocks(oldCharacterId, newCharacterId) {
+        const oldLocks = this.profileLocks[oldCharacterId];
+        if (!oldLocks) return;
+        this.profileLocks[newCharacterId] = { ...oldLocks, ...this.getProfileLocks(newCharacterId) };
+        delete this.profileLocks[oldCharacterId];
+        this.save();
+    }
+
     // ===== 3-STRIKE WARNING SYSTEM =====
 
     // Get current strike count for a user
@@ -1290,6 +2738,52 @@ class AutoFlaggingDatabase {
         return null;
     }
 
+    // Flags a profile whose new image matches the picture of banned or removed profiles
+    flagImageMatch(characterId, characterName, imageHash, matches) {
+        const alreadyFlagged = this.flaggedProfiles.some(f =>
+            f.type === 'image_match' && f.status === 'pending' && f.characterId === characterId && f.imageHash === imageHash);
+        if (alreadyFlagged) return null;
+
+        const imageMatches = matches.map(m => ({
+            characterId: m.characterId,
+            characterName: m.characterName,
+            physicalName: m.physicalName,
+            distance: m.distance,
+            banned: m.banned,
+            removedAt: m.removedAt,
+            removedReason: m.removedReason
+        }));
+        const describe = m => `${m.characterName || m.characterId} (${m.removedAt ? 'removed' : 'banned'}, distance ${m.distance})`;
+        const flag = {
+            id: crypto.randomUUID(),
+            type: 'image_match',
+            characterId,
+            characterName,
+            reason: `Image matches ${imageMatches[0].removedAt ? 'removed' : 'banned'} profile ${imageMatches[0].characterName || imageMatches[0].characterId}`,
+            content: `Image matches: ${imageMatches.map(describe).join('; ')}`.substring(0, 500),
+            flaggedKeywords: [],
+            imageHash,
+            imageMatches,
+            status: 'pending',
+            flaggedAt: new Date().toISOString(),
+            reviewedAt: null,
+            reviewedBy: null
+        };
+
+        this.flaggedProfiles.unshift(flag);
+        this.save();
+
+        console.log(`🚩 Auto-flagged profile: ${characterName} for image matching ${imageMatches.map(describe).join(', ')}`);
+
+        activityDB.logActivity('flag', `AUTO-FLAGGED IMAGE: ${characterName}`, {
+            characterId,
+            characterName,
+            matches: imageMatches.map(m => m.characterId)
+        });
+
+        return flag;
+    }
+
     getFlaggedProfiles(status = null) {
         if (status) {
             return this.flaggedProfiles.filter(f => f.status === status);
@@ -1337,11 +2831,17 @@ class AutoFlaggingDatabase {
     }
 }
 
+// Cap on open reclaim requests per install token, keeps a single client from flooding the queue
+const RECLAIM_MAX_PENDING_PER_TOKEN = 5;
+// Resolved reclaim requests kept for review history; pending ones are never dropped
+const RECLAIM_RESOLVED_HISTORY = 500;
+
 // Slot ownership store, TOFU per install token + ContentId pair.
 class TokensDatabase {
     constructor() {
         this.slots = new Map();
         this.tokens = new Map();
+        this.reclaimRequests = []; // Pending + resolved slot reclaim requests, newest first
         this.graceWindowEnd = 0;
         this.load();
     }
@@ -1358,18 +2858,28 @@ class TokensDatabase {
                         lastSeen: v.lastSeen,
                     }])
                 );
+                this.reclaimRequests = data.reclaimRequests || [];
+                if (this.pruneResolvedReclaimRequests()) this._dirty = true;
                 this.graceWindowEnd = data.graceWindowEnd || 0;
-                console.log(`💾 Loaded ${this.slots.size} slot claims, ${this.tokens.size} known tokens`);
+                console.log(`💾 Loaded ${this.slots.size} slot claims, ${this.tokens.size} known tokens, ${this.reclaimRequests.length} reclaim requests`);
             }
             if (!this.graceWindowEnd) {
                 this.graceWindowEnd = Date.now() + 30 * 24 * 60 * 60 * 1000;
                 console.log(`🪪 Token grace window set, ends ${new Date(this.graceWindowEnd).toISOString()}`);
                 this.save();
             }
+            // Claims from before claimedInGrace was tracked: classify once by their claim time
+            for (const entry of this.slots.values()) {
+                if (entry.claimedInGrace === undefined) {
+                    entry.claimedInGrace = new Date(entry.claimedAt).getTime() < this.graceWindowEnd;
+                    this._dirty = true;
+                }
+            }
         } catch (err) {
             console.error('Error loading tokens database:', err);
             this.slots = new Map();
             this.tokens = new Map();
+            this.reclaimRequests = [];
             this.graceWindowEnd = Date.now() + 30 * 24 * 60 * 60 * 1000;
         }
     }
@@ -1385,6 +2895,7 @@ class TokensDatabase {
                     lastSeen: v.lastSeen,
                 }])
             ),
+            reclaimRequests: this.reclaimRequests,
         };
     }
 
@@ -1423,12 +2934,27 @@ class TokensDatabase {
         const now = new Date().toISOString();
         const existing = this.slots.get(slot);
 
+        const enforcing = this.isGraceWindowOver();
+
         if (!existing) {
+            // Past the grace window, new claims must carry a ContentId so they can be verified later
+            if (enforcing && !contentId) return { ok: false, reason: 'contentid_required' };
             this._claim(slot, token, contentId, now);
             return { ok: true };
         }
 
         if (existing.ownerToken === token) {
+            if (!existing.ownerContentId) {
+                if (contentId) {
+                    // Upgrade a TOFU claim to a verified one the first time the owner sends a ContentId
+                    existing.ownerContentId = contentId;
+                    existing.lastSeen = now;
+                    this._touchToken(token, now);
+                    this.save();
+                    return { ok: true };
+                }
+                if (enforcing) return { ok: false, reason: 'contentid_required' };
+            }
             // lastSeen only; marked dirty for the periodic flush, no hot-path rewrite
             existing.lastSeen = now;
             this._touchToken(token, now);
@@ -1447,11 +2973,65 @@ class TokensDatabase {
         return { ok: false, reason: contentId ? 'wrong_token' : 'wrong_token_no_contentid' };
     }
 
+    // Like verifyOrClaim, but never claims, upgrades or reclaims: the slot must already be held by
+    // this token. Returns { ok: true } or { ok: false, reason }.
+    verifyHeld(slot, token, contentId) {
+        if (!token) return { ok: false, reason: 'no_token' };
+        const existing = this.slots.get(slot);
+        if (!existing) return { ok: false, reason: 'unclaimed' };
+        if (existing.ownerToken !== token) return { ok: false, reason: contentId ? 'wrong_token' : 'wrong_token_no_contentid' };
+        if (!existing.ownerContentId && !contentId && this.isGraceWindowOver()) return { ok: false, reason: 'contentid_required' };
+
+        // lastSeen only; marked dirty for the periodic flush, no hot-path rewrite
+        existing.lastSeen = new Date().toISOString();
+        this._touchToken(token, existing.lastSeen);
+        this._dirty = true;
+        return { ok: true };
+    }
+
+    // Once the grace window ends, slots without a ContentId on record no longer accept token-only proof
+    isGraceWindowOver() {
+        return Date.now() >= this.graceWindowEnd;
+    }
+
+    // A claim made before the grace window ended was trust-on-first-use: whoever uploaded first got it.
+    // Recorded on the claim itself so moving the window later doesn't reclassify existing slots.
+    isTofuClaim(entry) {
+        return !!entry && entry.claimedInGrace === true;
+    }
+
+    // 'verified' (ContentId on record), 'tofu' (claimed in the grace window, no ContentId),
+    // 'unverified' (claimed after the window without a ContentId, e.g. via reclaim), or 'unclaimed'
+    getSlotStatus(slot) {
+        const entry = this.slots.get(slot);
+        if (!entry) return 'unclaimed';
+        if (entry.ownerContentId) return 'verified';
+        return this.isTofuClaim(entry) ? 'tofu' : 'unverified';
+    }
+
+    setGraceWindowEnd(when) {
+        this.graceWindowEnd = when;
+        this.save();
+    }
+
+    getClaimStats() {
+        let verified = 0;
+        let tofu = 0;
+        let unverified = 0;
+        for (const entry of this.slots.values()) {
+            if (entry.ownerContentId) verified++;
+            else if (this.isTofuClaim(entry)) tofu++;
+            else unverified++;
+        }
+        return { claimed: this.slots.size, verified, tofu, unverified };
+    }
+
     _claim(slot, token, contentId, when) {
         this.slots.set(slot, {
             ownerToken: token,
             ownerContentId: contentId || null,
             claimedAt: when,
+            claimedInGrace: !this.isGraceWindowOver(),
             lastSeen: when,
         });
         this._touchToken(token, when);
@@ -1491,1022 +3071,2572 @@ class TokensDatabase {
         const entry = this.tokens.get(token);
         return entry ? Array.from(entry.claimedSlots) : [];
     }
-}
-
-// Initialize databases
-const likesDB = new LikesDatabase();
-const friendsDB = new FriendsDatabase();
-const announcementsDB = new AnnouncementsDatabase();
-const reportsDB = new ReportsDatabase();
-const moderationDB = new ModerationDatabase();
-const activityDB = new ActivityDatabase();
-const autoFlagDB = new AutoFlaggingDatabase();
-const tokensDB = new TokensDatabase();
-
-// Flush debounced stores on shutdown so a redeploy doesn't drop the last pending writes
-function flushHotDbsSync() {
-    for (const db of [likesDB, activityDB, tokensDB]) {
-        try { db.flushSync(); } catch (err) { console.error('Flush on shutdown failed:', err); }
-    }
-}
-process.on('SIGTERM', () => { flushHotDbsSync(); process.exit(0); });
-process.on('SIGINT', () => { flushHotDbsSync(); process.exit(0); });
 
-// Periodically persist token lastSeen (kept off the hot upload path).
-setInterval(() => { if (tokensDB._dirty) tokensDB.save(); }, 10 * 60 * 1000);
+    // ===== SLOT RECLAIM REQUESTS =====
+    // Manual recovery path for users who lost their install token and can't auto-reclaim via
+    // ContentId (old claims made before ContentId was sent, or a character transfer). An admin
+    // reviews each request; approval moves the slot to the requesting token.
 
-// Diagnostic: logs when a synchronous operation stalls the event loop.
-let _elMonLast = Date.now();
-setInterval(() => {
-    const now = Date.now();
-    const lag = now - _elMonLast - 1000;
-    if (lag > 250) console.warn(`[event-loop] stalled ~${Math.round(lag)}ms`);
-    _elMonLast = now;
-}, 1000);
+    // Returns { ok: true, request } or { ok: false, reason }.
+    createReclaimRequest(slot, token, contentId, note) {
+        const existing = this.slots.get(slot);
+        if (!existing) return { ok: false, reason: 'unclaimed' };
+        if (existing.ownerToken === token) return { ok: false, reason: 'already_owner' };
 
-// Admin authentication middleware
-function requireAdmin(req, res, next) {
-    const adminKey = req.headers['x-admin-key'] || req.query.adminKey;
-    if (adminKey !== process.env.ADMIN_SECRET_KEY) {
-        return res.status(403).json({ error: 'Admin access required' });
-    }
+        const duplicate = this.reclaimRequests.find(r =>
+            r.status === 'pending' && r.slot === slot && r.requesterToken === token
+        );
+        if (duplicate) return { ok: true, request: duplicate, duplicate: true };
 
-    // Get admin ID from header, fallback to 'unknown'
-    req.adminId = req.headers['x-admin-id'] || req.body.adminId || 'unknown_admin';
-    // Not logging every auth to avoid log spam - admin actions are logged separately
-    next();
-}
+        const pendingForToken = this.reclaimRequests.filter(r =>
+            r.status === 'pending' && r.requesterToken === token
+        ).length;
+        if (pendingForToken >= RECLAIM_MAX_PENDING_PER_TOKEN) return { ok: false, reason: 'too_many_pending' };
 
-// Returns { ok: true } or { ok: false, status, message }.
-function checkSlotAuth(req, slot) {
-    const token = req.headers['x-install-token'];
-    const contentIdRaw = req.headers['x-character-contentid'];
-    const contentId = contentIdRaw && contentIdRaw !== '0' ? contentIdRaw : null;
+        const request = {
+            id: crypto.randomUUID(),
+            slot,
+            requesterToken: token,
+            requesterContentId: contentId || null,
+            note: note || '',
+            // Snapshot of the current claim so the reviewer sees what approval would replace
+            ownerTokenAtRequest: existing.ownerToken,
+            ownerContentIdAtRequest: existing.ownerContentId || null,
+            ownerLastSeenAtRequest: existing.lastSeen || null,
+            status: 'pending',
+            createdAt: new Date().toISOString(),
+            resolvedAt: null,
+            resolvedBy: null,
+            adminNotes: null
+        };
 
-    if (!token) {
-        return { ok: false, status: 401, message: 'Missing install token. Update your CS+ plugin.' };
+        this.reclaimRequests.unshift(request);
+        this.save();
+        return { ok: true, request };
     }
 
-    const result = tokensDB.verifyOrClaim(slot, token, contentId);
-    if (result.ok) return { ok: true };
-
-    if (result.reason === 'wrong_token' || result.reason === 'wrong_token_no_contentid') {
-        try {
-            activityDB.logActivity('auth', `BLOCKED upload: wrong token for ${slot}`, {
-                slot,
-                reason: result.reason,
-                tokenPrefix: token.substring(0, 8),
-                hasContentId: !!contentId,
-            });
-        } catch (e) { /* audit log is best effort */ }
-        return {
-            ok: false,
-            status: 403,
-            message: 'This profile slot is owned by a different installation. If this is your character, use Settings > Privacy > Request Reclaim in CS+.',
-        };
+    getReclaimRequest(id) {
+        return this.reclaimRequests.find(r => r.id === id) || null;
     }
-    return { ok: false, status: 403, message: 'Slot ownership verification failed.' };
-}
 
-// Helper functions (keeping all the existing ones)
+    // Drops the oldest resolved requests beyond RECLAIM_RESOLVED_HISTORY. Returns true if any were removed.
+    pruneResolvedReclaimRequests() {
+        let resolved = 0;
+        const kept = this.reclaimRequests.filter(r => r.status === 'pending' || ++resolved <= RECLAIM_RESOLVED_HISTORY);
+        if (kept.length === this.reclaimRequests.length) return false;
+        this.reclaimRequests = kept;
+        return true;
+    }
 
-// Safe file move function that handles cross-device moves
-async function safeFileMove(sourcePath, destPath) {
-    try {
-        // Try rename first (fastest)
-        await new Promise((resolve, reject) => {
-            fs.rename(sourcePath, destPath, (err) => {
-                if (err) reject(err);
-                else resolve();
-            });
-        });
-    } catch (err) {
-        if (err.code === 'EXDEV') {
-            // Cross-device link error, fall back to copy + delete
-            console.log('Cross-device move detected, using copy + delete');
-            await new Promise((resolve, reject) => {
-                fs.copyFile(sourcePath, destPath, (copyErr) => {
-                    if (copyErr) {
-                        reject(copyErr);
-                        return;
-                    }
-                    fs.unlink(sourcePath, (unlinkErr) => {
-                        if (unlinkErr) console.warn('Failed to delete temp file:', unlinkErr);
-                        resolve();
-                    });
-                });
-            });
-        } else {
-            throw err;
+    getReclaimRequests(status = null) {
+        if (status) {
+            return this.reclaimRequests.filter(r => r.status === status);
         }
+        return this.reclaimRequests;
     }
-}
 
-async function cleanupOldCharacterVersions(csCharacterName, physicalCharacterName, newFileName) {
-    try {
-        // Find old versions via the index, not a full profiles-dir scan.
-        const oldRows = stmtIndexFindOldVersions.all(physicalCharacterName, csCharacterName, newFileName);
-        if (oldRows.length === 0) return;
+    // Approves or denies a pending request. Approval transfers the slot to the requesting token,
+    // and any other pending requests for the same slot are closed as superseded.
+    // Returns the updated request, or null if it doesn't exist or was already resolved.
+    resolveReclaimRequest(id, approve, adminId, adminNotes = null) {
+        const request = this.getReclaimRequest(id);
+        if (!request || request.status !== 'pending') return null;
 
-        for (const { characterId } of oldRows) {
-            try { await fs.promises.unlink(path.join(profilesDir, `${characterId}.json`)); }
-            catch (err) { /* already gone */ }
-            indexDeleteProfile(characterId);
+        const now = new Date().toISOString();
+        request.status = approve ? 'approved' : 'denied';
+        request.resolvedAt = now;
+        request.resolvedBy = adminId;
+        request.adminNotes = adminNotes;
+
+        if (approve) {
+            const existing = this.slots.get(request.slot);
+            if (existing) this._releaseFromToken(existing.ownerToken, request.slot);
+            this._claim(request.slot, request.requesterToken, request.requesterContentId, now);
+
+            for (const other of this.reclaimRequests) {
+                if (other !== request && other.status === 'pending' && other.slot === request.slot) {
+                    other.status = 'superseded';
+                    other.resolvedAt = now;
+                    other.resolvedBy = adminId;
+                }
+            }
         }
 
-        galleryCache = null;
-        allProfilesCache = null;
-    } catch (cleanupErr) {
-        console.error('Error during cleanup:', cleanupErr.message);
+        this.pruneResolvedReclaimRequests();
+        this.save();
+        return request;
     }
 }
 
-// Extracts the physical name ("Name@Server") from a fileKey of the form "{sanitizedCsName}_{physicalName}".
-// The CS+ sanitized name can itself contain underscores, so we anchor on the '@' in the physical name
-// and walk backwards to the nearest underscore, that's the separator between csName and physicalName.
-function extractPhysicalNameFromKey(key) {
-    if (typeof key !== 'string' || !key) return null;
-    const atIdx = key.indexOf('@');
-    if (atIdx < 0) return null;
-    const beforeAt = key.substring(0, atIdx);
-    const sep = beforeAt.lastIndexOf('_');
-    if (sep < 0) return null;
-    return key.substring(sep + 1);
+// Admin roles, lowest to highest. Moderators handle reports, flags, warnings and profiles;
+// owners additionally manage system settings, keywords, announcements and admin accounts.
+const ADMIN_ROLES = ['moderator', 'owner'];
+const ADMIN_SESSION_TTL_MS = 12 * 60 * 60 * 1000; // 12 hours
+const ADMIN_MIN_PASSWORD_LENGTH = 10;
+
+// TOTP (RFC 6238) second factor, computed locally: 30s steps, 6 digits, ±1 step of clock drift
+const TOTP_ISSUER = 'Character Select+';
+const TOTP_STEP_SECONDS = 30;
+const TOTP_DIGITS = 6;
+const TOTP_DRIFT_STEPS = 1;
+const TOTP_RECOVERY_CODE_COUNT = 10;
+// First enrollment needs an owner-issued code (or the setup key), so a password alone can't turn
+// itself into a write-capable login
+const TOTP_ENROLLMENT_CODE_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+function base32Encode(buffer) {
+    let bits = 0, value = 0, out = '';
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            out += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    if (bits > 0) out += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    return out;
 }
 
-// Process a list of previous fileKeys the client sent with an upload: delete the old profile JSON +
-// image, migrate likes (union by liker) into the new characterId, and clean up cached state. Runs
-// BEFORE the new profile is written so the new upload's caches are rebuilt from the correct state.
-async function migrateFromPreviousKeys(previousKeys, newCharacterId, newPhysicalName) {
-    if (!Array.isArray(previousKeys) || previousKeys.length === 0) return 0;
+function base32Decode(str) {
+    const clean = str.toUpperCase().replace(/[^A-Z2-7]/g, '');
+    let bits = 0, value = 0;
+    const bytes = [];
+    for (const ch of clean) {
+        value = (value << 5) | BASE32_ALPHABET.indexOf(ch);
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+    return Buffer.from(bytes);
+}
 
-    let migratedCount = 0;
-    let cacheDirty = false;
+// HOTP value for one time step (RFC 4226 dynamic truncation)
+function totpCode(secret, step) {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 0xf;
+    const binary = (hmac.readUInt32BE(offset) & 0x7fffffff) % (10 ** TOTP_DIGITS);
+    return binary.toString().padStart(TOTP_DIGITS, '0');
+}
 
-    for (const oldKey of previousKeys) {
-        if (typeof oldKey !== 'string' || !oldKey) continue;
-        if (oldKey === newCharacterId) continue; // No-op self migration
-        // Must look like a valid fileKey ("{csName}_{physicalName}")
-        if (!oldKey.includes('_') || !oldKey.includes('@')) continue;
+// Returns the matched time step, or null. Callers reject steps at or before the last one used.
+function verifyTotp(secret, code, now = Date.now()) {
+    const cleaned = String(code || '').replace(/\s/g, '');
+    if (!/^\d+$/.test(cleaned) || cleaned.length !== TOTP_DIGITS) return null;
+    const current = Math.floor(now / 1000 / TOTP_STEP_SECONDS);
+    for (let drift = -TOTP_DRIFT_STEPS; drift <= TOTP_DRIFT_STEPS; drift++) {
+        const step = current + drift;
+        if (crypto.timingSafeEqual(Buffer.from(totpCode(secret, step)), Buffer.from(cleaned))) return step;
+    }
+    return null;
+}
 
-        const oldFilePath = path.join(profilesDir, `${oldKey}.json`);
-        if (!fs.existsSync(oldFilePath)) continue; // Already migrated or never existed
+// Admin accounts + login sessions. Passwords are scrypt-hashed with a per-account salt; session
+// tokens are only ever stored as SHA-256 hashes so a leaked database file can't be replayed.
+class AdminAccountsDatabase {
+    constructor() {
+        this.accounts = new Map(); // username -> account
+        this.sessions = new Map(); // sha256(token) -> { username, createdAt, expiresAt }
+        this.load();
+    }
 
+    load() {
         try {
-            // Migrate likes first (union by liker, safe if already migrated)
-            const addedLikes = likesDB.migrateLikes(oldKey, newCharacterId);
+            if (fs.existsSync(adminsDbFile)) {
+                const data = JSON.parse(fs.readFileSync(adminsDbFile, 'utf-8'));
+                this.accounts = new Map(Object.entries(data.accounts || {}));
+                this.sessions = new Map(Object.entries(data.sessions || {}));
+                this.pruneSessions();
+                console.log(`👑 Loaded ${this.accounts.size} admin accounts, ${this.sessions.size} active sessions`);
+            }
+        } catch (err) {
+            console.error('Error loading admin accounts database:', err);
+            this.accounts = new Map();
+            this.sessions = new Map();
+        }
+    }
 
-            // Delete old profile JSON
-            try { fs.unlinkSync(oldFilePath); } catch (e) { /* ignore */ }
+    save() {
+        try {
+            const data = {
+                accounts: Object.fromEntries(this.accounts),
+                sessions: Object.fromEntries(this.sessions),
+                lastSaved: new Date().toISOString()
+            };
 
-            // Delete associated image files (handles multiple extensions)
-            try {
-                const sanitizedBase = oldKey.replace(/[^\w@\-_.]/g, "_");
-                const imageFiles = fs.readdirSync(imagesDir);
-                for (const f of imageFiles) {
-                    if (f === sanitizedBase || f.startsWith(sanitizedBase + '.')) {
-                        try { fs.unlinkSync(path.join(imagesDir, f)); } catch (e) { /* ignore */ }
-                    }
-                }
-            } catch (e) {
-                console.error(`[migrate] image cleanup error for ${oldKey}:`, e.message);
-            }
+            const tempFile = adminsDbFile + '.tmp';
+            fs.writeFileSync(tempFile, JSON.stringify(data, null, 2));
 
-            // If the old key was for a different physical name (physical rename), remove its cache entries
-            const oldPhysicalName = extractPhysicalNameFromKey(oldKey);
-            if (oldPhysicalName && oldPhysicalName !== newPhysicalName) {
-                if (namesCache) namesCache.delete(oldPhysicalName);
-                if (profilesLookupCache) profilesLookupCache.delete(oldPhysicalName);
+            if (fs.existsSync(adminsDbFile)) {
+                fs.copyFileSync(adminsDbFile, adminsDbFile + '.backup');
             }
 
-            cacheDirty = true;
-            migratedCount++;
-            console.log(`[migrate] ${oldKey} → ${newCharacterId} (+${addedLikes} likes)`);
-
-            try {
-                activityDB.logActivity('migrate', `RENAME: ${oldKey} → ${newCharacterId}`, {
-                    oldCharacterId: oldKey,
-                    newCharacterId: newCharacterId,
-                    physicalCharacterName: newPhysicalName,
-                    migratedLikes: addedLikes
-                });
-            } catch (e) { /* activityDB optional */ }
+            fs.renameSync(tempFile, adminsDbFile);
         } catch (err) {
-            console.error(`[migrate] error migrating ${oldKey}:`, err.message);
+            console.error('Error saving admin accounts database:', err);
         }
     }
 
-    if (cacheDirty) {
-        galleryCache = null;
-        allProfilesCache = null;
+    static hashPassword(password, salt) {
+        return crypto.scryptSync(password, salt, 64).toString('hex');
     }
 
-    return migratedCount;
-}
+    static hashToken(token) {
+        return crypto.createHash('sha256').update(token).digest('hex');
+    }
 
-async function atomicWriteProfile(filePath, profile) {
-    const tempPath = filePath + '.tmp';
-    const backupPath = filePath + '.backup';
-    
-    try {
-        // Create backup if original exists
-        if (fs.existsSync(filePath)) {
-            fs.copyFileSync(filePath, backupPath);
+    hasAccounts() {
+        return this.accounts.size > 0;
+    }
+
+    getAccount(username) {
+        return this.accounts.get(username) || null;
+    }
+
+    createAccount(username, password, role, createdBy, displayName = null) {
+        const salt = crypto.randomBytes(16).toString('hex');
+        const account = {
+            username,
+            displayName: displayName || username,
+            role,
+            salt,
+            passwordHash: AdminAccountsDatabase.hashPassword(password, salt),
+            disabled: false,
+            totpEnabled: false,
+            totpSecret: null,
+            totpPendingSecret: null,
+            totpLastStep: 0,
+            recoveryCodes: [], // sha256 hashes, removed as they're used
+            enrollmentCode: null, // sha256 hash of the owner-issued code that approves TOTP enrollment
+            enrollmentCodeExpiresAt: null,
+            createdAt: new Date().toISOString(),
+            createdBy,
+            lastLoginAt: null
+        };
+        this.accounts.set(username, account);
+        this.save();
+        return account;
+    }
+
+    // Returns the account on a correct password for an enabled account, otherwise null.
+    verifyPassword(username, password) {
+        const account = this.accounts.get(username);
+        if (!account || account.disabled) return null;
+        const expected = Buffer.from(account.passwordHash, 'hex');
+        const actual = Buffer.from(AdminAccountsDatabase.hashPassword(password, account.salt), 'hex');
+        if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+        return account;
+    }
+
+    setPassword(username, password) {
+        const account = this.accounts.get(username);
+        if (!account) return false;
+        account.salt = crypto.randomBytes(16).toString('hex');
+        account.passwordHash = AdminAccountsDatabase.hashPassword(password, account.salt);
+        this.revokeSessionsFor(username);
+        this.save();
+        return true;
+    }
+
+    updateAccount(username, { role, disabled, displayName }) {
+        const account = this.accounts.get(username);
+        if (!account) return null;
+        if (role !== undefined) account.role = role;
+        if (displayName !== undefined) account.displayName = displayName;
+        if (disabled !== undefined) {
+            account.disabled = !!disabled;
+            if (account.disabled) this.revokeSessionsFor(username);
         }
-        
-        // Write directly using synchronous method to avoid temp file conflicts
-        const jsonString = JSON.stringify(profile, null, 2);
-        fs.writeFileSync(tempPath, jsonString, 'utf-8');
-        
-        // Atomic rename
-        fs.renameSync(tempPath, filePath);
-        
-    } catch (error) {
-        // Clean up temp file if it exists
-        if (fs.existsSync(tempPath)) {
-            try {
-                fs.unlinkSync(tempPath);
-            } catch (cleanupErr) {
-                console.warn('Failed to cleanup temp file:', cleanupErr);
-            }
+        this.save();
+        return account;
+    }
+
+    countOwners() {
+        let n = 0;
+        for (const a of this.accounts.values()) {
+            if (a.role === 'owner' && !a.disabled) n++;
         }
-        throw error;
+        return n;
     }
-}
 
-function sanitizeGalleryData(profiles) {
-    return profiles.map(profile => ({
-        CharacterId: generateSafeId(profile.CharacterName, profile.CharacterId),
-        CharacterName: profile.CharacterName,
-        Server: "Gallery",
-        ProfileImageUrl: null,
-        Tags: profile.Tags,
-        Bio: profile.Bio,
-        GalleryStatus: profile.GalleryStatus,
-        Race: profile.Race,
-        Pronouns: profile.Pronouns,
-        Links: profile.Links,
-        LikeCount: profile.LikeCount,
-        LastUpdated: profile.LastUpdated,
-        ImageZoom: profile.ImageZoom,
-        ImageOffset: profile.ImageOffset,
-        IsNSFW: profile.IsNSFW || false // Include NSFW flag for client filtering
-    }));
-}
+    // Starts TOTP enrollment. The secret stays pending until a valid code confirms the authenticator.
+    beginTotpEnrollment(username) {
+        const account = this.accounts.get(username);
+        if (!account) return null;
+        account.totpPendingSecret = base32Encode(crypto.randomBytes(20));
+        this.save();
+        return account.totpPendingSecret;
+    }
+
+    // Confirms enrollment with a code from the pending secret. Returns fresh recovery codes, or null.
+    confirmTotpEnrollment(username, code) {
+        const account = this.accounts.get(username);
+        if (!account || !account.totpPendingSecret) return null;
+        const step = verifyTotp(account.totpPendingSecret, code);
+        if (step === null) return null;
+        account.totpSecret = account.totpPendingSecret;
+        account.totpPendingSecret = null;
+        account.totpEnabled = true;
+        account.totpLastStep = step;
+        account.enrollmentCode = null;
+        account.enrollmentCodeExpiresAt = null;
+        const codes = this.generateRecoveryCodes(account);
+        this.save();
+        return codes;
+    }
+
+    // Issues a one-time code an owner hands to the admin out of band; it approves their next TOTP
+    // enrollment. Replaces any earlier code. The raw code is returned once and never stored.
+    issueEnrollmentCode(username) {
+        const account = this.accounts.get(username);
+        if (!account) return null;
+        const raw = crypto.randomBytes(6).toString('hex');
+        const code = `${raw.substring(0, 6)}-${raw.substring(6)}`;
+        account.enrollmentCode = AdminAccountsDatabase.hashToken(code);
+        account.enrollmentCodeExpiresAt = Date.now() + TOTP_ENROLLMENT_CODE_TTL_MS;
+        this.save();
+        return code;
+    }
 
-function sanitizeProfileResponse(profile) {
-    const sanitized = { ...profile };
-    delete sanitized.CustomImagePath;
-    return sanitized;
-}
+    // Doesn't consume the code; confirmTotpEnrollment clears it once enrollment succeeds
+    checkEnrollmentCode(username, code) {
+        const account = this.accounts.get(username);
+        if (!account || !account.enrollmentCode || !code) return false;
+        if (!(account.enrollmentCodeExpiresAt > Date.now())) return false;
+        return AdminAccountsDatabase.hashToken(String(code).trim().toLowerCase()) === account.enrollmentCode;
+    }
 
-function generateSafeId(characterName, originalId) {
-    return characterName.toLowerCase().replace(/\s+/g, '_') + '_' + 
-           crypto.createHash('md5').update(originalId).digest('hex').substring(0, 8);
-}
+    // Checks an authenticator code only, never a recovery code. Each step is accepted once.
+    verifyTotpCode(username, code) {
+        const account = this.accounts.get(username);
+        if (!account || !account.totpEnabled || !code) return false;
 
-const readProfileAsync = (filePath) => {
-    return new Promise((resolve, reject) => {
-        fs.readFile(filePath, 'utf-8', (err, data) => {
-            if (err) {
-                reject(err);
-                return;
-            }
-            
-            if (!data || data.trim().length === 0) {
-                reject(new Error(`Profile file is empty: ${filePath}`));
-                return;
-            }
-            
-            try {
-                const parsed = JSON.parse(data);
-                resolve(parsed);
-            } catch (parseError) {
-                console.error(`[Error] Invalid JSON in file ${filePath}:`, parseError.message);
-                fs.unlink(filePath, (unlinkErr) => {
-                    if (!unlinkErr) {
-                        console.log(`[Recovery] Deleted corrupted file: ${filePath}`);
-                    }
-                });
-                reject(new Error(`Invalid JSON in profile file: ${filePath}`));
-            }
-        });
-    });
-};
+        const step = verifyTotp(account.totpSecret, code);
+        if (step === null || step <= (account.totpLastStep || 0)) return false;
+        account.totpLastStep = step;
+        this.save();
+        return true;
+    }
 
-const writeProfileAsync = (filePath, data) => {
-    return new Promise((resolve, reject) => {
-        let jsonString;
-        try {
-            jsonString = JSON.stringify(data, null, 2);
-        } catch (stringifyError) {
-            reject(stringifyError);
-            return;
+    // Checks a TOTP code or, failing that, a one-time recovery code. Returns 'totp', 'recovery' or null.
+    verifySecondFactor(username, code) {
+        const account = this.accounts.get(username);
+        if (!account || !account.totpEnabled || !code) return null;
+        if (this.verifyTotpCode(username, code)) return 'totp';
+
+        const hash = AdminAccountsDatabase.hashToken(String(code).trim().toLowerCase());
+        const index = (account.recoveryCodes || []).indexOf(hash);
+        if (index !== -1) {
+            account.recoveryCodes.splice(index, 1);
+            this.save();
+            return 'recovery';
         }
-        
-        if (filePath.includes(' ')) {
-            fs.writeFile(filePath, jsonString, 'utf-8', (writeErr) => {
-                if (writeErr) reject(writeErr);
-                else resolve();
-            });
-            return;
+        return null;
+    }
+
+    generateRecoveryCodes(account) {
+        const codes = [];
+        for (let i = 0; i < TOTP_RECOVERY_CODE_COUNT; i++) {
+            const raw = crypto.randomBytes(5).toString('hex');
+            codes.push(`${raw.substring(0, 5)}-${raw.substring(5)}`);
         }
-        
-        const tempPath = filePath + '.tmp';
-        
-        fs.writeFile(tempPath, jsonString, 'utf-8', (writeErr) => {
-            if (writeErr) {
-                reject(writeErr);
-                return;
-            }
-            
-            fs.rename(tempPath, filePath, (renameErr) => {
-                if (renameErr) {
-                    fs.unlink(tempPath, () => {});
-                    reject(renameErr);
-                    return;
-                }
-                resolve();
-            });
-        });
-    });
-};
+        account.recoveryCodes = codes.map(c => AdminAccountsDatabase.hashToken(c));
+        return codes;
+    }
 
-const isValidProfile = (profile) => {
-    return profile && 
-           typeof profile === 'object' && 
-           typeof profile.CharacterName === 'string' &&
-           profile.CharacterName.length > 0;
-};
+    regenerateRecoveryCodes(username) {
+        const account = this.accounts.get(username);
+        if (!account || !account.totpEnabled) return null;
+        const codes = this.generateRecoveryCodes(account);
+        this.save();
+        return codes;
+    }
+
+    disableTotp(username) {
+        const account = this.accounts.get(username);
+        if (!account) return false;
+        account.totpEnabled = false;
+        account.totpSecret = null;
+        account.totpPendingSecret = null;
+        account.totpLastStep = 0;
+        account.recoveryCodes = [];
+        // Existing sessions were verified against the old factor
+        this.revokeSessionsFor(username);
+        this.save();
+        return true;
+    }
 
-function extractServerFromName(characterName) {
-    const parts = characterName.split('@');
-    return parts.length > 1 ? parts[1] : 'Unknown';
-}
+    // Issues a new session for the account. The raw token is returned once and never stored.
+    // secondFactor marks sessions that passed TOTP; without it the session is read-only.
+    // enrollmentApproved lets the session enroll TOTP without an enrollment code (first-run setup).
+    createSession(username, secondFactor = false, enrollmentApproved = false) {
+        const token = crypto.randomBytes(32).toString('hex');
+        const now = Date.now();
+        const session = { username, secondFactor, createdAt: now, expiresAt: now + ADMIN_SESSION_TTL_MS };
+        if (enrollmentApproved) session.enrollmentApproved = true;
+        this.sessions.set(AdminAccountsDatabase.hashToken(token), session);
+        const account = this.accounts.get(username);
+        if (account) account.lastLoginAt = new Date(now).toISOString();
+        this.pruneSessions();
+        this.save();
+        return { token, expiresAt: session.expiresAt, session };
+    }
 
-// =============================================================================
-// 🖥️ ADMIN DASHBOARD - Served from admin-panel.html
-// =============================================================================
+    // Upgrades a session after TOTP enrollment so the admin doesn't have to log in again
+    markSessionVerified(token) {
+        const session = this.sessions.get(AdminAccountsDatabase.hashToken(token));
+        if (!session) return;
+        session.secondFactor = true;
+        this.save();
+    }
 
-// Cache the admin panel HTML at startup for performance
-let adminPanelHtml = null;
-try {
-    adminPanelHtml = fs.readFileSync(path.join(__dirname, 'admin-panel.html'), 'utf8');
-    console.log('✅ Admin panel loaded from admin-panel.html');
-} catch (err) {
-    console.error('⚠️ Could not load admin-panel.html:', err.message);
-}
+    // Resolves a raw session token to { account, session }, or null if unknown, expired or disabled.
+    getSession(token) {
+        if (!token) return null;
+        const session = this.sessions.get(AdminAccountsDatabase.hashToken(token));
+        if (!session) return null;
+        if (session.expiresAt <= Date.now()) return null;
+        const account = this.accounts.get(session.username);
+        if (!account || account.disabled) return null;
+        return { account, session };
+    }
 
-app.get("/admin", (req, res) => {
-    if (adminPanelHtml) {
-        res.send(adminPanelHtml);
-    } else {
-        res.status(500).send('Admin panel not available. Please ensure admin-panel.html exists.');
+    revokeSession(token) {
+        if (this.sessions.delete(AdminAccountsDatabase.hashToken(token))) this.save();
     }
-});
 
-// LEGACY EMBEDDED HTML REMOVED - Now served from admin-panel.html
-// Original HTML started here:
-// <!DOCTYPE html>
-// <html lang="en">
-// <head>
-//     <meta charset="UTF-8">
-// ... (3000+ lines of embedded HTML removed)
-// Old route handler also removed - new handler above reads from file
-// =============================================================================
-// ALL YOUR EXISTING ENDPOINTS (keeping them exactly the same)
-// =============================================================================
+    revokeSessionsFor(username) {
+        for (const [hash, session] of this.sessions) {
+            if (session.username === username) this.sessions.delete(hash);
+        }
+    }
 
-// Health check
-app.get("/health", (req, res) => {
-    res.status(200).json({ 
-        status: "healthy", 
-        timestamp: new Date().toISOString(),
-        uptime: process.uptime()
-    });
-});
+    pruneSessions() {
+        const now = Date.now();
+        for (const [hash, session] of this.sessions) {
+            if (session.expiresAt <= now) this.sessions.delete(hash);
+        }
+    }
 
-// Clean up multer temp file if it exists
-function cleanupTempFile(req) {
-    if (req.file && req.file.path) {
-        fs.unlink(req.file.path, () => {});
+    listAccounts() {
+        return Array.from(this.accounts.values()).map(a => ({
+            username: a.username,
+            displayName: a.displayName,
+            role: a.role,
+            disabled: a.disabled,
+            totpEnabled: !!a.totpEnabled,
+            enrollmentCodePending: !a.totpEnabled && a.enrollmentCodeExpiresAt > Date.now(),
+            recoveryCodesLeft: (a.recoveryCodes || []).length,
+            createdAt: a.createdAt,
+            createdBy: a.createdBy,
+            lastLoginAt: a.lastLoginAt
+        }));
     }
 }
 
-// Upload endpoints (keeping all existing logic)
-app.post("/upload/:name", upload.single("image"), async (req, res) => {
-    try {
-        const physicalCharacterName = decodeURIComponent(req.params.name);
-        const profileJson = req.body.profile;
+// Scoped API keys for automation scripts. Each key is limited to route groups (`reports:read`,
+// `flags:write`, ...) and acts with its creator's role. Keys are stored as SHA-256 hashes.
+const API_KEY_PREFIX = 'csk_';
+const API_KEY_MAX_TTL_DAYS = 365;
+
+// First path segment under /admin -> scope group. Routes not listed here (auth, accounts,
+// api-keys) are never reachable with an API key.
+const API_KEY_SCOPE_GROUPS = {
+    dashboard: 'dashboard',
+    activity: 'activity',
+    reports: 'reports',
+    flagged: 'flags',
+    names: 'names',
+    profiles: 'profiles',
+    moderation: 'profiles',
+    announcements: 'announcements',
+    tokens: 'tokens',
+    likes: 'likes',
+    worlds: 'worlds',
+    system: 'system'
+};
+const API_KEY_OWNER_ONLY_GROUPS = ['system'];
+const API_KEY_READ_ONLY_GROUPS = ['dashboard', 'activity'];
 
-        const authResult = checkSlotAuth(req, physicalCharacterName);
-        if (!authResult.ok) {
-            cleanupTempFile(req);
-            return res.status(authResult.status).json({ error: authResult.message });
-        }
+function getApiKeyScopeGroup(reqPath) {
+    const match = reqPath.match(/^\/admin\/([^/]+)/);
+    return match ? (API_KEY_SCOPE_GROUPS[match[1]] || null) : null;
+}
 
-        if (!profileJson) {
-            cleanupTempFile(req);
-            return res.status(400).send("Missing profile data.");
-        }
+function isValidApiKeyScope(scope) {
+    const [group, access] = String(scope).split(':');
+    if (!Object.values(API_KEY_SCOPE_GROUPS).includes(group)) return false;
+    return access === 'read' || (access === 'write' && !API_KEY_READ_ONLY_GROUPS.includes(group));
+}
 
-        let profile;
+class ApiKeysDatabase {
+    constructor() {
+        this.keys = new Map(); // id -> key record
+        this.load();
+    }
+
+    load() {
         try {
-            profile = JSON.parse(profileJson);
+            if (fs.existsSync(apiKeysDbFile)) {
+                const data = JSON.parse(fs.readFileSync(apiKeysDbFile, 'utf-8'));
+                this.keys = new Map(Object.entries(data.keys || {}));
+                console.log(`🔑 Loaded ${this.keys.size} API keys`);
+            }
         } catch (err) {
-            cleanupTempFile(req);
-            return res.status(400).send("Invalid profile JSON.");
+            console.error('Error loading API keys database:', err);
+            this.keys = new Map();
         }
+    }
 
-        const csCharacterName = profile.CharacterName;
-        if (!csCharacterName) {
-            cleanupTempFile(req);
-            return res.status(400).send("Missing CharacterName in profile data.");
-        }
+    _serialize() {
+        return {
+            keys: Object.fromEntries(this.keys),
+            lastSaved: new Date().toISOString()
+        };
+    }
 
-        const sanitizedCSName = csCharacterName.replace(/[^\w\s\-.']/g, "_");
-        const newFileName = `${sanitizedCSName}_${physicalCharacterName}`;
-        const characterId = newFileName;
-        const filePath = path.join(profilesDir, `${newFileName}.json`);
+    // Usage counters change on every request, so writes are debounced like likesDB
+    save() {
+        this._dirty = true;
+        if (this._flushTimer) return;
+        this._flushTimer = setTimeout(() => this._flush(), SAVE_DEBOUNCE_MS);
+    }
 
-        // Check if user is banned (blocks ALL uploads from this physical character)
-        if (moderationDB.isUserBanned(physicalCharacterName)) {
-            cleanupTempFile(req);
-            return res.status(403).json({ error: 'User has been banned from uploading profiles' });
+    async _flush() {
+        this._flushTimer = null;
+        if (!this._dirty || this._flushing) return;
+        this._flushing = true;
+        this._dirty = false;
+        try {
+            await writeJsonAtomicAsync(apiKeysDbFile, this._serialize());
+        } catch (err) {
+            console.error('Error saving API keys database:', err);
+            this._dirty = true;
+        } finally {
+            this._flushing = false;
+            if (this._dirty && !this._flushTimer) this._flushTimer = setTimeout(() => this._flush(), SAVE_DEBOUNCE_MS);
         }
+    }
 
-        if (moderationDB.isProfileBanned(characterId)) {
-            cleanupTempFile(req);
-            return res.status(403).json({ error: 'Profile has been banned from the gallery' });
-        }
+    flushSync() {
+        if (!this._dirty) return;
+        try { writeJsonAtomicSync(apiKeysDbFile, this._serialize()); this._dirty = false; }
+        catch (err) { console.error('Error flushing API keys database:', err); }
+    }
+
+    // Returns { key, record }. The raw key is only ever returned here.
+    createKey(name, scopes, expiresAt, createdBy) {
+        const id = crypto.randomBytes(8).toString('hex');
+        const raw = API_KEY_PREFIX + crypto.randomBytes(24).toString('hex');
+        const record = {
+            id,
+            name,
+            prefix: raw.substring(0, API_KEY_PREFIX.length + 6),
+            keyHash: AdminAccountsDatabase.hashToken(raw),
+            scopes,
+            createdBy,
+            createdAt: new Date().toISOString(),
+            expiresAt,
+            revokedAt: null,
+            revokedBy: null,
+            lastUsedAt: null,
+            requestCount: 0
+        };
+        this.keys.set(id, record);
+        this.saveNow();
+        return { key: raw, record };
+    }
 
-        await cleanupOldCharacterVersions(csCharacterName, physicalCharacterName, newFileName);
+    // Creation and revocation shouldn't wait for the debounce
+    saveNow() {
+        this._dirty = true;
+        this.flushSync();
+    }
 
-        // Handle rename migration: client sends previousKeys for any rename/alias/physical-name
-        // changes this character has been through. Migrate likes and clean up orphan files before
-        // writing the new profile so aggregate caches rebuild from a clean state.
-        if (req.body.previousKeys) {
-            try {
-                const previousKeys = JSON.parse(req.body.previousKeys);
-                await migrateFromPreviousKeys(previousKeys, characterId, physicalCharacterName);
-            } catch (e) {
-                console.error('[upload] invalid previousKeys payload:', e.message);
-            }
+    // Resolves a raw key to its record, or null if unknown, revoked or expired
+    findActiveKey(raw) {
+        const hash = AdminAccountsDatabase.hashToken(raw);
+        for (const record of this.keys.values()) {
+            if (record.keyHash !== hash) continue;
+            if (record.revokedAt) return null;
+            if (record.expiresAt && new Date(record.expiresAt).getTime() <= Date.now()) return null;
+            return record;
         }
+        return null;
+    }
 
-        delete profile.LikeCount;
-        profile.LikeCount = likesDB.getLikeCount(characterId);
-
-        // Check if this is a truly new profile (file doesn't exist on server)
-        const isNewProfile = !fs.existsSync(filePath);
+    recordUse(record) {
+        record.lastUsedAt = new Date().toISOString();
+        record.requestCount = (record.requestCount || 0) + 1;
+        this.save();
+    }
 
-        if (req.file) {
-            const sanitizedBase = newFileName.replace(/[^\w@\-_.]/g, "_");
+    revokeKey(id, revokedBy) {
+        const record = this.keys.get(id);
+        if (!record || record.revokedAt) return null;
+        record.revokedAt = new Date().toISOString();
+        record.revokedBy = revokedBy;
+        this.saveNow();
+        return record;
+    }
 
-            // Probe the source to decide the final extension. Images without alpha become JPEG
-            // (~88-95% smaller than equivalent PNG at q95). Images with alpha stay PNG to preserve
-            // transparency. If probing fails, fall back to the source's extension.
-            let targetExt = path.extname(req.file.originalname) || ".png";
-            if (sharp) {
-                try {
-                    const meta = await sharp(req.file.path, { failOn: "error" }).metadata();
-                    targetExt = meta.hasAlpha ? ".png" : ".jpg";
-                } catch (probeErr) {
-                    console.error(`[upload] metadata probe failed for ${sanitizedBase}: ${probeErr.message}`);
-                }
-            }
+    // write implies read for the same group
+    hasScope(record, group, access) {
+        return record.scopes.includes(`${group}:${access}`) ||
+            (access === 'read' && record.scopes.includes(`${group}:write`));
+    }
 
-            const safeFileName = sanitizedBase + targetExt;
-            const finalImagePath = path.join(imagesDir, safeFileName);
+    listKeys(createdBy = null) {
+        return Array.from(this.keys.values())
+            .filter(k => !createdBy || k.createdBy === createdBy)
+            .map(({ keyHash, ...rest }) => ({
+                ...rest,
+                expired: !!rest.expiresAt && new Date(rest.expiresAt).getTime() <= Date.now()
+            }))
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    }
+}
 
-            // Move original into place first, guarantees we have something valid at the final path
-            // even if sharp fails. The optimizer then re-writes the file in place.
-            await safeFileMove(req.file.path, finalImagePath);
+// World -> data center / region registry. Defaults come from worlds.js; admin edits are stored as
+// per-world overrides, so worlds nobody has touched still pick up later worlds.js updates.
+const REGISTRY_NAME_RE = /^\p{L}[\p{L}\p{M}' -]{1,31}$/u;
+const REGISTRY_REGION_RE = /^[A-Za-z]{2,8}$/;
 
-            // Run the optimizer. On failure, the original at finalImagePath is untouched and served.
-            const optResult = await optimizeImage(finalImagePath, finalImagePath);
-            if (optResult.ok && !optResult.skipped) {
-                console.log(`[upload] optimized ${safeFileName}: ${optResult.originalSize} → ${optResult.newSize} bytes (${optResult.reduction})`);
-            } else if (optResult.ok && optResult.skipped) {
-                // Original already near-optimal, keep as-is (common for images that were already well-compressed)
-            } else {
-                console.error(`[upload] optimization failed for ${safeFileName}: ${optResult.error}, keeping original`);
-            }
+class WorldRegistryDatabase {
+    constructor() {
+        this.overrides = new Map(); // world -> { dataCenter, region, updatedBy, updatedAt } or { removed: true, ... }
+        this.worlds = new Map();    // lowercased world -> { world, dataCenter, region, custom }
+        this.load();
+    }
 
-            // Clean up any stale file at the OTHER extension (e.g. a prior PNG upload being replaced
-            // by a JPEG after format conversion). Prevents orphan files from accumulating on re-upload.
-            const altExt = targetExt === ".jpg" ? ".png" : ".jpg";
-            const altPath = path.join(imagesDir, sanitizedBase + altExt);
-            if (fs.existsSync(altPath)) {
-                try { fs.unlinkSync(altPath); } catch (e) { /* ignore */ }
+    load() {
+        try {
+            if (fs.existsSync(worldsDbFile)) {
+                const data = JSON.parse(fs.readFileSync(worldsDbFile, 'utf-8'));
+                this.overrides = new Map(Object.entries(data.overrides || {}));
+                console.log(`🌍 Loaded ${this.overrides.size} world registry overrides`);
             }
-
-            profile.ProfileImageUrl = `https://character-select-profile-server-production.up.railway.app/images/${safeFileName}`;
+        } catch (err) {
+            console.error('Error loading world registry:', err);
+            this.overrides = new Map();
         }
+        this._rebuild();
+    }
 
-        // Set CreatedAt only for truly new profiles (not updates to existing ones)
-        if (isNewProfile) {
-            profile.CreatedAt = new Date().toISOString();
+    save() {
+        try {
+            writeJsonAtomicSync(worldsDbFile, {
+                overrides: Object.fromEntries(this.overrides),
+                lastSaved: new Date().toISOString()
+            });
+        } catch (err) {
+            console.error('Error saving world registry:', err);
         }
-        profile.LastUpdated = new Date().toISOString();
-        profile.LastActiveTime = new Date().toISOString();
-
-        await atomicWriteProfile(filePath, profile);
-        // Don't invalidate galleryCache here - let it refresh on 30-min schedule to avoid constant rebuilds
-        // Incrementally update caches instead of full invalidation (scales better with 20k+ profiles)
-        updateNamesCacheEntry(physicalCharacterName, csCharacterName, profile.NameplateColor, profile.Sharing, profile.AllowOthersToSeeMyCSName);
-        updateProfilesLookupCacheEntry(physicalCharacterName, profile.Sharing);
-        indexUpsertProfile(characterId, physicalCharacterName, profile);
-
-        // Auto-flag check for problematic content
-        autoFlagDB.scanProfile(characterId, csCharacterName, profile.Bio, profile.GalleryStatus, profile.Tags);
+    }
 
-        // Log activity
-        activityDB.logActivity('upload', `NEW PROFILE: ${csCharacterName}`, {
-            characterId,
-            characterName: csCharacterName,
-            server: extractServerFromName(physicalCharacterName),
-            hasImage: !!req.file
-        });
+    _rebuild() {
+        this.worlds = new Map();
+        for (const [world, entry] of Object.entries(DEFAULT_WORLDS)) {
+            this.worlds.set(world.toLowerCase(), { world, dataCenter: entry.dataCenter, region: entry.region, custom: false });
+        }
+        for (const [world, entry] of this.overrides) {
+            if (entry.removed) {
+                this.worlds.delete(world.toLowerCase());
+            } else {
+                this.worlds.set(world.toLowerCase(), { world, dataCenter: entry.dataCenter, region: entry.region, custom: true });
+            }
+        }
+    }
 
-        console.log(`✅ Saved profile: ${newFileName}.json (likes: ${profile.LikeCount})`);
-        res.json(profile);
-    } catch (error) {
-        cleanupTempFile(req);
-        console.error('Upload error:', error);
-        res.status(500).json({ error: 'Internal server error' });
+    // Case-insensitive; returns { world, dataCenter, region, custom } or null
+    getWorld(name) {
+        if (typeof name !== 'string') return null;
+        return this.worlds.get(name.toLowerCase()) || null;
     }
-});
 
-app.put("/upload/:name", upload.single("image"), async (req, res) => {
-    try {
-        const physicalCharacterName = decodeURIComponent(req.params.name);
-        const profileJson = req.body.profile;
+    isKnownWorld(name) {
+        return !!this.getWorld(name);
+    }
 
-        const authResult = checkSlotAuth(req, physicalCharacterName);
-        if (!authResult.ok) {
-            cleanupTempFile(req);
-            return res.status(authResult.status).json({ error: authResult.message });
-        }
+    listWorlds() {
+        return Array.from(this.worlds.values()).sort((a, b) =>
+            a.region.localeCompare(b.region) || a.dataCenter.localeCompare(b.dataCenter) || a.world.localeCompare(b.world));
+    }
 
-        if (!profileJson) {
-            cleanupTempFile(req);
-            return res.status(400).send("Missing profile data.");
+    // Canonical data center / region spelling for a case-insensitive name, or null
+    findDataCenter(name) {
+        const lower = String(name).toLowerCase();
+        for (const entry of this.worlds.values()) {
+            if (entry.dataCenter.toLowerCase() === lower) return entry.dataCenter;
         }
+        return null;
+    }
 
-        let profile;
-        try {
-            profile = JSON.parse(profileJson);
-        } catch (err) {
-            cleanupTempFile(req);
-            return res.status(400).send("Invalid profile JSON.");
+    findRegion(name) {
+        const lower = String(name).toLowerCase();
+        for (const entry of this.worlds.values()) {
+            if (entry.region.toLowerCase() === lower) return entry.region;
         }
+        return null;
+    }
 
-        const csCharacterName = profile.CharacterName;
-        if (!csCharacterName) {
-            cleanupTempFile(req);
-            return res.status(400).send("Missing CharacterName in profile data.");
-        }
+    getWorldsIn({ dataCenter = null, region = null }) {
+        return Array.from(this.worlds.values())
+            .filter(e => (!dataCenter || e.dataCenter === dataCenter) && (!region || e.region === region))
+            .map(e => e.world);
+    }
 
-        const sanitizedCSName = csCharacterName.replace(/[^\w\s\-.']/g, "_");
-        const newFileName = `${sanitizedCSName}_${physicalCharacterName}`;
-        const characterId = newFileName;
-        const filePath = path.join(profilesDir, `${newFileName}.json`);
+    // Adds a world or moves it to another data center. Returns an error string or null.
+    setWorld(world, dataCenter, region, adminId) {
+        if (!REGISTRY_NAME_RE.test(world || '')) return 'Invalid world name';
+        if (!REGISTRY_NAME_RE.test(dataCenter || '')) return 'Invalid data center name';
+        if (!REGISTRY_REGION_RE.test(region || '')) return 'Invalid region';
+        const canonical = this.getWorld(world)?.world || Object.keys(DEFAULT_WORLDS).find(w => w.toLowerCase() === world.toLowerCase()) || world;
+        this.overrides.set(canonical, {
+            dataCenter: this.findDataCenter(dataCenter) || dataCenter,
+            region: this.findRegion(region) || region.toUpperCase(),
+            updatedBy: adminId,
+            updatedAt: new Date().toISOString()
+        });
+        this._rebuild();
+        this.save();
+        return null;
+    }
 
-        // Check if user is banned (blocks ALL uploads from this physical character)
-        if (moderationDB.isUserBanned(physicalCharacterName)) {
-            cleanupTempFile(req);
-            return res.status(403).json({ error: 'User has been banned from uploading profiles' });
+    removeWorld(world, adminId) {
+        const entry = this.getWorld(world);
+        if (!entry) return false;
+        if (DEFAULT_WORLDS[entry.world]) {
+            this.overrides.set(entry.world, { removed: true, updatedBy: adminId, updatedAt: new Date().toISOString() });
+        } else {
+            this.overrides.delete(entry.world);
         }
+        this._rebuild();
+        this.save();
+        return true;
+    }
+}
 
-        if (moderationDB.isProfileBanned(characterId)) {
-            cleanupTempFile(req);
-            return res.status(403).json({ error: 'Profile has been banned from the gallery' });
-        }
+// Initialize databases
+const likesDB = new LikesDatabase();
+const friendsDB = new FriendsDatabase();
+const announcementsDB = new AnnouncementsDatabase();
+const reportsDB = new ReportsDatabase();
+const moderationDB = new ModerationDatabase();
+const activityDB = new ActivityDatabase();
+const autoFlagDB = new AutoFlaggingDatabase();
+const tokensDB = new TokensDatabase();
+const adminsDB = new AdminAccountsDatabase();
+const apiKeysDB = new ApiKeysDatabase();
+const worldRegistry = new WorldRegistryDatabase();
 
-        await cleanupOldCharacterVersions(csCharacterName, physicalCharacterName, newFileName);
+// Flush debounced stores on shutdown so a redeploy doesn't drop the last pending writes
+function flushHotDbsSync() {
+    for (const db of [activityDB, tokensDB, apiKeysDB]) {
+        try { db.flushSync(); } catch (err) { console.error('Flush on shutdown failed:', err); }
+    }
+}
+process.on('SIGTERM', () => { flushHotDbsSync(); process.exit(0); });
+process.on('SIGINT', () => { flushHotDbsSync(); process.exit(0); });
 
-        // Handle rename migration: client sends previousKeys for any rename/alias/physical-name
-        // changes this character has been through. Migrate likes and clean up orphan files before
-        // writing the new profile so aggregate caches rebuild from a clean state.
-        if (req.body.previousKeys) {
-            try {
-                const previousKeys = JSON.parse(req.body.previousKeys);
-                await migrateFromPreviousKeys(previousKeys, characterId, physicalCharacterName);
-            } catch (e) {
-                console.error('[upload] invalid previousKeys payload:', e.message);
-            }
-        }
+// Periodically persist token lastSeen (kept off the hot upload path).
+setInterval(() => { if (tokensDB._dirty) tokensDB.save(); }, 10 * 60 * 1000).unref();
 
-        delete profile.LikeCount;
-        profile.LikeCount = likesDB.getLikeCount(characterId);
+// Diagnostic: logs when a synchronous operation stalls the event loop.
+let _elMonLast = Date.now();
+setInterval(() => {
+    const now = Date.now();
+    const lag = now - _elMonLast - 1000;
+    if (lag > 250) console.warn(`[event-loop] stalled ~${Math.round(lag)}ms`);
+    _elMonLast = now;
+}, 1000).unref();
 
-        // Check if this is a truly new profile (file doesn't exist on server)
-        const isNewProfile = !fs.existsSync(filePath);
+// Resolves the admin session from the Authorization header. Returns { account, session } or null.
+// Sessions are only accepted from the header, never the query string, so they don't end up in logs.
+function getAdminSession(req) {
+    const token = getBearerToken(req);
+    return token ? adminsDB.getSession(token) : null;
+}
 
-        if (req.file) {
-            const sanitizedBase = newFileName.replace(/[^\w@\-_.]/g, "_");
+function getBearerToken(req) {
+    const auth = req.headers['authorization'] || '';
+    return auth.startsWith('Bearer ') ? auth.substring(7).trim() : '';
+}
 
-            // Probe the source to decide the final extension. Images without alpha become JPEG
-            // (~88-95% smaller than equivalent PNG at q95). Images with alpha stay PNG to preserve
-            // transparency. If probing fails, fall back to the source's extension.
-            let targetExt = path.extname(req.file.originalname) || ".png";
-            if (sharp) {
-                try {
-                    const meta = await sharp(req.file.path, { failOn: "error" }).metadata();
-                    targetExt = meta.hasAlpha ? ".png" : ".jpg";
-                } catch (probeErr) {
-                    console.error(`[upload] metadata probe failed for ${sanitizedBase}: ${probeErr.message}`);
-                }
-            }
+// Any logged-in admin, with or without a second factor. Only for the auth/enrollment endpoints.
+function requireAdminLogin(req, res, next) {
+    const found = getAdminSession(req);
+    if (!found) {
+        return res.status(401).json({ error: 'Admin login required' });
+    }
 
-            const safeFileName = sanitizedBase + targetExt;
-            const finalImagePath = path.join(imagesDir, safeFileName);
+    // Attribution comes from the authenticated account, never from client-supplied headers
+    req.adminId = found.account.username;
+    req.adminRole = found.account.role;
+    req.adminSession = found.session;
+    // Not logging every auth to avoid log spam - admin actions are logged separately
+    next();
+}
 
-            // Move original into place first, guarantees we have something valid at the final path
-            // even if sharp fails. The optimizer then re-writes the file in place.
-            await safeFileMove(req.file.path, finalImagePath);
+// API key requests: the key must hold a scope for this route group, and acts with its creator's
+// current role (a disabled or demoted creator takes the key down with them).
+function authenticateApiKey(req, res, next, raw) {
+    const record = apiKeysDB.findActiveKey(raw);
+    if (!record) {
+        return res.status(401).json({ error: 'Invalid, expired or revoked API key' });
+    }
 
-            // Run the optimizer. On failure, the original at finalImagePath is untouched and served.
-            const optResult = await optimizeImage(finalImagePath, finalImagePath);
-            if (optResult.ok && !optResult.skipped) {
-                console.log(`[upload] optimized ${safeFileName}: ${optResult.originalSize} → ${optResult.newSize} bytes (${optResult.reduction})`);
-            } else if (optResult.ok && optResult.skipped) {
-                // Original already near-optimal, keep as-is (common for images that were already well-compressed)
-            } else {
-                console.error(`[upload] optimization failed for ${safeFileName}: ${optResult.error}, keeping original`);
-            }
+    const creator = adminsDB.getAccount(record.createdBy);
+    if (!creator || creator.disabled) {
+        return res.status(401).json({ error: 'API key owner is no longer active' });
+    }
 
-            // Clean up any stale file at the OTHER extension (e.g. a prior PNG upload being replaced
-            // by a JPEG after format conversion). Prevents orphan files from accumulating on re-upload.
-            const altExt = targetExt === ".jpg" ? ".png" : ".jpg";
-            const altPath = path.join(imagesDir, sanitizedBase + altExt);
-            if (fs.existsSync(altPath)) {
-                try { fs.unlinkSync(altPath); } catch (e) { /* ignore */ }
-            }
+    const group = getApiKeyScopeGroup(req.path);
+    const access = req.method === 'GET' ? 'read' : 'write';
+    if (!group || !apiKeysDB.hasScope(record, group, access)) {
+        return res.status(403).json({
+            error: `API key lacks scope for this route`,
+            requiredScope: group ? `${group}:${access}` : null
+        });
+    }
 
-            profile.ProfileImageUrl = `https://character-select-profile-server-production.up.railway.app/images/${safeFileName}`;
-        }
-
-        // Set CreatedAt only for truly new profiles (not updates to existing ones)
-        if (isNewProfile) {
-            profile.CreatedAt = new Date().toISOString();
-        }
-        profile.LastUpdated = new Date().toISOString();
-        profile.LastActiveTime = new Date().toISOString();
-
-        await atomicWriteProfile(filePath, profile);
-        // Don't invalidate galleryCache here - let it refresh on 30-min schedule to avoid constant rebuilds
-        // Incrementally update caches instead of full invalidation (scales better with 20k+ profiles)
-        updateNamesCacheEntry(physicalCharacterName, csCharacterName, profile.NameplateColor, profile.Sharing, profile.AllowOthersToSeeMyCSName);
-        updateProfilesLookupCacheEntry(physicalCharacterName, profile.Sharing);
-        indexUpsertProfile(characterId, physicalCharacterName, profile);
-
-        // Auto-flag check for problematic content
-        autoFlagDB.scanProfile(characterId, csCharacterName, profile.Bio, profile.GalleryStatus, profile.Tags);
-
-        // Log activity
-        activityDB.logActivity('upload', isNewProfile ? `NEW PROFILE: ${csCharacterName}` : `UPDATED PROFILE: ${csCharacterName}`, {
-            characterId,
-            characterName: csCharacterName,
-            server: extractServerFromName(physicalCharacterName),
-            hasImage: !!req.file
-        });
+    apiKeysDB.recordUse(record);
+    req.adminId = `${record.createdBy} (key: ${record.name})`;
+    req.adminRole = creator.role;
+    req.apiKey = record;
+    next();
+}
 
-        console.log(`✅ PUT updated profile: ${newFileName}.json (likes: ${profile.LikeCount})`);
-        res.json(profile);
-    } catch (error) {
-        cleanupTempFile(req);
-        console.error('PUT error:', error);
-        res.status(500).json({ error: 'Internal server error' });
+// Admin authentication middleware. Sessions without a verified second factor are read-only:
+// they can load dashboards and queues, but anything that changes state needs TOTP.
+function requireAdmin(req, res, next) {
+    const token = getBearerToken(req);
+    if (token.startsWith(API_KEY_PREFIX)) {
+        return authenticateApiKey(req, res, next, token);
     }
-});
 
-// Bulk delete by install token. Must register before the /upload/:name wildcard.
-app.delete("/upload/by-token", async (req, res) => {
-    try {
-        const token = req.headers['x-install-token'];
-        if (!token) {
-            return res.status(401).json({ error: 'Missing install token' });
+    requireAdminLogin(req, res, () => {
+        if (req.method !== 'GET' && !req.adminSession.secondFactor) {
+            return res.status(403).json({
+                error: 'Two-factor authentication required for this action',
+                twoFactorRequired: true
+            });
         }
+        next();
+    });
+}
 
-        const claimedSlots = tokensDB.listSlotsByToken(token);
-        if (claimedSlots.length === 0) {
-            return res.json({ deleted: [], skipped: [], message: 'No slots claimed by this token.' });
+// Owner-only routes: system settings, keyword management, announcements, admin accounts
+function requireOwner(req, res, next) {
+    requireAdmin(req, res, () => {
+        if (req.adminRole !== 'owner') {
+            return res.status(403).json({ error: 'Owner role required' });
         }
+        next();
+    });
+}
 
-        const deleted = [];
-        const skipped = [];
-        const affectedPhysicals = new Set();
-
-        for (const slot of claimedSlots) {
-            let files = [];
-            try {
-                const all = await fs.promises.readdir(profilesDir);
-                const suffix = `_${slot}.json`;
-                files = all.filter(f => f.endsWith(suffix) && !f.endsWith('_follows.json'));
-            } catch (e) {
-                console.error(`[delete-by-token] readdir failed for ${slot}: ${e.message}`);
-                skipped.push(slot);
-                continue;
-            }
+// Failed-login throttle per client IP + username, keeps password guessing slow without one
+// bad actor behind a shared proxy address locking every admin out
+const LOGIN_MAX_FAILURES = 5;
+const LOGIN_LOCKOUT_MS = 15 * 60 * 1000;
+const loginFailures = new Map(); // `${ip}|${username}` -> { count, lockedUntil, lastFailureAt }
 
-            for (const fileName of files) {
-                const fileKey = fileName.replace(/\.json$/, '');
-                const filePath = path.join(profilesDir, fileName);
-                try {
-                    if (likesDB.likes.has(fileKey)) likesDB.likes.delete(fileKey);
-                    if (likesDB.likeCounts.has(fileKey)) likesDB.likeCounts.delete(fileKey);
+function isLoginLocked(key) {
+    const entry = loginFailures.get(key);
+    return !!entry && entry.lockedUntil > Date.now();
+}
 
-                    try { fs.unlinkSync(filePath); } catch (e) { /* ignore */ }
+function recordLoginFailure(key) {
+    const entry = loginFailures.get(key) || { count: 0, lockedUntil: 0 };
+    entry.count++;
+    entry.lastFailureAt = Date.now();
+    if (entry.count >= LOGIN_MAX_FAILURES) {
+        entry.lockedUntil = Date.now() + LOGIN_LOCKOUT_MS;
+        entry.count = 0;
+    }
+    loginFailures.set(key, entry);
+}
 
-                    try {
-                        const sanitizedBase = fileKey.replace(/[^\w@\-_.]/g, "_");
-                        const imageFiles = fs.readdirSync(imagesDir);
-                        for (const f of imageFiles) {
-                            if (f === sanitizedBase || f.startsWith(sanitizedBase + '.')) {
-                                try { fs.unlinkSync(path.join(imagesDir, f)); } catch (e) { /* ignore */ }
-                            }
-                        }
-                    } catch (e) {
-                        console.error(`[delete-by-token] image cleanup error for ${fileKey}: ${e.message}`);
-                    }
+// Forget entries whose lockout has ended and that saw no failure for a whole lockout window
+setInterval(() => {
+    const now = Date.now();
+    for (const [key, entry] of loginFailures) {
+        if (entry.lockedUntil <= now && entry.lastFailureAt + LOGIN_LOCKOUT_MS <= now) loginFailures.delete(key);
+    }
+}, 10 * 60 * 1000).unref();
 
-                    deleted.push(fileKey);
-                    affectedPhysicals.add(slot);
+// Actions that only prove an existing claim. Uploads claim a free slot; these never do, so they
+// can't be used to squat other players' slots.
+const VERIFY_ONLY_SLOT_ACTIONS = new Set(['like']);
 
-                    try {
-                        activityDB.logActivity('delete', `BY-TOKEN DELETE: ${fileKey}`, {
-                            characterId: fileKey,
-                            tokenPrefix: token.substring(0, 8),
-                        });
-                    } catch (e) { /* activity log is best effort */ }
-                } catch (err) {
-                    console.error(`[delete-by-token] error deleting ${fileKey}: ${err.message}`);
-                    skipped.push(fileKey);
-                }
-            }
+// Returns { ok: true } or { ok: false, status, message }.
+function checkSlotAuth(req, slot, action = 'upload') {
+    const token = req.headers['x-install-token'];
+    const contentIdRaw = req.headers['x-character-contentid'];
+    const contentId = contentIdRaw && contentIdRaw !== '0' ? contentIdRaw : null;
 
-            try { tokensDB.releaseSlot(slot, token); } catch (e) { /* best effort */ }
-        }
+    if (!token) {
+        return { ok: false, status: 401, message: 'Missing install token. Update your CS+ plugin.' };
+    }
 
-        likesDB.save();
+    const result = VERIFY_ONLY_SLOT_ACTIONS.has(action)
+        ? tokensDB.verifyHeld(slot, token, contentId)
+        : tokensDB.verifyOrClaim(slot, token, contentId);
+    if (result.ok) return { ok: true };
 
-        if (deleted.length > 0) {
-            galleryCache = null;
-            allProfilesCache = null;
-            for (const phys of affectedPhysicals) {
-                if (namesCache) namesCache.delete(phys);
-                if (profilesLookupCache) profilesLookupCache.delete(phys);
-            }
-        }
+    if (result.reason === 'unclaimed') {
+        return {
+            ok: false,
+            status: 403,
+            message: 'This character has no profile from this installation yet. Upload its profile in CS+ first.',
+        };
+    }
 
-        console.log(`🗑️ By-token delete (token ${token.substring(0, 8)}): ${deleted.length} deleted across ${affectedPhysicals.size} slot(s), ${skipped.length} skipped`);
-        res.json({ deleted, skipped, slotsReleased: affectedPhysicals.size });
-    } catch (err) {
-        console.error('[delete-by-token] handler error:', err.message);
-        res.status(500).json({ error: 'Server error' });
+    if (result.reason === 'wrong_token' || result.reason === 'wrong_token_no_contentid') {
+        try {
+            activityDB.logActivity('auth', `BLOCKED ${action}: wrong token for ${slot}`, {
+                slot,
+                reason: result.reason,
+                tokenPrefix: token.substring(0, 8),
+                hasContentId: !!contentId,
+            });
+        } catch (e) { /* audit log is best effort */ }
+        return {
+            ok: false,
+            status: 403,
+            message: 'This profile slot is owned by a different installation. If this is your character, use Settings > Privacy > Request Reclaim in CS+.',
+        };
     }
-});
+    if (result.reason === 'contentid_required') {
+        try {
+            activityDB.logActivity('auth', `BLOCKED ${action}: no ContentId for ${slot}`, {
+                slot,
+                reason: result.reason,
+                tokenPrefix: token.substring(0, 8),
+            });
+        } catch (e) { /* audit log is best effort */ }
+        return {
+            ok: false,
+            status: 403,
+            message: 'This profile slot needs character verification. Log in to this character in game with an up-to-date CS+ and try again.',
+        };
+    }
+    return { ok: false, status: 403, message: 'Slot ownership verification failed.' };
+}
 
-// Client-initiated profile deletion. Used when a CS+ character is deleted locally so the
-// corresponding server file, image, likes, and cache entries are cleaned up too. The URL's :name
-// parameter reflects the user's current physical character (used for cache invalidation), and the
-// body carries the list of fileKeys to delete. Matches the trust model of the upload endpoint:
-// plugin auth only, no ownership verification, the server trusts clients to identify themselves
-// honestly (the existing upload endpoint has no stronger check either).
-app.delete("/upload/:name", async (req, res) => {
+// Helper functions (keeping all the existing ones)
+
+// Safe file move function that handles cross-device moves
+async function safeFileMove(sourcePath, destPath) {
     try {
-        const physicalCharacterName = decodeURIComponent(req.params.name);
-        const pluginAuth = req.headers['x-plugin-auth'];
-        if (pluginAuth !== 'cs-plus-gallery-client') {
-            return res.status(403).json({ error: 'Plugin auth required' });
+        // Try rename first (fastest)
+        await new Promise((resolve, reject) => {
+            fs.rename(sourcePath, destPath, (err) => {
+                if (err) reject(err);
+                else resolve();
+            });
+        });
+    } catch (err) {
+        if (err.code === 'EXDEV') {
+            // Cross-device link error, fall back to copy + delete
+            console.log('Cross-device move detected, using copy + delete');
+            await new Promise((resolve, reject) => {
+                fs.copyFile(sourcePath, destPath, (copyErr) => {
+                    if (copyErr) {
+                        reject(copyErr);
+                        return;
+                    }
+                    fs.unlink(sourcePath, (unlinkErr) => {
+                        if (unlinkErr) console.warn('Failed to delete temp file:', unlinkErr);
+                        resolve();
+                    });
+                });
+            });
+        } else {
+            throw err;
         }
+    }
+}
 
-        const authResult = checkSlotAuth(req, physicalCharacterName);
-        if (!authResult.ok) {
-            return res.status(authResult.status).json({ error: authResult.message });
-        }
+// ===============================
+// 🔒 ADMIN-LOCKED PROFILE FIELDS
+// ===============================
+// Uploads replace the whole profile file, so moderator decisions are kept in moderationDB instead
+// and re-applied to every upload. Each lock forces one field; lifting it leaves the profile as it
+// is until the owner's next upload sends their own value again. Fields with parseValue take the
+// forced value from the moderator (parseValue returns null for an invalid one).
+const PROFILE_LOCK_FIELDS = {
+    rating: {
+        label: 'Content rating',
+        parseValue: value => {
+            const level = parseContentRating(value);
+            return level === null ? null : CONTENT_RATINGS[level];
+        },
+        apply: (profile, lock) => setContentRating(profile, parseContentRating(lock.value))
+    },
+    hidden: {
+        // The gallery only lists ShowcasePublic profiles; AlwaysShare still shows to nearby players
+        label: 'Hidden from gallery',
+        apply: profile => {
+            if (profile.Sharing === 'ShowcasePublic' || profile.Sharing === 2) profile.Sharing = 'AlwaysShare';
+        }
+    },
+    bio: {
+        label: 'Bio cleared',
+        apply: profile => { profile.Bio = ''; }
+    }
+};
 
-        // fileKeys can arrive as either a single string or an array. Normalise.
-        let fileKeys = req.body.fileKeys;
-        if (typeof fileKeys === 'string') {
-            try { fileKeys = JSON.parse(fileKeys); } catch { fileKeys = [fileKeys]; }
-        }
-        if (!Array.isArray(fileKeys) || fileKeys.length === 0) {
-            return res.status(400).json({ error: 'Missing fileKeys' });
-        }
+// Applies the character's locks to a profile in place and returns the locked field names.
+function applyProfileLocks(characterId, profile) {
+    const locks = moderationDB.getProfileLocks(characterId);
+    const fields = Object.keys(locks).filter(f => PROFILE_LOCK_FIELDS[f]);
+    for (const field of fields) PROFILE_LOCK_FIELDS[field].apply(profile, locks[field]);
+    return fields;
+}
 
-        const deleted = [];
-        const skipped = [];
-        const affectedPhysicals = new Set();
+function describeProfileLocks(characterId) {
+    return Object.entries(moderationDB.getProfileLocks(characterId))
+        .filter(([field]) => PROFILE_LOCK_FIELDS[field])
+        .map(([field, lock]) => ({ field, label: PROFILE_LOCK_FIELDS[field].label, ...lock }));
+}
 
-        for (const fileKey of fileKeys) {
-            if (typeof fileKey !== 'string' || !fileKey) { skipped.push(fileKey); continue; }
-            // Sanity filter: valid fileKeys look like "{csName}_{physicalName}" with both parts.
-            if (!fileKey.includes('_') || !fileKey.includes('@')) { skipped.push(fileKey); continue; }
+// Writes an admin edit of a stored profile and refreshes the index and caches.
+async function saveModeratedProfile(characterId, filePath, profile) {
+    profile.LastUpdated = new Date().toISOString();
+    await atomicWriteProfile(filePath, profile);
+    const physicalName = extractPhysicalNameFromKey(characterId);
+    if (physicalName) indexUpsertProfile(characterId, physicalName, profile);
 
-            const filePath = path.join(profilesDir, `${fileKey}.json`);
-            if (!fs.existsSync(filePath)) { skipped.push(fileKey); continue; }
+    allProfilesCache = null;
+    invalidateNamesCache();
+    invalidateProfilesLookupCache();
+}
 
-            try { tokensDB.releaseSlot(physicalCharacterName, req.headers['x-install-token'] || ''); } catch (e) { /* best effort */ }
+async function cleanupOldCharacterVersions(csCharacterName, physicalCharacterName, newFileName) {
+    try {
+        // Find old versions via the index, not a full profiles-dir scan.
+        const oldRows = stmtIndexFindOldVersions.all(physicalCharacterName, csCharacterName, newFileName);
+        if (oldRows.length === 0) return;
 
-            try {
-                // Remove likes
-                if (likesDB.likes.has(fileKey)) likesDB.likes.delete(fileKey);
-                if (likesDB.likeCounts.has(fileKey)) {
-                    likesDB.likeCounts.delete(fileKey);
-                }
-                likesDB.save();
+        for (const { characterId } of oldRows) {
+            moderationDB.migrateProfileLocks(characterId, newFileName);
+            try { await fs.promises.unlink(path.join(profilesDir, `${characterId}.json`)); }
+            catch (err) { /* already gone */ }
+            indexDeleteProfile(characterId);
+        }
 
-                // Remove profile JSON
-                try { fs.unlinkSync(filePath); } catch (e) { /* ignore */ }
+        allProfilesCache = null;
+    } catch (cleanupErr) {
+        console.error('Error during cleanup:', cleanupErr.message);
+    }
+}
 
-                // Remove associated image files (any extension)
-                try {
-                    const sanitizedBase = fileKey.replace(/[^\w@\-_.]/g, "_");
-                    const imageFiles = fs.readdirSync(imagesDir);
-                    for (const f of imageFiles) {
-                        if (f === sanitizedBase || f.startsWith(sanitizedBase + '.')) {
-                            try { fs.unlinkSync(path.join(imagesDir, f)); } catch (e) { /* ignore */ }
-                        }
-                    }
-                } catch (e) {
-                    console.error(`[delete] image cleanup error for ${fileKey}:`, e.message);
-                }
+// Extracts the physical name ("Name@Server") from a fileKey of the form "{sanitizedCsName}_{physicalName}".
+// The CS+ sanitized name can itself contain underscores, so we anchor on the '@' in the physical name
+// and walk backwards to the nearest underscore, that's the separator between csName and physicalName.
+function extractPhysicalNameFromKey(key) {
+    if (typeof key !== 'string' || !key) return null;
+    const atIdx = key.indexOf('@');
+    if (atIdx < 0) return null;
+    const beforeAt = key.substring(0, atIdx);
+    const sep = beforeAt.lastIndexOf('_');
+    if (sep < 0) return null;
+    return key.substring(sep + 1);
+}
+
+// Process a list of previous fileKeys the client sent with an upload: delete the old profile JSON +
+// image, migrate likes (union by liker) into the new characterId, and clean up cached state. Runs
+// BEFORE the new profile is written so the new upload's caches are rebuilt from the correct state.
+async function migrateFromPreviousKeys(previousKeys, newCharacterId, newPhysicalName) {
+    if (!Array.isArray(previousKeys) || previousKeys.length === 0) return 0;
+
+    let migratedCount = 0;
+    let cacheDirty = false;
+
+    for (const oldKey of previousKeys) {
+        if (typeof oldKey !== 'string' || !oldKey) continue;
+        if (oldKey === newCharacterId) continue; // No-op self migration
+        // Must look like a valid fileKey ("{csName}_{physicalName}")
+        if (!oldKey.includes('_') || !oldKey.includes('@')) continue;
+
+        const oldFilePath = path.join(profilesDir, `${oldKey}.json`);
+        if (!fs.existsSync(oldFilePath)) continue; // Already migrated or never existed
+
+        try {
+            // Migrate likes first (union by liker, safe if already migrated)
+            const addedLikes = likesDB.migrateLikes(oldKey, newCharacterId);
+            moderationDB.migrateProfileLocks(oldKey, newCharacterId);
+
+            // Delete old profile JSON
+            try { fs.unlinkSync(oldFilePath); } catch (e) { /* ignore */ }
+            indexDeleteProfile(oldKey);
+
+            // Delete associated image files (handles multiple extensions)
+            try {
+                deleteProfileImageFiles(oldKey.replace(/[^\w@\-_.]/g, "_"));
+            } catch (e) {
+                console.error(`[migrate] image cleanup error for ${oldKey}:`, e.message);
+            }
+
+            // If the old key was for a different physical name (physical rename), remove its cache entries
+            const oldPhysicalName = extractPhysicalNameFromKey(oldKey);
+            if (oldPhysicalName && oldPhysicalName !== newPhysicalName) {
+                if (namesCache) namesCache.delete(oldPhysicalName);
+                if (profilesLookupCache) profilesLookupCache.delete(oldPhysicalName);
+            }
+
+            cacheDirty = true;
+            migratedCount++;
+            console.log(`[migrate] ${oldKey} → ${newCharacterId} (+${addedLikes} likes)`);
+
+            try {
+                activityDB.logActivity('migrate', `RENAME: ${oldKey} → ${newCharacterId}`, {
+                    oldCharacterId: oldKey,
+                    newCharacterId: newCharacterId,
+                    physicalCharacterName: newPhysicalName,
+                    migratedLikes: addedLikes
+                });
+            } catch (e) { /* activityDB optional */ }
+        } catch (err) {
+            console.error(`[migrate] error migrating ${oldKey}:`, err.message);
+        }
+    }
+
+    if (cacheDirty) {
+        allProfilesCache = null;
+    }
+
+    return migratedCount;
+}
+
+async function atomicWriteProfile(filePath, profile) {
+    const tempPath = filePath + '.tmp';
+    const backupPath = filePath + '.backup';
+    
+    try {
+        // Create backup if original exists
+        if (fs.existsSync(filePath)) {
+            fs.copyFileSync(filePath, backupPath);
+        }
+        
+        // Write directly using synchronous method to avoid temp file conflicts
+        const jsonString = JSON.stringify(profile, null, 2);
+        fs.writeFileSync(tempPath, jsonString, 'utf-8');
+        
+        // Atomic rename
+        fs.renameSync(tempPath, filePath);
+        
+    } catch (error) {
+        // Clean up temp file if it exists
+        if (fs.existsSync(tempPath)) {
+            try {
+                fs.unlinkSync(tempPath);
+            } catch (cleanupErr) {
+                console.warn('Failed to cleanup temp file:', cleanupErr);
+            }
+        }
+        throw error;
+    }
+}
+
+function sanitizeGalleryData(profiles) {
+    return profiles.map(profile => ({
+        CharacterId: generateSafeId(profile.CharacterName, profile.CharacterId),
+        CharacterName: profile.CharacterName,
+        Server: "Gallery",
+        ProfileImageUrl: null,
+        Tags: profile.Tags,
+        Bio: profile.Bio,
+        GalleryStatus: profile.GalleryStatus,
+        Race: profile.Race,
+        Pronouns: profile.Pronouns,
+        Links: profile.Links,
+        LikeCount: profile.LikeCount,
+        LastUpdated: profile.LastUpdated,
+        ImageZoom: profile.ImageZoom,
+        ImageOffset: profile.ImageOffset,
+        IsNSFW: profile.IsNSFW || false, // Include NSFW flag for client filtering
+        ContentRating: profile.ContentRating || CONTENT_RATINGS[profileRatingLevel(profile)]
+    }));
+}
+
+// Profile image URLs are stored host-relative ("/images/<file>") and expanded when a response is
+// built, so a domain move or a staging instance never needs stored profiles rewritten.
+// Hosts this server has ever handed out image URLs under; absolute URLs on them are stored relative
+const LEGACY_IMAGE_HOSTS = [new URL(LEGACY_PUBLIC_BASE_URL).host];
+
+// Only development falls back to the request's own origin (see PUBLIC_BASE_URL)
+function publicBaseUrl(req) {
+    return PUBLIC_BASE_URL || `${req.protocol}://${req.get('host')}`;
+}
+
+// Storage form of an image URL: our own URLs (clients echo back what they were served) become
+// "/images/<file>", including signed "/nsfw-images/<file>?expires&sig" links, whose query is
+// dropped; external URLs and anything else pass through untouched.
+function toStoredImageUrl(url, req) {
+    if (typeof url !== 'string') return url;
+    const absolute = /^https?:\/\//i.test(url);
+    if (!absolute && (!url.startsWith('/') || url.startsWith('//'))) return url;
+    const ownHosts = new Set(LEGACY_IMAGE_HOSTS);
+    if (PUBLIC_BASE_HOST) ownHosts.add(PUBLIC_BASE_HOST);
+    if (!PUBLIC_BASE_URL && req && req.get('host')) ownHosts.add(req.get('host').toLowerCase());
+    try {
+        const parsed = new URL(url, 'http://relative.invalid');
+        if (absolute && !ownHosts.has(parsed.host)) return url;
+        if (parsed.pathname.startsWith('/images/')) return parsed.pathname;
+        if (parsed.pathname.startsWith('/nsfw-images/')) return '/images/' + parsed.pathname.substring('/nsfw-images/'.length);
+    } catch (e) { /* not a URL we issued */ }
+    return url;
+}
+
+// Copies of the given profiles with host-relative image URLs (ProfileImageUrl, every
+// ProfileImageVariants entry and ProfileImageRenders) made absolute for this request. Images of
+// IsNSFW profiles become signed /nsfw-images links when `nsfw` is set (the client opted in, or is an
+// admin), with ProfileImageUrlExpiresAt saying when to fetch fresh ones, and are dropped otherwise.
+function withPublicImageUrls(req, profiles, { nsfw = false } = {}) {
+    const base = publicBaseUrl(req);
+    const expandPublic = url => typeof url === 'string' && url.startsWith('/') ? base + url : url;
+    return profiles.map(profile => {
+        if (!profile.ProfileImageUrl && !profile.ProfileImageVariants && !profile.ProfileImageRenders) return profile;
+        let expand = expandPublic;
+        let expiresAt = null;
+        if (profile.IsNSFW) {
+            if (!nsfw) return { ...profile, ProfileImageUrl: null, ProfileImageVariants: null, ProfileImageRenders: null };
+            expand = url => {
+                const fileName = localImageFileName(url);
+                if (!fileName) return expandPublic(url);
+                const link = signedImageLink(fileName);
+                expiresAt = link.expires;
+                return base + link.url;
+            };
+        }
+        const expanded = { ...profile, ProfileImageUrl: expand(profile.ProfileImageUrl) };
+        if (profile.ProfileImageRenders) {
+            expanded.ProfileImageRenders = {};
+            for (const [kind, url] of Object.entries(profile.ProfileImageRenders)) expanded.ProfileImageRenders[kind] = expand(url);
+        }
+        if (profile.ProfileImageVariants) {
+            expanded.ProfileImageVariants = {};
+            for (const [key, formats] of Object.entries(profile.ProfileImageVariants)) {
+                expanded.ProfileImageVariants[key] = {};
+                for (const [fmt, url] of Object.entries(formats)) expanded.ProfileImageVariants[key][fmt] = expand(url);
+            }
+        }
+        if (expiresAt) expanded.ProfileImageUrlExpiresAt = new Date(expiresAt * 1000).toISOString();
+        return expanded;
+    });
+}
+
+function withPublicImageUrl(req, profile, options) {
+    return withPublicImageUrls(req, [profile], options)[0];
+}
+
+function sanitizeProfileResponse(profile) {
+    const sanitized = { ...profile };
+    delete sanitized.CustomImagePath;
+    return sanitized;
+}
+
+function generateSafeId(characterName, originalId) {
+    return characterName.toLowerCase().replace(/\s+/g, '_') + '_' + 
+           crypto.createHash('md5').update(originalId).digest('hex').substring(0, 8);
+}
+
+const readProfileAsync = (filePath) => {
+    return new Promise((resolve, reject) => {
+        fs.readFile(filePath, 'utf-8', (err, data) => {
+            if (err) {
+                reject(err);
+                return;
+            }
+            
+            if (!data || data.trim().length === 0) {
+                reject(new Error(`Profile file is empty: ${filePath}`));
+                return;
+            }
+            
+            try {
+                const parsed = JSON.parse(data);
+                resolve(parsed);
+            } catch (parseError) {
+                console.error(`[Error] Invalid JSON in file ${filePath}:`, parseError.message);
+                fs.unlink(filePath, (unlinkErr) => {
+                    if (!unlinkErr) {
+                        console.log(`[Recovery] Deleted corrupted file: ${filePath}`);
+                    }
+                });
+                reject(new Error(`Invalid JSON in profile file: ${filePath}`));
+            }
+        });
+    });
+};
+
+const writeProfileAsync = (filePath, data) => {
+    return new Promise((resolve, reject) => {
+        let jsonString;
+        try {
+            jsonString = JSON.stringify(data, null, 2);
+        } catch (stringifyError) {
+            reject(stringifyError);
+            return;
+        }
+        
+        if (filePath.includes(' ')) {
+            fs.writeFile(filePath, jsonString, 'utf-8', (writeErr) => {
+                if (writeErr) reject(writeErr);
+                else resolve();
+            });
+            return;
+        }
+        
+        const tempPath = filePath + '.tmp';
+        
+        fs.writeFile(tempPath, jsonString, 'utf-8', (writeErr) => {
+            if (writeErr) {
+                reject(writeErr);
+                return;
+            }
+            
+            fs.rename(tempPath, filePath, (renameErr) => {
+                if (renameErr) {
+                    fs.unlink(tempPath, () => {});
+                    reject(renameErr);
+                    return;
+                }
+                resolve();
+            });
+        });
+    });
+};
+
+const isValidProfile = (profile) => {
+    return profile && 
+           typeof profile === 'object' && 
+           typeof profile.CharacterName === 'string' &&
+           profile.CharacterName.length > 0;
+};
+
+function extractServerFromName(characterName) {
+    const parts = characterName.split('@');
+    return parts.length > 1 ? parts[1] : 'Unknown';
+}
+
+// Uploads from worlds missing from the registry (new data centers, CN/KR worlds) are accepted and
+// indexed with no data center or region. Each such world is logged once per run for admins to file.
+const reportedUnknownWorlds = new Set();
+function noteUnknownWorld(physicalName) {
+    const world = extractServerFromName(physicalName);
+    if (worldRegistry.isKnownWorld(world) || reportedUnknownWorlds.has(world.toLowerCase())) return;
+    reportedUnknownWorlds.add(world.toLowerCase());
+    activityDB.logActivity('worlds', `UNKNOWN WORLD: ${world}`, { world, physicalName });
+    console.log(`🌍 Upload from unregistered world ${world} (${physicalName})`);
+}
+
+// =============================================================================
+// 🖥️ ADMIN DASHBOARD - Served from admin-panel.html
+// =============================================================================
+
+// Cache the admin panel HTML at startup for performance
+let adminPanelHtml = null;
+try {
+    adminPanelHtml = fs.readFileSync(path.join(__dirname, 'admin-panel.html'), 'utf8');
+    console.log('✅ Admin panel loaded from admin-panel.html');
+} catch (err) {
+    console.error('⚠️ Could not load admin-panel.html:', err.message);
+}
+
+app.get("/admin", (req, res) => {
+    if (adminPanelHtml) {
+        res.send(adminPanelHtml);
+    } else {
+        res.status(500).send('Admin panel not available. Please ensure admin-panel.html exists.');
+    }
+});
+
+// LEGACY EMBEDDED HTML REMOVED - Now served from admin-panel.html
+// Original HTML started here:
+// <!DOCTYPE html>
+// <html lang="en">
+// <head>
+//     <meta charset="UTF-8">
+// ... (3000+ lines of embedded HTML removed)
+// Old route handler also removed - new handler above reads from file
+// =============================================================================
+// ALL YOUR EXISTING ENDPOINTS (keeping them exactly the same)
+// =============================================================================
+
+// Health check
+app.get("/health", (req, res) => {
+    res.status(200).json({ 
+        status: "healthy", 
+        timestamp: new Date().toISOString(),
+        uptime: process.uptime()
+    });
+});
+
+// Clean up multer temp file if it exists
+function cleanupTempFile(req) {
+    if (req.file && req.file.path) {
+        fs.unlink(req.file.path, () => {});
+    }
+}
+
+// Upload endpoints (keeping all existing logic)
+app.post("/upload/:name", upload.single("image"), async (req, res) => {
+    try {
+        const physicalCharacterName = decodeURIComponent(req.params.name);
+        const profileJson = req.body.profile;
+
+        const authResult = checkSlotAuth(req, physicalCharacterName);
+        if (!authResult.ok) {
+            cleanupTempFile(req);
+            return res.status(authResult.status).json({ error: authResult.message });
+        }
+
+        if (!profileJson) {
+            cleanupTempFile(req);
+            return res.status(400).send("Missing profile data.");
+        }
+
+        let profile;
+        try {
+            profile = JSON.parse(profileJson);
+        } catch (err) {
+            cleanupTempFile(req);
+            return res.status(400).send("Invalid profile JSON.");
+        }
+
+        const csCharacterName = profile.CharacterName;
+        if (!csCharacterName) {
+            cleanupTempFile(req);
+            return res.status(400).send("Missing CharacterName in profile data.");
+        }
+
+        const sanitizedCSName = csCharacterName.replace(/[^\w\s\-.']/g, "_");
+        const newFileName = `${sanitizedCSName}_${physicalCharacterName}`;
+        const characterId = newFileName;
+        const filePath = path.join(profilesDir, `${newFileName}.json`);
+
+        // Check if user is banned (blocks ALL uploads from this physical character)
+        if (moderationDB.isUserBanned(physicalCharacterName)) {
+            cleanupTempFile(req);
+            return res.status(403).json({ error: 'User has been banned from uploading profiles' });
+        }
+
+        if (moderationDB.isProfileBanned(characterId)) {
+            cleanupTempFile(req);
+            return res.status(403).json({ error: 'Profile has been banned from the gallery' });
+        }
+
+        // Validate the image before anything is migrated, cleaned up or stored
+        let intake = null;
+        if (req.file) {
+            intake = await inspectUploadedImage(req.file, characterId);
+            if (!intake.ok) {
+                cleanupTempFile(req);
+                return sendImageRejection(res, intake);
+            }
+        }
+
+        await cleanupOldCharacterVersions(csCharacterName, physicalCharacterName, newFileName);
+
+        // Handle rename migration: client sends previousKeys for any rename/alias/physical-name
+        // changes this character has been through. Migrate likes and clean up orphan files before
+        // writing the new profile so aggregate caches rebuild from a clean state.
+        if (req.body.previousKeys) {
+            try {
+                const previousKeys = JSON.parse(req.body.previousKeys);
+                await migrateFromPreviousKeys(previousKeys, characterId, physicalCharacterName);
+            } catch (e) {
+                console.error('[upload] invalid previousKeys payload:', e.message);
+            }
+        }
+
+        // LikeCount is derived from the likes store; never persist it in the profile file
+        delete profile.LikeCount;
+
+        // The owner's declared rating (older clients only send IsNSFW), then moderator locks, which
+        // override whatever the client sent for those fields
+        setContentRating(profile, profileRatingLevel(profile));
+        applyProfileLocks(characterId, profile);
+
+        // Check if this is a truly new profile (file doesn't exist on server)
+        const isNewProfile = !fs.existsSync(filePath);
+
+        // A new image is served as uploaded until the image queue has optimized it
+        const imageBase = newFileName.replace(/[^\w@\-_.]/g, "_");
+        let storedImage = null;
+        if (req.file) {
+            storedImage = await storeProfileImage(req.file, imageBase, intake);
+            profile.ProfileImageUrl = `/images/${storedImage}`;
+        } else {
+            profile.ProfileImageUrl = resolveEchoedImageUrl(toStoredImageUrl(profile.ProfileImageUrl, req), imageBase, filePath);
+        }
+        if (storedImage || isImageJobPending(localImageFileName(profile.ProfileImageUrl))) {
+            profile.ProfileImageVariants = null;
+            profile.ProfileImageRenders = null;
+        } else {
+            profile.ProfileImageVariants = profileImageVariants(profile.ProfileImageUrl);
+            await syncProfileRenders(imageBase, profile);
+        }
+
+        // Set CreatedAt only for truly new profiles (not updates to existing ones)
+        if (isNewProfile) {
+            profile.CreatedAt = new Date().toISOString();
+        }
+        profile.LastUpdated = new Date().toISOString();
+        profile.LastActiveTime = new Date().toISOString();
+
+        await atomicWriteProfile(filePath, profile);
+        // Incrementally update caches instead of full invalidation (scales better with 20k+ profiles)
+        updateNamesCacheEntry(physicalCharacterName, csCharacterName, profile.NameplateColor, profile.Sharing, profile.AllowOthersToSeeMyCSName);
+        updateProfilesLookupCacheEntry(physicalCharacterName, profile.Sharing);
+        indexUpsertProfile(characterId, physicalCharacterName, profile);
+        noteUnknownWorld(physicalCharacterName);
+        if (storedImage) enqueueProfileImage(characterId, physicalCharacterName, storedImage);
+
+        // Auto-flag check for problematic content
+        autoFlagDB.scanProfile(characterId, csCharacterName, profile.Bio, profile.GalleryStatus, profile.Tags);
+
+        // Log activity
+        activityDB.logActivity('upload', `NEW PROFILE: ${csCharacterName}`, {
+            characterId,
+            characterName: csCharacterName,
+            server: extractServerFromName(physicalCharacterName),
+            hasImage: !!req.file
+        });
+
+        profile.LikeCount = likesDB.getLikeCount(characterId);
+        console.log(`✅ Saved profile: ${newFileName}.json (likes: ${profile.LikeCount})`);
+        res.json(withPublicImageUrl(req, profile, { nsfw: true }));
+    } catch (error) {
+        cleanupTempFile(req);
+        console.error('Upload error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+app.put("/upload/:name", upload.single("image"), async (req, res) => {
+    try {
+        const physicalCharacterName = decodeURIComponent(req.params.name);
+        const profileJson = req.body.profile;
+
+        const authResult = checkSlotAuth(req, physicalCharacterName);
+        if (!authResult.ok) {
+            cleanupTempFile(req);
+            return res.status(authResult.status).json({ error: authResult.message });
+        }
+
+        if (!profileJson) {
+            cleanupTempFile(req);
+            return res.status(400).send("Missing profile data.");
+        }
+
+        let profile;
+        try {
+            profile = JSON.parse(profileJson);
+        } catch (err) {
+            cleanupTempFile(req);
+            return res.status(400).send("Invalid profile JSON.");
+        }
+
+        const csCharacterName = profile.CharacterName;
+        if (!csCharacterName) {
+            cleanupTempFile(req);
+            return res.status(400).send("Missing CharacterName in profile data.");
+        }
+
+        const sanitizedCSName = csCharacterName.replace(/[^\w\s\-.']/g, "_");
+        const newFileName = `${sanitizedCSName}_${physicalCharacterName}`;
+        const characterId = newFileName;
+        const filePath = path.join(profilesDir, `${newFileName}.json`);
+
+        // Check if user is banned (blocks ALL uploads from this physical character)
+        if (moderationDB.isUserBanned(physicalCharacterName)) {
+            cleanupTempFile(req);
+            return res.status(403).json({ error: 'User has been banned from uploading profiles' });
+        }
+
+        if (moderationDB.isProfileBanned(characterId)) {
+            cleanupTempFile(req);
+            return res.status(403).json({ error: 'Profile has been banned from the gallery' });
+        }
+
+        // Validate the image before anything is migrated, cleaned up or stored
+        let intake = null;
+        if (req.file) {
+            intake = await inspectUploadedImage(req.file, characterId);
+            if (!intake.ok) {
+                cleanupTempFile(req);
+                return sendImageRejection(res, intake);
+            }
+        }
+
+        await cleanupOldCharacterVersions(csCharacterName, physicalCharacterName, newFileName);
+
+        // Handle rename migration: client sends previousKeys for any rename/alias/physical-name
+        // changes this character has been through. Migrate likes and clean up orphan files before
+        // writing the new profile so aggregate caches rebuild from a clean state.
+        if (req.body.previousKeys) {
+            try {
+                const previousKeys = JSON.parse(req.body.previousKeys);
+                await migrateFromPreviousKeys(previousKeys, characterId, physicalCharacterName);
+            } catch (e) {
+                console.error('[upload] invalid previousKeys payload:', e.message);
+            }
+        }
+
+        // LikeCount is derived from the likes store; never persist it in the profile file
+        delete profile.LikeCount;
+
+        // The owner's declared rating (older clients only send IsNSFW), then moderator locks, which
+        // override whatever the client sent for those fields
+        setContentRating(profile, profileRatingLevel(profile));
+        applyProfileLocks(characterId, profile);
+
+        // Check if this is a truly new profile (file doesn't exist on server)
+        const isNewProfile = !fs.existsSync(filePath);
+
+        // A new image is served as uploaded until the image queue has optimized it
+        const imageBase = newFileName.replace(/[^\w@\-_.]/g, "_");
+        let storedImage = null;
+        if (req.file) {
+            storedImage = await storeProfileImage(req.file, imageBase, intake);
+            profile.ProfileImageUrl = `/images/${storedImage}`;
+        } else {
+            profile.ProfileImageUrl = resolveEchoedImageUrl(toStoredImageUrl(profile.ProfileImageUrl, req), imageBase, filePath);
+        }
+        if (storedImage || isImageJobPending(localImageFileName(profile.ProfileImageUrl))) {
+            profile.ProfileImageVariants = null;
+            profile.ProfileImageRenders = null;
+        } else {
+            profile.ProfileImageVariants = profileImageVariants(profile.ProfileImageUrl);
+            await syncProfileRenders(imageBase, profile);
+        }
+
+        // Set CreatedAt only for truly new profiles (not updates to existing ones)
+        if (isNewProfile) {
+            profile.CreatedAt = new Date().toISOString();
+        }
+        profile.LastUpdated = new Date().toISOString();
+        profile.LastActiveTime = new Date().toISOString();
+
+        await atomicWriteProfile(filePath, profile);
+        // Incrementally update caches instead of full invalidation (scales better with 20k+ profiles)
+        updateNamesCacheEntry(physicalCharacterName, csCharacterName, profile.NameplateColor, profile.Sharing, profile.AllowOthersToSeeMyCSName);
+        updateProfilesLookupCacheEntry(physicalCharacterName, profile.Sharing);
+        indexUpsertProfile(characterId, physicalCharacterName, profile);
+        noteUnknownWorld(physicalCharacterName);
+        if (storedImage) enqueueProfileImage(characterId, physicalCharacterName, storedImage);
+
+        // Auto-flag check for problematic content
+        autoFlagDB.scanProfile(characterId, csCharacterName, profile.Bio, profile.GalleryStatus, profile.Tags);
+
+        // Log activity
+        activityDB.logActivity('upload', isNewProfile ? `NEW PROFILE: ${csCharacterName}` : `UPDATED PROFILE: ${csCharacterName}`, {
+            characterId,
+            characterName: csCharacterName,
+            server: extractServerFromName(physicalCharacterName),
+            hasImage: !!req.file
+        });
+
+        profile.LikeCount = likesDB.getLikeCount(characterId);
+        console.log(`✅ PUT updated profile: ${newFileName}.json (likes: ${profile.LikeCount})`);
+        res.json(withPublicImageUrl(req, profile, { nsfw: true }));
+    } catch (error) {
+        cleanupTempFile(req);
+        console.error('PUT error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Bulk delete by install token. Must register before the /upload/:name wildcard.
+app.delete("/upload/by-token", async (req, res) => {
+    try {
+        const token = req.headers['x-install-token'];
+        if (!token) {
+            return res.status(401).json({ error: 'Missing install token' });
+        }
+
+        const claimedSlots = tokensDB.listSlotsByToken(token);
+        if (claimedSlots.length === 0) {
+            return res.json({ deleted: [], skipped: [], message: 'No slots claimed by this token.' });
+        }
+
+        const deleted = [];
+        const skipped = [];
+        const affectedPhysicals = new Set();
+
+        for (const slot of claimedSlots) {
+            let files = [];
+            try {
+                const all = await fs.promises.readdir(profilesDir);
+                const suffix = `_${slot}.json`;
+                files = all.filter(f => f.endsWith(suffix) && !f.endsWith('_follows.json'));
+            } catch (e) {
+                console.error(`[delete-by-token] readdir failed for ${slot}: ${e.message}`);
+                skipped.push(slot);
+                continue;
+            }
+
+            for (const fileName of files) {
+                const fileKey = fileName.replace(/\.json$/, '');
+                const filePath = path.join(profilesDir, fileName);
+                try {
+                    likesDB.deleteLikes(fileKey);
+
+                    try { fs.unlinkSync(filePath); } catch (e) { /* ignore */ }
+                    indexDeleteProfile(fileKey);
+
+                    try {
+                        deleteProfileImageFiles(fileKey.replace(/[^\w@\-_.]/g, "_"));
+                    } catch (e) {
+                        console.error(`[delete-by-token] image cleanup error for ${fileKey}: ${e.message}`);
+                    }
+
+                    deleted.push(fileKey);
+                    affectedPhysicals.add(slot);
+
+                    try {
+                        activityDB.logActivity('delete', `BY-TOKEN DELETE: ${fileKey}`, {
+                            characterId: fileKey,
+                            tokenPrefix: token.substring(0, 8),
+                        });
+                    } catch (e) { /* activity log is best effort */ }
+                } catch (err) {
+                    console.error(`[delete-by-token] error deleting ${fileKey}: ${err.message}`);
+                    skipped.push(fileKey);
+                }
+            }
+
+            try { tokensDB.releaseSlot(slot, token); } catch (e) { /* best effort */ }
+        }
+
+        if (deleted.length > 0) {
+            allProfilesCache = null;
+            for (const phys of affectedPhysicals) {
+                if (namesCache) namesCache.delete(phys);
+                if (profilesLookupCache) profilesLookupCache.delete(phys);
+            }
+        }
+
+        console.log(`🗑️ By-token delete (token ${token.substring(0, 8)}): ${deleted.length} deleted across ${affectedPhysicals.size} slot(s), ${skipped.length} skipped`);
+        res.json({ deleted, skipped, slotsReleased: affectedPhysicals.size });
+    } catch (err) {
+        console.error('[delete-by-token] handler error:', err.message);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Client-initiated profile deletion. Used when a CS+ character is deleted locally so the
+// corresponding server file, image, likes, and cache entries are cleaned up too. The URL's :name
+// parameter reflects the user's current physical character (used for cache invalidation), and the
+// body carries the list of fileKeys to delete. Matches the trust model of the upload endpoint:
+// plugin auth only, no ownership verification, the server trusts clients to identify themselves
+// honestly (the existing upload endpoint has no stronger check either).
+app.delete("/upload/:name", async (req, res) => {
+    try {
+        const physicalCharacterName = decodeURIComponent(req.params.name);
+        const pluginAuth = req.headers['x-plugin-auth'];
+        if (pluginAuth !== 'cs-plus-gallery-client') {
+            return res.status(403).json({ error: 'Plugin auth required' });
+        }
+
+        const authResult = checkSlotAuth(req, physicalCharacterName);
+        if (!authResult.ok) {
+            return res.status(authResult.status).json({ error: authResult.message });
+        }
+
+        // fileKeys can arrive as either a single string or an array. Normalise.
+        let fileKeys = req.body.fileKeys;
+        if (typeof fileKeys === 'string') {
+            try { fileKeys = JSON.parse(fileKeys); } catch { fileKeys = [fileKeys]; }
+        }
+        if (!Array.isArray(fileKeys) || fileKeys.length === 0) {
+            return res.status(400).json({ error: 'Missing fileKeys' });
+        }
+
+        const deleted = [];
+        const skipped = [];
+        const affectedPhysicals = new Set();
+
+        for (const fileKey of fileKeys) {
+            if (typeof fileKey !== 'string' || !fileKey) { skipped.push(fileKey); continue; }
+            // Sanity filter: valid fileKeys look like "{csName}_{physicalName}" with both parts.
+            if (!fileKey.includes('_') || !fileKey.includes('@')) { skipped.push(fileKey); continue; }
+
+            const filePath = path.join(profilesDir, `${fileKey}.json`);
+            if (!fs.existsSync(filePath)) { skipped.push(fileKey); continue; }
+
+            try { tokensDB.releaseSlot(physicalCharacterName, req.headers['x-install-token'] || ''); } catch (e) { /* best effort */ }
+
+            try {
+                // Remove likes
+                likesDB.deleteLikes(fileKey);
+
+                // Remove profile JSON
+                try { fs.unlinkSync(filePath); } catch (e) { /* ignore */ }
+                indexDeleteProfile(fileKey);
+
+                // Remove associated image files (any extension)
+                try {
+                    deleteProfileImageFiles(fileKey.replace(/[^\w@\-_.]/g, "_"));
+                } catch (e) {
+                    console.error(`[delete] image cleanup error for ${fileKey}:`, e.message);
+                }
 
                 deleted.push(fileKey);
 
-                // Track which physical name this key belonged to for targeted cache cleanup.
-                const keyPhysical = extractPhysicalNameFromKey(fileKey);
-                if (keyPhysical) affectedPhysicals.add(keyPhysical);
+                // Track which physical name this key belonged to for targeted cache cleanup.
+                const keyPhysical = extractPhysicalNameFromKey(fileKey);
+                if (keyPhysical) affectedPhysicals.add(keyPhysical);
+
+                try {
+                    activityDB.logActivity('delete', `CLIENT DELETE: ${fileKey}`, {
+                        characterId: fileKey,
+                        physicalCharacterName
+                    });
+                } catch (e) { /* activityDB optional */ }
+            } catch (err) {
+                console.error(`[delete] error deleting ${fileKey}:`, err.message);
+                skipped.push(fileKey);
+            }
+        }
+
+        if (deleted.length > 0) {
+            // Invalidate aggregate caches and targeted caches for every affected physical name
+            allProfilesCache = null;
+            for (const phys of affectedPhysicals) {
+                if (namesCache) namesCache.delete(phys);
+                if (profilesLookupCache) profilesLookupCache.delete(phys);
+            }
+        }
+
+        console.log(`🗑️ Client delete for ${physicalCharacterName}: ${deleted.length} deleted, ${skipped.length} skipped`);
+        res.json({ deleted, skipped });
+    } catch (err) {
+        console.error('[delete] handler error:', err.message);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// ===============================
+// 🪪 SLOT RECLAIM REQUESTS
+// ===============================
+// Backs the "Request Reclaim" button the 403 from checkSlotAuth points users to. The plugin files a
+// request from its current install token, then polls the status endpoint until an admin decides.
+
+const RECLAIM_NOTE_MAX_LENGTH = 500;
+
+// Client-facing view of a reclaim request, never echoes either install token back.
+function formatReclaimForClient(request) {
+    return {
+        id: request.id,
+        slot: request.slot,
+        status: request.status,
+        createdAt: request.createdAt,
+        resolvedAt: request.resolvedAt,
+        adminNotes: request.status === 'denied' ? request.adminNotes : null
+    };
+}
+
+// Admin-facing view, tokens reduced to prefixes (enough to correlate, not enough to impersonate).
+function formatReclaimForAdmin(request) {
+    const current = tokensDB.slots.get(request.slot);
+    return {
+        id: request.id,
+        slot: request.slot,
+        note: request.note,
+        status: request.status,
+        requesterTokenPrefix: request.requesterToken.substring(0, 8),
+        requesterContentId: request.requesterContentId,
+        ownerTokenPrefix: request.ownerTokenAtRequest ? request.ownerTokenAtRequest.substring(0, 8) : null,
+        ownerContentId: request.ownerContentIdAtRequest,
+        ownerLastSeen: current ? current.lastSeen : request.ownerLastSeenAtRequest,
+        // True when the slot changed hands after the request was filed (auto-reclaim or another approval)
+        ownerChanged: !!current && current.ownerToken !== request.ownerTokenAtRequest && request.status === 'pending',
+        createdAt: request.createdAt,
+        resolvedAt: request.resolvedAt,
+        resolvedBy: request.resolvedBy,
+        adminNotes: request.adminNotes
+    };
+}
+
+// File a reclaim request for a slot owned by another installation
+app.post("/tokens/reclaim", (req, res) => {
+    try {
+        const token = req.headers['x-install-token'];
+        const contentIdRaw = req.headers['x-character-contentid'];
+        const contentId = contentIdRaw && contentIdRaw !== '0' ? contentIdRaw : null;
+        const { slot, note } = req.body;
+
+        if (!token) {
+            return res.status(401).json({ error: 'Missing install token. Update your CS+ plugin.' });
+        }
+        if (!slot || typeof slot !== 'string' || !slot.includes('@')) {
+            return res.status(400).json({ error: 'Valid slot (Name@World) is required' });
+        }
+        if (note !== undefined && typeof note !== 'string') {
+            return res.status(400).json({ error: 'Note must be text' });
+        }
+
+        const result = tokensDB.createReclaimRequest(slot, token, contentId, (note || '').trim().substring(0, RECLAIM_NOTE_MAX_LENGTH));
+        if (!result.ok) {
+            if (result.reason === 'unclaimed') {
+                return res.status(404).json({ error: 'This slot is not claimed. Upload your profile normally.' });
+            }
+            if (result.reason === 'already_owner') {
+                return res.status(409).json({ error: 'This installation already owns the slot.' });
+            }
+            if (result.reason === 'too_many_pending') {
+                return res.status(429).json({ error: 'Too many open reclaim requests. Wait for an admin to review them.' });
+            }
+            return res.status(400).json({ error: 'Reclaim request failed' });
+        }
+
+        if (!result.duplicate) {
+            activityDB.logActivity('reclaim', `RECLAIM REQUESTED: ${slot}`, {
+                requestId: result.request.id,
+                slot,
+                tokenPrefix: token.substring(0, 8),
+                hasContentId: !!contentId
+            });
+            console.log(`🪪 Reclaim requested for ${slot} by token ${token.substring(0, 8)}`);
+        }
+
+        res.json(formatReclaimForClient(result.request));
+    } catch (error) {
+        console.error('Create reclaim request error:', error);
+        res.status(500).json({ error: 'Failed to create reclaim request' });
+    }
+});
+
+// Poll a reclaim request (only the installation that filed it can see it)
+app.get("/tokens/reclaim/:id", (req, res) => {
+    try {
+        const token = req.headers['x-install-token'];
+        if (!token) {
+            return res.status(401).json({ error: 'Missing install token. Update your CS+ plugin.' });
+        }
+
+        const request = tokensDB.getReclaimRequest(req.params.id);
+        if (!request || request.requesterToken !== token) {
+            return res.status(404).json({ error: 'Reclaim request not found' });
+        }
+
+        res.json(formatReclaimForClient(request));
+    } catch (error) {
+        console.error('Get reclaim request error:', error);
+        res.status(500).json({ error: 'Failed to get reclaim request' });
+    }
+});
+
+// Lightweight NSFW check, returns just the IsNSFW flag for a physical character's profile.
+// Older clients call this before uploading to echo admin-set NSFW back; the server now re-applies
+// the nsfw lock itself (see ADMIN-LOCKED PROFILE FIELDS), so this is kept for compatibility.
+app.get("/profile-nsfw/:name", async (req, res) => {
+    try {
+        const physicalName = decodeURIComponent(req.params.name);
+
+        // Find matching profile files (same pattern as /view/:name)
+        const expectedSuffix = `_${physicalName}.json`;
+        const files = await fs.promises.readdir(profilesDir);
+        const matching = files.filter(f => f.endsWith(expectedSuffix) && !f.endsWith('_follows.json'));
+
+        if (matching.length === 0) {
+            return res.json({ isNSFW: false, contentRating: CONTENT_RATINGS[0] });
+        }
+
+        // If multiple CS+ characters share this physical name, use the most recently modified
+        let newest = null;
+        let newestTime = 0;
+        for (const file of matching) {
+            try {
+                const stats = await fs.promises.stat(path.join(profilesDir, file));
+                if (stats.mtime.getTime() > newestTime) {
+                    newestTime = stats.mtime.getTime();
+                    newest = file;
+                }
+            } catch {}
+        }
+
+        if (!newest) {
+            return res.json({ isNSFW: false, contentRating: CONTENT_RATINGS[0] });
+        }
+
+        const profileData = await readProfileAsync(path.join(profilesDir, newest));
+        const rating = profileRatingLevel(profileData);
+        res.json({ isNSFW: rating >= RATING_MATURE, contentRating: CONTENT_RATINGS[rating] });
+    } catch (err) {
+        console.error('[profile-nsfw] Error:', err.message);
+        res.json({ isNSFW: false, contentRating: CONTENT_RATINGS[0] }); // fail safe, don't block uploads
+    }
+});
+
+// View endpoint
+app.get("/view/:name", async (req, res) => {
+    try {
+        const requestedName = decodeURIComponent(req.params.name);
+        const showNSFW = viewerMaxRating(req) >= RATING_MATURE; // Opt-in for signed links to NSFW images
+        let filePath = path.join(profilesDir, `${requestedName}.json`);
+        
+        if (fs.existsSync(filePath)) {
+            try {
+                const profile = await readProfileAsync(filePath);
+                // Privacy check - don't return profiles marked as NeverShare
+                if (profile.Sharing === 'NeverShare' || profile.Sharing === 1) {
+                    return res.status(404).json({ error: "Profile not found" });
+                }
+                const sanitizedProfile = sanitizeProfileResponse(profile);
+                sanitizedProfile.LikeCount = likesDB.getLikeCount(requestedName);
+                return res.json(withPublicImageUrl(req, sanitizedProfile, { nsfw: showNSFW }));
+            } catch (err) {
+                console.error(`Error reading profile ${requestedName}:`, err.message);
+            }
+        }
+
+        const profileFiles = await new Promise((resolve, reject) => {
+            fs.readdir(profilesDir, (err, files) => {
+                if (err) reject(err);
+                else resolve(files.filter(file => 
+                    file.endsWith('.json') && 
+                    !file.endsWith('_follows.json')
+                ));
+            });
+        });
+
+        const matchingProfiles = [];
+        const expectedSuffix = `_${requestedName}.json`;
+
+        for (let i = 0; i < profileFiles.length; i += 5) {
+            const batch = profileFiles.slice(i, i + 5);
+            
+            await Promise.all(batch.map(async (file) => {
+                if (file.endsWith(expectedSuffix)) {
+                    const fullPath = path.join(profilesDir, file);
+                    try {
+                        const stats = await new Promise((resolve, reject) => {
+                            fs.stat(fullPath, (err, stats) => {
+                                if (err) reject(err);
+                                else resolve(stats);
+                            });
+                        });
+                        const profileData = await readProfileAsync(fullPath);
+
+                        // Skip profiles marked as NeverShare so a private upload can't be served
+                        if (profileData.Sharing === 'NeverShare' || profileData.Sharing === 1) {
+                            return;
+                        }
+
+                        if (isValidProfile(profileData)) {
+                            matchingProfiles.push({
+                                file: file,
+                                lastModified: stats.mtime,
+                                profile: profileData
+                            });
+                        }
+                    } catch (err) {
+                        console.error(`Error processing ${file}:`, err.message);
+                    }
+                }
+            }));
+        }
+
+        if (matchingProfiles.length === 0) {
+            return res.status(404).json({ error: "Profile not found" });
+        }
+
+        matchingProfiles.sort((a, b) => b.lastModified - a.lastModified);
+        
+        const sanitizedProfile = sanitizeProfileResponse(matchingProfiles[0].profile);
+        sanitizedProfile.LikeCount = likesDB.getLikeCount(matchingProfiles[0].file.replace(/\.json$/, ''));
+        res.json(withPublicImageUrl(req, sanitizedProfile, { nsfw: showNSFW }));
+    } catch (err) {
+        console.error(`Error in view endpoint: ${err}`);
+        res.status(500).json({ error: "Server error" });
+    }
+});
+
+// ===============================
+// 🔍 NAMES LOOKUP ENDPOINT
+// ===============================
+// Batch lookup CS+ names for multiple physical character names
+// Used for shared name replacement feature
+// Now with caching for performance under load
+
+// Unified startup cache warmer - reads all profile files ONCE and populates all 3 caches (the gallery is served from profile_index)
+// This avoids reading 24k+ files 3 separate times at startup
+async function warmAllCaches() {
+    const startTime = Date.now();
+    console.log(`🔄 Warming all caches (single pass)...`);
+
+    try {
+        // Read directory once
+        const profileFiles = await new Promise((resolve, reject) => {
+            fs.readdir(profilesDir, (err, files) => {
+                if (err) reject(err);
+                else resolve(files.filter(file =>
+                    file.endsWith('.json') &&
+                    !file.endsWith('_follows.json')
+                ));
+            });
+        });
+
+        console.log(`📁 Found ${profileFiles.length} profile files`);
+
+        // Lightweight per-cache collectors, only store the fields each cache needs
+        const namesResults = [];
+        const profilesLookupResults = [];
+        const allProfileResults = [];
+
+        const BATCH_SIZE = 25;
+        for (let i = 0; i < profileFiles.length; i += BATCH_SIZE) {
+            const batch = profileFiles.slice(i, i + BATCH_SIZE);
+
+            const batchResults = await Promise.all(batch.map(async (file) => {
+                try {
+                    const characterId = file.replace('.json', '');
+                    const fullPath = path.join(profilesDir, file);
+
+                    // Extract physical name from filename
+                    const lastUnderscore = characterId.lastIndexOf('_');
+                    if (lastUnderscore === -1) return null;
+                    const physicalName = characterId.substring(lastUnderscore + 1);
+                    if (!physicalName || !physicalName.includes('@')) return null;
+
+                    // Read file once
+                    const fileContent = await fs.promises.readFile(fullPath, 'utf-8');
+                    if (!fileContent || fileContent.trim().length === 0) return null;
+                    const profileData = JSON.parse(fileContent);
+                    if (!isValidProfile(profileData)) return null;
+
+                    // Get timing info
+                    let activeTime;
+                    if (profileData.LastActiveTime) {
+                        activeTime = new Date(profileData.LastActiveTime).getTime();
+                    } else {
+                        const stats = await fs.promises.stat(fullPath);
+                        activeTime = stats.mtime.getTime();
+                    }
+
+                    // Extract only what each cache needs, full profileData is NOT stored
+                    // Names cache needs: sharing, opt-in, character name, nameplate colour
+                    let colorArray = [1.0, 1.0, 1.0];
+                    if (profileData.NameplateColor) {
+                        if (Array.isArray(profileData.NameplateColor)) {
+                            colorArray = profileData.NameplateColor;
+                        } else if (typeof profileData.NameplateColor === 'object') {
+                            colorArray = [
+                                profileData.NameplateColor.X ?? 1.0,
+                                profileData.NameplateColor.Y ?? 1.0,
+                                profileData.NameplateColor.Z ?? 1.0
+                            ];
+                        }
+                    }
+
+                    const sharing = profileData.Sharing;
+                    const csName = profileData.CharacterName;
+
+                    // Gallery/AllProfiles need display fields
+                    const underscoreIndex = characterId.indexOf('_');
+                    const displayName = underscoreIndex > 0
+                        ? characterId.substring(0, underscoreIndex)
+                        : (csName || characterId.split('@')[0]);
+
+                    return {
+                        file, characterId, physicalName, activeTime,
+                        // Names cache fields
+                        sharing, csName, nameplateColor: colorArray,
+                        allowNameSync: profileData.AllowOthersToSeeMyCSName,
+                        // Gallery/AllProfiles display fields
+                        displayName,
+                        profileImageUrl: profileData.ProfileImageUrl || null,
+                        tags: profileData.Tags || "",
+                        bio: profileData.Bio || "",
+                        galleryStatus: profileData.GalleryStatus || "",
+                        race: profileData.Race || "",
+                        pronouns: profileData.Pronouns || "",
+                        links: profileData.Links || "",
+                        lastUpdated: profileData.LastUpdated || new Date().toISOString(),
+                        imageZoom: profileData.ImageZoom || 1.0,
+                        imageOffset: profileData.ImageOffset || { X: 0, Y: 0 },
+                        rating: profileRatingLevel(profileData)
+                    };
+                    // profileData goes out of scope here and can be GC'd
+                } catch (err) {
+                    return null;
+                }
+            }));
+
+            for (const result of batchResults) {
+                if (result) {
+                    namesResults.push(result);
+                    profilesLookupResults.push(result);
+                    allProfileResults.push(result);
+                }
+            }
+
+            // Yield to event loop
+            if (i % 250 === 0 && i > 0) {
+                await new Promise(resolve => setTimeout(resolve, 10));
+            }
+        }
+
+        console.log(`📖 Read ${namesResults.length} valid profiles in ${Date.now() - startTime}ms`);
+
+        // === Build Names Cache ===
+        const newNamesCache = new Map();
+        const newestActiveTime = new Map();
+        const tempNamesIndex = new Map();
+        const expiryTime = Date.now() - (NAME_SYNC_EXPIRY_HOURS * 60 * 60 * 1000);
+
+        for (const r of namesResults) {
+            const seenNewerTime = newestActiveTime.get(r.physicalName);
+            if (seenNewerTime && seenNewerTime > r.activeTime) continue;
+            newestActiveTime.set(r.physicalName, r.activeTime);
+            tempNamesIndex.delete(r.physicalName);
+
+            if (r.sharing === 'NeverShare' || r.sharing === 1) continue;
+            if (r.allowNameSync !== true) continue;
+            if (r.activeTime < expiryTime) continue;
+            if (moderationDB.isNameBanned(r.physicalName)) continue;
+            if (!r.csName) continue;
+
+            tempNamesIndex.set(r.physicalName, { csName: r.csName, nameplateColor: r.nameplateColor });
+        }
+        for (const [k, v] of tempNamesIndex) newNamesCache.set(k, v);
+        namesCache = newNamesCache;
+        namesCacheTime = Date.now();
+        console.log(`✅ Names cache: ${newNamesCache.size} entries`);
+
+        // === Build Profiles Lookup Cache ===
+        const newProfilesLookupCache = new Set();
+        const newestModTime = new Map();
+        const tempProfilesIndex = new Map();
+
+        for (const r of profilesLookupResults) {
+            const seenNewerTime = newestModTime.get(r.physicalName);
+            if (seenNewerTime && seenNewerTime > r.activeTime) continue;
+            newestModTime.set(r.physicalName, r.activeTime);
+            tempProfilesIndex.delete(r.physicalName);
+
+            if (r.sharing === 'NeverShare' || r.sharing === 1) continue;
+            if (moderationDB.isProfileBanned(r.characterId)) continue;
+            tempProfilesIndex.set(r.physicalName, r.activeTime);
+        }
+        for (const k of tempProfilesIndex.keys()) newProfilesLookupCache.add(k);
+        profilesLookupCache = newProfilesLookupCache;
+        profilesLookupCacheTime = Date.now();
+        console.log(`✅ Profiles lookup cache: ${newProfilesLookupCache.size} entries`);
+
+        // === Build All Profiles Cache ===
+        const allProfiles = [];
+        for (const r of allProfileResults) {
+            const isShowcasePublic = r.sharing === 'ShowcasePublic' || r.sharing === 2;
+            const isAlwaysShare = r.sharing === 'AlwaysShare' || r.sharing === 0;
+            if (!isShowcasePublic && !isAlwaysShare) continue;
+
+            allProfiles.push({
+                CharacterId: r.characterId,
+                CharacterName: r.displayName,
+                Server: extractServerFromName(r.physicalName),
+                ProfileImageUrl: r.profileImageUrl,
+                Tags: r.tags,
+                Bio: r.bio,
+                GalleryStatus: r.galleryStatus,
+                Race: r.race,
+                Pronouns: r.pronouns,
+                Links: r.links,
+                LikeCount: likesDB.getLikeCount(r.characterId),
+                LastUpdated: r.lastUpdated,
+                ImageZoom: r.imageZoom,
+                ImageOffset: r.imageOffset,
+                IsNSFW: r.rating >= RATING_MATURE,
+                ContentRating: CONTENT_RATINGS[r.rating],
+                Sharing: isShowcasePublic ? 'ShowcasePublic' : 'AlwaysShare',
+                IsBanned: moderationDB.isProfileBanned(r.characterId)
+            });
+        }
+        allProfiles.sort((a, b) => new Date(b.LastUpdated) - new Date(a.LastUpdated));
+        allProfilesCache = allProfiles;
+        allProfilesCacheTime = Date.now();
+        console.log(`✅ All profiles cache: ${allProfiles.length} profiles`);
+
+        const elapsed = Date.now() - startTime;
+        console.log(`🔄 All caches ready in ${elapsed}ms (single pass over ${namesResults.length} files)`);
+    } catch (err) {
+        console.error(`⚠️ Cache warm failed: ${err}`);
+    }
+}
+
+// Build/rebuild the names cache (non-blocking - serves stale while rebuilding)
+async function rebuildNamesCache(waitForCompletion = false) {
+    if (namesCacheBuilding) {
+        // If caller needs to wait for cache, poll until ready
+        if (waitForCompletion) {
+            while (namesCacheBuilding) {
+                await new Promise(resolve => setTimeout(resolve, 100));
+            }
+        }
+        return;
+    }
+
+    namesCacheBuilding = true;
+    const startTime = Date.now();
+
+    try {
+        const newCache = new Map();
+
+        // Get all profile files
+        const profileFiles = await new Promise((resolve, reject) => {
+            fs.readdir(profilesDir, (err, files) => {
+                if (err) reject(err);
+                else resolve(files.filter(file =>
+                    file.endsWith('.json') &&
+                    !file.endsWith('_follows.json')
+                ));
+            });
+        });
+
+        // Build index: physicalName -> {csName, nameplateColor, activeTime}
+        // We use LastActiveTime from profile data (set on every upload) instead of file modTime
+        // This ensures the most recently APPLIED character is used, not just most recently modified file
+        const allResults = []; // Collect all valid results first
+
+        // Process files in smaller batches with delays to prevent server overload
+        const BATCH_SIZE = 25; // Reduced from 100 to prevent resource exhaustion
+        for (let i = 0; i < profileFiles.length; i += BATCH_SIZE) {
+            const batch = profileFiles.slice(i, i + BATCH_SIZE);
 
+            // Process batch in parallel
+            const batchResults = await Promise.all(batch.map(async (file) => {
                 try {
-                    activityDB.logActivity('delete', `CLIENT DELETE: ${fileKey}`, {
-                        characterId: fileKey,
-                        physicalCharacterName
-                    });
-                } catch (e) { /* activityDB optional */ }
-            } catch (err) {
-                console.error(`[delete] error deleting ${fileKey}:`, err.message);
-                skipped.push(fileKey);
-            }
-        }
+                    // Extract physical name from filename: "CSName_PhysicalName@World.json"
+                    const lastUnderscore = file.lastIndexOf('_');
+                    if (lastUnderscore === -1) return null;
 
-        if (deleted.length > 0) {
-            // Invalidate aggregate caches and targeted caches for every affected physical name
-            galleryCache = null;
-            allProfilesCache = null;
-            for (const phys of affectedPhysicals) {
-                if (namesCache) namesCache.delete(phys);
-                if (profilesLookupCache) profilesLookupCache.delete(phys);
+                    const physicalName = file.substring(lastUnderscore + 1, file.length - 5); // Remove .json
+                    if (!physicalName || !physicalName.includes('@')) return null;
+
+                    const fullPath = path.join(profilesDir, file);
+
+                    // Read profile to get LastActiveTime
+                    const fileContent = await fs.promises.readFile(fullPath, 'utf-8');
+                    const profileData = JSON.parse(fileContent);
+
+                    // Use LastActiveTime from profile, fallback to file modTime if not present
+                    let activeTime;
+                    if (profileData.LastActiveTime) {
+                        activeTime = new Date(profileData.LastActiveTime).getTime();
+                    } else {
+                        const stats = await fs.promises.stat(fullPath);
+                        activeTime = stats.mtime.getTime();
+                    }
+
+                    // Extract only the fields this cache needs, discard full profile immediately
+                    let colorArray = [1.0, 1.0, 1.0];
+                    if (profileData.NameplateColor) {
+                        if (Array.isArray(profileData.NameplateColor)) {
+                            colorArray = profileData.NameplateColor;
+                        } else if (typeof profileData.NameplateColor === 'object') {
+                            colorArray = [
+                                profileData.NameplateColor.X ?? 1.0,
+                                profileData.NameplateColor.Y ?? 1.0,
+                                profileData.NameplateColor.Z ?? 1.0
+                            ];
+                        }
+                    }
+
+                    return {
+                        physicalName,
+                        activeTime,
+                        sharing: profileData.Sharing,
+                        allowNameSync: profileData.AllowOthersToSeeMyCSName,
+                        csName: profileData.CharacterName,
+                        nameplateColor: colorArray
+                    };
+                } catch (err) {
+                    return null; // Skip files that can't be read
+                }
+            }));
+
+            // Collect non-null results
+            for (const result of batchResults) {
+                if (result) allResults.push(result);
             }
+
+            // Yield to event loop between batches with small delay to let other requests through
+            await new Promise(resolve => setTimeout(resolve, 10));
         }
 
-        console.log(`🗑️ Client delete for ${physicalCharacterName}: ${deleted.length} deleted, ${skipped.length} skipped`);
-        res.json({ deleted, skipped });
-    } catch (err) {
-        console.error('[delete] handler error:', err.message);
-        res.status(500).json({ error: 'Server error' });
-    }
-});
+        // Now process all results to find newest per physical name
+        const newestActiveTime = new Map();
+        const tempIndex = new Map();
 
-// Lightweight NSFW check, returns just the IsNSFW flag for a physical character's profile.
-// Used by the client during character apply to preserve admin-set NSFW without downloading the entire gallery.
-app.get("/profile-nsfw/:name", async (req, res) => {
-    try {
-        const physicalName = decodeURIComponent(req.params.name);
+        for (const { physicalName, activeTime, sharing, allowNameSync, csName, nameplateColor } of allResults) {
+            // Check if we've already seen a newer file for this physical name
+            const seenNewerTime = newestActiveTime.get(physicalName);
+            if (seenNewerTime && seenNewerTime > activeTime) continue; // Skip older profiles
 
-        // Find matching profile files (same pattern as /view/:name)
-        const expectedSuffix = `_${physicalName}.json`;
-        const files = await fs.promises.readdir(profilesDir);
-        const matching = files.filter(f => f.endsWith(expectedSuffix) && !f.endsWith('_follows.json'));
+            // Track this as the newest activeTime we've seen
+            newestActiveTime.set(physicalName, activeTime);
 
-        if (matching.length === 0) {
-            return res.json({ isNSFW: false });
-        }
+            // Clear any older entry - if this newer profile fails validation, we want NO entry
+            tempIndex.delete(physicalName);
 
-        // If multiple CS+ characters share this physical name, use the most recently modified
-        let newest = null;
-        let newestTime = 0;
-        for (const file of matching) {
-            try {
-                const stats = await fs.promises.stat(path.join(profilesDir, file));
-                if (stats.mtime.getTime() > newestTime) {
-                    newestTime = stats.mtime.getTime();
-                    newest = file;
-                }
-            } catch {}
+            // Skip if NeverShare (NeverShare = 1 in the enum)
+            if (sharing === 'NeverShare' || sharing === 1) continue;
+
+            // Skip if user hasn't opted in to name visibility
+            if (allowNameSync !== true) continue;
+
+            // Skip if profile is older than 24 hours (Name Sync expiry - profiles NOT deleted, just excluded from Name Sync)
+            const expiryTime = Date.now() - (NAME_SYNC_EXPIRY_HOURS * 60 * 60 * 1000);
+            if (activeTime < expiryTime) continue;
+
+            // Skip if name banned
+            if (moderationDB.isNameBanned(physicalName)) continue;
+
+            // Skip if no character name
+            if (!csName) continue;
+
+            tempIndex.set(physicalName, {
+                csName: csName,
+                nameplateColor: nameplateColor
+            });
         }
 
-        if (!newest) {
-            return res.json({ isNSFW: false });
+        // Copy to final cache
+        for (const [physicalName, data] of tempIndex) {
+            newCache.set(physicalName, data);
         }
 
-        const profileData = await readProfileAsync(path.join(profilesDir, newest));
-        res.json({ isNSFW: profileData.IsNSFW || false });
+        namesCache = newCache;
+        namesCacheTime = Date.now();
+
+        const elapsed = Date.now() - startTime;
+        console.log(`🔍 Names cache rebuilt: ${newCache.size} entries in ${elapsed}ms`);
     } catch (err) {
-        console.error('[profile-nsfw] Error:', err.message);
-        res.json({ isNSFW: false }); // fail safe, don't block uploads
+        console.error('Error rebuilding names cache:', err);
+    } finally {
+        namesCacheBuilding = false;
     }
-});
+}
 
-// View endpoint
-app.get("/view/:name", async (req, res) => {
-    try {
-        const requestedName = decodeURIComponent(req.params.name);
-        let filePath = path.join(profilesDir, `${requestedName}.json`);
-        
-        if (fs.existsSync(filePath)) {
-            try {
-                const profile = await readProfileAsync(filePath);
-                // Privacy check - don't return profiles marked as NeverShare
-                if (profile.Sharing === 'NeverShare' || profile.Sharing === 1) {
-                    return res.status(404).json({ error: "Profile not found" });
-                }
-                const sanitizedProfile = sanitizeProfileResponse(profile);
-                return res.json(sanitizedProfile);
-            } catch (err) {
-                console.error(`Error reading profile ${requestedName}:`, err.message);
+// Invalidate names cache (call when profiles are uploaded/deleted)
+function invalidateNamesCache() {
+    namesCache = null;
+    namesCacheTime = 0;
+}
+
+// Update a single entry in the names cache (avoids full rebuild)
+function updateNamesCacheEntry(physicalName, csName, nameplateColor, sharing, allowOthersToSee) {
+    if (!namesCache) return; // Cache not built yet, will be built on next request
+
+    // Check if this profile should be visible in names lookup
+    const isPrivate = sharing === 'NeverShare' || sharing === 1;
+    const optedIn = allowOthersToSee === true;
+
+    if (isPrivate || !optedIn) {
+        // Remove from cache if exists
+        namesCache.delete(physicalName);
+    } else {
+        // Add/update in cache
+        let color = [1, 1, 1]; // Default white
+        if (nameplateColor) {
+            if (Array.isArray(nameplateColor)) {
+                color = nameplateColor;
+            } else if (typeof nameplateColor === 'object') {
+                color = [nameplateColor.X || 1, nameplateColor.Y || 1, nameplateColor.Z || 1];
             }
         }
+        namesCache.set(physicalName, { csName, nameplateColor: color });
+    }
+}
 
-        const profileFiles = await new Promise((resolve, reject) => {
-            fs.readdir(profilesDir, (err, files) => {
-                if (err) reject(err);
-                else resolve(files.filter(file => 
-                    file.endsWith('.json') && 
-                    !file.endsWith('_follows.json')
-                ));
-            });
-        });
+app.post("/names/lookup", async (req, res) => {
+    try {
+        const { characters } = req.body;
 
-        const matchingProfiles = [];
-        const expectedSuffix = `_${requestedName}.json`;
+        if (!Array.isArray(characters) || characters.length === 0) {
+            return res.status(400).json({ error: "Invalid request: characters array required" });
+        }
 
-        for (let i = 0; i < profileFiles.length; i += 5) {
-            const batch = profileFiles.slice(i, i + 5);
-            
-            await Promise.all(batch.map(async (file) => {
-                if (file.endsWith(expectedSuffix)) {
-                    const fullPath = path.join(profilesDir, file);
-                    try {
-                        const stats = await new Promise((resolve, reject) => {
-                            fs.stat(fullPath, (err, stats) => {
-                                if (err) reject(err);
-                                else resolve(stats);
-                            });
-                        });
-                        const profileData = await readProfileAsync(fullPath);
+        const limitedChars = characters.slice(0, 50);
+        const cutoff = Date.now() - (NAME_SYNC_EXPIRY_HOURS * 60 * 60 * 1000);
+        const results = {};
+
+        for (const physicalName of limitedChars) {
+            if (!physicalName || typeof physicalName !== 'string') continue;
+            if (moderationDB.isNameBanned(physicalName)) continue;
+
+            // Use the player's CURRENT character (newest). Show a name only if that one allows sync;
+            // if their current character is excluded, return nothing so viewers revert to the in-game name.
+            const row = stmtIndexLookupName.get(physicalName, cutoff);
+            if (row && row.csName && row.allowNameSync === 1 && row.sharing !== 'NeverShare' && row.sharing !== '1') {
+                let color = [1, 1, 1];
+                try { color = JSON.parse(row.nameplateColor) || [1, 1, 1]; } catch (e) { /* keep default */ }
+                results[physicalName] = { csName: row.csName, nameplateColor: color };
+            }
+        }
 
-                        // Skip profiles marked as NeverShare so a private upload can't be served
-                        if (profileData.Sharing === 'NeverShare' || profileData.Sharing === 1) {
-                            return;
-                        }
+        res.json({ results });
+    } catch (err) {
+        console.error(`Error in names lookup endpoint: ${err}`);
+        res.status(500).json({ error: "Server error" });
+    }
+});
 
-                        if (isValidProfile(profileData)) {
-                            matchingProfiles.push({
-                                file: file,
-                                lastModified: stats.mtime,
-                                profile: profileData
-                            });
-                        }
-                    } catch (err) {
-                        console.error(`Error processing ${file}:`, err.message);
-                    }
-                }
-            }));
-        }
+// Clear this physical name's Name Sync rows so /names/lookup skips it.
+app.post("/names/clear/:name", async (req, res) => {
+    try {
+        const physicalName = decodeURIComponent(req.params.name);
 
-        if (matchingProfiles.length === 0) {
-            return res.status(404).json({ error: "Profile not found" });
+        const authResult = checkSlotAuth(req, physicalName);
+        if (!authResult.ok) {
+            return res.status(authResult.status).json({ error: authResult.message });
         }
 
-        matchingProfiles.sort((a, b) => b.lastModified - a.lastModified);
-        
-        const sanitizedProfile = sanitizeProfileResponse(matchingProfiles[0].profile);
-        res.json(sanitizedProfile);
+        stmtIndexClearName.run(physicalName);
+        if (namesCache) namesCache.delete(physicalName);
+
+        res.json({ ok: true });
     } catch (err) {
-        console.error(`Error in view endpoint: ${err}`);
+        console.error(`Error in names clear endpoint: ${err}`);
         res.status(500).json({ error: "Server error" });
     }
 });
 
 // ===============================
-// 🔍 NAMES LOOKUP ENDPOINT
+// 📋 RP PROFILES LOOKUP (for context menu)
 // ===============================
-// Batch lookup CS+ names for multiple physical character names
-// Used for shared name replacement feature
-// Now with caching for performance under load
+// Separate from names lookup - checks if users have shared RP profiles
+// Does NOT require AllowOthersToSeeMyCSName - just checks if profile exists and is shared
 
-// Unified startup cache warmer - reads all profile files ONCE and populates all 4 caches
-// This avoids reading 24k+ files 4 separate times at startup
-async function warmAllCaches() {
+async function rebuildProfilesLookupCache(waitForCompletion = false) {
+    if (profilesLookupCacheBuilding) {
+        // If caller needs to wait for cache, poll until ready
+        if (waitForCompletion) {
+            while (profilesLookupCacheBuilding) {
+                await new Promise(resolve => setTimeout(resolve, 100));
+            }
+        }
+        return;
+    }
+
+    profilesLookupCacheBuilding = true;
     const startTime = Date.now();
-    console.log(`🔄 Warming all caches (single pass)...`);
 
     try {
-        // Read directory once
+        const newCache = new Set();
+
         const profileFiles = await new Promise((resolve, reject) => {
             fs.readdir(profilesDir, (err, files) => {
                 if (err) reject(err);
@@ -2517,242 +5647,149 @@ async function warmAllCaches() {
             });
         });
 
-        console.log(`📁 Found ${profileFiles.length} profile files`);
-
-        // Lightweight per-cache collectors, only store the fields each cache needs
-        const namesResults = [];
-        const profilesLookupResults = [];
-        const galleryResults = [];
-        const allProfileResults = [];
+        // Collect all results first using parallel batch processing
+        const allResults = [];
+        const BATCH_SIZE = 25; // Reduced from 100 to prevent resource exhaustion
 
-        const BATCH_SIZE = 25;
         for (let i = 0; i < profileFiles.length; i += BATCH_SIZE) {
             const batch = profileFiles.slice(i, i + BATCH_SIZE);
 
             const batchResults = await Promise.all(batch.map(async (file) => {
                 try {
-                    const characterId = file.replace('.json', '');
-                    const fullPath = path.join(profilesDir, file);
-
-                    // Extract physical name from filename
-                    const lastUnderscore = characterId.lastIndexOf('_');
+                    // Extract physical name from filename: "CSName_PhysicalName@World.json"
+                    const lastUnderscore = file.lastIndexOf('_');
                     if (lastUnderscore === -1) return null;
-                    const physicalName = characterId.substring(lastUnderscore + 1);
+
+                    const physicalName = file.substring(lastUnderscore + 1, file.length - 5);
                     if (!physicalName || !physicalName.includes('@')) return null;
 
-                    // Read file once
+                    const fullPath = path.join(profilesDir, file);
+                    const stats = await fs.promises.stat(fullPath);
+                    const modTime = stats.mtime.getTime();
+
+                    // Read profile but only extract what this cache needs
                     const fileContent = await fs.promises.readFile(fullPath, 'utf-8');
-                    if (!fileContent || fileContent.trim().length === 0) return null;
                     const profileData = JSON.parse(fileContent);
-                    if (!isValidProfile(profileData)) return null;
-
-                    // Get timing info
-                    let activeTime;
-                    if (profileData.LastActiveTime) {
-                        activeTime = new Date(profileData.LastActiveTime).getTime();
-                    } else {
-                        const stats = await fs.promises.stat(fullPath);
-                        activeTime = stats.mtime.getTime();
-                    }
-
-                    // Extract only what each cache needs, full profileData is NOT stored
-                    // Names cache needs: sharing, opt-in, character name, nameplate colour
-                    let colorArray = [1.0, 1.0, 1.0];
-                    if (profileData.NameplateColor) {
-                        if (Array.isArray(profileData.NameplateColor)) {
-                            colorArray = profileData.NameplateColor;
-                        } else if (typeof profileData.NameplateColor === 'object') {
-                            colorArray = [
-                                profileData.NameplateColor.X ?? 1.0,
-                                profileData.NameplateColor.Y ?? 1.0,
-                                profileData.NameplateColor.Z ?? 1.0
-                            ];
-                        }
-                    }
-
-                    const sharing = profileData.Sharing;
-                    const csName = profileData.CharacterName;
-
-                    // Gallery/AllProfiles need display fields
-                    const underscoreIndex = characterId.indexOf('_');
-                    const displayName = underscoreIndex > 0
-                        ? characterId.substring(0, underscoreIndex)
-                        : (csName || characterId.split('@')[0]);
 
                     return {
-                        file, characterId, physicalName, activeTime,
-                        // Names cache fields
-                        sharing, csName, nameplateColor: colorArray,
-                        allowNameSync: profileData.AllowOthersToSeeMyCSName,
-                        // Gallery/AllProfiles display fields
-                        displayName,
-                        profileImageUrl: profileData.ProfileImageUrl || null,
-                        tags: profileData.Tags || "",
-                        bio: profileData.Bio || "",
-                        galleryStatus: profileData.GalleryStatus || "",
-                        race: profileData.Race || "",
-                        pronouns: profileData.Pronouns || "",
-                        links: profileData.Links || "",
-                        lastUpdated: profileData.LastUpdated || new Date().toISOString(),
-                        imageZoom: profileData.ImageZoom || 1.0,
-                        imageOffset: profileData.ImageOffset || { X: 0, Y: 0 },
-                        isNSFW: profileData.IsNSFW || false
+                        characterId: file.replace('.json', ''),
+                        physicalName,
+                        modTime,
+                        sharing: profileData.Sharing
                     };
-                    // profileData goes out of scope here and can be GC'd
                 } catch (err) {
                     return null;
                 }
             }));
 
             for (const result of batchResults) {
-                if (result) {
-                    namesResults.push(result);
-                    profilesLookupResults.push(result);
-                    galleryResults.push(result);
-                    allProfileResults.push(result);
-                }
+                if (result) allResults.push(result);
             }
 
-            // Yield to event loop
-            if (i % 250 === 0 && i > 0) {
-                await new Promise(resolve => setTimeout(resolve, 10));
-            }
+            // Yield to event loop between batches with small delay to let other requests through
+            await new Promise(resolve => setTimeout(resolve, 10));
         }
 
-        console.log(`📖 Read ${namesResults.length} valid profiles in ${Date.now() - startTime}ms`);
-
-        // === Build Names Cache ===
-        const newNamesCache = new Map();
-        const newestActiveTime = new Map();
-        const tempNamesIndex = new Map();
-        const expiryTime = Date.now() - (NAME_SYNC_EXPIRY_HOURS * 60 * 60 * 1000);
+        // Process results to find newest per physical name
+        const tempIndex = new Map();
+        const newestModTime = new Map();
 
-        for (const r of namesResults) {
-            const seenNewerTime = newestActiveTime.get(r.physicalName);
-            if (seenNewerTime && seenNewerTime > r.activeTime) continue;
-            newestActiveTime.set(r.physicalName, r.activeTime);
-            tempNamesIndex.delete(r.physicalName);
+        for (const { characterId, physicalName, modTime, sharing } of allResults) {
+            // Check if we've already seen a newer file for this physical name
+            const seenNewerTime = newestModTime.get(physicalName);
+            if (seenNewerTime && seenNewerTime > modTime) continue;
 
-            if (r.sharing === 'NeverShare' || r.sharing === 1) continue;
-            if (r.allowNameSync !== true) continue;
-            if (r.activeTime < expiryTime) continue;
-            if (moderationDB.isNameBanned(r.physicalName)) continue;
-            if (!r.csName) continue;
+            newestModTime.set(physicalName, modTime);
+            tempIndex.delete(physicalName);
 
-            tempNamesIndex.set(r.physicalName, { csName: r.csName, nameplateColor: r.nameplateColor });
-        }
-        for (const [k, v] of tempNamesIndex) newNamesCache.set(k, v);
-        namesCache = newNamesCache;
-        namesCacheTime = Date.now();
-        console.log(`✅ Names cache: ${newNamesCache.size} entries`);
+            // Skip if NeverShare
+            if (sharing === 'NeverShare' || sharing === 1) continue;
 
-        // === Build Profiles Lookup Cache ===
-        const newProfilesLookupCache = new Set();
-        const newestModTime = new Map();
-        const tempProfilesIndex = new Map();
+            // Skip if banned
+            if (moderationDB.isProfileBanned(characterId)) continue;
 
-        for (const r of profilesLookupResults) {
-            const seenNewerTime = newestModTime.get(r.physicalName);
-            if (seenNewerTime && seenNewerTime > r.activeTime) continue;
-            newestModTime.set(r.physicalName, r.activeTime);
-            tempProfilesIndex.delete(r.physicalName);
+            // Has a shared profile (AlwaysShare or ShowcasePublic)
+            tempIndex.set(physicalName, modTime);
+        }
 
-            if (r.sharing === 'NeverShare' || r.sharing === 1) continue;
-            if (moderationDB.isProfileBanned(r.characterId)) continue;
-            tempProfilesIndex.set(r.physicalName, r.activeTime);
+        // Convert to Set
+        for (const physicalName of tempIndex.keys()) {
+            newCache.add(physicalName);
         }
-        for (const k of tempProfilesIndex.keys()) newProfilesLookupCache.add(k);
-        profilesLookupCache = newProfilesLookupCache;
+
+        profilesLookupCache = newCache;
         profilesLookupCacheTime = Date.now();
-        console.log(`✅ Profiles lookup cache: ${newProfilesLookupCache.size} entries`);
 
-        // === Build Gallery Cache ===
-        const showcaseProfiles = [];
-        for (const r of galleryResults) {
-            if (moderationDB.isProfileBanned(r.characterId)) continue;
-            if (r.sharing !== 'ShowcasePublic' && r.sharing !== 2) continue;
+        const elapsed = Date.now() - startTime;
+        console.log(`📋 Profiles lookup cache rebuilt: ${newCache.size} entries in ${elapsed}ms`);
+    } catch (err) {
+        console.error('Error rebuilding profiles lookup cache:', err);
+    } finally {
+        profilesLookupCacheBuilding = false;
+    }
+}
 
-            showcaseProfiles.push({
-                CharacterId: r.characterId,
-                CharacterName: r.displayName,
-                Server: extractServerFromName(r.physicalName),
-                ProfileImageUrl: r.profileImageUrl,
-                Tags: r.tags,
-                Bio: r.bio,
-                GalleryStatus: r.galleryStatus,
-                Race: r.race,
-                Pronouns: r.pronouns,
-                Links: r.links,
-                LikeCount: likesDB.getLikeCount(r.characterId),
-                LastUpdated: r.lastUpdated,
-                ImageZoom: r.imageZoom,
-                ImageOffset: r.imageOffset,
-                IsNSFW: r.isNSFW
-            });
+function invalidateProfilesLookupCache() {
+    profilesLookupCache = null;
+    profilesLookupCacheTime = 0;
+}
+
+// Update a single entry in the profiles lookup cache (avoids full rebuild)
+function updateProfilesLookupCacheEntry(physicalName, sharing) {
+    if (!profilesLookupCache) return; // Cache not built yet, will be built on next request
+
+    const isPrivate = sharing === 'NeverShare' || sharing === 1;
+
+    if (isPrivate) {
+        // Remove from cache if exists
+        profilesLookupCache.delete(physicalName);
+    } else {
+        // Add to cache (AlwaysShare or ShowcasePublic)
+        profilesLookupCache.add(physicalName);
+    }
+}
+
+app.post("/profiles/lookup", async (req, res) => {
+    try {
+        const { characters } = req.body;
+
+        if (!Array.isArray(characters) || characters.length === 0) {
+            return res.status(400).json({ error: "Invalid request: characters array required" });
         }
-        showcaseProfiles.sort((a, b) => b.LikeCount - a.LikeCount);
-        galleryCache = showcaseProfiles;
-        galleryCacheTime = Date.now();
-        console.log(`✅ Gallery cache: ${showcaseProfiles.length} profiles`);
 
-        // === Build All Profiles Cache ===
-        const allProfiles = [];
-        for (const r of allProfileResults) {
-            const isShowcasePublic = r.sharing === 'ShowcasePublic' || r.sharing === 2;
-            const isAlwaysShare = r.sharing === 'AlwaysShare' || r.sharing === 0;
-            if (!isShowcasePublic && !isAlwaysShare) continue;
+        const limitedChars = characters.slice(0, 50);
+        const results = {};
 
-            allProfiles.push({
-                CharacterId: r.characterId,
-                CharacterName: r.displayName,
-                Server: extractServerFromName(r.physicalName),
-                ProfileImageUrl: r.profileImageUrl,
-                Tags: r.tags,
-                Bio: r.bio,
-                GalleryStatus: r.galleryStatus,
-                Race: r.race,
-                Pronouns: r.pronouns,
-                Links: r.links,
-                LikeCount: likesDB.getLikeCount(r.characterId),
-                LastUpdated: r.lastUpdated,
-                ImageZoom: r.imageZoom,
-                ImageOffset: r.imageOffset,
-                IsNSFW: r.isNSFW,
-                Sharing: isShowcasePublic ? 'ShowcasePublic' : 'AlwaysShare',
-                IsBanned: moderationDB.isProfileBanned(r.characterId)
-            });
+        for (const physicalName of limitedChars) {
+            if (!physicalName || typeof physicalName !== 'string') continue;
+
+            const row = stmtIndexLookupProfile.get(physicalName);
+            if (row && row.sharing !== 'NeverShare' && row.sharing !== '1' && !moderationDB.isProfileBanned(row.characterId)) {
+                results[physicalName] = { hasProfile: true };
+            }
         }
-        allProfiles.sort((a, b) => new Date(b.LastUpdated) - new Date(a.LastUpdated));
-        allProfilesCache = allProfiles;
-        allProfilesCacheTime = Date.now();
-        console.log(`✅ All profiles cache: ${allProfiles.length} profiles`);
 
-        const elapsed = Date.now() - startTime;
-        console.log(`🔄 All caches ready in ${elapsed}ms (single pass over ${namesResults.length} files)`);
+        res.json({ results });
     } catch (err) {
-        console.error(`⚠️ Cache warm failed: ${err}`);
+        console.error(`Error in profiles lookup endpoint: ${err}`);
+        res.status(500).json({ error: "Server error" });
     }
-}
+});
 
-// Build/rebuild the names cache (non-blocking - serves stale while rebuilding)
-async function rebuildNamesCache(waitForCompletion = false) {
-    if (namesCacheBuilding) {
-        // If caller needs to wait for cache, poll until ready
+// All Profiles cache rebuild (admin endpoint, both ShowcasePublic + AlwaysShare)
+async function rebuildAllProfilesCache(waitForCompletion = false) {
+    if (allProfilesCacheBuilding) {
         if (waitForCompletion) {
-            while (namesCacheBuilding) {
+            while (allProfilesCacheBuilding) {
                 await new Promise(resolve => setTimeout(resolve, 100));
             }
         }
         return;
     }
+    allProfilesCacheBuilding = true;
 
-    namesCacheBuilding = true;
     const startTime = Date.now();
-
     try {
-        const newCache = new Map();
-
-        // Get all profile files
         const profileFiles = await new Promise((resolve, reject) => {
             fs.readdir(profilesDir, (err, files) => {
                 if (err) reject(err);
@@ -2763,1487 +5800,2455 @@ async function rebuildNamesCache(waitForCompletion = false) {
             });
         });
 
-        // Build index: physicalName -> {csName, nameplateColor, activeTime}
-        // We use LastActiveTime from profile data (set on every upload) instead of file modTime
-        // This ensures the most recently APPLIED character is used, not just most recently modified file
-        const allResults = []; // Collect all valid results first
+        const allProfiles = [];
 
-        // Process files in smaller batches with delays to prevent server overload
-        const BATCH_SIZE = 25; // Reduced from 100 to prevent resource exhaustion
-        for (let i = 0; i < profileFiles.length; i += BATCH_SIZE) {
-            const batch = profileFiles.slice(i, i + BATCH_SIZE);
+        for (let i = 0; i < profileFiles.length; i += 25) {
+            const batch = profileFiles.slice(i, i + 25);
 
-            // Process batch in parallel
             const batchResults = await Promise.all(batch.map(async (file) => {
-                try {
-                    // Extract physical name from filename: "CSName_PhysicalName@World.json"
-                    const lastUnderscore = file.lastIndexOf('_');
-                    if (lastUnderscore === -1) return null;
-
-                    const physicalName = file.substring(lastUnderscore + 1, file.length - 5); // Remove .json
-                    if (!physicalName || !physicalName.includes('@')) return null;
+                const characterId = file.replace('.json', '');
+                const filePath = path.join(profilesDir, file);
 
-                    const fullPath = path.join(profilesDir, file);
+                try {
+                    const profileData = await readProfileAsync(filePath);
+                    if (!isValidProfile(profileData)) return null;
 
-                    // Read profile to get LastActiveTime
-                    const fileContent = await fs.promises.readFile(fullPath, 'utf-8');
-                    const profileData = JSON.parse(fileContent);
+                    const sharing = profileData.Sharing;
+                    const isShowcasePublic = sharing === 'ShowcasePublic' || sharing === 2;
+                    const isAlwaysShare = sharing === 'AlwaysShare' || sharing === 0;
+                    if (!isShowcasePublic && !isAlwaysShare) return null;
+                    const rating = profileRatingLevel(profileData);
 
-                    // Use LastActiveTime from profile, fallback to file modTime if not present
-                    let activeTime;
-                    if (profileData.LastActiveTime) {
-                        activeTime = new Date(profileData.LastActiveTime).getTime();
+                    const underscoreIndex = characterId.indexOf('_');
+                    let csCharacterName, physicalCharacterName;
+                    if (underscoreIndex > 0) {
+                        csCharacterName = characterId.substring(0, underscoreIndex);
+                        physicalCharacterName = characterId.substring(underscoreIndex + 1);
                     } else {
-                        const stats = await fs.promises.stat(fullPath);
-                        activeTime = stats.mtime.getTime();
+                        csCharacterName = profileData.CharacterName || characterId.split('@')[0];
+                        physicalCharacterName = characterId;
                     }
 
-                    // Extract only the fields this cache needs, discard full profile immediately
-                    let colorArray = [1.0, 1.0, 1.0];
-                    if (profileData.NameplateColor) {
-                        if (Array.isArray(profileData.NameplateColor)) {
-                            colorArray = profileData.NameplateColor;
-                        } else if (typeof profileData.NameplateColor === 'object') {
-                            colorArray = [
-                                profileData.NameplateColor.X ?? 1.0,
-                                profileData.NameplateColor.Y ?? 1.0,
-                                profileData.NameplateColor.Z ?? 1.0
-                            ];
-                        }
-                    }
+                    return {
+                        CharacterId: characterId,
+                        CharacterName: csCharacterName,
+                        Server: extractServerFromName(physicalCharacterName),
+                        ProfileImageUrl: profileData.ProfileImageUrl || null,
+                        Tags: profileData.Tags || "",
+                        Bio: profileData.Bio || "",
+                        GalleryStatus: profileData.GalleryStatus || "",
+                        Race: profileData.Race || "",
+                        Pronouns: profileData.Pronouns || "",
+                        Links: profileData.Links || "",
+                        LikeCount: likesDB.getLikeCount(characterId),
+                        LastUpdated: profileData.LastUpdated || new Date().toISOString(),
+                        CreatedAt: profileData.CreatedAt || null,
+                        ImageZoom: profileData.ImageZoom || 1.0,
+                        ImageOffset: profileData.ImageOffset || { X: 0, Y: 0 },
+                        IsNSFW: rating >= RATING_MATURE,
+                        ContentRating: CONTENT_RATINGS[rating],
+                        Sharing: isShowcasePublic ? 'ShowcasePublic' : 'AlwaysShare',
+                        IsBanned: moderationDB.isProfileBanned(characterId)
+                    };
+                } catch (err) {
+                    return null;
+                }
+            }));
+
+            batchResults.forEach(result => {
+                if (result) allProfiles.push(result);
+            });
+
+            // Yield to event loop between batches
+            await new Promise(resolve => setTimeout(resolve, 10));
+        }
+
+        allProfiles.sort((a, b) => new Date(b.LastUpdated) - new Date(a.LastUpdated));
+
+        allProfilesCache = allProfiles;
+        allProfilesCacheTime = Date.now();
+        console.log(`📋 All profiles cache rebuilt: ${allProfiles.length} profiles in ${Date.now() - startTime}ms`);
+    } catch (err) {
+        console.error(`All profiles cache rebuild error: ${err}`);
+    } finally {
+        allProfilesCacheBuilding = false;
+    }
+}
+
+function invalidateAllProfilesCache() {
+    allProfilesCache = null;
+    allProfilesCacheTime = 0;
+}
+
+// ===============================
+// 📚 GALLERY
+// ===============================
+// The gallery is a query over profile_index: ShowcasePublic rows minus banned profiles, joined to
+// like_counts for the likes sort. No profile files are read. The version used in ETags is
+// index_meta.change_seq, which moves on every indexed profile write and ban/unban, plus a likes
+// version sampled at most once per GALLERY_LIKES_REFRESH_MS: like counts in a cached gallery may
+// lag by that long, in exchange for 304s that survive a steady stream of likes.
+
+const GALLERY_SORTS = {
+    likes: 'COALESCE(lc.count, 0)',
+    newest: "COALESCE(p.createdAt, '')",
+    active: 'COALESCE(p.lastActiveTime, 0)'
+};
+const GALLERY_DEFAULT_SORT = 'likes';
+
+function getGalleryVersion() {
+    return Number(stmtGalleryVersion.get()?.value) || 0;
+}
+
+const GALLERY_LIKES_REFRESH_MS = 60 * 1000;
+let galleryLikesTag = { value: null, sampledAt: 0 };
+
+// index_meta.likes_seq as last sampled. Moves at most once per GALLERY_LIKES_REFRESH_MS.
+function getGalleryLikesTag() {
+    const now = Date.now();
+    if (galleryLikesTag.value === null || now - galleryLikesTag.sampledAt >= GALLERY_LIKES_REFRESH_MS) {
+        galleryLikesTag = { value: Number(stmtLikesVersion.get()?.value) || 0, sampledAt: now };
+    }
+    return galleryLikesTag.value;
+}
+
+// Bans live in the moderation store, outside the index, so their endpoints bump the version by hand.
+function bumpGalleryVersion() {
+    try { stmtGalleryVersionBump.run(); } catch (err) { /* ignore */ }
+}
+
+// Moderation changes that hide or unhide a profile without touching its index row.
+function recordGalleryChange(characterId) {
+    try { stmtChangeRecord.run(Date.now(), characterId); } catch (err) { /* ignore */ }
+    bumpGalleryVersion();
+}
+
+// Cursors are opaque to clients: base64url of [sort, sortValue, characterId] for the last row served.
+function encodeGalleryCursor(sort, value, characterId) {
+    return Buffer.from(JSON.stringify([sort, value, characterId])).toString('base64url');
+}
+
+function decodeGalleryCursor(cursor, sort) {
+    try {
+        const parsed = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf-8'));
+        if (!Array.isArray(parsed) || parsed.length !== 3) return null;
+        const [cursorSort, value, characterId] = parsed;
+        if (cursorSort !== sort || typeof characterId !== 'string') return null;
+        if (typeof value !== (sort === 'newest' ? 'string' : 'number')) return null;
+        return { value, characterId };
+    } catch (err) {
+        return null;
+    }
+}
+
+// Statement shapes vary with the filters in use; prepare each shape once.
+const galleryStatements = new Map();
+function galleryStatement(sql) {
+    let stmt = galleryStatements.get(sql);
+    if (!stmt) {
+        stmt = indexDb.prepare(sql);
+        galleryStatements.set(sql, stmt);
+    }
+    return stmt;
+}
+
+const GALLERY_FACET_LIMIT = 25;
+
+// The highest content rating a gallery request wants to see, as a level. `maxRating` takes a rating
+// name or level; older clients send nsfw=true, meaning everything. Admins always see everything.
+function viewerMaxRating(req, isAdmin = false) {
+    if (isAdmin) return MAX_CONTENT_RATING;
+    const requested = parseContentRating(req.query.maxRating);
+    if (requested !== null) return requested;
+    return req.query.nsfw === 'true' ? MAX_CONTENT_RATING : DEFAULT_VIEWER_RATING;
+}
+
+// ETag part for a viewer's rating. Mature responses carry signed image links, so their tag also
+// moves with the link window and a 304 never keeps expired links alive.
+function galleryRatingTag(maxRating) {
+    return maxRating >= RATING_MATURE ? `r${maxRating}-nsfw${nsfwLinkEpoch()}` : `r${maxRating}`;
+}
+
+// Builds the WHERE clause shared by gallery pages, counts and facets. `omit` names one filter to
+// leave out, so each facet counts what selecting a different value for it would return.
+function galleryWhere({ maxRating = DEFAULT_VIEWER_RATING, search = '', filters = {} }, omit = null) {
+    const where = [
+        "p.sharing IN ('ShowcasePublic', '2')",
+        'p.displayJson IS NOT NULL',
+        'p.characterId NOT IN (SELECT value FROM json_each(@banned))'
+    ];
+    const params = { banned: JSON.stringify(moderationDB.getBannedProfiles()) };
+    if (maxRating < MAX_CONTENT_RATING) {
+        where.push('p.rating <= @maxRating');
+        params.maxRating = maxRating;
+    }
+    if (search) {
+        where.push(`(json_extract(p.displayJson, '$.CharacterName') LIKE @search ESCAPE '\\'
+            OR json_extract(p.displayJson, '$.Tags') LIKE @search ESCAPE '\\')`);
+        params.search = `%${search.replace(/[\\%_]/g, c => '\\' + c)}%`;
+    }
+    if (filters.servers?.length && omit !== 'server') {
+        where.push('p.server IN (SELECT value FROM json_each(@servers))');
+        params.servers = JSON.stringify(filters.servers);
+    }
+    if (filters.dcWorlds && omit !== 'dc') {
+        where.push('p.server IN (SELECT value FROM json_each(@dcWorlds))');
+        params.dcWorlds = JSON.stringify(filters.dcWorlds);
+    }
+    if (filters.regionWorlds && omit !== 'region') {
+        where.push('p.server IN (SELECT value FROM json_each(@regionWorlds))');
+        params.regionWorlds = JSON.stringify(filters.regionWorlds);
+    }
+    if (filters.races?.length && omit !== 'race') {
+        where.push('p.race IN (SELECT value FROM json_each(@races))');
+        params.races = JSON.stringify(filters.races);
+    }
+    if (filters.pronouns?.length && omit !== 'pronouns') {
+        where.push('p.pronouns IN (SELECT value FROM json_each(@pronouns))');
+        params.pronouns = JSON.stringify(filters.pronouns);
+    }
+    if (filters.tags?.length && omit !== 'tags') {
+        where.push(`p.characterId IN (
+            SELECT characterId FROM profile_tags WHERE tag IN (SELECT value FROM json_each(@tags))
+            GROUP BY characterId HAVING COUNT(*) = @tagCount)`);
+        params.tags = JSON.stringify(filters.tags);
+        params.tagCount = filters.tags.length;
+    }
+    if (filters.excludeTags?.length) {
+        where.push('p.characterId NOT IN (SELECT characterId FROM profile_tags WHERE tag IN (SELECT value FROM json_each(@excludeTags)))');
+        params.excludeTags = JSON.stringify(filters.excludeTags);
+    }
+    if (typeof filters.hasImage === 'boolean' && omit !== 'hasImage') {
+        where.push('p.hasImage = @hasImage');
+        params.hasImage = filters.hasImage ? 1 : 0;
+    }
+    return { where, params };
+}
+
+// Returns { profiles, total, nextCursor }. Rows are ordered by the sort key descending with
+// characterId as tie-break, so (sortValue, characterId) is a stable keyset position. `offset` is
+// only used by the legacy page-number mode; a null `limit` returns every match.
+function queryGallery({ sort = GALLERY_DEFAULT_SORT, maxRating = DEFAULT_VIEWER_RATING, search = '', filters = {}, after = null, offset = 0, limit = null }) {
+    const sortExpr = GALLERY_SORTS[sort];
+    const { where, params } = galleryWhere({ maxRating, search, filters });
+
+    const total = galleryStatement(`SELECT COUNT(*) AS c FROM profile_index p WHERE ${where.join(' AND ')}`).get(params).c;
+
+    const pageParams = { ...params };
+    if (after) {
+        where.push(`(${sortExpr} < @afterValue OR (${sortExpr} = @afterValue AND p.characterId > @afterId))`);
+        pageParams.afterValue = after.value;
+        pageParams.afterId = after.characterId;
+    }
+    let limitSql = '';
+    if (limit) {
+        limitSql = after ? 'LIMIT @limit' : 'LIMIT @limit OFFSET @offset';
+        pageParams.limit = limit;
+        if (!after) pageParams.offset = offset;
+    }
+
+    const rows = galleryStatement(`
+        SELECT p.characterId, p.displayJson, ${sortExpr} AS sortValue, COALESCE(lc.count, 0) AS likeCount
+        FROM profile_index p LEFT JOIN like_counts lc ON lc.characterId = p.characterId
+        WHERE ${where.join(' AND ')}
+        ORDER BY sortValue DESC, p.characterId ASC
+        ${limitSql}
+    `).all(pageParams);
+
+    const profiles = rows.map(row => {
+        const profile = JSON.parse(row.displayJson);
+        profile.LikeCount = row.likeCount;
+        return profile;
+    });
+
+    const last = rows[rows.length - 1];
+    const nextCursor = limit && rows.length === limit ? encodeGalleryCursor(sort, last.sortValue, last.characterId) : null;
+
+    return { profiles, total, nextCursor };
+}
+
+// Facet counts are cached per query for GALLERY_FACET_TTL_MS rather than per gallery version, which
+// moves on every upload: counts may lag by that long, but each query's GROUP BY scans run at most
+// once per window.
+const galleryFacetCache = new Map(); // query -> { facets, computedAt }
+const GALLERY_FACET_CACHE_MAX = 500;
+const GALLERY_FACET_TTL_MS = 60 * 1000;
+
+function countGalleryFacet(column, query, omit, limit = null) {
+    const { where, params } = galleryWhere(query, omit);
+    if (column !== 'p.hasImage') where.push(`${column} IS NOT NULL`);
+    return galleryStatement(`
+        SELECT ${column} AS value, COUNT(*) AS count FROM profile_index p
+        WHERE ${where.join(' AND ')}
+        GROUP BY ${column} ORDER BY count DESC, value ASC
+        ${limit ? `LIMIT ${limit}` : ''}
+    `).all(params);
+}
+
+// Returns { server, dc, region, race, pronouns, tags, hasImage }, each a [{ value, count }] list.
+function getGalleryFacets(query) {
+    const now = Date.now();
+    const key = JSON.stringify(query);
+    const cached = galleryFacetCache.get(key);
+    if (cached && now - cached.computedAt < GALLERY_FACET_TTL_MS) return cached.facets;
+
+    // Data center and region counts roll up per-world counts through the world registry
+    const rollUp = (omit, field) => {
+        const counts = new Map();
+        for (const { value, count } of countGalleryFacet('p.server', query, omit)) {
+            const key = worldRegistry.getWorld(value)?.[field];
+            if (key) counts.set(key, (counts.get(key) || 0) + count);
+        }
+        return [...counts].map(([value, count]) => ({ value, count })).sort((a, b) => b.count - a.count || a.value.localeCompare(b.value));
+    };
+
+    const { where, params } = galleryWhere(query);
+    const tags = galleryStatement(`
+        SELECT t.tag AS value, COUNT(*) AS count
+        FROM profile_tags t JOIN profile_index p ON p.characterId = t.characterId
+        WHERE ${where.join(' AND ')}
+        GROUP BY t.tag ORDER BY count DESC, value ASC
+        LIMIT ${GALLERY_FACET_LIMIT}
+    `).all(params);
+
+    const facets = {
+        server: countGalleryFacet('p.server', query, 'server'),
+        dc: rollUp('dc', 'dataCenter'),
+        region: rollUp('region', 'region'),
+        race: countGalleryFacet('p.race', query, 'race', GALLERY_FACET_LIMIT),
+        pronouns: countGalleryFacet('p.pronouns', query, 'pronouns', GALLERY_FACET_LIMIT),
+        tags,
+        hasImage: countGalleryFacet('p.hasImage', query, 'hasImage').map(({ value, count }) => ({ value: value === 1, count }))
+    };
+
+    if (galleryFacetCache.size >= GALLERY_FACET_CACHE_MAX) {
+        for (const [k, entry] of galleryFacetCache) {
+            if (now - entry.computedAt >= GALLERY_FACET_TTL_MS) galleryFacetCache.delete(k);
+        }
+        if (galleryFacetCache.size >= GALLERY_FACET_CACHE_MAX) galleryFacetCache.clear();
+    }
+    galleryFacetCache.set(key, { facets, computedAt: now });
+    return facets;
+}
+
+// Comma-separated or repeated query param -> trimmed, de-duplicated list.
+function parseGalleryListParam(value, lowercase = false) {
+    const raw = Array.isArray(value) ? value.join(',') : (typeof value === 'string' ? value : '');
+    const out = new Set();
+    for (const part of raw.split(',')) {
+        const v = lowercase ? part.trim().toLowerCase() : part.trim();
+        if (v) out.add(v);
+    }
+    return [...out].slice(0, 20);
+}
+
+// The legacy full list, most-liked first, cached per gallery version and rating so clients
+// without a matching ETag don't each re-run and re-parse the whole gallery.
+const legacyGalleryCache = new Map(); // maxRating -> profiles, for legacyGalleryCacheVersion only
+let legacyGalleryCacheVersion = null;
+
+function getLegacyGalleryList(version, maxRating) {
+    if (version !== legacyGalleryCacheVersion) {
+        legacyGalleryCache.clear();
+        legacyGalleryCacheVersion = version;
+    }
+    let profiles = legacyGalleryCache.get(maxRating);
+    if (!profiles) {
+        profiles = queryGallery({ sort: 'likes', maxRating }).profiles;
+        legacyGalleryCache.set(maxRating, profiles);
+    }
+    return profiles;
+}
+
+// Gallery endpoint. Legacy clients get the full list, most-liked first.
+app.get("/gallery", async (req, res) => {
+    try {
+        const isPlugin = req.headers['x-plugin-auth'] === 'cs-plus-gallery-client';
+        const isAdmin = req.query.admin === 'true' && !!getAdminSession(req);
+        const maxRating = viewerMaxRating(req, isAdmin); // General unless the client asks for Suggestive / Mature
+
+        // ETag check, auto-refresh clients send If-None-Match and get 304 until something in the
+        // gallery changes. The ETag factors in the viewer's rating so clients requesting different
+        // filter sets don't share cached responses.
+        const version = `${getGalleryVersion()}-l${getGalleryLikesTag()}`;
+        const currentEtag = `"gallery-v${version}-${galleryRatingTag(maxRating)}-${isPlugin || isAdmin ? 'full' : 'sanitized'}"`;
+        if (req.headers['if-none-match'] === currentEtag) {
+            res.setHeader('ETag', currentEtag);
+            res.setHeader('Cache-Control', 'private, max-age=30');
+            return res.status(304).end();
+        }
+
+        const profiles = getLegacyGalleryList(version, maxRating);
+
+        res.setHeader('ETag', currentEtag);
+        res.setHeader('Cache-Control', 'private, max-age=30');
+
+        if (isPlugin || isAdmin) {
+            return res.json(withPublicImageUrls(req, profiles, { nsfw: maxRating >= RATING_MATURE }));
+        } else {
+            return res.json(sanitizeGalleryData(profiles));
+        }
+    } catch (err) {
+        console.error('Gallery error:', err);
+        res.status(500).json({ error: 'Failed to load gallery' });
+    }
+});
 
-                    return {
-                        physicalName,
-                        activeTime,
-                        sharing: profileData.Sharing,
-                        allowNameSync: profileData.AllowOthersToSeeMyCSName,
-                        csName: profileData.CharacterName,
-                        nameplateColor: colorArray
-                    };
-                } catch (err) {
-                    return null; // Skip files that can't be read
-                }
-            }));
+// ===============================
+// 📚 GALLERY v2, PAGINATED
+// ===============================
+// Paginated gallery endpoint. Returns one page of the gallery plus metadata so clients can page
+// through without pulling the entire list on every request. Supports ETag/304 for clients that
+// already have a current version cached.
+//
+// Response envelope:
+//   { profiles: [...], page: N, pageSize: N, total: N, version: N, sort: S, nextCursor: S|null, facets: {...} }
+//
+// Query params:
+//   sort     , 'likes' (default), 'newest' or 'active' (recently active)
+//   cursor   , nextCursor from the previous page; pages stay stable while profiles change underneath
+//   page     , zero-indexed page number, used only when no cursor is sent (default 0)
+//   pageSize , items per page, clamped 10-100 (default 50)
+//   maxRating, highest content rating to include: General, Suggestive or Mature (default General)
+//   nsfw     , 'true' is the older spelling of maxRating=Mature
+//   search   , optional substring filter against CharacterName / Tags
+//   server   , world name(s), comma-separated
+//   dc       , data center name(s), comma-separated
+//   region   , region name(s) (NA, EU, OCE, JP), comma-separated
+//   race     , race value(s), comma-separated, case-insensitive
+//   pronouns , pronoun value(s), comma-separated, case-insensitive
+//   tags     , tag(s) a profile must ALL have, comma-separated
+//   excludeTags , tag(s) a profile must have NONE of
+//   hasImage , 'true' or 'false'
+//
+// Every response carries `facets`: { server, dc, region, race, pronouns, tags, hasImage }, each a list of
+// { value, count }. A facet's counts ignore that facet's own filter so clients can show how many
+// profiles each alternative chip would return. Facet counts are cached per query and can trail the
+// profile list by up to a minute.
+//
+// Backward compat: the legacy /gallery continues to return the full array unchanged, so clients
+// still on older CS+ versions keep working.
+app.get("/gallery/v2", async (req, res) => {
+    try {
+        const isPlugin = req.headers['x-plugin-auth'] === 'cs-plus-gallery-client';
+        const isAdmin = req.query.admin === 'true' && !!getAdminSession(req);
+        const maxRating = viewerMaxRating(req, isAdmin);
 
-            // Collect non-null results
-            for (const result of batchResults) {
-                if (result) allResults.push(result);
-            }
+        const sort = typeof req.query.sort === 'string' && req.query.sort ? req.query.sort : GALLERY_DEFAULT_SORT;
+        if (!GALLERY_SORTS[sort]) {
+            return res.status(400).json({ error: `Invalid sort. Use one of: ${Object.keys(GALLERY_SORTS).join(', ')}` });
+        }
 
-            // Yield to event loop between batches with small delay to let other requests through
-            await new Promise(resolve => setTimeout(resolve, 10));
+        let after = null;
+        if (typeof req.query.cursor === 'string' && req.query.cursor) {
+            after = decodeGalleryCursor(req.query.cursor, sort);
+            if (!after) return res.status(400).json({ error: 'Invalid cursor' });
         }
 
-        // Now process all results to find newest per physical name
-        const newestActiveTime = new Map();
-        const tempIndex = new Map();
+        // ETag check - if client already has this version, return 304
+        const version = getGalleryVersion();
+        const currentEtag = `"gallery-v${version}-l${getGalleryLikesTag()}-${galleryRatingTag(maxRating)}-${isPlugin || isAdmin ? 'full' : 'sanitized'}"`;
+        if (req.headers['if-none-match'] === currentEtag) {
+            res.setHeader('ETag', currentEtag);
+            res.setHeader('Cache-Control', 'private, max-age=60');
+            return res.status(304).end();
+        }
 
-        for (const { physicalName, activeTime, sharing, allowNameSync, csName, nameplateColor } of allResults) {
-            // Check if we've already seen a newer file for this physical name
-            const seenNewerTime = newestActiveTime.get(physicalName);
-            if (seenNewerTime && seenNewerTime > activeTime) continue; // Skip older profiles
+        const search = typeof req.query.search === 'string' ? req.query.search.trim() : '';
+        const pageSize = Math.min(100, Math.max(10, parseInt(req.query.pageSize, 10) || 50));
+        const page = after ? 0 : Math.max(0, parseInt(req.query.page, 10) || 0);
+
+        const filters = {
+            servers: parseGalleryListParam(req.query.server),
+            races: parseGalleryListParam(req.query.race),
+            pronouns: parseGalleryListParam(req.query.pronouns),
+            tags: parseGalleryListParam(req.query.tags, true).map(t => t.replace(/^#+/, '')).filter(Boolean),
+            excludeTags: parseGalleryListParam(req.query.excludeTags, true).map(t => t.replace(/^#+/, '')).filter(Boolean)
+        };
+        const dcs = parseGalleryListParam(req.query.dc);
+        if (dcs.length) {
+            const names = dcs.map(dc => worldRegistry.findDataCenter(dc));
+            const unknown = dcs.filter((dc, i) => !names[i]);
+            if (unknown.length) {
+                return res.status(400).json({ error: `Unknown data center: ${unknown.join(', ')}` });
+            }
+            filters.dcWorlds = names.flatMap(dataCenter => worldRegistry.getWorldsIn({ dataCenter }));
+        }
+        const regions = parseGalleryListParam(req.query.region);
+        if (regions.length) {
+            const names = regions.map(region => worldRegistry.findRegion(region));
+            const unknown = regions.filter((region, i) => !names[i]);
+            if (unknown.length) {
+                return res.status(400).json({ error: `Unknown region: ${unknown.join(', ')}` });
+            }
+            filters.regionWorlds = names.flatMap(region => worldRegistry.getWorldsIn({ region }));
+        }
+        if (req.query.hasImage === 'true' || req.query.hasImage === 'false') {
+            filters.hasImage = req.query.hasImage === 'true';
+        }
 
-            // Track this as the newest activeTime we've seen
-            newestActiveTime.set(physicalName, activeTime);
+        const query = { maxRating, search, filters };
+        const { profiles, total, nextCursor } = queryGallery({
+            ...query,
+            sort,
+            after,
+            offset: page * pageSize,
+            limit: pageSize
+        });
+        const facets = getGalleryFacets(query);
 
-            // Clear any older entry - if this newer profile fails validation, we want NO entry
-            tempIndex.delete(physicalName);
+        res.setHeader('ETag', currentEtag);
+        res.setHeader('Cache-Control', 'private, max-age=60');
 
-            // Skip if NeverShare (NeverShare = 1 in the enum)
-            if (sharing === 'NeverShare' || sharing === 1) continue;
+        return res.json({
+            profiles: isPlugin || isAdmin ? withPublicImageUrls(req, profiles, { nsfw: maxRating >= RATING_MATURE }) : sanitizeGalleryData(profiles),
+            page,
+            pageSize,
+            total,
+            version,
+            sort,
+            nextCursor,
+            facets
+        });
+    } catch (err) {
+        console.error('Gallery v2 error:', err);
+        res.status(500).json({ error: 'Failed to load gallery' });
+    }
+});
 
-            // Skip if user hasn't opted in to name visibility
-            if (allowNameSync !== true) continue;
+// ===============================
+// 🔄 GALLERY DELTA SYNC
+// ===============================
+// Lets the plugin keep a local gallery mirror instead of re-pulling /gallery after every version bump.
+// Each response lists the profiles that entered or changed in the client's view (`upserted`) and
+// the ids that left it (`removed`: deleted, banned, no longer ShowcasePublic, or NSFW for a client
+// not asking for NSFW). Page until `hasMore` is false, then poll with the last `cursor`.
+//
+// Query params:
+//   since    , cursor from the previous response; omit or 0 for a full sync
+//   limit    , max changes per response, clamped 100-1000 (default 500)
+//   maxRating, highest content rating to include (see /gallery/v2); nsfw=true means Mature
+//
+// Response envelope: { upserted: [...], removed: [ids], cursor: S, hasMore: B, reset: B }
+// `reset` means the cursor predates pruned tombstones: drop the mirror and sync again from 0.
+// LikeCount in `upserted` is current as of the response; likes alone don't create changes.
 
-            // Skip if profile is older than 24 hours (Name Sync expiry - profiles NOT deleted, just excluded from Name Sync)
-            const expiryTime = Date.now() - (NAME_SYNC_EXPIRY_HOURS * 60 * 60 * 1000);
-            if (activeTime < expiryTime) continue;
+const GALLERY_CHANGES_RETENTION_DAYS = 30;
 
-            // Skip if name banned
-            if (moderationDB.isNameBanned(physicalName)) continue;
+function getGalleryChangesHorizon() {
+    const row = indexDb.prepare("SELECT value FROM index_meta WHERE key = 'changes_horizon'").get();
+    return row ? Number(row.value) || 0 : 0;
+}
 
-            // Skip if no character name
-            if (!csName) continue;
+// Drops tombstones of long-deleted profiles. Clients whose cursor is older than the newest pruned
+// tombstone may have missed a removal, so they're told to resync.
+function pruneGalleryChanges() {
+    try {
+        const cutoff = Date.now() - GALLERY_CHANGES_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+        const { maxSeq } = stmtChangesPrunable.get(cutoff);
+        if (!maxSeq) return;
+        indexDb.transaction(() => {
+            const removed = stmtChangesPrune.run(cutoff).changes;
+            indexDb.prepare("INSERT OR REPLACE INTO index_meta (key, value) VALUES ('changes_horizon', ?)")
+                .run(String(Math.max(maxSeq, getGalleryChangesHorizon())));
+            console.log(`🔄 Pruned ${removed} gallery change tombstones (horizon ${maxSeq})`);
+        })();
+    } catch (err) {
+        console.error('Gallery changes prune error:', err);
+    }
+}
+setInterval(pruneGalleryChanges, 6 * 60 * 60 * 1000).unref();
 
-            tempIndex.set(physicalName, {
-                csName: csName,
-                nameplateColor: nameplateColor
-            });
+app.get("/gallery/changes", async (req, res) => {
+    try {
+        const isPlugin = req.headers['x-plugin-auth'] === 'cs-plus-gallery-client';
+        const isAdmin = req.query.admin === 'true' && !!getAdminSession(req);
+        const maxRating = viewerMaxRating(req, isAdmin);
+
+        const sinceRaw = req.query.since === undefined || req.query.since === '' ? '0' : String(req.query.since);
+        if (!/^\d{1,15}$/.test(sinceRaw)) {
+            return res.status(400).json({ error: 'Invalid cursor' });
         }
+        const since = Number(sinceRaw);
+        const limit = Math.min(1000, Math.max(100, parseInt(req.query.limit, 10) || 500));
 
-        // Copy to final cache
-        for (const [physicalName, data] of tempIndex) {
-            newCache.set(physicalName, data);
+        if (since > 0 && since < getGalleryChangesHorizon()) {
+            return res.json({ upserted: [], removed: [], cursor: '0', hasMore: true, reset: true });
         }
 
-        namesCache = newCache;
-        namesCacheTime = Date.now();
+        const rows = stmtChangesSince.all(since, limit);
+        const upserted = [];
+        const removed = [];
+        for (const row of rows) {
+            const visible = row.displayJson &&
+                (row.sharing === 'ShowcasePublic' || row.sharing === '2') &&
+                !moderationDB.isProfileBanned(row.characterId) &&
+                row.rating <= maxRating;
+            if (visible) {
+                const profile = JSON.parse(row.displayJson);
+                profile.LikeCount = row.likeCount;
+                upserted.push(profile);
+            } else if (since > 0) {
+                // A full sync has nothing to remove
+                removed.push(isPlugin || isAdmin
+                    ? row.characterId
+                    : generateSafeId(row.name || row.characterId.split('@')[0], row.characterId));
+            }
+        }
 
-        const elapsed = Date.now() - startTime;
-        console.log(`🔍 Names cache rebuilt: ${newCache.size} entries in ${elapsed}ms`);
+        const cursor = rows.length ? String(rows[rows.length - 1].seq) : String(since);
+        res.setHeader('Cache-Control', 'no-store');
+        return res.json({
+            upserted: isPlugin || isAdmin ? withPublicImageUrls(req, upserted, { nsfw: maxRating >= RATING_MATURE }) : sanitizeGalleryData(upserted),
+            removed,
+            cursor,
+            hasMore: rows.length === limit,
+            reset: false
+        });
     } catch (err) {
-        console.error('Error rebuilding names cache:', err);
-    } finally {
-        namesCacheBuilding = false;
+        console.error('Gallery changes error:', err);
+        res.status(500).json({ error: 'Failed to load gallery changes' });
     }
+});
+
+// ===============================
+// 🔎 GALLERY SEARCH
+// ===============================
+// Ranked full-text search over name, tags, bio, race and gallery status (profile_search, FTS5).
+// Words are ANDed; "quoted phrases" match in order; a trailing * makes a prefix term (`elez*`).
+// The last unquoted word is always a prefix term, so results keep up while typing (`drag` finds
+// "dragons").
+//
+// Query params:
+//   q        , the search text (required)
+//   limit    , max results, clamped 10-100 (default 50)
+//   offset   , results to skip, clamped 0-1000 (default 0)
+//   maxRating, highest content rating to include (see /gallery/v2); nsfw=true means Mature
+//
+// Response envelope: { profiles: [...], total: N, limit: N, offset: N }
+
+const SEARCH_MAX_TERMS = 12;
+const SEARCH_MAX_OFFSET = 1000;
+// bm25 column weights: name, tags, bio, race, status
+const SEARCH_RANK = 'bm25(profile_search, 10.0, 5.0, 1.0, 3.0, 2.0)';
+
+// Turns user input into a safe FTS5 MATCH expression. Every term is emitted as a quoted string,
+// so FTS5 operators and column filters typed by users are matched as plain text.
+function buildSearchMatch(input) {
+    if (typeof input !== 'string') return '';
+    const terms = [];
+    const re = /"([^"]*)"?|(\S+)/g;
+    let m;
+    while ((m = re.exec(input.substring(0, 200))) && terms.length < SEARCH_MAX_TERMS) {
+        const raw = m[1] !== undefined ? m[1] : m[2];
+        const words = raw.match(/[\p{L}\p{N}]+/gu);
+        if (!words) continue;
+        // "miqo'te" tokenizes as two words; keeping them together as a phrase preserves the meaning
+        terms.push({ words, quoted: m[1] !== undefined, starred: raw.endsWith('*') });
+    }
+    return terms.map((term, i) => {
+        // Single-letter prefixes match most of the index, so they stay exact
+        const prefix = !term.quoted && (term.starred || i === terms.length - 1) && term.words[term.words.length - 1].length >= 2;
+        return `"${term.words.join(' ')}"${prefix ? ' *' : ''}`;
+    }).join(' ');
 }
 
-// Invalidate names cache (call when profiles are uploaded/deleted)
-function invalidateNamesCache() {
-    namesCache = null;
-    namesCacheTime = 0;
+// `scope` is 'gallery' (ShowcasePublic, unbanned) or 'all' (gallery + AlwaysShare, banned included).
+function searchProfiles(match, { scope = 'gallery', sharing = null, maxRating = DEFAULT_VIEWER_RATING, limit = 50, offset = 0 }) {
+    const where = ['profile_search MATCH @match', 'p.displayJson IS NOT NULL'];
+    const params = { match };
+    if (scope === 'gallery') {
+        where.push("p.sharing IN ('ShowcasePublic', '2')");
+        where.push('p.characterId NOT IN (SELECT value FROM json_each(@banned))');
+        params.banned = JSON.stringify(moderationDB.getBannedProfiles());
+    } else if (sharing === 'ShowcasePublic') {
+        where.push("p.sharing IN ('ShowcasePublic', '2')");
+    } else if (sharing === 'AlwaysShare') {
+        where.push("p.sharing IN ('AlwaysShare', '0')");
+    } else {
+        where.push("p.sharing IN ('ShowcasePublic', '2', 'AlwaysShare', '0')");
+    }
+    if (maxRating < MAX_CONTENT_RATING) {
+        where.push('p.rating <= @maxRating');
+        params.maxRating = maxRating;
+    }
+
+    const from = `FROM profile_search JOIN profile_index p ON p.rowid = profile_search.rowid WHERE ${where.join(' AND ')}`;
+    const total = galleryStatement(`SELECT COUNT(*) AS c ${from}`).get(params).c;
+    const rows = galleryStatement(`
+        SELECT p.characterId, p.displayJson, COALESCE(lc.count, 0) AS likeCount,
+            snippet(profile_search, -1, '[', ']', '…', 12) AS snippet
+        FROM profile_search
+        JOIN profile_index p ON p.rowid = profile_search.rowid
+        LEFT JOIN like_counts lc ON lc.characterId = p.characterId
+        WHERE ${where.join(' AND ')}
+        ORDER BY ${SEARCH_RANK}
+        LIMIT @limit OFFSET @offset
+    `).all({ ...params, limit, offset });
+
+    return { rows, total };
 }
 
-// Update a single entry in the names cache (avoids full rebuild)
-function updateNamesCacheEntry(physicalName, csName, nameplateColor, sharing, allowOthersToSee) {
-    if (!namesCache) return; // Cache not built yet, will be built on next request
+app.get("/gallery/search", async (req, res) => {
+    try {
+        const isPlugin = req.headers['x-plugin-auth'] === 'cs-plus-gallery-client';
+        const isAdmin = req.query.admin === 'true' && !!getAdminSession(req);
+        const maxRating = viewerMaxRating(req, isAdmin);
 
-    // Check if this profile should be visible in names lookup
-    const isPrivate = sharing === 'NeverShare' || sharing === 1;
-    const optedIn = allowOthersToSee === true;
+        const match = buildSearchMatch(req.query.q);
+        if (!match) return res.status(400).json({ error: 'Search query is required' });
 
-    if (isPrivate || !optedIn) {
-        // Remove from cache if exists
-        namesCache.delete(physicalName);
-    } else {
-        // Add/update in cache
-        let color = [1, 1, 1]; // Default white
-        if (nameplateColor) {
-            if (Array.isArray(nameplateColor)) {
-                color = nameplateColor;
-            } else if (typeof nameplateColor === 'object') {
-                color = [nameplateColor.X || 1, nameplateColor.Y || 1, nameplateColor.Z || 1];
-            }
-        }
-        namesCache.set(physicalName, { csName, nameplateColor: color });
+        const limit = Math.min(100, Math.max(10, parseInt(req.query.limit, 10) || 50));
+        const offset = Math.min(SEARCH_MAX_OFFSET, Math.max(0, parseInt(req.query.offset, 10) || 0));
+
+        const { rows, total } = searchProfiles(match, { scope: 'gallery', maxRating, limit, offset });
+        const profiles = rows.map(row => {
+            const profile = JSON.parse(row.displayJson);
+            profile.LikeCount = row.likeCount;
+            return profile;
+        });
+
+        res.setHeader('Cache-Control', 'private, max-age=60');
+        return res.json({
+            profiles: isPlugin || isAdmin ? withPublicImageUrls(req, profiles, { nsfw: maxRating >= RATING_MATURE }) : sanitizeGalleryData(profiles),
+            total,
+            limit,
+            offset
+        });
+    } catch (err) {
+        console.error('Gallery search error:', err);
+        res.status(500).json({ error: 'Failed to search gallery' });
     }
+});
+
+// ===============================
+// 🔥 TRENDING GALLERY
+// ===============================
+// Ranks ShowcasePublic profiles by likes received inside a recent window, with each like's weight
+// halving every (window / 3) hours, so 50 likes today outrank 500 likes from last year.
+// Likes imported from the old JSON store have no timestamp (createdAt 0) and never count here.
+//
+// Query params:
+//   window   , hours to look back, clamped 1-720 (default 72)
+//   limit    , max profiles returned, clamped 10-100 (default 50)
+//   maxRating, highest content rating to include (see /gallery/v2); nsfw=true means Mature
+//
+// Response envelope: { profiles: [...], window: N, generatedAt: ISO }
+
+function computeTrending(windowHours) {
+    const cached = trendingCache.get(windowHours);
+    if (cached && Date.now() - cached.time < TRENDING_CACHE_DURATION) return cached;
+
+    const now = Date.now();
+    const halfLifeHours = windowHours / 3;
+    const nowHour = now / 3600000;
+    const scores = new Map(); // characterId -> { score, recentLikes }
+
+    for (const row of stmtTrendingBuckets.all(now - windowHours * 3600000)) {
+        // Bucket midpoint age, so likes from the current hour aren't all weighted as brand new
+        const ageHours = Math.max(0, nowHour - (row.hour + 0.5));
+        const entry = scores.get(row.characterId) || { score: 0, recentLikes: 0 };
+        entry.score += row.n * Math.pow(0.5, ageHours / halfLifeHours);
+        entry.recentLikes += row.n;
+        scores.set(row.characterId, entry);
+    }
+
+    const ranked = Array.from(scores.entries())
+        .filter(([characterId]) => !moderationDB.isProfileBanned(characterId))
+        .map(([characterId, e]) => ({ characterId, score: e.score, recentLikes: e.recentLikes }))
+        .sort((a, b) => b.score - a.score);
+
+    const result = { ranked, time: now };
+    trendingCache.set(windowHours, result);
+    return result;
 }
 
-app.post("/names/lookup", async (req, res) => {
+app.get("/gallery/trending", async (req, res) => {
     try {
-        const { characters } = req.body;
+        const isPlugin = req.headers['x-plugin-auth'] === 'cs-plus-gallery-client';
+        const isAdmin = req.query.admin === 'true' && !!getAdminSession(req);
+        const maxRating = viewerMaxRating(req, isAdmin);
 
-        if (!Array.isArray(characters) || characters.length === 0) {
-            return res.status(400).json({ error: "Invalid request: characters array required" });
-        }
+        const windowHours = Math.min(TRENDING_MAX_WINDOW_HOURS,
+            Math.max(1, parseInt(req.query.window, 10) || TRENDING_DEFAULT_WINDOW_HOURS));
+        const limit = Math.min(100, Math.max(10, parseInt(req.query.limit, 10) || 50));
 
-        const limitedChars = characters.slice(0, 50);
-        const cutoff = Date.now() - (NAME_SYNC_EXPIRY_HOURS * 60 * 60 * 1000);
-        const results = {};
+        const { ranked, time } = computeTrending(windowHours);
 
-        for (const physicalName of limitedChars) {
-            if (!physicalName || typeof physicalName !== 'string') continue;
-            if (moderationDB.isNameBanned(physicalName)) continue;
+        const currentEtag = `"trending-${windowHours}-${time}-${limit}-${galleryRatingTag(maxRating)}-${isPlugin || isAdmin ? 'full' : 'sanitized'}"`;
+        if (req.headers['if-none-match'] === currentEtag) {
+            res.setHeader('ETag', currentEtag);
+            res.setHeader('Cache-Control', 'private, max-age=60');
+            return res.status(304).end();
+        }
 
-            // Use the player's CURRENT character (newest). Show a name only if that one allows sync;
-            // if their current character is excluded, return nothing so viewers revert to the in-game name.
-            const row = stmtIndexLookupName.get(physicalName, cutoff);
-            if (row && row.csName && row.allowNameSync === 1 && row.sharing !== 'NeverShare' && row.sharing !== '1') {
-                let color = [1, 1, 1];
-                try { color = JSON.parse(row.nameplateColor) || [1, 1, 1]; } catch (e) { /* keep default */ }
-                results[physicalName] = { csName: row.csName, nameplateColor: color };
+        const profiles = [];
+        for (const entry of ranked) {
+            if (profiles.length >= limit) break;
+            const row = stmtIndexDisplayJson.get(entry.characterId);
+            if (!row || !row.displayJson) continue;
+
+            const profile = JSON.parse(row.displayJson);
+            // Content rating filter (admins get MAX_CONTENT_RATING)
+            if (profileRatingLevel(profile) > maxRating) continue;
+
+            profile.LikeCount = likesDB.getLikeCount(entry.characterId);
+            if (isPlugin || isAdmin) {
+                profile.TrendingScore = Math.round(entry.score * 100) / 100;
+                profile.RecentLikes = entry.recentLikes;
             }
+            profiles.push(profile);
         }
 
-        res.json({ results });
+        res.setHeader('ETag', currentEtag);
+        res.setHeader('Cache-Control', 'private, max-age=60');
+
+        return res.json({
+            profiles: isPlugin || isAdmin ? withPublicImageUrls(req, profiles, { nsfw: maxRating >= RATING_MATURE }) : sanitizeGalleryData(profiles),
+            window: windowHours,
+            generatedAt: new Date(time).toISOString()
+        });
     } catch (err) {
-        console.error(`Error in names lookup endpoint: ${err}`);
-        res.status(500).json({ error: "Server error" });
+        console.error('Gallery trending error:', err);
+        res.status(500).json({ error: 'Failed to load trending gallery' });
     }
 });
 
-// Clear this physical name's Name Sync rows so /names/lookup skips it.
-app.post("/names/clear/:name", async (req, res) => {
+// All Profiles endpoint (admin only) - cached like gallery
+app.get("/profiles/all", async (req, res) => {
     try {
-        const physicalName = decodeURIComponent(req.params.name);
+        const isAdmin = req.query.admin === 'true' && !!getAdminSession(req);
 
-        const authResult = checkSlotAuth(req, physicalName);
-        if (!authResult.ok) {
-            return res.status(authResult.status).json({ error: authResult.message });
+        if (!isAdmin) {
+            return res.status(403).json({ error: 'Admin access required' });
         }
 
-        stmtIndexClearName.run(physicalName);
-        if (namesCache) namesCache.delete(physicalName);
+        const rows = indexDb.prepare(`
+            SELECT characterId, physicalName, displayJson FROM profile_index
+            WHERE sharing != 'NeverShare' AND sharing != '1' AND displayJson IS NOT NULL
+        `).all();
+
+        const profiles = [];
+        for (const row of rows) {
+            let p;
+            try { p = JSON.parse(row.displayJson); } catch (e) { continue; }
+            p.LikeCount = likesDB.getLikeCount(row.characterId);
+            p.IsBanned = moderationDB.isProfileBanned(row.characterId);
+            p.SlotStatus = tokensDB.getSlotStatus(row.physicalName);
+            profiles.push(p);
+        }
+        profiles.sort((a, b) => new Date(b.LastUpdated) - new Date(a.LastUpdated));
+
+        res.json(withPublicImageUrls(req, profiles, { nsfw: true }));
 
-        res.json({ ok: true });
     } catch (err) {
-        console.error(`Error in names clear endpoint: ${err}`);
-        res.status(500).json({ error: "Server error" });
+        console.error('All profiles error:', err);
+        res.status(500).json({ error: 'Failed to load profiles' });
     }
 });
 
-// ===============================
-// 📋 RP PROFILES LOOKUP (for context menu)
-// ===============================
-// Separate from names lookup - checks if users have shared RP profiles
-// Does NOT require AllowOthersToSeeMyCSName - just checks if profile exists and is shared
+// Like endpoints. Likes only touch the likes store; the profile file (and its LastUpdated) is
+// left alone, and LikeCount is joined in at read time.
+//
+// The liker is the character slot in `x-character-key` ("Name@World"), verified against the
+// install token the same way uploads are, so a script can't mint likers by rotating headers.
+const LIKE_RATE_LIMIT_PER_MINUTE = 10;
+const LIKE_RATE_LIMIT_PER_HOUR = 120;
+const likeActionsByToken = new Map(); // token -> timestamps of recent like/unlike actions
+
+// Sliding-window limit per install token. Unlikes count too, so toggling can't be used to spam.
+function checkLikeRateLimit(token) {
+    const now = Date.now();
+    const recent = (likeActionsByToken.get(token) || []).filter(t => t > now - 3600000);
+    const lastMinute = recent.filter(t => t > now - 60000).length;
+    if (lastMinute >= LIKE_RATE_LIMIT_PER_MINUTE || recent.length >= LIKE_RATE_LIMIT_PER_HOUR) {
+        likeActionsByToken.set(token, recent);
+        return false;
+    }
+    recent.push(now);
+    likeActionsByToken.set(token, recent);
+    return true;
+}
 
-async function rebuildProfilesLookupCache(waitForCompletion = false) {
-    if (profilesLookupCacheBuilding) {
-        // If caller needs to wait for cache, poll until ready
-        if (waitForCompletion) {
-            while (profilesLookupCacheBuilding) {
-                await new Promise(resolve => setTimeout(resolve, 100));
-            }
-        }
-        return;
+// Drop idle tokens so the map doesn't grow forever
+setInterval(() => {
+    const cutoff = Date.now() - 3600000;
+    for (const [token, times] of likeActionsByToken) {
+        if (!times.some(t => t > cutoff)) likeActionsByToken.delete(token);
+    }
+}, 10 * 60 * 1000).unref();
+
+// Shared auth for like/unlike. Returns { likerId, token } or sends the error response and returns null.
+function authorizeLike(req, res) {
+    const likerId = req.headers['x-character-key'];
+    if (!likerId || !likerId.includes('@')) {
+        res.status(400).json({ error: 'Missing liking character. Update your CS+ plugin.' });
+        return null;
+    }
+
+    const authResult = checkSlotAuth(req, likerId, 'like');
+    if (!authResult.ok) {
+        res.status(authResult.status).json({ error: authResult.message });
+        return null;
     }
 
-    profilesLookupCacheBuilding = true;
-    const startTime = Date.now();
+    const token = req.headers['x-install-token'];
+    if (!checkLikeRateLimit(token)) {
+        res.status(429).json({ error: 'You are liking too fast. Please slow down.' });
+        return null;
+    }
+    return { likerId, token };
+}
 
+app.post("/gallery/:name/like", async (req, res) => {
     try {
-        const newCache = new Set();
-
-        const profileFiles = await new Promise((resolve, reject) => {
-            fs.readdir(profilesDir, (err, files) => {
-                if (err) reject(err);
-                else resolve(files.filter(file =>
-                    file.endsWith('.json') &&
-                    !file.endsWith('_follows.json')
-                ));
-            });
-        });
+        const characterId = decodeURIComponent(req.params.name);
+        const liker = authorizeLike(req, res);
+        if (!liker) return;
+        const { likerId, token } = liker;
 
-        // Collect all results first using parallel batch processing
-        const allResults = [];
-        const BATCH_SIZE = 25; // Reduced from 100 to prevent resource exhaustion
+        const isNewLike = !likesDB.hasLike(characterId, likerId);
+        const newCount = likesDB.addLike(characterId, likerId, token);
 
-        for (let i = 0; i < profileFiles.length; i += BATCH_SIZE) {
-            const batch = profileFiles.slice(i, i + BATCH_SIZE);
+        // Log activity for new likes only
+        if (isNewLike) {
+            try {
+                const row = stmtIndexCsName.get(characterId);
+                if (row) {
+                    activityDB.logActivity('like', `LIKED: ${row.csName || characterId}`, {
+                        characterId,
+                        characterName: row.csName || characterId,
+                        likerId,
+                        tokenPrefix: token.substring(0, 8),
+                        newCount
+                    });
+                }
+            } catch (err) {
+                // Silent fail for activity logging
+            }
+        }
 
-            const batchResults = await Promise.all(batch.map(async (file) => {
-                try {
-                    // Extract physical name from filename: "CSName_PhysicalName@World.json"
-                    const lastUnderscore = file.lastIndexOf('_');
-                    if (lastUnderscore === -1) return null;
+        res.json({ LikeCount: newCount });
 
-                    const physicalName = file.substring(lastUnderscore + 1, file.length - 5);
-                    if (!physicalName || !physicalName.includes('@')) return null;
+    } catch (err) {
+        console.error('Like error:', err);
+        res.status(500).json({ error: 'Failed to like profile' });
+    }
+});
 
-                    const fullPath = path.join(profilesDir, file);
-                    const stats = await fs.promises.stat(fullPath);
-                    const modTime = stats.mtime.getTime();
+app.delete("/gallery/:name/like", async (req, res) => {
+    try {
+        const characterId = decodeURIComponent(req.params.name);
+        const liker = authorizeLike(req, res);
+        if (!liker) return;
 
-                    // Read profile but only extract what this cache needs
-                    const fileContent = await fs.promises.readFile(fullPath, 'utf-8');
-                    const profileData = JSON.parse(fileContent);
+        const newCount = likesDB.removeLike(characterId, liker.likerId);
 
-                    return {
-                        characterId: file.replace('.json', ''),
-                        physicalName,
-                        modTime,
-                        sharing: profileData.Sharing
-                    };
-                } catch (err) {
-                    return null;
-                }
-            }));
+        res.json({ LikeCount: newCount });
 
-            for (const result of batchResults) {
-                if (result) allResults.push(result);
-            }
+    } catch (err) {
+        console.error('Unlike error:', err);
+        res.status(500).json({ error: 'Failed to unlike profile' });
+    }
+});
 
-            // Yield to event loop between batches with small delay to let other requests through
-            await new Promise(resolve => setTimeout(resolve, 10));
+// Friends endpoints
+app.post("/friends/update-follows", async (req, res) => {
+    try {
+        const { character, following } = req.body;
+        
+        if (!character || !Array.isArray(following)) {
+            return res.status(400).json({ error: "Invalid request data" });
         }
 
-        // Process results to find newest per physical name
-        const tempIndex = new Map();
-        const newestModTime = new Map();
+        friendsDB.updateFriends(character, following);
+        
+        const followsFile = path.join(profilesDir, `${character}_follows.json`);
+        const followsData = {
+            character: character,
+            following: following,
+            lastUpdated: new Date().toISOString()
+        };
+        
+        try {
+            await atomicWriteProfile(followsFile, followsData);
+        } catch (err) {
+            console.error('Failed to write friends backup file:', err);
+        }
+        
+        res.json({ success: true });
+        
+    } catch (error) {
+        console.error('Update friends error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
 
-        for (const { characterId, physicalName, modTime, sharing } of allResults) {
-            // Check if we've already seen a newer file for this physical name
-            const seenNewerTime = newestModTime.get(physicalName);
-            if (seenNewerTime && seenNewerTime > modTime) continue;
+app.post("/friends/check-mutual", async (req, res) => {
+    try {
+        const { character } = req.body;
+        
+        if (!character) {
+            return res.status(400).json({ error: "Invalid request data" });
+        }
 
-            newestModTime.set(physicalName, modTime);
-            tempIndex.delete(physicalName);
+        const mutualFriends = friendsDB.getMutualFriends(character);
+        res.json({ mutualFriends });
+        
+    } catch (error) {
+        console.error('Check mutual error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
 
-            // Skip if NeverShare
-            if (sharing === 'NeverShare' || sharing === 1) continue;
+// =============================================================================
+// MODERATION ENDPOINTS
+// =============================================================================
 
-            // Skip if banned
-            if (moderationDB.isProfileBanned(characterId)) continue;
+// Get active announcements (public)
+app.get("/announcements", (req, res) => {
+    try {
+        const announcements = announcementsDB.getActiveAnnouncements();
+        res.json(announcements);
+    } catch (error) {
+        console.error('Get announcements error:', error);
+        res.status(500).json({ error: 'Failed to get announcements' });
+    }
+});
 
-            // Has a shared profile (AlwaysShare or ShowcasePublic)
-            tempIndex.set(physicalName, modTime);
+// Create announcement (admin only)
+app.post("/admin/announcements", requireOwner, (req, res) => {
+    try {
+        const { title, message, type } = req.body;
+        
+        if (!title || !message) {
+            return res.status(400).json({ error: 'Title and message are required' });
         }
 
-        // Convert to Set
-        for (const physicalName of tempIndex.keys()) {
-            newCache.add(physicalName);
-        }
+        const announcement = announcementsDB.addAnnouncement(title, message, type);
+        res.json(announcement);
+    } catch (error) {
+        console.error('Create announcement error:', error);
+        res.status(500).json({ error: 'Failed to create announcement' });
+    }
+});
 
-        profilesLookupCache = newCache;
-        profilesLookupCacheTime = Date.now();
+// Get all announcements (admin only)
+app.get("/admin/announcements", requireAdmin, (req, res) => {
+    try {
+        const announcements = announcementsDB.getAllAnnouncements();
+        res.json(announcements);
+    } catch (error) {
+        console.error('Get all announcements error:', error);
+        res.status(500).json({ error: 'Failed to get announcements' });
+    }
+});
 
-        const elapsed = Date.now() - startTime;
-        console.log(`📋 Profiles lookup cache rebuilt: ${newCache.size} entries in ${elapsed}ms`);
-    } catch (err) {
-        console.error('Error rebuilding profiles lookup cache:', err);
-    } finally {
-        profilesLookupCacheBuilding = false;
+// Deactivate announcement (admin only)
+app.patch("/admin/announcements/:id/deactivate", requireOwner, (req, res) => {
+    try {
+        const { id } = req.params;
+        const success = announcementsDB.deactivateAnnouncement(id);
+        
+        if (success) {
+            res.json({ success: true });
+        } else {
+            res.status(404).json({ error: 'Announcement not found' });
+        }
+    } catch (error) {
+        console.error('Deactivate announcement error:', error);
+        res.status(500).json({ error: 'Failed to deactivate announcement' });
     }
-}
+});
 
-function invalidateProfilesLookupCache() {
-    profilesLookupCache = null;
-    profilesLookupCacheTime = 0;
-}
+// Delete announcement (admin only)
+app.delete("/admin/announcements/:id", requireOwner, (req, res) => {
+    try {
+        const { id } = req.params;
+        const success = announcementsDB.deleteAnnouncement(id);
+        
+        if (success) {
+            res.json({ success: true });
+        } else {
+            res.status(404).json({ error: 'Announcement not found' });
+        }
+    } catch (error) {
+        console.error('Delete announcement error:', error);
+        res.status(500).json({ error: 'Failed to delete announcement' });
+    }
+});
 
-// Update a single entry in the profiles lookup cache (avoids full rebuild)
-function updateProfilesLookupCacheEntry(physicalName, sharing) {
-    if (!profilesLookupCache) return; // Cache not built yet, will be built on next request
+// Submit report (public)
+app.post("/reports", (req, res) => {
+    try {
+        const { reportedCharacterId, reportedCharacterName, reporterCharacter, reason, details, offensiveCSName } = req.body;
 
-    const isPrivate = sharing === 'NeverShare' || sharing === 1;
+        if (!reportedCharacterId || !reporterCharacter || !reason) {
+            return res.status(400).json({ error: 'Missing required fields' });
+        }
 
-    if (isPrivate) {
-        // Remove from cache if exists
-        profilesLookupCache.delete(physicalName);
-    } else {
-        // Add to cache (AlwaysShare or ShowcasePublic)
-        profilesLookupCache.add(physicalName);
+        const report = reportsDB.addReport(
+            reportedCharacterId,
+            reportedCharacterName || reportedCharacterId,
+            reporterCharacter,
+            reason,
+            details,
+            offensiveCSName
+        );
+
+        // Log activity
+        activityDB.logActivity('report', `REPORTED: ${reportedCharacterName || reportedCharacterId} (CS+: ${offensiveCSName || 'N/A'})`, {
+            reportId: report.id,
+            reportedCharacterId,
+            reportedCharacterName: reportedCharacterName || reportedCharacterId,
+            offensiveCSName,
+            reporterCharacter,
+            reason
+        });
+        
+        res.json({ success: true, reportId: report.id });
+    } catch (error) {
+        console.error('Submit report error:', error);
+        res.status(500).json({ error: 'Failed to submit report' });
     }
-}
+});
 
-app.post("/profiles/lookup", async (req, res) => {
+// Get reports (admin only)
+app.get("/admin/reports", requireAdmin, (req, res) => {
     try {
-        const { characters } = req.body;
-
-        if (!Array.isArray(characters) || characters.length === 0) {
-            return res.status(400).json({ error: "Invalid request: characters array required" });
-        }
-
-        const limitedChars = characters.slice(0, 50);
-        const results = {};
-
-        for (const physicalName of limitedChars) {
-            if (!physicalName || typeof physicalName !== 'string') continue;
-
-            const row = stmtIndexLookupProfile.get(physicalName);
-            if (row && row.sharing !== 'NeverShare' && row.sharing !== '1' && !moderationDB.isProfileBanned(row.characterId)) {
-                results[physicalName] = { hasProfile: true };
-            }
-        }
-
-        res.json({ results });
-    } catch (err) {
-        console.error(`Error in profiles lookup endpoint: ${err}`);
-        res.status(500).json({ error: "Server error" });
+        const { status } = req.query;
+        const reports = reportsDB.getReports(status);
+        res.json(reports);
+    } catch (error) {
+        console.error('Get reports error:', error);
+        res.status(500).json({ error: 'Failed to get reports' });
     }
 });
 
-// Gallery cache rebuild function (runs in background)
-async function rebuildGalleryCache(waitForCompletion = false) {
-    // Gallery cache rebuild disabled. Remove this return to restore it.
-    return;
+// Update report status (admin only)
+app.patch("/admin/reports/:id", requireAdmin, (req, res) => {
+    try {
+        const { id } = req.params;
+        const { status, adminNotes } = req.body;
+        const adminId = req.adminId;
+        
+        if (!status) {
+            return res.status(400).json({ error: 'Status is required' });
+        }
 
-    if (galleryCacheBuilding) {
-        // If caller needs to wait for cache, poll until ready
-        if (waitForCompletion) {
-            while (galleryCacheBuilding) {
-                await new Promise(resolve => setTimeout(resolve, 100));
-            }
+        const success = reportsDB.updateReportStatus(id, status, adminNotes, adminId);
+        
+        if (success) {
+            res.json({ success: true });
+        } else {
+            res.status(404).json({ error: 'Report not found' });
         }
-        return;
+    } catch (error) {
+        console.error('Update report error:', error);
+        res.status(500).json({ error: 'Failed to update report' });
     }
-    galleryCacheBuilding = true;
+});
 
-    const startTime = Date.now();
+// Full-text profile search for moderators. Covers AlwaysShare (direct-only) profiles as well as the
+// gallery, includes NSFW and banned profiles, and returns a highlighted snippet of the best match.
+// Same query syntax as /gallery/search; `sharing` narrows to 'ShowcasePublic' or 'AlwaysShare'.
+app.get("/admin/profiles/search", requireAdmin, (req, res) => {
     try {
-        const profileFiles = await new Promise((resolve, reject) => {
-            fs.readdir(profilesDir, (err, files) => {
-                if (err) reject(err);
-                else resolve(files.filter(file =>
-                    file.endsWith('.json') &&
-                    !file.endsWith('_follows.json')
-                ));
-            });
+        const match = buildSearchMatch(req.query.q);
+        if (!match) return res.status(400).json({ error: 'Search query is required' });
+
+        const limit = Math.min(200, Math.max(10, parseInt(req.query.limit, 10) || 50));
+        const offset = Math.min(SEARCH_MAX_OFFSET, Math.max(0, parseInt(req.query.offset, 10) || 0));
+        const sharing = req.query.sharing === 'ShowcasePublic' || req.query.sharing === 'AlwaysShare' ? req.query.sharing : null;
+
+        const { rows, total } = searchProfiles(match, { scope: 'all', sharing, maxRating: MAX_CONTENT_RATING, limit, offset });
+        const profiles = rows.map(row => {
+            const profile = JSON.parse(row.displayJson);
+            profile.LikeCount = row.likeCount;
+            profile.IsBanned = moderationDB.isProfileBanned(row.characterId);
+            profile.Snippet = row.snippet;
+            return profile;
         });
 
-        const showcaseProfiles = [];
-
-        for (let i = 0; i < profileFiles.length; i += 25) {
-            const batch = profileFiles.slice(i, i + 25);
-
-            const batchResults = await Promise.all(batch.map(async (file) => {
-                const characterId = file.replace('.json', '');
-                const filePath = path.join(profilesDir, file);
+        res.json({ profiles: withPublicImageUrls(req, profiles, { nsfw: true }), total, limit, offset });
+    } catch (error) {
+        console.error('Admin profile search error:', error);
+        res.status(500).json({ error: 'Failed to search profiles' });
+    }
+});
 
-                try {
-                    if (moderationDB.isProfileBanned(characterId)) {
-                        return null;
-                    }
+// Remove profile (admin only)
+app.delete("/admin/profiles/:characterId", requireAdmin, async (req, res) => {
+    try {
+        const characterId = decodeURIComponent(req.params.characterId);
+        const { reason, ban } = req.body;
+        const adminId = req.adminId;
 
-                    const profileData = await readProfileAsync(filePath);
+        const { expiresAt, error } = ban ? banExpiryFromBody(req.body) : { expiresAt: null };
+        if (error) return res.status(400).json({ error });
+        
+        const filePath = path.join(profilesDir, `${characterId}.json`);
+        
+        if (!fs.existsSync(filePath)) {
+            return res.status(404).json({ error: 'Profile not found' });
+        }
 
-                    if (!isValidProfile(profileData)) {
-                        return null;
-                    }
+        let characterName = characterId;
+        let physicalName = null;
+        let imageUrl = null;
+        try {
+            const profile = await readProfileAsync(filePath);
+            characterName = profile.CharacterName || characterId;
+            imageUrl = profile.ProfileImageUrl;
+            // Derive physical name from profile's CS+ name, more reliable than extractPhysicalName
+            // when CS+ names contain special chars (sanitised to underscores in characterId)
+            if (profile.CharacterName) {
+                const sanitizedCS = profile.CharacterName.replace(/[^\w\s\-.']/g, '_');
+                const prefix = sanitizedCS + '_';
+                if (characterId.startsWith(prefix)) {
+                    physicalName = characterId.substring(prefix.length);
+                }
+            }
+        } catch (err) {
+            // Use characterId as fallback
+        }
+        // Fallback to heuristic extraction
+        if (!physicalName) {
+            physicalName = moderationDB.extractPhysicalName(characterId);
+        }
 
-                    if (profileData.Sharing === 'ShowcasePublic' || profileData.Sharing === 2) {
-                        const underscoreIndex = characterId.indexOf('_');
-                        let csCharacterName, physicalCharacterName;
+        // Keep the image's perceptual hash so the picture is recognised if it's uploaded again
+        await retainImageHash(characterId, physicalName, characterName, imageUrl, ban ? 'ban' : 'remove');
 
-                        if (underscoreIndex > 0) {
-                            csCharacterName = characterId.substring(0, underscoreIndex);
-                            physicalCharacterName = characterId.substring(underscoreIndex + 1);
-                        } else {
-                            csCharacterName = profileData.CharacterName || characterId.split('@')[0];
-                            physicalCharacterName = characterId;
-                        }
+        // Delete the profile file
+        fs.unlinkSync(filePath);
+        indexDeleteProfile(characterId);
 
-                        return {
-                            CharacterId: characterId,
-                            CharacterName: csCharacterName,
-                            Server: extractServerFromName(physicalCharacterName),
-                            ProfileImageUrl: profileData.ProfileImageUrl || null,
-                            Tags: profileData.Tags || "",
-                            Bio: profileData.Bio || "",
-                            GalleryStatus: profileData.GalleryStatus || "",
-                            Race: profileData.Race || "",
-                            Pronouns: profileData.Pronouns || "",
-                            Links: profileData.Links || "",
-                            LikeCount: likesDB.getLikeCount(characterId),
-                            LastUpdated: profileData.LastUpdated || new Date().toISOString(),
-                            ImageZoom: profileData.ImageZoom || 1.0,
-                            ImageOffset: profileData.ImageOffset || { X: 0, Y: 0 },
-                            IsNSFW: profileData.IsNSFW || false
-                        };
-                    }
-                    return null;
-                } catch (err) {
-                    return null;
-                }
-            }));
+        // Remove associated image if exists
+        try {
+            for (const associatedImage of deleteProfileImageFiles(characterId.replace(/[^\w@\-_.]/g, "_"))) {
+                console.log(`🗑️ Deleted associated image: ${associatedImage}`);
+            }
+        } catch (err) {
+            console.error('Error deleting associated image:', err);
+        }
 
-            batchResults.forEach(result => {
-                if (result) showcaseProfiles.push(result);
-            });
+        moderationDB.logAction('remove', characterId, characterName, reason || 'No reason provided', adminId);
 
-            // Yield to event loop between batches
-            await new Promise(resolve => setTimeout(resolve, 10));
+        let banExpiresAt = null;
+        if (ban) {
+            // Ban both the profile and the physical user
+            banExpiresAt = moderationDB.addBan('profiles', characterId, expiresAt);
+            if (physicalName) moderationDB.addBan('users', physicalName, expiresAt);
+            moderationDB.save();
+            moderationDB.logAction('ban', characterId, characterName, reason || 'No reason provided', adminId);
         }
 
-        showcaseProfiles.sort((a, b) => b.LikeCount - a.LikeCount);
-
-        galleryCache = showcaseProfiles;
-        galleryCacheTime = Date.now();
-        galleryCacheVersion++; // Bump ETag version so clients know to refetch
-        console.log(`📚 Gallery cache rebuilt: ${showcaseProfiles.length} profiles in ${Date.now() - startTime}ms (v${galleryCacheVersion})`);
-    } catch (err) {
-        console.error(`Gallery cache rebuild error: ${err}`);
-    } finally {
-        galleryCacheBuilding = false;
-    }
-}
+        allProfilesCache = null;
+        invalidateNamesCache();
+        invalidateProfilesLookupCache();
 
-// All Profiles cache rebuild (admin endpoint, both ShowcasePublic + AlwaysShare)
-async function rebuildAllProfilesCache(waitForCompletion = false) {
-    if (allProfilesCacheBuilding) {
-        if (waitForCompletion) {
-            while (allProfilesCacheBuilding) {
-                await new Promise(resolve => setTimeout(resolve, 100));
-            }
-        }
-        return;
+        console.log(`🛡️ Profile ${characterName} removed by ${adminId}${ban ? ` and banned${banExpiresAt ? ` until ${banExpiresAt}` : ''}` : ''}`);
+        res.json({ success: true, banned: !!ban, expiresAt: banExpiresAt });
+        
+    } catch (error) {
+        console.error('Remove profile error:', error);
+        res.status(500).json({ error: 'Failed to remove profile' });
     }
-    allProfilesCacheBuilding = true;
+});
 
-    const startTime = Date.now();
+// Update profile NSFW status (admin only)
+app.patch("/admin/profiles/:characterId/nsfw", requireAdmin, async (req, res) => {
     try {
-        const profileFiles = await new Promise((resolve, reject) => {
-            fs.readdir(profilesDir, (err, files) => {
-                if (err) reject(err);
-                else resolve(files.filter(file =>
-                    file.endsWith('.json') &&
-                    !file.endsWith('_follows.json')
-                ));
-            });
-        });
-
-        const allProfiles = [];
-
-        for (let i = 0; i < profileFiles.length; i += 25) {
-            const batch = profileFiles.slice(i, i + 25);
+        const characterId = decodeURIComponent(req.params.characterId);
+        const { isNSFW, reason } = req.body;
+        const adminId = req.adminId;
+        
+        const filePath = path.join(profilesDir, `${characterId}.json`);
+        
+        if (!fs.existsSync(filePath)) {
+            return res.status(404).json({ error: 'Profile not found' });
+        }
 
-            const batchResults = await Promise.all(batch.map(async (file) => {
-                const characterId = file.replace('.json', '');
-                const filePath = path.join(profilesDir, file);
+        // Read current profile
+        const profile = await readProfileAsync(filePath);
+        
+        // NSFW is the Mature content rating. Marking locks the rating so the owner's next upload can't
+        // lower it; unmarking lifts a Mature lock and drops a Mature profile to General.
+        const logReason = reason || `Profile ${isNSFW ? 'marked as' : 'unmarked from'} NSFW`;
+        const mature = CONTENT_RATINGS[RATING_MATURE];
+        if (isNSFW) {
+            moderationDB.lockProfileField(characterId, 'rating', adminId, logReason, mature);
+            applyProfileLocks(characterId, profile);
+        } else {
+            if (moderationDB.getProfileLocks(characterId).rating?.value === mature) {
+                moderationDB.unlockProfileField(characterId, 'rating');
+            }
+            if (profileRatingLevel(profile) >= RATING_MATURE) setContentRating(profile, 0);
+        }
+        await saveModeratedProfile(characterId, filePath, profile);
+        
+        // Log moderation action
+        moderationDB.logAction(
+            isNSFW ? 'mark_nsfw' : 'unmark_nsfw', 
+            characterId, 
+            profile.CharacterName || characterId, 
+            logReason, 
+            adminId
+        );
 
-                try {
-                    const profileData = await readProfileAsync(filePath);
-                    if (!isValidProfile(profileData)) return null;
+        console.log(`🛡️ Profile ${profile.CharacterName} ${isNSFW ? 'marked as' : 'unmarked from'} NSFW by ${adminId}`);
+        res.json({ success: true, isNSFW: !!isNSFW, locks: describeProfileLocks(characterId) });
 
-                    const sharing = profileData.Sharing;
-                    const isShowcasePublic = sharing === 'ShowcasePublic' || sharing === 2;
-                    const isAlwaysShare = sharing === 'AlwaysShare' || sharing === 0;
-                    if (!isShowcasePublic && !isAlwaysShare) return null;
+    } catch (error) {
+        console.error('Update NSFW status error:', error);
+        res.status(500).json({ error: 'Failed to update NSFW status' });
+    }
+});
 
-                    const underscoreIndex = characterId.indexOf('_');
-                    let csCharacterName, physicalCharacterName;
-                    if (underscoreIndex > 0) {
-                        csCharacterName = characterId.substring(0, underscoreIndex);
-                        physicalCharacterName = characterId.substring(underscoreIndex + 1);
-                    } else {
-                        csCharacterName = profileData.CharacterName || characterId.split('@')[0];
-                        physicalCharacterName = characterId;
-                    }
+// Moderator locks on a profile (admin only)
+app.get("/admin/profiles/:characterId/locks", requireAdmin, (req, res) => {
+    const characterId = decodeURIComponent(req.params.characterId);
+    res.json({ characterId, locks: describeProfileLocks(characterId) });
+});
 
-                    return {
-                        CharacterId: characterId,
-                        CharacterName: csCharacterName,
-                        Server: extractServerFromName(physicalCharacterName),
-                        ProfileImageUrl: profileData.ProfileImageUrl || null,
-                        Tags: profileData.Tags || "",
-                        Bio: profileData.Bio || "",
-                        GalleryStatus: profileData.GalleryStatus || "",
-                        Race: profileData.Race || "",
-                        Pronouns: profileData.Pronouns || "",
-                        Links: profileData.Links || "",
-                        LikeCount: likesDB.getLikeCount(characterId),
-                        LastUpdated: profileData.LastUpdated || new Date().toISOString(),
-                        CreatedAt: profileData.CreatedAt || null,
-                        ImageZoom: profileData.ImageZoom || 1.0,
-                        ImageOffset: profileData.ImageOffset || { X: 0, Y: 0 },
-                        IsNSFW: profileData.IsNSFW || false,
-                        Sharing: isShowcasePublic ? 'ShowcasePublic' : 'AlwaysShare',
-                        IsBanned: moderationDB.isProfileBanned(characterId)
-                    };
-                } catch (err) {
-                    return null;
-                }
-            }));
+// Lock a profile field (admin only): applied to the stored profile now and to every later upload
+app.post("/admin/profiles/:characterId/locks/:field", requireAdmin, async (req, res) => {
+    try {
+        const characterId = decodeURIComponent(req.params.characterId);
+        const { field } = req.params;
+        const { reason } = req.body;
+        const adminId = req.adminId;
 
-            batchResults.forEach(result => {
-                if (result) allProfiles.push(result);
-            });
+        const lockField = PROFILE_LOCK_FIELDS[field];
+        if (!lockField) {
+            return res.status(400).json({ error: 'Unknown lock field', fields: Object.keys(PROFILE_LOCK_FIELDS) });
+        }
+        let value;
+        if (lockField.parseValue) {
+            value = lockField.parseValue(req.body.value);
+            if (value === null) return res.status(400).json({ error: `Invalid value for ${field} lock` });
+        }
 
-            // Yield to event loop between batches
-            await new Promise(resolve => setTimeout(resolve, 10));
+        const filePath = path.join(profilesDir, `${characterId}.json`);
+        if (!fs.existsSync(filePath)) {
+            return res.status(404).json({ error: 'Profile not found' });
         }
 
-        allProfiles.sort((a, b) => new Date(b.LastUpdated) - new Date(a.LastUpdated));
+        const profile = await readProfileAsync(filePath);
+        moderationDB.lockProfileField(characterId, field, adminId, reason || 'No reason provided', value);
+        applyProfileLocks(characterId, profile);
+        await saveModeratedProfile(characterId, filePath, profile);
 
-        allProfilesCache = allProfiles;
-        allProfilesCacheTime = Date.now();
-        console.log(`📋 All profiles cache rebuilt: ${allProfiles.length} profiles in ${Date.now() - startTime}ms`);
-    } catch (err) {
-        console.error(`All profiles cache rebuild error: ${err}`);
-    } finally {
-        allProfilesCacheBuilding = false;
+        moderationDB.logAction(`lock_${field}`, characterId, profile.CharacterName || characterId, reason || 'No reason provided', adminId);
+        console.log(`🔒 ${lockField.label} locked${value !== undefined ? ` to ${value}` : ''} on ${profile.CharacterName || characterId} by ${adminId}`);
+        res.json({ success: true, locks: describeProfileLocks(characterId) });
+    } catch (error) {
+        console.error('Lock profile field error:', error);
+        res.status(500).json({ error: 'Failed to lock profile field' });
     }
-}
-
-function invalidateAllProfilesCache() {
-    allProfilesCache = null;
-    allProfilesCacheTime = 0;
-}
+});
 
-// Gallery endpoint
-app.get("/gallery", async (req, res) => {
+// Lift a profile lock (admin only). The profile keeps its current value until the owner uploads again.
+app.delete("/admin/profiles/:characterId/locks/:field", requireAdmin, (req, res) => {
     try {
-        const isPlugin = req.headers['x-plugin-auth'] === 'cs-plus-gallery-client';
-        const isAdmin = req.query.admin === 'true' && req.query.key === process.env.ADMIN_SECRET_KEY;
-        const showNSFW = req.query.nsfw === 'true'; // Client can request NSFW content
-
-        const now = Date.now();
-        const cacheStale = !galleryCache || (now - galleryCacheTime) >= CACHE_DURATION;
+        const characterId = decodeURIComponent(req.params.characterId);
+        const { field } = req.params;
+        const { reason } = req.body || {};
+        const adminId = req.adminId;
 
-        // Serve stale cache while rebuilding in background
-        if (cacheStale) {
-            if (galleryCache) {
-                // Cache exists but stale - trigger background rebuild
-                rebuildGalleryCache();
-            } else {
-                // No cache at all - must wait for initial build (with waitForCompletion flag)
-                await rebuildGalleryCache(true);
-            }
+        if (!moderationDB.unlockProfileField(characterId, field)) {
+            return res.status(404).json({ error: 'Field is not locked' });
         }
 
-        // ETag check, auto-refresh clients send If-None-Match and get 304 most of the time
-        // (gallery cache only rebuilds every 30 min). The ETag factors in NSFW visibility so
-        // clients requesting different filter sets don't share cached responses.
-        const currentEtag = `"gallery-v${galleryCacheVersion}-${showNSFW ? 'nsfw' : 'sfw'}-${isPlugin || isAdmin ? 'full' : 'sanitized'}"`;
-        if (req.headers['if-none-match'] === currentEtag) {
-            res.setHeader('ETag', currentEtag);
-            res.setHeader('Cache-Control', 'private, max-age=30');
-            return res.status(304).end();
-        }
+        moderationDB.logAction(`unlock_${field}`, characterId, characterId, reason || 'No reason provided', adminId);
+        console.log(`🔓 ${field} lock lifted on ${characterId} by ${adminId}`);
+        res.json({ success: true, locks: describeProfileLocks(characterId) });
+    } catch (error) {
+        console.error('Unlock profile field error:', error);
+        res.status(500).json({ error: 'Failed to unlock profile field' });
+    }
+});
+
+// Profiles whose image looks like this profile's, closest first, including removed profiles whose
+// image is gone. `maxDistance` is in differing hash bits (see PERCEPTUAL IMAGE HASHES).
+app.get("/admin/profiles/:characterId/similar-images", requireAdmin, async (req, res) => {
+    try {
+        const characterId = decodeURIComponent(req.params.characterId);
+        const maxDistance = Math.min(SIMILAR_IMAGES_MAX_DISTANCE,
+            Math.max(0, parseInt(req.query.maxDistance, 10) || SIMILAR_IMAGES_DEFAULT_DISTANCE));
 
-        // Return from cache (may be stale but that's ok)
-        let profiles = galleryCache || [];
+        const row = stmtIndexDisplayJson.get(characterId);
+        if (!row) return res.status(404).json({ error: 'Profile not found' });
+        const profile = JSON.parse(row.displayJson);
+        const fileName = localImageFileName(profile.ProfileImageUrl);
+        if (!fileName || !fs.existsSync(path.join(imagesDir, fileName))) {
+            return res.status(404).json({ error: 'Profile has no stored image' });
+        }
+        if (!sharp) return res.status(503).json({ error: 'Image hashing is unavailable' });
 
-        // Apply NSFW filter if requested
-        if (!showNSFW && !isAdmin) {
-            profiles = profiles.filter(profile => !profile.IsNSFW);
+        let live = stmtImageHashLive.get(characterId);
+        if (!live || live.fileName !== fileName) {
+            const physicalName = extractPhysicalNameFromKey(characterId);
+            await recordImageHash(characterId, physicalName, profile.CharacterName, fileName);
+            live = stmtImageHashLive.get(characterId);
         }
 
-        res.setHeader('ETag', currentEtag);
-        res.setHeader('Cache-Control', 'private, max-age=30');
+        const matches = stmtImageHashesNear.all(imageHashNearParams(live.hash, maxDistance, 51))
+            .filter(m => m.id !== live.id)
+            .slice(0, 50)
+            .map(imageMatchSummary);
 
-        if (isPlugin || isAdmin) {
-            return res.json(profiles);
-        } else {
-            return res.json(sanitizeGalleryData(profiles));
-        }
-    } catch (err) {
-        console.error('Gallery error:', err);
-        res.status(500).json({ error: 'Failed to load gallery' });
+        res.json({ characterId, hash: live.hash, maxDistance, matches: withPublicImageUrls(req, matches, { nsfw: true }) });
+    } catch (error) {
+        console.error('Similar images error:', error);
+        res.status(500).json({ error: 'Failed to find similar images' });
     }
 });
 
 // ===============================
-// 📚 GALLERY v2, PAGINATED
+// ⏲️ TEMPORARY BANS
 // ===============================
-// Paginated gallery endpoint. Returns a slice of the gallery cache plus metadata so clients can
-// page through without pulling the entire list on every request. Supports ETag/304 for clients
-// that already have a current version cached.
-//
-// Response envelope:
-//   { profiles: [...], page: N, pageSize: N, total: N, version: N }
-//
-// Query params:
-//   page     , zero-indexed page number (default 0)
-//   pageSize , items per page, clamped 10-100 (default 50)
-//   nsfw     , 'true' to include NSFW profiles (admin + plugin clients only)
-//   search   , optional substring filter against CharacterName / Tags
-//
-// Backward compat: this is a NEW endpoint. The legacy /gallery continues to return the full array
-// unchanged, so clients still on older CS+ versions keep working.
-app.get("/gallery/v2", async (req, res) => {
+// Every ban endpoint takes an optional `durationHours`; without it the ban is permanent. A sweep
+// every minute (and at startup) lifts expired bans and logs each lift like a manual unban.
+const MAX_BAN_DURATION_HOURS = 365 * 24;
+const BAN_EXPIRY_SWEEP_MS = 60 * 1000;
+
+// { expiresAt } for a ban request body (null when permanent), or { error } for a bad duration
+function banExpiryFromBody(body) {
+    const raw = body && body.durationHours;
+    if (raw === undefined || raw === null || raw === '') return { expiresAt: null };
+    const hours = Number(raw);
+    if (!Number.isFinite(hours) || hours <= 0 || hours > MAX_BAN_DURATION_HOURS) {
+        return { error: `durationHours must be greater than 0 and at most ${MAX_BAN_DURATION_HOURS}` };
+    }
+    return { expiresAt: new Date(Date.now() + hours * 60 * 60 * 1000).toISOString() };
+}
+
+function expireTemporaryBans() {
     try {
-        const isPlugin = req.headers['x-plugin-auth'] === 'cs-plus-gallery-client';
-        const isAdmin = req.query.admin === 'true' && req.query.key === process.env.ADMIN_SECRET_KEY;
-        const showNSFW = req.query.nsfw === 'true';
+        const lifted = moderationDB.liftExpiredBans();
+        if (lifted.length === 0) return;
+        for (const { type, key } of lifted) {
+            if (type === 'profiles') recordGalleryChange(key);
+        }
+        allProfilesCache = null;
+        invalidateNamesCache();
+        invalidateProfilesLookupCache();
+        console.log(`⏲️ Lifted ${lifted.length} expired ban(s): ${lifted.map(l => `${l.type} ${l.key}`).join(', ')}`);
+    } catch (err) {
+        console.error('Ban expiry sweep error:', err);
+    }
+}
+setInterval(expireTemporaryBans, BAN_EXPIRY_SWEEP_MS).unref();
 
-        const now = Date.now();
-        const cacheStale = !galleryCache || (now - galleryCacheTime) >= CACHE_DURATION;
+// Ban profile (admin only)
+app.post("/admin/profiles/:characterId/ban", requireAdmin, (req, res) => {
+    try {
+        const characterId = decodeURIComponent(req.params.characterId);
+        const { reason } = req.body;
+        const adminId = req.adminId;
 
-        if (cacheStale) {
-            if (galleryCache) {
-                rebuildGalleryCache(); // background rebuild
-            } else {
-                await rebuildGalleryCache(true);
-            }
-        }
+        const { expiresAt: requestedExpiry, error } = banExpiryFromBody(req.body);
+        if (error) return res.status(400).json({ error });
+        
+        const expiresAt = moderationDB.banProfile(characterId, requestedExpiry);
+        recordGalleryChange(characterId);
+        moderationDB.logAction('ban', characterId, characterId, reason || 'No reason provided', adminId);
+        
+        console.log(`🛡️ Profile ${characterId} banned by ${adminId}${expiresAt ? ` until ${expiresAt}` : ''}`);
+        res.json({ success: true, expiresAt });
+        
+    } catch (error) {
+        console.error('Ban profile error:', error);
+        res.status(500).json({ error: 'Failed to ban profile' });
+    }
+});
 
-        // ETag check - if client already has this version, return 304
-        const currentEtag = `"gallery-v${galleryCacheVersion}"`;
-        if (req.headers['if-none-match'] === currentEtag) {
-            res.setHeader('ETag', currentEtag);
-            res.setHeader('Cache-Control', 'private, max-age=60');
-            return res.status(304).end();
-        }
+// Unban profile (admin only) - legacy endpoint for characterId-based unbans
+app.post("/admin/profiles/:characterId/unban", requireAdmin, (req, res) => {
+    try {
+        const characterId = decodeURIComponent(req.params.characterId);
+        const { reason } = req.body;
+        const adminId = req.adminId;
 
-        let profiles = galleryCache || [];
+        // Check if this looks like a physical name (contains @ but no underscore before it)
+        // Physical names: "John Smith@Balmung"
+        // CharacterIds: "CS_Name_John Smith@Balmung"
+        const underscoreIndex = characterId.indexOf('_');
+        const atIndex = characterId.indexOf('@');
 
-        // NSFW filter for non-privileged clients
-        if (!showNSFW && !isAdmin) {
-            profiles = profiles.filter(p => !p.IsNSFW);
+        if (atIndex > 0 && (underscoreIndex < 0 || underscoreIndex > atIndex)) {
+            // This is a physical name, unban the user directly
+            moderationDB.unbanUser(characterId);
+            moderationDB.logAction('unban', characterId, characterId, reason || 'No reason provided', adminId);
+            console.log(`🛡️ User ${characterId} unbanned by ${adminId}`);
+        } else {
+            // This is a characterId, use the old method
+            moderationDB.unbanProfile(characterId);
+            recordGalleryChange(characterId);
+            moderationDB.logAction('unban', characterId, characterId, reason || 'No reason provided', adminId);
+            console.log(`🛡️ Profile ${characterId} unbanned by ${adminId}`);
         }
 
-        // Optional search filter
-        const search = typeof req.query.search === 'string' ? req.query.search.trim().toLowerCase() : '';
-        if (search) {
-            profiles = profiles.filter(p => {
-                const name = (p.CharacterName || '').toLowerCase();
-                const tags = (p.Tags || '').toLowerCase();
-                return name.includes(search) || tags.includes(search);
-            });
-        }
+        res.json({ success: true });
 
-        // Pagination
-        const total = profiles.length;
-        const pageSize = Math.min(100, Math.max(10, parseInt(req.query.pageSize, 10) || 50));
-        const page = Math.max(0, parseInt(req.query.page, 10) || 0);
-        const start = page * pageSize;
-        const slice = profiles.slice(start, start + pageSize);
+    } catch (error) {
+        console.error('Unban profile error:', error);
+        res.status(500).json({ error: 'Failed to unban profile' });
+    }
+});
 
-        res.setHeader('ETag', currentEtag);
-        res.setHeader('Cache-Control', 'private, max-age=60');
+// Get moderation actions (admin only)
+app.get("/admin/moderation/actions", requireAdmin, (req, res) => {
+    try {
+        const actions = moderationDB.getActions();
+        res.json(actions);
+    } catch (error) {
+        console.error('Get moderation actions error:', error);
+        res.status(500).json({ error: 'Failed to get moderation actions' });
+    }
+});
 
-        return res.json({
-            profiles: isPlugin || isAdmin ? slice : sanitizeGalleryData(slice),
-            page,
-            pageSize,
-            total,
-            version: galleryCacheVersion
-        });
-    } catch (err) {
-        console.error('Gallery v2 error:', err);
-        res.status(500).json({ error: 'Failed to load gallery' });
+// Get banned users (admin only) - physical names banned from uploading, with when each ban ends
+// ({ physicalName, expiresAt, remainingSeconds }; both null for permanent bans)
+app.get("/admin/moderation/banned", requireAdmin, (req, res) => {
+    try {
+        const bannedUsers = moderationDB.getBannedUsers()
+            .map(physicalName => ({ physicalName, ...moderationDB.describeBan('users', physicalName) }));
+        res.json(bannedUsers);
+    } catch (error) {
+        console.error('Get banned users error:', error);
+        res.status(500).json({ error: 'Failed to get banned users' });
     }
 });
 
-// All Profiles endpoint (admin only) - cached like gallery
-app.get("/profiles/all", async (req, res) => {
+// ===============================
+// 🚫 NAME BAN ENDPOINTS (3-STRIKE SYSTEM)
+// ===============================
+// Ban user from CS+ Names feature with strike tracking
+app.post("/admin/names/ban", requireAdmin, (req, res) => {
     try {
-        const isAdmin = req.query.admin === 'true' && req.query.key === process.env.ADMIN_SECRET_KEY;
+        const { physicalName, reason, offensiveCSName } = req.body;
+        const adminId = req.adminId;
 
-        if (!isAdmin) {
-            return res.status(403).json({ error: 'Admin access required' });
+        if (!physicalName) {
+            return res.status(400).json({ error: 'Physical name required' });
         }
 
-        const rows = indexDb.prepare(`
-            SELECT characterId, displayJson FROM profile_index
-            WHERE sharing != 'NeverShare' AND sharing != '1' AND displayJson IS NOT NULL
-        `).all();
+        const { expiresAt: requestedExpiry, error } = banExpiryFromBody(req.body);
+        if (error) return res.status(400).json({ error });
 
-        const profiles = [];
-        for (const row of rows) {
-            let p;
-            try { p = JSON.parse(row.displayJson); } catch (e) { continue; }
-            p.LikeCount = likesDB.getLikeCount(row.characterId);
-            p.IsBanned = moderationDB.isProfileBanned(row.characterId);
-            profiles.push(p);
-        }
-        profiles.sort((a, b) => new Date(b.LastUpdated) - new Date(a.LastUpdated));
+        // Create warning with strike tracking
+        const warning = moderationDB.addNameWarning(physicalName, offensiveCSName || '[Unknown]', adminId);
 
-        res.json(profiles);
+        // Add to ban list. A third strike is a permaban whatever duration was asked for.
+        const expiresAt = moderationDB.banFromNames(physicalName, warning.status === 'permaban' ? null : requestedExpiry);
 
-    } catch (err) {
-        console.error('All profiles error:', err);
-        res.status(500).json({ error: 'Failed to load profiles' });
+        // Log the action
+        moderationDB.logAction('name_ban', physicalName, offensiveCSName || physicalName, reason || 'Offensive CS+ name', adminId);
+
+        console.log(`🚫 NAME BAN: ${physicalName} (CS+ name: ${offensiveCSName || 'N/A'}) - Strike ${warning.strikeNumber} by ${adminId}${expiresAt ? ` until ${expiresAt}` : ''}`);
+
+        res.json({
+            success: true,
+            message: `${physicalName} banned from names feature`,
+            expiresAt,
+            warning: {
+                id: warning.id,
+                strikeNumber: warning.strikeNumber,
+                status: warning.status
+            }
+        });
+    } catch (error) {
+        console.error('Name ban error:', error);
+        res.status(500).json({ error: 'Failed to ban user from names' });
     }
 });
 
-// Like endpoints
-app.post("/gallery/:name/like", async (req, res) => {
+// Unban user from CS+ Names feature
+app.post("/admin/names/unban", requireAdmin, (req, res) => {
     try {
-        const characterId = decodeURIComponent(req.params.name);
-        const likerId = req.headers['x-character-key'] || 'anonymous';
-        
-        const newCount = likesDB.addLike(characterId, likerId);
-        
-        // Log activity for new likes only
-        if (newCount > (likesDB.getLikeCount(characterId) - 1)) {
-            try {
-                const filePath = path.join(profilesDir, `${characterId}.json`);
-                if (fs.existsSync(filePath)) {
-                    const profile = await readProfileAsync(filePath);
-                    activityDB.logActivity('like', `LIKED: ${profile.CharacterName || characterId}`, {
-                        characterId,
-                        characterName: profile.CharacterName || characterId,
-                        likerId,
-                        newCount
-                    });
-                }
-            } catch (err) {
-                // Silent fail for activity logging
-            }
-        }
-        
-        const filePath = path.join(profilesDir, `${characterId}.json`);
-        if (fs.existsSync(filePath)) {
-            try {
-                const profile = await readProfileAsync(filePath);
-                profile.LikeCount = newCount;
-                profile.LastUpdated = new Date().toISOString();
-                await atomicWriteProfile(filePath, profile);
-            } catch (err) {
-                console.error('Failed to update profile file, but like saved to database:', err);
-            }
+        const { physicalName } = req.body;
+        const adminId = req.adminId;
+
+        if (!physicalName) {
+            return res.status(400).json({ error: 'Physical name required' });
         }
 
-        res.json({ LikeCount: newCount });
-        
-    } catch (err) {
-        console.error('Like error:', err);
-        res.status(500).json({ error: 'Failed to like profile' });
+        moderationDB.unbanFromNames(physicalName);
+        moderationDB.logAction('name_unban', physicalName, physicalName, 'Unbanned from names', adminId);
+
+        console.log(`✅ NAME UNBAN: ${physicalName} by ${adminId}`);
+
+        res.json({ success: true, message: `${physicalName} unbanned from names feature` });
+    } catch (error) {
+        console.error('Name unban error:', error);
+        res.status(500).json({ error: 'Failed to unban user from names' });
+    }
+});
+
+// Get list of name-banned users
+app.get("/admin/moderation/namebanned", requireAdmin, (req, res) => {
+    try {
+        const nameBannedUsers = moderationDB.getNameBannedUsers();
+        res.json(nameBannedUsers);
+    } catch (error) {
+        console.error('Get name-banned users error:', error);
+        res.status(500).json({ error: 'Failed to get name-banned users' });
     }
 });
 
-app.delete("/gallery/:name/like", async (req, res) => {
+// Get name warnings (admin) - supports status filtering
+app.get("/admin/names/warnings", requireAdmin, (req, res) => {
     try {
-        const characterId = decodeURIComponent(req.params.name);
-        const likerId = req.headers['x-character-key'] || 'anonymous';
-        
-        const newCount = likesDB.removeLike(characterId, likerId);
-        
-        const filePath = path.join(profilesDir, `${characterId}.json`);
-        if (fs.existsSync(filePath)) {
-            try {
-                const profile = await readProfileAsync(filePath);
-                profile.LikeCount = newCount;
-                profile.LastUpdated = new Date().toISOString();
-                await atomicWriteProfile(filePath, profile);
-            } catch (err) {
-                console.error('Failed to update profile file, but unlike saved to database:', err);
-            }
+        const { status } = req.query;
+        let warnings = moderationDB.getAllNameWarnings();
+
+        if (status === 'active') {
+            // Active warnings: not resolved (still needs action or is permaban)
+            warnings = warnings.filter(w => !w.resolved);
+        } else if (status === 'resolved') {
+            // Resolved warnings: user successfully changed name and it was approved
+            warnings = warnings.filter(w => w.resolved);
         }
+        // Default: return all warnings
 
-        res.json({ LikeCount: newCount });
-        
-    } catch (err) {
-        console.error('Unlike error:', err);
-        res.status(500).json({ error: 'Failed to unlike profile' });
+        res.json(warnings);
+    } catch (error) {
+        console.error('Get name warnings error:', error);
+        res.status(500).json({ error: 'Failed to get name warnings' });
     }
 });
 
-// Friends endpoints
-app.post("/friends/update-follows", async (req, res) => {
+// Get pending review warnings (admin) - strike 2 users who changed names and need approval
+app.get("/admin/names/pending-review", requireAdmin, (req, res) => {
     try {
-        const { character, following } = req.body;
-        
-        if (!character || !Array.isArray(following)) {
-            return res.status(400).json({ error: "Invalid request data" });
-        }
-
-        friendsDB.updateFriends(character, following);
-        
-        const followsFile = path.join(profilesDir, `${character}_follows.json`);
-        const followsData = {
-            character: character,
-            following: following,
-            lastUpdated: new Date().toISOString()
-        };
-        
-        try {
-            await atomicWriteProfile(followsFile, followsData);
-        } catch (err) {
-            console.error('Failed to write friends backup file:', err);
-        }
-        
-        res.json({ success: true });
-        
+        const pendingWarnings = moderationDB.getPendingReviewWarnings();
+        res.json(pendingWarnings);
     } catch (error) {
-        console.error('Update friends error:', error);
-        res.status(500).json({ error: 'Internal server error' });
+        console.error('Get pending review warnings error:', error);
+        res.status(500).json({ error: 'Failed to get pending review warnings' });
     }
 });
 
-app.post("/friends/check-mutual", async (req, res) => {
+// Get resolved reviews (admin) - approved or rejected name changes
+app.get("/admin/names/resolved-reviews", requireAdmin, (req, res) => {
     try {
-        const { character } = req.body;
-        
-        if (!character) {
-            return res.status(400).json({ error: "Invalid request data" });
-        }
-
-        const mutualFriends = friendsDB.getMutualFriends(character);
-        res.json({ mutualFriends });
-        
+        const allWarnings = moderationDB.getAllNameWarnings();
+        // Resolved reviews: had pendingReview at some point and now resolved or rejected
+        const resolvedReviews = allWarnings.filter(w =>
+            w.resolved || // Approved
+            (w.rejectionReason && !w.pendingReview) // Rejected
+        );
+        res.json(resolvedReviews);
     } catch (error) {
-        console.error('Check mutual error:', error);
-        res.status(500).json({ error: 'Internal server error' });
+        console.error('Get resolved reviews error:', error);
+        res.status(500).json({ error: 'Failed to get resolved reviews' });
     }
 });
 
-// =============================================================================
-// MODERATION ENDPOINTS
-// =============================================================================
-
-// Get active announcements (public)
-app.get("/announcements", (req, res) => {
+// Approve name change (admin) - for strike 2 users
+app.post("/admin/names/approve/:warningId", requireAdmin, (req, res) => {
     try {
-        const announcements = announcementsDB.getActiveAnnouncements();
-        res.json(announcements);
+        const { warningId } = req.params;
+        const success = moderationDB.approveNameChange(warningId);
+
+        if (success) {
+            res.json({ success: true, message: 'Name change approved' });
+        } else {
+            res.status(404).json({ error: 'Warning not found or not pending review' });
+        }
     } catch (error) {
-        console.error('Get announcements error:', error);
-        res.status(500).json({ error: 'Failed to get announcements' });
+        console.error('Approve name change error:', error);
+        res.status(500).json({ error: 'Failed to approve name change' });
     }
 });
 
-// Create announcement (admin only)
-app.post("/admin/announcements", requireAdmin, (req, res) => {
+// Reject name change (admin) - for strike 2 users
+app.post("/admin/names/reject/:warningId", requireAdmin, (req, res) => {
     try {
-        const { title, message, type } = req.body;
-        
-        if (!title || !message) {
-            return res.status(400).json({ error: 'Title and message are required' });
-        }
+        const { warningId } = req.params;
+        const { reason } = req.body;
+        const success = moderationDB.rejectNameChange(warningId, reason || 'Name still inappropriate');
 
-        const announcement = announcementsDB.addAnnouncement(title, message, type);
-        res.json(announcement);
+        if (success) {
+            res.json({ success: true, message: 'Name change rejected' });
+        } else {
+            res.status(404).json({ error: 'Warning not found or not pending review' });
+        }
     } catch (error) {
-        console.error('Create announcement error:', error);
-        res.status(500).json({ error: 'Failed to create announcement' });
+        console.error('Reject name change error:', error);
+        res.status(500).json({ error: 'Failed to reject name change' });
     }
 });
 
-// Get all announcements (admin only)
-app.get("/admin/announcements", requireAdmin, (req, res) => {
+// Get names cache contents (admin)
+app.get("/admin/names/cache", requireAdmin, async (req, res) => {
     try {
-        const announcements = announcementsDB.getAllAnnouncements();
-        res.json(announcements);
+        // Newest visible name-sync entry per physical name, straight from the index (no crawl).
+        const cutoff = Date.now() - (NAME_SYNC_EXPIRY_HOURS * 60 * 60 * 1000);
+        const rows = indexDb.prepare(`
+            SELECT physicalName, csName, nameplateColor FROM (
+                SELECT physicalName, csName, nameplateColor, allowNameSync, sharing, lastActiveTime,
+                       ROW_NUMBER() OVER (PARTITION BY physicalName ORDER BY lastActiveTime DESC) AS rn
+                FROM profile_index
+                WHERE lastActiveTime > ?
+            ) WHERE rn = 1 AND allowNameSync = 1 AND sharing != 'NeverShare' AND sharing != '1'
+        `).all(cutoff);
+
+        const cacheEntries = [];
+        for (const row of rows) {
+            if (!row.csName) continue;
+            let color = [1, 1, 1];
+            try { color = JSON.parse(row.nameplateColor) || [1, 1, 1]; } catch (e) { /* keep default */ }
+            cacheEntries.push({ physicalName: row.physicalName, csName: row.csName, nameplateColor: color });
+        }
+
+        cacheEntries.sort((a, b) => a.csName.localeCompare(b.csName));
+
+        res.json({
+            count: cacheEntries.length,
+            cacheAge: 0,
+            entries: cacheEntries
+        });
     } catch (error) {
-        console.error('Get all announcements error:', error);
-        res.status(500).json({ error: 'Failed to get announcements' });
+        console.error('Get names cache error:', error);
+        res.status(500).json({ error: 'Failed to get names cache' });
     }
 });
 
-// Deactivate announcement (admin only)
-app.patch("/admin/announcements/:id/deactivate", requireAdmin, (req, res) => {
+// ===============================
+// 👤 USER WARNING ENDPOINTS (Public)
+// ===============================
+// Get warnings for a user (plugin calls this on startup)
+app.get("/user/warnings/:physicalName", (req, res) => {
     try {
-        const { id } = req.params;
-        const success = announcementsDB.deactivateAnnouncement(id);
-        
-        if (success) {
-            res.json({ success: true });
-        } else {
-            res.status(404).json({ error: 'Announcement not found' });
+        const { physicalName } = req.params;
+
+        if (!physicalName) {
+            return res.status(400).json({ error: 'Physical name required' });
         }
+
+        // Get unacknowledged warnings
+        const unacknowledgedWarnings = moderationDB.getUnacknowledgedWarnings(physicalName);
+
+        // Get active warning (if any)
+        const activeWarning = moderationDB.getActiveWarning(physicalName);
+
+        // Get strike count
+        const strikeCount = moderationDB.getUserStrikeCount(physicalName);
+
+        res.json({
+            hasUnacknowledgedWarning: unacknowledgedWarnings.length > 0,
+            unacknowledgedWarnings,
+            activeWarning,
+            strikeCount,
+            isPermabanned: moderationDB.isPermabanned(physicalName),
+            // When each restriction ends: null if not restricted, expiresAt null if permanent
+            uploadBan: moderationDB.describeBan('users', physicalName),
+            nameBan: moderationDB.describeBan('names', physicalName)
+        });
     } catch (error) {
-        console.error('Deactivate announcement error:', error);
-        res.status(500).json({ error: 'Failed to deactivate announcement' });
+        console.error('Get user warnings error:', error);
+        res.status(500).json({ error: 'Failed to get warnings' });
     }
 });
 
-// Delete announcement (admin only)
-app.delete("/admin/announcements/:id", requireAdmin, (req, res) => {
+// Acknowledge a warning (user clicked checkbox + accept)
+app.post("/user/warnings/:warningId/acknowledge", (req, res) => {
     try {
-        const { id } = req.params;
-        const success = announcementsDB.deleteAnnouncement(id);
-        
+        const { warningId } = req.params;
+
+        const success = moderationDB.acknowledgeWarning(warningId);
+
         if (success) {
-            res.json({ success: true });
+            res.json({ success: true, message: 'Warning acknowledged' });
         } else {
-            res.status(404).json({ error: 'Announcement not found' });
+            res.status(404).json({ error: 'Warning not found' });
         }
     } catch (error) {
-        console.error('Delete announcement error:', error);
-        res.status(500).json({ error: 'Failed to delete announcement' });
+        console.error('Acknowledge warning error:', error);
+        res.status(500).json({ error: 'Failed to acknowledge warning' });
     }
 });
 
-// Submit report (public)
-app.post("/reports", (req, res) => {
+// Check if name change resolves warning (called when user updates their CS+ name)
+app.post("/user/check-name-change", (req, res) => {
     try {
-        const { reportedCharacterId, reportedCharacterName, reporterCharacter, reason, details, offensiveCSName } = req.body;
+        const { physicalName, newCSName } = req.body;
 
-        if (!reportedCharacterId || !reporterCharacter || !reason) {
-            return res.status(400).json({ error: 'Missing required fields' });
+        if (!physicalName || !newCSName) {
+            return res.status(400).json({ error: 'Physical name and new CS+ name required' });
         }
-
-        const report = reportsDB.addReport(
-            reportedCharacterId,
-            reportedCharacterName || reportedCharacterId,
-            reporterCharacter,
-            reason,
-            details,
-            offensiveCSName
-        );
-
-        // Log activity
-        activityDB.logActivity('report', `REPORTED: ${reportedCharacterName || reportedCharacterId} (CS+: ${offensiveCSName || 'N/A'})`, {
-            reportId: report.id,
-            reportedCharacterId,
-            reportedCharacterName: reportedCharacterName || reportedCharacterId,
-            offensiveCSName,
-            reporterCharacter,
-            reason
+
+        const result = moderationDB.checkNameChange(physicalName, newCSName);
+
+        res.json({
+            resolved: result.resolved,
+            needsReview: result.needsReview,
+            message: result.resolved
+                ? 'Your name has been restored!'
+                : result.needsReview
+                    ? 'Your new name is pending admin review.'
+                    : result.warning?.status === 'permaban'
+                        ? 'You are permanently banned from the names feature.'
+                        : 'No active warning found.'
         });
-        
-        res.json({ success: true, reportId: report.id });
     } catch (error) {
-        console.error('Submit report error:', error);
-        res.status(500).json({ error: 'Failed to submit report' });
+        console.error('Check name change error:', error);
+        res.status(500).json({ error: 'Failed to check name change' });
     }
 });
 
-// Get reports (admin only)
-app.get("/admin/reports", requireAdmin, (req, res) => {
+// ===============================
+// 🪪 SLOT RECLAIM QUEUE (Admin)
+// ===============================
+app.get("/admin/tokens/reclaims", requireAdmin, (req, res) => {
     try {
         const { status } = req.query;
-        const reports = reportsDB.getReports(status);
-        res.json(reports);
+        const requests = tokensDB.getReclaimRequests(status).map(formatReclaimForAdmin);
+        res.json(requests);
     } catch (error) {
-        console.error('Get reports error:', error);
-        res.status(500).json({ error: 'Failed to get reports' });
+        console.error('Get reclaim requests error:', error);
+        res.status(500).json({ error: 'Failed to get reclaim requests' });
     }
 });
 
-// Update report status (admin only)
-app.patch("/admin/reports/:id", requireAdmin, (req, res) => {
+app.post("/admin/tokens/reclaims/:id/approve", requireAdmin, (req, res) => {
     try {
-        const { id } = req.params;
-        const { status, adminNotes } = req.body;
+        const { adminNotes } = req.body;
         const adminId = req.adminId;
-        
-        if (!status) {
-            return res.status(400).json({ error: 'Status is required' });
-        }
 
-        const success = reportsDB.updateReportStatus(id, status, adminNotes, adminId);
-        
-        if (success) {
-            res.json({ success: true });
-        } else {
-            res.status(404).json({ error: 'Report not found' });
+        const request = tokensDB.resolveReclaimRequest(req.params.id, true, adminId, adminNotes || null);
+        if (!request) {
+            return res.status(404).json({ error: 'Reclaim request not found or already resolved' });
         }
+
+        activityDB.logActivity('reclaim', `RECLAIM APPROVED: ${request.slot}`, {
+            requestId: request.id,
+            slot: request.slot,
+            adminId,
+            previousTokenPrefix: request.ownerTokenAtRequest ? request.ownerTokenAtRequest.substring(0, 8) : null,
+            newTokenPrefix: request.requesterToken.substring(0, 8),
+            adminNotes: request.adminNotes
+        });
+
+        console.log(`🪪 Reclaim approved for ${request.slot} by ${adminId}`);
+        res.json({ success: true, request: formatReclaimForAdmin(request) });
     } catch (error) {
-        console.error('Update report error:', error);
-        res.status(500).json({ error: 'Failed to update report' });
+        console.error('Approve reclaim error:', error);
+        res.status(500).json({ error: 'Failed to approve reclaim request' });
     }
 });
 
-// Remove profile (admin only)
-app.delete("/admin/profiles/:characterId", requireAdmin, async (req, res) => {
+app.post("/admin/tokens/reclaims/:id/deny", requireAdmin, (req, res) => {
     try {
-        const characterId = decodeURIComponent(req.params.characterId);
-        const { reason, ban } = req.body;
+        const { adminNotes } = req.body;
         const adminId = req.adminId;
-        
-        const filePath = path.join(profilesDir, `${characterId}.json`);
-        
-        if (!fs.existsSync(filePath)) {
-            return res.status(404).json({ error: 'Profile not found' });
-        }
 
-        let characterName = characterId;
-        let physicalName = null;
-        try {
-            const profile = await readProfileAsync(filePath);
-            characterName = profile.CharacterName || characterId;
-            // Derive physical name from profile's CS+ name, more reliable than extractPhysicalName
-            // when CS+ names contain special chars (sanitised to underscores in characterId)
-            if (profile.CharacterName) {
-                const sanitizedCS = profile.CharacterName.replace(/[^\w\s\-.']/g, '_');
-                const prefix = sanitizedCS + '_';
-                if (characterId.startsWith(prefix)) {
-                    physicalName = characterId.substring(prefix.length);
-                }
-            }
-        } catch (err) {
-            // Use characterId as fallback
-        }
-        // Fallback to heuristic extraction
-        if (!physicalName) {
-            physicalName = moderationDB.extractPhysicalName(characterId);
+        const request = tokensDB.resolveReclaimRequest(req.params.id, false, adminId, adminNotes || null);
+        if (!request) {
+            return res.status(404).json({ error: 'Reclaim request not found or already resolved' });
         }
 
-        // Delete the profile file
-        fs.unlinkSync(filePath);
-
-        // Remove associated image if exists
-        try {
-            const imageFiles = fs.readdirSync(imagesDir);
-            const associatedImage = imageFiles.find(file => file.startsWith(characterId.replace(/[^\w@\-_.]/g, "_")));
-            if (associatedImage) {
-                fs.unlinkSync(path.join(imagesDir, associatedImage));
-                console.log(`🗑️ Deleted associated image: ${associatedImage}`);
-            }
-        } catch (err) {
-            console.error('Error deleting associated image:', err);
-        }
+        activityDB.logActivity('reclaim', `RECLAIM DENIED: ${request.slot}`, {
+            requestId: request.id,
+            slot: request.slot,
+            adminId,
+            requesterTokenPrefix: request.requesterToken.substring(0, 8),
+            adminNotes: request.adminNotes
+        });
 
-        moderationDB.logAction('remove', characterId, characterName, reason || 'No reason provided', adminId);
+        console.log(`🪪 Reclaim denied for ${request.slot} by ${adminId}`);
+        res.json({ success: true, request: formatReclaimForAdmin(request) });
+    } catch (error) {
+        console.error('Deny reclaim error:', error);
+        res.status(500).json({ error: 'Failed to deny reclaim request' });
+    }
+});
 
-        if (ban) {
-            // Ban both the profile and the physical user
-            moderationDB.bannedProfiles.add(characterId);
-            if (physicalName) {
-                moderationDB.bannedUsers.add(physicalName);
-            }
-            moderationDB.save();
-            moderationDB.logAction('ban', characterId, characterName, reason || 'No reason provided', adminId);
+// Slot claim coverage, used to judge when the grace window can safely end
+app.get("/admin/tokens/stats", requireAdmin, (req, res) => {
+    try {
+        const claimStats = tokensDB.getClaimStats();
+        const physicalNames = indexDb.prepare(`SELECT DISTINCT physicalName FROM profile_index`).all();
+        let unclaimed = 0;
+        for (const { physicalName } of physicalNames) {
+            if (!tokensDB.slots.has(physicalName)) unclaimed++;
         }
 
-        galleryCache = null;
-        allProfilesCache = null;
-        invalidateNamesCache();
-        invalidateProfilesLookupCache();
-
-        console.log(`🛡️ Profile ${characterName} removed by ${adminId}${ban ? ' and banned' : ''}`);
-        res.json({ success: true, banned: !!ban });
-        
+        res.json({
+            ...claimStats,
+            unclaimed,
+            // Slots that would need a ContentId on their next upload once enforcement is on
+            needingContentId: claimStats.tofu + claimStats.unverified,
+            knownTokens: tokensDB.tokens.size,
+            pendingReclaims: tokensDB.getReclaimRequests('pending').length,
+            graceWindowEnd: new Date(tokensDB.graceWindowEnd).toISOString(),
+            enforcing: tokensDB.isGraceWindowOver()
+        });
     } catch (error) {
-        console.error('Remove profile error:', error);
-        res.status(500).json({ error: 'Failed to remove profile' });
+        console.error('Get token stats error:', error);
+        res.status(500).json({ error: 'Failed to get token stats' });
     }
 });
 
-// Update profile NSFW status (admin only)
-app.patch("/admin/profiles/:characterId/nsfw", requireAdmin, async (req, res) => {
+// Move the grace window end: a past date turns ContentId enforcement on, a future one defers it
+app.post("/admin/tokens/grace", requireOwner, (req, res) => {
     try {
-        const characterId = decodeURIComponent(req.params.characterId);
-        const { isNSFW } = req.body;
+        const { endsAt } = req.body;
         const adminId = req.adminId;
-        
-        const filePath = path.join(profilesDir, `${characterId}.json`);
-        
-        if (!fs.existsSync(filePath)) {
-            return res.status(404).json({ error: 'Profile not found' });
+        const when = new Date(endsAt).getTime();
+
+        if (!endsAt || !Number.isFinite(when)) {
+            return res.status(400).json({ error: 'Valid endsAt date is required' });
         }
 
-        // Read current profile
-        const profile = await readProfileAsync(filePath);
-        
-        // Update NSFW status
-        profile.IsNSFW = isNSFW;
-        profile.LastUpdated = new Date().toISOString();
-        
-        // Save updated profile
-        await atomicWriteProfile(filePath, profile);
-        
-        // Log moderation action
-        moderationDB.logAction(
-            isNSFW ? 'mark_nsfw' : 'unmark_nsfw', 
-            characterId, 
-            profile.CharacterName || characterId, 
-            `Profile ${isNSFW ? 'marked as' : 'unmarked from'} NSFW`, 
-            adminId
-        );
-        
-        // Clear caches to reflect changes
-        galleryCache = null;
-        allProfilesCache = null;
-        invalidateNamesCache();
-        invalidateProfilesLookupCache();
+        const previous = new Date(tokensDB.graceWindowEnd).toISOString();
+        tokensDB.setGraceWindowEnd(when);
 
-        console.log(`🛡️ Profile ${profile.CharacterName} ${isNSFW ? 'marked as' : 'unmarked from'} NSFW by ${adminId}`);
-        res.json({ success: true, isNSFW });
+        activityDB.logActivity('auth', `GRACE WINDOW MOVED: ${previous} → ${new Date(when).toISOString()}`, {
+            adminId,
+            previous,
+            graceWindowEnd: new Date(when).toISOString(),
+            enforcing: tokensDB.isGraceWindowOver()
+        });
 
+        console.log(`🪪 Token grace window set to ${new Date(when).toISOString()} by ${adminId}`);
+        res.json({ success: true, graceWindowEnd: new Date(when).toISOString(), enforcing: tokensDB.isGraceWindowOver() });
     } catch (error) {
-        console.error('Update NSFW status error:', error);
-        res.status(500).json({ error: 'Failed to update NSFW status' });
+        console.error('Set grace window error:', error);
+        res.status(500).json({ error: 'Failed to set grace window' });
     }
 });
 
-// Ban profile (admin only)
-app.post("/admin/profiles/:characterId/ban", requireAdmin, (req, res) => {
+// ===============================
+// 💗 LIKE ABUSE (Admin)
+// ===============================
+
+const LIKE_BURST_SLOTS_PER_TOKEN = 4;   // one install liking as this many different characters
+const LIKE_BURST_LIKES_PER_TOKEN = 100; // or this many likes from one install inside the window
+const LIKE_SPIKE_MIN_LIKES = 20;
+const LIKE_SPIKE_RATIO = 5;             // window likes vs the target's average per window
+const LIKE_SPIKE_BASELINE_WINDOWS = 7;
+
+app.get("/admin/likes/suspicious", requireAdmin, (req, res) => {
     try {
-        const characterId = decodeURIComponent(req.params.characterId);
-        const { reason } = req.body;
-        const adminId = req.adminId;
-        
-        moderationDB.banProfile(characterId);
-        moderationDB.logAction('ban', characterId, characterId, reason || 'No reason provided', adminId);
-        
-        console.log(`🛡️ Profile ${characterId} banned by ${adminId}`);
-        res.json({ success: true });
-        
+        const hours = Math.min(168, Math.max(1, parseInt(req.query.hours, 10) || 24));
+        const windowMs = hours * 3600000;
+        const since = Date.now() - windowMs;
+
+        const tokenBursts = likesDB.getTokenBursts(since, LIKE_BURST_SLOTS_PER_TOKEN, LIKE_BURST_LIKES_PER_TOKEN)
+            .map(b => ({
+                ...b,
+                firstAt: new Date(b.firstAt).toISOString(),
+                lastAt: new Date(b.lastAt).toISOString()
+            }));
+
+        const targetSpikes = likesDB.getTargetSpikes(since, windowMs, LIKE_SPIKE_BASELINE_WINDOWS, LIKE_SPIKE_MIN_LIKES, LIKE_SPIKE_RATIO)
+            .map(t => ({
+                characterId: t.characterId,
+                characterName: stmtIndexCsName.get(t.characterId)?.csName || t.characterId,
+                likes: t.likes,
+                tokens: t.tokens,
+                baselinePerWindow: Math.round(t.baselinePerWindow * 10) / 10,
+                ratio: Math.round(t.ratio * 10) / 10,
+                isBanned: moderationDB.isProfileBanned(t.characterId)
+            }));
+
+        res.json({
+            hours,
+            tokenBursts,
+            targetSpikes,
+            thresholds: {
+                slotsPerToken: LIKE_BURST_SLOTS_PER_TOKEN,
+                likesPerToken: LIKE_BURST_LIKES_PER_TOKEN,
+                spikeMinLikes: LIKE_SPIKE_MIN_LIKES,
+                spikeRatio: LIKE_SPIKE_RATIO
+            }
+        });
     } catch (error) {
-        console.error('Ban profile error:', error);
-        res.status(500).json({ error: 'Failed to ban profile' });
+        console.error('Suspicious likes error:', error);
+        res.status(500).json({ error: 'Failed to analyze likes' });
     }
 });
 
-// Unban profile (admin only) - legacy endpoint for characterId-based unbans
-app.post("/admin/profiles/:characterId/unban", requireAdmin, (req, res) => {
+// Bulk void: every like from one install (tokenRef), every like on one profile (characterId), or
+// both combined. `hours` limits it to recent likes, which is what you want for a spike.
+app.post("/admin/likes/void", requireAdmin, (req, res) => {
     try {
-        const characterId = decodeURIComponent(req.params.characterId);
-        const { reason } = req.body;
+        const { tokenRef: ref, characterId, hours, reason } = req.body;
         const adminId = req.adminId;
 
-        // Check if this looks like a physical name (contains @ but no underscore before it)
-        // Physical names: "John Smith@Balmung"
-        // CharacterIds: "CS_Name_John Smith@Balmung"
-        const underscoreIndex = characterId.indexOf('_');
-        const atIndex = characterId.indexOf('@');
-
-        if (atIndex > 0 && (underscoreIndex < 0 || underscoreIndex > atIndex)) {
-            // This is a physical name, unban the user directly
-            moderationDB.unbanUser(characterId);
-            moderationDB.logAction('unban', characterId, characterId, reason || 'No reason provided', adminId);
-            console.log(`🛡️ User ${characterId} unbanned by ${adminId}`);
-        } else {
-            // This is a characterId, use the old method
-            moderationDB.unbanProfile(characterId);
-            moderationDB.logAction('unban', characterId, characterId, reason || 'No reason provided', adminId);
-            console.log(`🛡️ Profile ${characterId} unbanned by ${adminId}`);
+        if (!ref && !characterId) {
+            return res.status(400).json({ error: 'tokenRef or characterId is required' });
         }
 
-        res.json({ success: true });
+        const since = hours ? Date.now() - Math.max(1, parseInt(hours, 10) || 0) * 3600000 : null;
+        const voided = likesDB.voidLikes({ tokenRef: ref, characterId, since });
 
-    } catch (error) {
-        console.error('Unban profile error:', error);
-        res.status(500).json({ error: 'Failed to unban profile' });
-    }
-});
+        // Voided likes drop out of rankings right away
+        trendingCache.clear();
 
-// Get moderation actions (admin only)
-app.get("/admin/moderation/actions", requireAdmin, (req, res) => {
-    try {
-        const actions = moderationDB.getActions();
-        res.json(actions);
-    } catch (error) {
-        console.error('Get moderation actions error:', error);
-        res.status(500).json({ error: 'Failed to get moderation actions' });
-    }
-});
+        const target = [ref ? `token ${ref}` : null, characterId || null].filter(Boolean).join(' on ');
+        activityDB.logActivity('moderation', `LIKES VOIDED: ${voided} (${target})`, {
+            adminId,
+            tokenRef: ref || null,
+            characterId: characterId || null,
+            hours: hours || null,
+            voided,
+            reason: reason || ''
+        });
 
-// Get banned users (admin only) - returns physical names banned from uploading
-app.get("/admin/moderation/banned", requireAdmin, (req, res) => {
-    try {
-        const bannedUsers = moderationDB.getBannedUsers();
-        res.json(bannedUsers);
+        console.log(`💗 ${voided} likes voided by ${adminId} (${target})`);
+        res.json({ success: true, voided });
     } catch (error) {
-        console.error('Get banned users error:', error);
-        res.status(500).json({ error: 'Failed to get banned users' });
+        console.error('Void likes error:', error);
+        res.status(500).json({ error: 'Failed to void likes' });
     }
 });
 
 // ===============================
-// 🚫 NAME BAN ENDPOINTS (3-STRIKE SYSTEM)
+// 👑 ADMIN ACCOUNTS & SESSIONS
 // ===============================
-// Ban user from CS+ Names feature with strike tracking
-app.post("/admin/names/ban", requireAdmin, (req, res) => {
-    try {
-        const { physicalName, reason, offensiveCSName } = req.body;
-        const adminId = req.adminId;
 
-        if (!physicalName) {
-            return res.status(400).json({ error: 'Physical name required' });
-        }
+const ADMIN_USERNAME_PATTERN = /^[a-zA-Z0-9_.-]{3,32}$/;
 
-        // Add to ban list
-        moderationDB.banFromNames(physicalName);
+function formatAdminSession(account, session) {
+    return {
+        username: account.username,
+        displayName: account.displayName,
+        role: account.role,
+        totpEnabled: !!account.totpEnabled,
+        secondFactor: !!session.secondFactor,
+        expiresAt: session.expiresAt
+    };
+}
 
-        // Create warning with strike tracking
-        const warning = moderationDB.addNameWarning(physicalName, offensiveCSName || '[Unknown]', adminId);
+function validateNewAdminCredentials(username, password) {
+    if (!username || !ADMIN_USERNAME_PATTERN.test(username)) {
+        return 'Username must be 3-32 characters (letters, numbers, _ . -)';
+    }
+    if (!password || typeof password !== 'string' || password.length < ADMIN_MIN_PASSWORD_LENGTH) {
+        return `Password must be at least ${ADMIN_MIN_PASSWORD_LENGTH} characters`;
+    }
+    return null;
+}
 
-        // Log the action
-        moderationDB.logAction('name_ban', physicalName, offensiveCSName || physicalName, reason || 'Offensive CS+ name', adminId);
+// Lets the panel decide between the login form and first-run setup
+app.get("/admin/auth/status", (req, res) => {
+    res.json({
+        needsSetup: !adminsDB.hasAccounts(),
+        setupAvailable: !adminsDB.hasAccounts() && !!process.env.ADMIN_SECRET_KEY
+    });
+});
 
-        console.log(`🚫 NAME BAN: ${physicalName} (CS+ name: ${offensiveCSName || 'N/A'}) - Strike ${warning.strikeNumber} by ${adminId}`);
+// First-run bootstrap: ADMIN_SECRET_KEY creates the first owner account, then is no longer accepted
+app.post("/admin/auth/setup", (req, res) => {
+    try {
+        const { setupKey, username, password, displayName } = req.body;
 
-        res.json({
-            success: true,
-            message: `${physicalName} banned from names feature`,
-            warning: {
-                id: warning.id,
-                strikeNumber: warning.strikeNumber,
-                status: warning.status
-            }
+        if (adminsDB.hasAccounts()) {
+            return res.status(409).json({ error: 'Setup already completed' });
+        }
+        if (!process.env.ADMIN_SECRET_KEY || setupKey !== process.env.ADMIN_SECRET_KEY) {
+            return res.status(403).json({ error: 'Invalid setup key' });
+        }
+
+        const invalid = validateNewAdminCredentials(username, password);
+        if (invalid) {
+            return res.status(400).json({ error: invalid });
+        }
+
+        const account = adminsDB.createAccount(username, password, 'owner', 'setup', displayName);
+        // The setup key already vouched for this session, so it may enroll without a code
+        const { token, expiresAt, session } = adminsDB.createSession(username, false, true);
+
+        activityDB.logActivity('auth', `ADMIN SETUP: owner ${username} created`, {
+            adminId: username,
+            role: 'owner'
         });
+
+        console.log(`👑 First owner account created: ${username}`);
+        res.json({ success: true, token, expiresAt, admin: formatAdminSession(account, session) });
     } catch (error) {
-        console.error('Name ban error:', error);
-        res.status(500).json({ error: 'Failed to ban user from names' });
+        console.error('Admin setup error:', error);
+        res.status(500).json({ error: 'Failed to complete setup' });
     }
 });
 
-// Unban user from CS+ Names feature
-app.post("/admin/names/unban", requireAdmin, (req, res) => {
+app.post("/admin/auth/login", (req, res) => {
     try {
-        const { physicalName } = req.body;
-        const adminId = req.adminId;
+        const { username, password, code } = req.body;
+        const ip = req.ip;
 
-        if (!physicalName) {
-            return res.status(400).json({ error: 'Physical name required' });
+        if (!username || !password) {
+            return res.status(400).json({ error: 'Username and password are required' });
+        }
+
+        const throttleKey = `${ip}|${username}`;
+        if (isLoginLocked(throttleKey)) {
+            return res.status(429).json({ error: 'Too many failed logins. Try again later.' });
+        }
+
+        const account = adminsDB.verifyPassword(username, password);
+        if (!account) {
+            recordLoginFailure(throttleKey);
+            activityDB.logActivity('auth', `ADMIN LOGIN FAILED: ${username}`, { username, ip });
+            return res.status(401).json({ error: 'Invalid username or password' });
+        }
+
+        // Enrolled admins always need their second factor; there is no password-only downgrade
+        let secondFactor = false;
+        if (account.totpEnabled) {
+            if (!code) {
+                return res.status(401).json({ error: 'Two-factor code required', totpRequired: true });
+            }
+            const method = adminsDB.verifySecondFactor(account.username, code);
+            if (!method) {
+                recordLoginFailure(throttleKey);
+                activityDB.logActivity('auth', `ADMIN 2FA FAILED: ${account.username}`, { username: account.username, ip });
+                return res.status(401).json({ error: 'Invalid two-factor code', totpRequired: true });
+            }
+            if (method === 'recovery') {
+                activityDB.logActivity('auth', `ADMIN RECOVERY CODE USED: ${account.username}`, {
+                    adminId: account.username,
+                    recoveryCodesLeft: account.recoveryCodes.length
+                });
+            }
+            secondFactor = true;
         }
 
-        moderationDB.unbanFromNames(physicalName);
-        moderationDB.logAction('name_unban', physicalName, physicalName, 'Unbanned from names', adminId);
+        loginFailures.delete(throttleKey);
+        const { token, expiresAt, session } = adminsDB.createSession(account.username, secondFactor);
 
-        console.log(`✅ NAME UNBAN: ${physicalName} by ${adminId}`);
+        activityDB.logActivity('auth', `ADMIN LOGIN: ${account.username}${secondFactor ? '' : ' (read-only, no 2FA)'}`, {
+            adminId: account.username,
+            role: account.role,
+            secondFactor
+        });
 
-        res.json({ success: true, message: `${physicalName} unbanned from names feature` });
+        res.json({ success: true, token, expiresAt, admin: formatAdminSession(account, session) });
     } catch (error) {
-        console.error('Name unban error:', error);
-        res.status(500).json({ error: 'Failed to unban user from names' });
+        console.error('Admin login error:', error);
+        res.status(500).json({ error: 'Failed to log in' });
     }
 });
 
-// Get list of name-banned users
-app.get("/admin/moderation/namebanned", requireAdmin, (req, res) => {
-    try {
-        const nameBannedUsers = moderationDB.getNameBannedUsers();
-        res.json(nameBannedUsers);
-    } catch (error) {
-        console.error('Get name-banned users error:', error);
-        res.status(500).json({ error: 'Failed to get name-banned users' });
-    }
+app.post("/admin/auth/logout", requireAdminLogin, (req, res) => {
+    adminsDB.revokeSession(getBearerToken(req));
+    res.json({ success: true });
 });
 
-// Get name warnings (admin) - supports status filtering
-app.get("/admin/names/warnings", requireAdmin, (req, res) => {
+app.get("/admin/auth/me", requireAdminLogin, (req, res) => {
+    const { account, session } = getAdminSession(req);
+    res.json(formatAdminSession(account, session));
+});
+
+// Change own password; all of this admin's sessions are revoked and a fresh one is issued
+app.post("/admin/auth/password", requireAdminLogin, (req, res) => {
     try {
-        const { status } = req.query;
-        let warnings = moderationDB.getAllNameWarnings();
+        const { currentPassword, newPassword } = req.body;
+        const adminId = req.adminId;
 
-        if (status === 'active') {
-            // Active warnings: not resolved (still needs action or is permaban)
-            warnings = warnings.filter(w => !w.resolved);
-        } else if (status === 'resolved') {
-            // Resolved warnings: user successfully changed name and it was approved
-            warnings = warnings.filter(w => w.resolved);
+        if (!adminsDB.verifyPassword(adminId, currentPassword || '')) {
+            return res.status(403).json({ error: 'Current password is incorrect' });
+        }
+        const invalid = validateNewAdminCredentials(adminId, newPassword);
+        if (invalid) {
+            return res.status(400).json({ error: invalid });
         }
-        // Default: return all warnings
 
-        res.json(warnings);
+        adminsDB.setPassword(adminId, newPassword);
+        const { token, expiresAt } = adminsDB.createSession(adminId, !!req.adminSession.secondFactor);
+
+        activityDB.logActivity('auth', `ADMIN PASSWORD CHANGED: ${adminId}`, { adminId });
+        res.json({ success: true, token, expiresAt });
     } catch (error) {
-        console.error('Get name warnings error:', error);
-        res.status(500).json({ error: 'Failed to get name warnings' });
+        console.error('Admin password change error:', error);
+        res.status(500).json({ error: 'Failed to change password' });
     }
 });
 
-// Get pending review warnings (admin) - strike 2 users who changed names and need approval
-app.get("/admin/names/pending-review", requireAdmin, (req, res) => {
+// Step 1 of enrollment: returns a new secret + otpauth:// URI for the authenticator app.
+// Allowed on read-only sessions, since that's how an admin gets write access in the first place;
+// step 2 is where the owner's approval is checked.
+app.post("/admin/auth/totp/setup", requireAdminLogin, (req, res) => {
     try {
-        const pendingWarnings = moderationDB.getPendingReviewWarnings();
-        res.json(pendingWarnings);
+        const adminId = req.adminId;
+        const account = adminsDB.getAccount(adminId);
+
+        if (account.totpEnabled) {
+            return res.status(409).json({ error: 'Two-factor authentication is already enabled' });
+        }
+
+        const secret = adminsDB.beginTotpEnrollment(adminId);
+        const label = encodeURIComponent(`${TOTP_ISSUER}:${adminId}`);
+        const otpauthUrl = `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(TOTP_ISSUER)}` +
+            `&algorithm=SHA1&digits=${TOTP_DIGITS}&period=${TOTP_STEP_SECONDS}`;
+
+        res.json({ secret, otpauthUrl });
     } catch (error) {
-        console.error('Get pending review warnings error:', error);
-        res.status(500).json({ error: 'Failed to get pending review warnings' });
+        console.error('TOTP setup error:', error);
+        res.status(500).json({ error: 'Failed to start two-factor setup' });
     }
 });
 
-// Get resolved reviews (admin) - approved or rejected name changes
-app.get("/admin/names/resolved-reviews", requireAdmin, (req, res) => {
+// Step 2: confirm with a code from the app. Recovery codes are shown once, here. Needs an
+// enrollment code from an owner (or the setup key) unless the session came from first-run setup.
+app.post("/admin/auth/totp/enable", requireAdminLogin, (req, res) => {
     try {
-        const allWarnings = moderationDB.getAllNameWarnings();
-        // Resolved reviews: had pendingReview at some point and now resolved or rejected
-        const resolvedReviews = allWarnings.filter(w =>
-            w.resolved || // Approved
-            (w.rejectionReason && !w.pendingReview) // Rejected
-        );
-        res.json(resolvedReviews);
+        const { code, enrollmentCode } = req.body;
+        const adminId = req.adminId;
+
+        const approved = req.adminSession.enrollmentApproved ||
+            (!!process.env.ADMIN_SECRET_KEY && enrollmentCode === process.env.ADMIN_SECRET_KEY) ||
+            adminsDB.checkEnrollmentCode(adminId, enrollmentCode);
+        if (!approved) {
+            return res.status(403).json({
+                error: 'An enrollment code from an owner is required to enable two-factor authentication',
+                enrollmentCodeRequired: true
+            });
+        }
+
+        const recoveryCodes = adminsDB.confirmTotpEnrollment(adminId, code);
+        if (!recoveryCodes) {
+            return res.status(400).json({ error: 'Invalid code - check your authenticator app and try again' });
+        }
+
+        adminsDB.markSessionVerified(getBearerToken(req));
+
+        activityDB.logActivity('auth', `ADMIN 2FA ENABLED: ${adminId}`, { adminId });
+        console.log(`🔐 Two-factor authentication enabled for ${adminId}`);
+        res.json({ success: true, recoveryCodes });
     } catch (error) {
-        console.error('Get resolved reviews error:', error);
-        res.status(500).json({ error: 'Failed to get resolved reviews' });
+        console.error('TOTP enable error:', error);
+        res.status(500).json({ error: 'Failed to enable two-factor authentication' });
     }
 });
 
-// Approve name change (admin) - for strike 2 users
-app.post("/admin/names/approve/:warningId", requireAdmin, (req, res) => {
+app.post("/admin/auth/totp/disable", requireAdmin, (req, res) => {
     try {
-        const { warningId } = req.params;
-        const success = moderationDB.approveNameChange(warningId);
+        const { password } = req.body;
+        const adminId = req.adminId;
 
-        if (success) {
-            res.json({ success: true, message: 'Name change approved' });
-        } else {
-            res.status(404).json({ error: 'Warning not found or not pending review' });
+        if (!adminsDB.verifyPassword(adminId, password || '')) {
+            return res.status(403).json({ error: 'Password is incorrect' });
         }
+
+        adminsDB.disableTotp(adminId);
+
+        activityDB.logActivity('auth', `ADMIN 2FA DISABLED: ${adminId}`, { adminId });
+        res.json({ success: true });
     } catch (error) {
-        console.error('Approve name change error:', error);
-        res.status(500).json({ error: 'Failed to approve name change' });
+        console.error('TOTP disable error:', error);
+        res.status(500).json({ error: 'Failed to disable two-factor authentication' });
     }
 });
 
-// Reject name change (admin) - for strike 2 users
-app.post("/admin/names/reject/:warningId", requireAdmin, (req, res) => {
+app.post("/admin/auth/totp/recovery-codes", requireAdmin, (req, res) => {
     try {
-        const { warningId } = req.params;
-        const { reason } = req.body;
-        const success = moderationDB.rejectNameChange(warningId, reason || 'Name still inappropriate');
+        const { code } = req.body;
+        const adminId = req.adminId;
 
-        if (success) {
-            res.json({ success: true, message: 'Name change rejected' });
-        } else {
-            res.status(404).json({ error: 'Warning not found or not pending review' });
+        if (!adminsDB.verifyTotpCode(adminId, code)) {
+            return res.status(403).json({ error: 'A current authenticator code is required' });
         }
+
+        const recoveryCodes = adminsDB.regenerateRecoveryCodes(adminId);
+
+        activityDB.logActivity('auth', `ADMIN RECOVERY CODES REGENERATED: ${adminId}`, { adminId });
+        res.json({ success: true, recoveryCodes });
     } catch (error) {
-        console.error('Reject name change error:', error);
-        res.status(500).json({ error: 'Failed to reject name change' });
+        console.error('Recovery code regeneration error:', error);
+        res.status(500).json({ error: 'Failed to regenerate recovery codes' });
     }
 });
 
-// Get names cache contents (admin)
-app.get("/admin/names/cache", requireAdmin, async (req, res) => {
+app.get("/admin/accounts", requireOwner, (req, res) => {
+    res.json(adminsDB.listAccounts());
+});
+
+app.post("/admin/accounts", requireOwner, (req, res) => {
     try {
-        // Newest visible name-sync entry per physical name, straight from the index (no crawl).
-        const cutoff = Date.now() - (NAME_SYNC_EXPIRY_HOURS * 60 * 60 * 1000);
-        const rows = indexDb.prepare(`
-            SELECT physicalName, csName, nameplateColor FROM (
-                SELECT physicalName, csName, nameplateColor, allowNameSync, sharing, lastActiveTime,
-                       ROW_NUMBER() OVER (PARTITION BY physicalName ORDER BY lastActiveTime DESC) AS rn
-                FROM profile_index
-                WHERE lastActiveTime > ?
-            ) WHERE rn = 1 AND allowNameSync = 1 AND sharing != 'NeverShare' AND sharing != '1'
-        `).all(cutoff);
+        const { username, password, role = 'moderator', displayName } = req.body;
+        const adminId = req.adminId;
 
-        const cacheEntries = [];
-        for (const row of rows) {
-            if (!row.csName) continue;
-            let color = [1, 1, 1];
-            try { color = JSON.parse(row.nameplateColor) || [1, 1, 1]; } catch (e) { /* keep default */ }
-            cacheEntries.push({ physicalName: row.physicalName, csName: row.csName, nameplateColor: color });
+        const invalid = validateNewAdminCredentials(username, password);
+        if (invalid) {
+            return res.status(400).json({ error: invalid });
+        }
+        if (!ADMIN_ROLES.includes(role)) {
+            return res.status(400).json({ error: `Role must be one of: ${ADMIN_ROLES.join(', ')}` });
+        }
+        if (adminsDB.getAccount(username)) {
+            return res.status(409).json({ error: 'An admin with that username already exists' });
         }
 
-        cacheEntries.sort((a, b) => a.csName.localeCompare(b.csName));
+        adminsDB.createAccount(username, password, role, adminId, displayName);
+        const enrollmentCode = adminsDB.issueEnrollmentCode(username);
 
-        res.json({
-            count: cacheEntries.length,
-            cacheAge: 0,
-            entries: cacheEntries
+        activityDB.logActivity('auth', `ADMIN ACCOUNT CREATED: ${username} (${role})`, {
+            adminId,
+            username,
+            role
         });
+
+        console.log(`👑 Admin account ${username} (${role}) created by ${adminId}`);
+        res.json({ success: true, account: adminsDB.listAccounts().find(a => a.username === username), enrollmentCode });
     } catch (error) {
-        console.error('Get names cache error:', error);
-        res.status(500).json({ error: 'Failed to get names cache' });
+        console.error('Create admin account error:', error);
+        res.status(500).json({ error: 'Failed to create admin account' });
     }
 });
 
-// ===============================
-// 👤 USER WARNING ENDPOINTS (Public)
-// ===============================
-// Get warnings for a user (plugin calls this on startup)
-app.get("/user/warnings/:physicalName", (req, res) => {
+// Change role, enable/disable, or reset the password of another admin. Resetting 2FA or asking for
+// issueEnrollmentCode returns a fresh enrollmentCode the admin needs to enroll again.
+app.patch("/admin/accounts/:username", requireOwner, (req, res) => {
     try {
-        const { physicalName } = req.params;
+        const { username } = req.params;
+        const { role, disabled, displayName, password, resetTwoFactor, issueEnrollmentCode } = req.body;
+        const adminId = req.adminId;
+        const account = adminsDB.getAccount(username);
 
-        if (!physicalName) {
-            return res.status(400).json({ error: 'Physical name required' });
+        if (!account) {
+            return res.status(404).json({ error: 'Admin account not found' });
+        }
+        if (role !== undefined && !ADMIN_ROLES.includes(role)) {
+            return res.status(400).json({ error: `Role must be one of: ${ADMIN_ROLES.join(', ')}` });
         }
 
-        // Get unacknowledged warnings
-        const unacknowledgedWarnings = moderationDB.getUnacknowledgedWarnings(physicalName);
+        // Never leave the panel without an active owner
+        const losesOwner = account.role === 'owner' && !account.disabled &&
+            ((role !== undefined && role !== 'owner') || disabled === true);
+        if (losesOwner && adminsDB.countOwners() <= 1) {
+            return res.status(409).json({ error: 'Cannot demote or disable the last owner' });
+        }
+        if (issueEnrollmentCode === true && resetTwoFactor !== true && account.totpEnabled) {
+            return res.status(409).json({ error: 'Two-factor authentication is already enabled' });
+        }
 
-        // Get active warning (if any)
-        const activeWarning = moderationDB.getActiveWarning(physicalName);
+        if (password !== undefined) {
+            const invalid = validateNewAdminCredentials(username, password);
+            if (invalid) {
+                return res.status(400).json({ error: invalid });
+            }
+            adminsDB.setPassword(username, password);
+        }
 
-        // Get strike count
-        const strikeCount = moderationDB.getUserStrikeCount(physicalName);
+        // For admins who lost both their authenticator and recovery codes
+        if (resetTwoFactor === true) {
+            adminsDB.disableTotp(username);
+        }
+        let enrollmentCode;
+        if (resetTwoFactor === true || issueEnrollmentCode === true) {
+            enrollmentCode = adminsDB.issueEnrollmentCode(username);
+        }
 
-        res.json({
-            hasUnacknowledgedWarning: unacknowledgedWarnings.length > 0,
-            unacknowledgedWarnings,
-            activeWarning,
-            strikeCount,
-            isPermabanned: moderationDB.isPermabanned(physicalName)
+        adminsDB.updateAccount(username, { role, disabled, displayName });
+
+        const changes = [];
+        if (role !== undefined) changes.push(`role=${role}`);
+        if (disabled !== undefined) changes.push(disabled ? 'disabled' : 'enabled');
+        if (password !== undefined) changes.push('password reset');
+        if (resetTwoFactor === true) changes.push('2FA reset');
+        if (enrollmentCode) changes.push('enrollment code issued');
+        if (displayName !== undefined) changes.push('display name');
+
+        activityDB.logActivity('auth', `ADMIN ACCOUNT UPDATED: ${username} (${changes.join(', ')})`, {
+            adminId,
+            username,
+            changes
         });
+
+        res.json({ success: true, account: adminsDB.listAccounts().find(a => a.username === username), enrollmentCode });
     } catch (error) {
-        console.error('Get user warnings error:', error);
-        res.status(500).json({ error: 'Failed to get warnings' });
+        console.error('Update admin account error:', error);
+        res.status(500).json({ error: 'Failed to update admin account' });
     }
 });
 
-// Acknowledge a warning (user clicked checkbox + accept)
-app.post("/user/warnings/:warningId/acknowledge", (req, res) => {
+// ===============================
+// 🔑 API KEYS
+// ===============================
+// /admin/api-keys has no scope group, so keys themselves can never list, mint or revoke keys.
+
+app.get("/admin/api-keys", requireAdminLogin, (req, res) => {
+    // Owners see every key, moderators their own
+    res.json({
+        keys: apiKeysDB.listKeys(req.adminRole === 'owner' ? null : req.adminId),
+        availableScopes: [...new Set(Object.values(API_KEY_SCOPE_GROUPS))]
+            .filter(g => req.adminRole === 'owner' || !API_KEY_OWNER_ONLY_GROUPS.includes(g))
+            .flatMap(g => API_KEY_READ_ONLY_GROUPS.includes(g) ? [`${g}:read`] : [`${g}:read`, `${g}:write`])
+    });
+});
+
+app.post("/admin/api-keys", requireAdmin, (req, res) => {
     try {
-        const { warningId } = req.params;
+        const { name, scopes, expiresInDays } = req.body;
+        const adminId = req.adminId;
 
-        const success = moderationDB.acknowledgeWarning(warningId);
+        if (!name || typeof name !== 'string' || name.trim().length === 0 || name.length > 64) {
+            return res.status(400).json({ error: 'Key name is required (max 64 characters)' });
+        }
+        if (!Array.isArray(scopes) || scopes.length === 0 || !scopes.every(isValidApiKeyScope)) {
+            return res.status(400).json({ error: 'At least one valid scope is required, e.g. reports:read' });
+        }
+        if (req.adminRole !== 'owner' && scopes.some(sc => API_KEY_OWNER_ONLY_GROUPS.includes(sc.split(':')[0]))) {
+            return res.status(403).json({ error: 'Only owners can create keys with system scopes' });
+        }
 
-        if (success) {
-            res.json({ success: true, message: 'Warning acknowledged' });
-        } else {
-            res.status(404).json({ error: 'Warning not found' });
+        const days = Number(expiresInDays);
+        if (!Number.isFinite(days) || days <= 0 || days > API_KEY_MAX_TTL_DAYS) {
+            return res.status(400).json({ error: `expiresInDays must be between 1 and ${API_KEY_MAX_TTL_DAYS}` });
         }
+        const expiresAt = new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString();
+
+        const { key, record } = apiKeysDB.createKey(name.trim(), [...new Set(scopes)], expiresAt, adminId);
+
+        activityDB.logActivity('auth', `API KEY CREATED: ${record.name} (${record.scopes.join(', ')})`, {
+            adminId,
+            keyId: record.id,
+            scopes: record.scopes,
+            expiresAt
+        });
+
+        console.log(`🔑 API key "${record.name}" created by ${adminId}`);
+        const { keyHash, ...safe } = record;
+        res.json({ success: true, key, apiKey: safe });
     } catch (error) {
-        console.error('Acknowledge warning error:', error);
-        res.status(500).json({ error: 'Failed to acknowledge warning' });
+        console.error('Create API key error:', error);
+        res.status(500).json({ error: 'Failed to create API key' });
     }
 });
 
-// Check if name change resolves warning (called when user updates their CS+ name)
-app.post("/user/check-name-change", (req, res) => {
+app.delete("/admin/api-keys/:id", requireAdmin, (req, res) => {
     try {
-        const { physicalName, newCSName } = req.body;
+        const { id } = req.params;
+        const adminId = req.adminId;
+        const record = apiKeysDB.keys.get(id);
 
-        if (!physicalName || !newCSName) {
-            return res.status(400).json({ error: 'Physical name and new CS+ name required' });
+        if (!record) {
+            return res.status(404).json({ error: 'API key not found' });
+        }
+        if (req.adminRole !== 'owner' && record.createdBy !== adminId) {
+            return res.status(403).json({ error: 'You can only revoke your own keys' });
+        }
+        if (!apiKeysDB.revokeKey(id, adminId)) {
+            return res.status(409).json({ error: 'API key is already revoked' });
         }
 
-        const result = moderationDB.checkNameChange(physicalName, newCSName);
-
-        res.json({
-            resolved: result.resolved,
-            needsReview: result.needsReview,
-            message: result.resolved
-                ? 'Your name has been restored!'
-                : result.needsReview
-                    ? 'Your new name is pending admin review.'
-                    : result.warning?.status === 'permaban'
-                        ? 'You are permanently banned from the names feature.'
-                        : 'No active warning found.'
+        activityDB.logActivity('auth', `API KEY REVOKED: ${record.name}`, {
+            adminId,
+            keyId: id,
+            createdBy: record.createdBy
         });
+
+        res.json({ success: true });
     } catch (error) {
-        console.error('Check name change error:', error);
-        res.status(500).json({ error: 'Failed to check name change' });
+        console.error('Revoke API key error:', error);
+        res.status(500).json({ error: 'Failed to revoke API key' });
     }
 });
 
@@ -4274,6 +8279,31 @@ app.get("/admin/dashboard", requireAdmin, async (req, res) => {
         const newProfilesThisWeek = counts.newWeek || 0;
         const newGalleryProfilesToday = counts.newGalleryToday || 0;
 
+        // Per data center / region breakdown, rolled up from per-world counts via the world registry
+        const worldRows = indexDb.prepare(`
+            SELECT server,
+                COUNT(*) AS total,
+                SUM(CASE WHEN sharing = 'ShowcasePublic' OR sharing = '2' THEN 1 ELSE 0 END) AS gallery
+            FROM profile_index
+            WHERE sharing != 'NeverShare' AND sharing != '1'
+            GROUP BY server
+        `).all();
+        const dcBreakdown = new Map();
+        const regionBreakdown = new Map();
+        for (const row of worldRows) {
+            const entry = worldRegistry.getWorld(row.server);
+            const dcKey = entry ? entry.dataCenter : 'Unknown';
+            const regionKey = entry ? entry.region : 'Unknown';
+            const dc = dcBreakdown.get(dcKey) || { dataCenter: dcKey, region: entry ? entry.region : null, profiles: 0, gallery: 0 };
+            dc.profiles += row.total;
+            dc.gallery += row.gallery;
+            dcBreakdown.set(dcKey, dc);
+            const region = regionBreakdown.get(regionKey) || { region: regionKey, profiles: 0, gallery: 0 };
+            region.profiles += row.total;
+            region.gallery += row.gallery;
+            regionBreakdown.set(regionKey, region);
+        }
+
         // Count new reports
         const allReports = reportsDB.getReports();
         const pendingReports = reportsDB.getReports('pending');
@@ -4299,7 +8329,7 @@ app.get("/admin/dashboard", requireAdmin, async (req, res) => {
             pendingReports: pendingReports.length,
             newReportsToday,
             newReportsThisWeek,
-            totalBanned: moderationDB.bannedUsers.size,
+            totalBanned: moderationDB.getBannedUsers().length,
             totalAnnouncements: announcementsDB.getAllAnnouncements().length,
             activeAnnouncements: announcementsDB.getActiveAnnouncements().length,
             recentActions: moderationDB.getActions().slice(0, 10),
@@ -4307,6 +8337,9 @@ app.get("/admin/dashboard", requireAdmin, async (req, res) => {
             newFlaggedToday,
             totalWarnings: allWarnings.length,
             newWarningsToday,
+            pendingReclaims: tokensDB.getReclaimRequests('pending').length,
+            dataCenters: [...dcBreakdown.values()].sort((a, b) => b.profiles - a.profiles),
+            regions: [...regionBreakdown.values()].sort((a, b) => b.profiles - a.profiles),
             egress: {
                 startTime: egressStats.startTime,
                 uptimeHours: ((Date.now() - egressStats.startTime) / 3600000).toFixed(1),
@@ -4321,6 +8354,88 @@ app.get("/admin/dashboard", requireAdmin, async (req, res) => {
     }
 });
 
+// ===============================
+// 🌍 WORLD REGISTRY
+// ===============================
+// World -> data center / region table used by gallery filters and the dashboard breakdown. Any
+// admin can read it; owners edit it. Edits take effect immediately, no redeploy.
+
+// Rewrites profile_index.server for a world's profiles after a registry edit, so rows indexed under
+// another spelling (or before the world was registered) pick up the canonical name the gallery's
+// data center and region filters match on.
+function reindexWorldProfiles(world) {
+    const canonical = worldRegistry.getWorld(world)?.world || null;
+    const result = indexDb.prepare(`
+        UPDATE profile_index SET server = COALESCE(@canonical, substr(physicalName, instr(physicalName, '@') + 1))
+        WHERE instr(physicalName, '@') > 0 AND lower(substr(physicalName, instr(physicalName, '@') + 1)) = lower(@world)
+    `).run({ canonical, world });
+    galleryFacetCache.clear();
+    bumpGalleryVersion();
+    return result.changes;
+}
+
+// unknownWorlds lists indexed worlds the registry doesn't have, with their profile counts
+app.get("/admin/worlds", requireAdmin, (req, res) => {
+    const unknownWorlds = indexDb.prepare(`SELECT MAX(server) AS world, COUNT(*) AS profiles FROM profile_index GROUP BY lower(server)`).all()
+        .filter(row => row.world && !worldRegistry.isKnownWorld(row.world))
+        .sort((a, b) => b.profiles - a.profiles || a.world.localeCompare(b.world));
+    res.json({ worlds: worldRegistry.listWorlds(), unknownWorlds });
+});
+
+// Add a world or move it to a different data center / region
+app.post("/admin/worlds", requireOwner, (req, res) => {
+    try {
+        const { world, dataCenter, region } = req.body || {};
+        const error = worldRegistry.setWorld(
+            typeof world === 'string' ? world.trim() : '',
+            typeof dataCenter === 'string' ? dataCenter.trim() : '',
+            typeof region === 'string' ? region.trim() : '',
+            req.adminId
+        );
+        if (error) return res.status(400).json({ error });
+
+        const entry = worldRegistry.getWorld(world.trim());
+        const reindexed = reindexWorldProfiles(entry.world);
+        activityDB.logActivity('worlds', `WORLD SET: ${entry.world} → ${entry.dataCenter} (${entry.region})`, {
+            world: entry.world,
+            dataCenter: entry.dataCenter,
+            region: entry.region,
+            reindexed,
+            adminId: req.adminId
+        });
+        console.log(`🌍 World ${entry.world} set to ${entry.dataCenter} (${entry.region}) by ${req.adminId} (${reindexed} profiles re-indexed)`);
+        res.json({ success: true, world: entry });
+    } catch (error) {
+        console.error('Update world error:', error);
+        res.status(500).json({ error: 'Failed to update world' });
+    }
+});
+
+// Remove a world. Its profiles stay, with no data center or region until it is added back.
+app.delete("/admin/worlds/:world", requireOwner, (req, res) => {
+    try {
+        const world = decodeURIComponent(req.params.world);
+        const entry = worldRegistry.getWorld(world);
+        if (!entry || !worldRegistry.removeWorld(world, req.adminId)) {
+            return res.status(404).json({ error: 'World not found' });
+        }
+
+        const reindexed = reindexWorldProfiles(entry.world);
+        activityDB.logActivity('worlds', `WORLD REMOVED: ${entry.world}`, {
+            world: entry.world,
+            dataCenter: entry.dataCenter,
+            region: entry.region,
+            reindexed,
+            adminId: req.adminId
+        });
+        console.log(`🌍 World ${entry.world} removed by ${req.adminId} (${reindexed} profiles re-indexed)`);
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Remove world error:', error);
+        res.status(500).json({ error: 'Failed to remove world' });
+    }
+});
+
 // System diagnostics endpoint - disk usage, egress, server info
 // Sums disk usage across the data directories. Walks ~167k files, so it runs off the
 // request path and stores the result in diskUsageCache for endpoints to read.
@@ -4364,7 +8479,7 @@ async function computeDiskUsage() {
     }
 }
 
-app.get("/admin/system", requireAdmin, async (req, res) => {
+app.get("/admin/system", requireOwner, async (req, res) => {
     try {
         const force = req.query.force === 'true';
 
@@ -4403,7 +8518,15 @@ app.get("/admin/system", requireAdmin, async (req, res) => {
             }
         };
 
-        res.json({ disk, egress, server });
+        const rejected = Object.values(imageIntakeStats.rejected).reduce((sum, n) => sum + n, 0);
+        const imageIntake = {
+            startTime: imageIntakeStats.startTime,
+            accepted: imageIntakeStats.accepted,
+            rejectedTotal: rejected,
+            rejected: imageIntakeStats.rejected
+        };
+
+        res.json({ disk, egress, server, imageIntake, imageQueue: getImageQueueStats() });
     } catch (error) {
         console.error('System diagnostics error:', error);
         res.status(500).json({ error: 'Failed to get system diagnostics' });
@@ -4439,17 +8562,17 @@ async function cleanupOrphanedTempFiles() {
 }
 
 // Run temp cleanup every hour
-setInterval(cleanupOrphanedTempFiles, 3600000);
+setInterval(cleanupOrphanedTempFiles, 3600000).unref();
 
 // Admin endpoint to trigger immediate temp cleanup
-app.post("/admin/system/cleanup-temp", requireAdmin, async (req, res) => {
+app.post("/admin/system/cleanup-temp", requireOwner, async (req, res) => {
     const result = await cleanupOrphanedTempFiles();
     diskUsageCache = null; // Invalidate disk cache
     res.json({ success: true, ...result });
 });
 
 // Reset egress tracking counters
-app.post("/admin/system/egress-reset", requireAdmin, (req, res) => {
+app.post("/admin/system/egress-reset", requireOwner, (req, res) => {
     egressStats.startTime = Date.now();
     for (const cat of Object.keys(egressStats.categories)) {
         egressStats.categories[cat].bytes = 0;
@@ -4508,7 +8631,7 @@ app.patch("/admin/flagged/:id", requireAdmin, (req, res) => {
     }
 });
 
-app.post("/admin/flagged/keywords", requireAdmin, (req, res) => {
+app.post("/admin/flagged/keywords", requireOwner, (req, res) => {
     try {
         const { keyword } = req.body;
         
@@ -4529,7 +8652,7 @@ app.post("/admin/flagged/keywords", requireAdmin, (req, res) => {
     }
 });
 
-app.delete("/admin/flagged/keywords/:keyword", requireAdmin, (req, res) => {
+app.delete("/admin/flagged/keywords/:keyword", requireOwner, (req, res) => {
     try {
         const { keyword } = req.params;
         const success = autoFlagDB.removeKeyword(decodeURIComponent(keyword));
@@ -4560,6 +8683,12 @@ app.use((err, req, res, next) => {
     if (err.type === 'request.aborted' || err.code === 'ECONNRESET') {
         return;
     }
+    // Multer enforces MAX_UPLOAD_BYTES and removes the partial file itself
+    if (err instanceof multer.MulterError && err.code === 'LIMIT_FILE_SIZE') {
+        const rejection = recordImageIntake(imageRejection(413, 'IMAGE_FILE_TOO_LARGE',
+            `Images can be at most ${MAX_UPLOAD_BYTES / 1048576} MB.`));
+        return sendImageRejection(res, rejection);
+    }
     // Log other errors but don't spam
     console.error(`[Error] ${req.method} ${req.path}: ${err.message}`);
     if (!res.headersSent) {
@@ -4571,30 +8700,70 @@ app.use((err, req, res, next) => {
 // SERVER STARTUP
 // =============================================================================
 
-app.listen(PORT, () => {
-    console.log(`✅ Character Select+ RP server running at http://localhost:${PORT}`);
-    console.log(`📁 Profiles directory: ${profilesDir}`);
-    console.log(`🖼️ Images directory: ${imagesDir}`);
-    console.log(`🛡️ Admin dashboard: http://localhost:${PORT}/admin`);
-    console.log(`💾 Database files: ${likesDbFile}, ${friendsDbFile}, ${announcementsDbFile}, ${reportsDbFile}, ${moderationDbFile}, ${activityDbFile}, ${flaggedDbFile}`);
-    console.log(`🚀 Features: Gallery, Likes, Friends, Announcements, Reports, Visual Moderation Dashboard, Activity Feed, Auto-Flagging`);
-    console.log(`🧹 Name Sync expiry: Names hidden after ${NAME_SYNC_EXPIRY_HOURS}h inactivity (profiles preserved for RP/Gallery)`);
-    console.log(`🗂️ Using data directory: ${DATA_DIR}`);
-
-    if (process.env.ADMIN_SECRET_KEY) {
-        console.log(`👑 Admin access enabled - visit /admin to moderate`);
-    } else {
-        console.log(`⚠️  Admin access disabled - set ADMIN_SECRET_KEY environment variable to enable`);
-    }
-
-    // Pre-warm caches sequentially so they don't all compete for disk I/O
-    console.log(`🔄 Pre-warming caches...`);
-    (async () => {
-        try {
-            await buildIndexIfEmpty();
-            console.log(`✅ Profile index ready - no file crawls remain`);
-        } catch (err) {
-            console.error(`⚠️ Cache pre-warm failed: ${err}`);
+// Listens on `port` and runs the startup work. Tests call it with port 0 after require()-ing this
+// file; started directly, it listens on PORT.
+function startServer(port = PORT) {
+    const server = app.listen(port, () => {
+        console.log(`✅ Character Select+ RP server running at http://localhost:${server.address().port}`);
+        console.log(`📁 Profiles directory: ${profilesDir}`);
+        console.log(`🖼️ Images directory: ${imagesDir}`);
+        console.log(`🛡️ Admin dashboard: http://localhost:${server.address().port}/admin`);
+        console.log(`💾 Database files: ${path.join(DATA_DIR, "profile_index.db")}, ${friendsDbFile}, ${announcementsDbFile}, ${reportsDbFile}, ${moderationDbFile}, ${activityDbFile}, ${flaggedDbFile}`);
+        console.log(`🚀 Features: Gallery, Likes, Friends, Announcements, Reports, Visual Moderation Dashboard, Activity Feed, Auto-Flagging`);
+        console.log(`🧹 Name Sync expiry: Names hidden after ${NAME_SYNC_EXPIRY_HOURS}h inactivity (profiles preserved for RP/Gallery)`);
+        console.log(`🗂️ Using data directory: ${DATA_DIR}`);
+        console.log(PUBLIC_BASE_URL
+            ? `🔗 Public base URL: ${PUBLIC_BASE_URL}`
+            : `🔗 PUBLIC_BASE_URL not set (development) - image URLs use each request's origin`);
+
+        if (adminsDB.hasAccounts()) {
+            console.log(`👑 Admin access enabled (${adminsDB.accounts.size} accounts) - visit /admin to moderate`);
+        } else if (process.env.ADMIN_SECRET_KEY) {
+            console.log(`👑 No admin accounts yet - visit /admin and use ADMIN_SECRET_KEY to create the first owner`);
+        } else {
+            console.log(`⚠️  Admin access disabled - set ADMIN_SECRET_KEY environment variable to create the first owner account`);
         }
-    })();
-});
+
+        // Pre-warm caches sequentially so they don't all compete for disk I/O
+        console.log(`🔄 Pre-warming caches...`);
+        (async () => {
+            try {
+                await buildIndexIfEmpty();
+                console.log(`✅ Profile index ready - no file crawls remain`);
+                await normalizeStoredImageUrls();
+                pruneGalleryChanges();
+                expireTemporaryBans();
+                collectRetiredImages();
+                const { depth } = stmtImageJobsSummary.get();
+                if (depth > 0) console.log(`⏳ Resuming ${depth} queued image jobs`);
+                pumpImageQueue();
+                await reconcileImageHashes();
+            } catch (err) {
+                console.error(`⚠️ Cache pre-warm failed: ${err}`);
+            }
+        })();
+    });
+    return server;
+}
+
+if (require.main === module) startServer();
+
+module.exports = {
+    app,
+    startServer,
+    DATA_DIR,
+    moderationDB,
+    activityDB,
+    autoFlagDB,
+    parseContentRating,
+    imageHashDistance,
+    imageHashBands,
+    bandNeighbours,
+    imageHashNearParams,
+    toStoredImageUrl,
+    banExpiryFromBody,
+    buildSearchMatch,
+    enqueueProfileImage,
+    getImageQueueStats,
+    isImageJobPending
+};
@@ -0,0 +1,97 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { server, startTestServer, uploadProfile } = require("./harness");
+
+const { moderationDB, activityDB } = server;
+const inHours = hours => new Date(Date.now() + hours * 60 * 60 * 1000).toISOString();
+
+test("addBan never shortens an active ban", () => {
+    const key = "Short_Ban Test@Balmung";
+    assert.equal(moderationDB.addBan("profiles", key, inHours(48)), moderationDB.banExpiry.profiles[key]);
+    const twoDays = moderationDB.banExpiry.profiles[key];
+
+    // A shorter ban keeps the longer one
+    assert.equal(moderationDB.addBan("profiles", key, inHours(1)), twoDays);
+    assert.equal(moderationDB.banExpiry.profiles[key], twoDays);
+
+    // A longer one extends it
+    const week = inHours(24 * 7);
+    assert.equal(moderationDB.addBan("profiles", key, week), week);
+
+    // A permanent one replaces it, and nothing turns it back into a temporary ban
+    assert.equal(moderationDB.addBan("profiles", key, null), null);
+    assert.equal(moderationDB.addBan("profiles", key, inHours(24 * 30)), null);
+    assert.equal(moderationDB.banExpiry.profiles[key], undefined);
+    assert.equal(moderationDB.isBanActive("profiles", key), true);
+});
+
+test("addBan replaces a ban that has already expired", () => {
+    const key = "Old Ban@Balmung";
+    moderationDB.addBan("users", key, inHours(-1));
+    assert.equal(moderationDB.isBanActive("users", key), false);
+    const day = inHours(24);
+    assert.equal(moderationDB.addBan("users", key, day), day);
+    assert.equal(moderationDB.isBanActive("users", key), true);
+});
+
+test("isBanActive honours expiry before the sweep runs", () => {
+    const key = "Gone_Soon Ban@Balmung";
+    moderationDB.banProfile(key, inHours(-0.01));
+    assert.equal(moderationDB.bannedProfiles.has(key), true);
+    assert.equal(moderationDB.isProfileBanned(key), false);
+    assert.equal(moderationDB.isUserBanned("Soon Ban@Balmung"), false);
+    assert.ok(!moderationDB.getBannedProfiles().includes(key));
+    assert.equal(moderationDB.describeBan("profiles", key), null);
+
+    moderationDB.banFromNames("Perma Name@Balmung");
+    assert.equal(moderationDB.isNameBanned("Perma Name@Balmung"), true);
+    assert.deepEqual(moderationDB.describeBan("names", "Perma Name@Balmung"), { expiresAt: null, remainingSeconds: null });
+});
+
+test("liftExpiredBans removes expired bans only and logs each lift", () => {
+    moderationDB.liftExpiredBans(); // Clear what earlier tests left expired
+    moderationDB.banProfile("Lapsed_Time Out@Balmung", inHours(-1));
+    moderationDB.banFromNames("Time Out@Balmung", inHours(-1));
+    moderationDB.banUser("Still Out@Balmung", inHours(1));
+
+    const lifted = moderationDB.liftExpiredBans();
+    assert.deepEqual(lifted.map(l => `${l.type} ${l.key}`).sort(), [
+        "names Time Out@Balmung",
+        "profiles Lapsed_Time Out@Balmung",
+        "users Time Out@Balmung"
+    ]);
+    assert.equal(moderationDB.bannedProfiles.has("Lapsed_Time Out@Balmung"), false);
+    assert.equal(moderationDB.banExpiry.names["Time Out@Balmung"], undefined);
+    assert.equal(moderationDB.isUserBanned("Still Out@Balmung"), true);
+
+    const logged = moderationDB.getActions().slice(0, 3);
+    assert.deepEqual(logged.map(a => a.action).sort(), ["name_unban", "unban", "unban"]);
+    for (const action of logged) {
+        assert.equal(action.adminId, "system");
+        assert.equal(action.reason, "Temporary ban expired");
+    }
+    const feed = activityDB.getActivities(3).map(a => a.message);
+    assert.ok(feed.includes("UNBAN: Lapsed_Time Out@Balmung"), feed.join(", "));
+    assert.ok(feed.includes("NAME_UNBAN: Time Out@Balmung"), feed.join(", "));
+
+    assert.deepEqual(moderationDB.liftExpiredBans(), []);
+});
+
+test("an expired temporary ban stops hiding the profile and blocking uploads", async (t) => {
+    const { base, close } = await startTestServer();
+    t.after(close);
+    const physicalName = "Brief Ban@Balmung";
+    const characterId = `Brief_${physicalName}`;
+    const profile = { CharacterName: "Brief", Sharing: "ShowcasePublic", Bio: "x" };
+    const listed = async () => (await fetch(`${base}/gallery/v2`).then(r => r.json())).profiles.some(p => p.CharacterName === "Brief");
+
+    assert.equal((await uploadProfile(base, physicalName, profile)).status, 200);
+    moderationDB.banProfile(characterId, inHours(1));
+    assert.equal(await listed(), false);
+    assert.equal((await uploadProfile(base, physicalName, profile)).status, 403);
+
+    // Let the ban run out without waiting for the sweep
+    moderationDB.banExpiry.profiles[characterId] = moderationDB.banExpiry.users[physicalName] = inHours(-0.01);
+    assert.equal((await uploadProfile(base, physicalName, profile)).status, 200);
+    assert.equal(await listed(), true);
+});
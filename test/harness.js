@@ -0,0 +1,120 @@
+// Shared setup for the server tests. Requiring this points the server at a fresh temp data
+// directory before loading it, so every test file (each runs in its own process) starts empty.
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const crypto = require("crypto");
+
+const DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), "cs-profile-server-test-"));
+process.env.DATA_DIR = DATA_DIR;
+process.env.ADMIN_SECRET_KEY = "test-setup-key";
+delete process.env.PUBLIC_BASE_URL;
+delete process.env.NODE_ENV;
+process.on("exit", () => fs.rmSync(DATA_DIR, { recursive: true, force: true }));
+
+// The server logs every request and job; keep test output to the results (errors still show)
+if (!process.env.TEST_VERBOSE) console.log = console.warn = () => {};
+
+const server = require("../server.js");
+
+// Starts the app on a free port. Returns { base, close }.
+async function startTestServer() {
+    const instance = server.startServer(0);
+    await new Promise(resolve => instance.once("listening", resolve));
+    return {
+        base: `http://127.0.0.1:${instance.address().port}`,
+        close: () => new Promise(resolve => {
+            instance.closeAllConnections();
+            instance.close(resolve);
+        })
+    };
+}
+
+// RFC 6238 code for a base32 secret, as an authenticator app would show it
+function totpCode(secret, at = Date.now()) {
+    const alphabet = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+    let bits = "";
+    for (const ch of secret.replace(/=+$/, "")) bits += alphabet.indexOf(ch).toString(2).padStart(5, "0");
+    const bytes = [];
+    for (let i = 0; i + 8 <= bits.length; i += 8) bytes.push(parseInt(bits.substring(i, i + 8), 2));
+    const counter = Buffer.alloc(8);
+    counter.writeUInt32BE(Math.floor(at / 30000), 4);
+    const hmac = crypto.createHmac("sha1", Buffer.from(bytes)).update(counter).digest();
+    const offset = hmac[19] & 15;
+    return String((hmac.readUInt32BE(offset) & 0x7fffffff) % 1000000).padStart(6, "0");
+}
+
+// Creates the first owner with two-factor enabled and returns fetch headers for its session
+async function createOwner(base) {
+    const json = { "Content-Type": "application/json" };
+    const setup = await fetch(`${base}/admin/auth/setup`, {
+        method: "POST", headers: json,
+        body: JSON.stringify({ setupKey: process.env.ADMIN_SECRET_KEY, username: "owner1", password: "longpassword1" })
+    }).then(r => r.json());
+    const headers = { ...json, Authorization: `Bearer ${setup.token}` };
+    const { secret } = await fetch(`${base}/admin/auth/totp/setup`, { method: "POST", headers }).then(r => r.json());
+    const enabled = await fetch(`${base}/admin/auth/totp/enable`, {
+        method: "POST", headers, body: JSON.stringify({ code: totpCode(secret) })
+    });
+    if (!enabled.ok) throw new Error(`enabling two-factor failed: ${enabled.status}`);
+    return headers;
+}
+
+// Uploads a profile (and optionally an image Buffer and extra form fields such as previousKeys) as
+// the plugin does. Returns the fetch Response.
+function uploadProfile(base, physicalName, profile, { image = null, token = null, method = "POST", fields = {} } = {}) {
+    const form = new FormData();
+    form.append("profile", JSON.stringify(profile));
+    for (const [name, value] of Object.entries(fields)) form.append(name, value);
+    if (image) {
+        const jpeg = image[0] === 0xff && image[1] === 0xd8;
+        form.append("image", new Blob([image], { type: jpeg ? "image/jpeg" : "image/png" }), jpeg ? "image.jpg" : "image.png");
+    }
+    return fetch(`${base}/upload/${encodeURIComponent(physicalName)}`, {
+        method,
+        headers: { "x-install-token": token || `test-token-${physicalName}` },
+        body: form
+    });
+}
+
+// Deterministic textured picture; different seeds give unrelated pictures
+async function textureImage(seed, { width = 320, height = 240, jpeg = false } = {}) {
+    const sharp = require("sharp");
+    const pixels = Buffer.alloc(width * height * 3);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            for (let c = 0; c < 3; c++) {
+                pixels[(y * width + x) * 3 + c] = 127 + 120 * Math.sin((x / width) * (3 + seed) + (y / height) * (2 + seed * 1.7) * (c + 1) + seed);
+            }
+        }
+    }
+    const image = sharp(pixels, { raw: { width, height, channels: 3 } });
+    return (jpeg ? image.jpeg({ quality: 60 }) : image.png()).toBuffer();
+}
+
+// Uploads a profile with an image and waits for the image queue to finish with it
+async function uploadAndProcess(base, physicalName, profile, image) {
+    const processed = server.getImageQueueStats().processed;
+    const res = await uploadProfile(base, physicalName, profile, { image });
+    if (res.status !== 200) throw new Error(`upload of ${physicalName} failed: ${res.status} ${await res.text()}`);
+    await waitFor(() => server.getImageQueueStats().processed > processed, 20000, `${physicalName} image job`);
+}
+
+function readProfile(characterId) {
+    return JSON.parse(fs.readFileSync(path.join(DATA_DIR, "profiles", `${characterId}.json`), "utf8"));
+}
+
+// Polls `check` until it returns something truthy, or fails after `timeoutMs`
+async function waitFor(check, timeoutMs = 15000, label = "condition") {
+    const deadline = Date.now() + timeoutMs;
+    for (;;) {
+        const value = await check();
+        if (value) return value;
+        if (Date.now() > deadline) throw new Error(`timed out waiting for ${label}`);
+        await new Promise(resolve => setTimeout(resolve, 50));
+    }
+}
+
+module.exports = {
+    DATA_DIR, server, startTestServer, totpCode, createOwner, uploadProfile, uploadAndProcess, textureImage, readProfile, waitFor
+};
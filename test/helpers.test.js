@@ -0,0 +1,109 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { server } = require("./harness");
+
+const {
+    parseContentRating, imageHashDistance, imageHashBands, bandNeighbours, imageHashNearParams,
+    toStoredImageUrl, banExpiryFromBody, buildSearchMatch
+} = server;
+
+test("parseContentRating accepts names in any case and levels", () => {
+    assert.equal(parseContentRating("General"), 0);
+    assert.equal(parseContentRating(" suggestive "), 1);
+    assert.equal(parseContentRating("MATURE"), 2);
+    assert.equal(parseContentRating(2), 2);
+    assert.equal(parseContentRating("1"), 1);
+});
+
+test("parseContentRating rejects anything else", () => {
+    for (const value of [3, -1, 1.5, "3", "Explicit", "", null, undefined, true, {}]) {
+        assert.equal(parseContentRating(value), null, `${JSON.stringify(value)}`);
+    }
+});
+
+test("imageHashDistance counts differing bits across both halves", () => {
+    assert.equal(imageHashDistance("0000000000000000", "0000000000000000"), 0);
+    assert.equal(imageHashDistance("0000000000000000", "ffffffffffffffff"), 64);
+    assert.equal(imageHashDistance("8000000000000001", "0000000000000000"), 2);
+    assert.equal(imageHashDistance("00000000f0000000", "0000000000000000"), 4);
+    assert.equal(imageHashDistance("0123456789abcdef", "fedcba9876543210"), imageHashDistance("fedcba9876543210", "0123456789abcdef"));
+});
+
+test("imageHashBands splits a hash into four 16-bit values", () => {
+    assert.deepEqual(imageHashBands("0001ffff8000abcd"), [0x0001, 0xffff, 0x8000, 0xabcd]);
+});
+
+test("bandNeighbours lists every value within the radius once", () => {
+    assert.deepEqual(bandNeighbours(5, 0), [5]);
+    const radius2 = bandNeighbours(0, 2);
+    assert.equal(radius2.length, 1 + 16 + 120);
+    assert.equal(new Set(radius2).size, radius2.length);
+    for (const value of radius2) assert.ok(value.toString(2).replace(/0/g, "").length <= 2);
+});
+
+test("imageHashNearParams candidates include a band of every hash within the distance", () => {
+    const query = "0123456789abcdef";
+    const params = imageHashNearParams(query, 8, 20);
+    const candidates = [0, 1, 2, 3].map(band => new Set(JSON.parse(params[`band${band}`])));
+    // Flip 8 bits spread over all four bands: at least one band is within 2 bits of the query's
+    let near = BigInt(`0x${query}`);
+    for (const bit of [1, 7, 17, 23, 33, 39, 49, 55]) near ^= 1n << BigInt(bit);
+    const nearHash = near.toString(16).padStart(16, "0");
+    assert.equal(imageHashDistance(query, nearHash), 8);
+    assert.ok(imageHashBands(nearHash).some((value, band) => candidates[band].has(value)));
+});
+
+test("toStoredImageUrl stores this server's image links host-relative", () => {
+    const legacy = "https://character-select-profile-server-production.up.railway.app";
+    assert.equal(toStoredImageUrl(`${legacy}/images/a.123.png`), "/images/a.123.png");
+    assert.equal(toStoredImageUrl(`${legacy}/images/a.png?v=2`), "/images/a.png");
+    assert.equal(toStoredImageUrl("/nsfw-images/a.123.png?exp=1&sig=x"), "/images/a.123.png");
+    assert.equal(toStoredImageUrl("/images/a.png"), "/images/a.png");
+});
+
+test("toStoredImageUrl leaves other links alone", () => {
+    assert.equal(toStoredImageUrl("https://i.imgur.com/images/a.png"), "https://i.imgur.com/images/a.png");
+    assert.equal(toStoredImageUrl("//evil.example/images/a.png"), "//evil.example/images/a.png");
+    assert.equal(toStoredImageUrl("/other/a.png"), "/other/a.png");
+    assert.equal(toStoredImageUrl(""), "");
+    assert.equal(toStoredImageUrl(null), null);
+});
+
+test("banExpiryFromBody treats a missing duration as permanent", () => {
+    for (const body of [undefined, {}, { durationHours: null }, { durationHours: "" }]) {
+        assert.deepEqual(banExpiryFromBody(body), { expiresAt: null });
+    }
+});
+
+test("banExpiryFromBody turns durationHours into an expiry", () => {
+    const before = Date.now();
+    const { expiresAt } = banExpiryFromBody({ durationHours: "1.5" });
+    const ms = new Date(expiresAt).getTime() - before;
+    assert.ok(ms >= 90 * 60 * 1000 && ms < 90 * 60 * 1000 + 5000, `${ms}`);
+});
+
+test("banExpiryFromBody rejects bad durations", () => {
+    for (const durationHours of [0, -1, "abc", 365 * 24 + 1, Infinity]) {
+        assert.ok(banExpiryFromBody({ durationHours }).error, `${durationHours}`);
+    }
+});
+
+test("buildSearchMatch quotes every term and prefix-matches the last bare word", () => {
+    assert.equal(buildSearchMatch("drag"), '"drag" *');
+    assert.equal(buildSearchMatch("red dragon"), '"red" "dragon" *');
+    assert.equal(buildSearchMatch("elez* bard"), '"elez" * "bard" *');
+    assert.equal(buildSearchMatch('"red dragon"'), '"red dragon"');
+    assert.equal(buildSearchMatch("miqo'te"), '"miqo te" *');
+});
+
+test("buildSearchMatch keeps FTS5 syntax and single letters literal", () => {
+    assert.equal(buildSearchMatch("bio:cat OR NEAR(x)"), '"bio cat" "OR" "NEAR x"');
+    assert.equal(buildSearchMatch("cat a"), '"cat" "a"');
+    assert.equal(buildSearchMatch("-- !!"), "");
+    assert.equal(buildSearchMatch(undefined), "");
+});
+
+test("buildSearchMatch caps the number of terms", () => {
+    const terms = buildSearchMatch(Array.from({ length: 30 }, (_, i) => `word${i}`).join(" ")).match(/"[^"]*"/g);
+    assert.equal(terms.length, 12);
+});
@@ -0,0 +1,36 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startTestServer, createOwner, uploadAndProcess, textureImage } = require("./harness");
+
+test("uploads matching a banned profile's picture are auto-flagged", async (t) => {
+    const { base, close } = await startTestServer();
+    t.after(close);
+    const admin = await createOwner(base);
+    const flagsFor = async characterId => (await fetch(`${base}/admin/flagged`, { headers: admin }).then(r => r.json()))
+        .filter(f => f.type === "image_match" && f.characterId === characterId);
+
+    await uploadAndProcess(base, "Art Owner@Balmung", { CharacterName: "Original", Sharing: "ShowcasePublic" }, await textureImage(1));
+    const ban = await fetch(`${base}/admin/profiles/${encodeURIComponent("Original_Art Owner@Balmung")}/ban`, {
+        method: "POST", headers: admin, body: JSON.stringify({ reason: "test" })
+    });
+    assert.equal(ban.status, 200);
+
+    // Same picture, resized and re-encoded, on another player's profile
+    await uploadAndProcess(base, "Copy Cat@Balmung", { CharacterName: "Copy", Sharing: "ShowcasePublic" }, await textureImage(1, { width: 256, height: 192, jpeg: true }));
+    const [flag] = await flagsFor("Copy_Copy Cat@Balmung");
+    assert.ok(flag, "expected an image_match flag");
+    assert.equal(flag.imageMatches[0].characterId, "Original_Art Owner@Balmung");
+    assert.ok(flag.imageMatches[0].distance <= 8);
+
+    // An unrelated picture is left alone
+    await uploadAndProcess(base, "Some One@Balmung", { CharacterName: "Other", Sharing: "ShowcasePublic" }, await textureImage(4));
+    assert.equal((await flagsFor("Other_Some One@Balmung")).length, 0);
+
+    // The look-alike lookup finds the banned original from the copy, and not the unrelated one
+    const similar = await fetch(`${base}/admin/profiles/${encodeURIComponent("Copy_Copy Cat@Balmung")}/similar-images`, { headers: admin })
+        .then(r => r.json());
+    const ids = similar.matches.map(m => m.characterId);
+    assert.ok(ids.includes("Original_Art Owner@Balmung"));
+    assert.ok(!ids.includes("Other_Some One@Balmung"));
+    assert.equal(similar.matches.find(m => m.characterId === "Original_Art Owner@Balmung").banned, true);
+});
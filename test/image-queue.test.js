@@ -0,0 +1,82 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { spawnSync } = require("child_process");
+const sharp = require("sharp");
+const { DATA_DIR, server, startTestServer, readProfile, waitFor } = require("./harness");
+
+const imagesDir = path.join(DATA_DIR, "public", "images");
+
+// Writes a profile showing `fileName` (with `image` as its contents) the way an upload leaves it
+function storeProfile(characterId, fileName, image) {
+    fs.mkdirSync(imagesDir, { recursive: true });
+    fs.writeFileSync(path.join(imagesDir, fileName), image);
+    fs.writeFileSync(path.join(DATA_DIR, "profiles", `${characterId}.json`), JSON.stringify({
+        CharacterName: characterId.split("_")[0],
+        Sharing: "ShowcasePublic",
+        ProfileImageUrl: `/images/${fileName}`
+    }));
+}
+
+function solidPng(r, g, b) {
+    return sharp({ create: { width: 64, height: 48, channels: 3, background: { r, g, b } } }).png().toBuffer();
+}
+
+// Runs first: jobs left in image_jobs by a previous process are picked up when the server starts
+test("queued jobs resume after a restart", async (t) => {
+    const characterId = "Resume_Re Sume@Balmung";
+    storeProfile(characterId, "Resume_Re_Sume@Balmung.png", await solidPng(200, 40, 40));
+
+    // Another process queues the job and exits before its queue gets to run it
+    const queued = spawnSync(process.execPath, ["-e", `
+        console.log = console.warn = () => {};
+        require(${JSON.stringify(path.join(__dirname, "..", "server.js"))})
+            .enqueueProfileImage(${JSON.stringify(characterId)}, "Re Sume@Balmung", "Resume_Re_Sume@Balmung.png");
+        process.exit(0);
+    `], { env: process.env, encoding: "utf8", timeout: 60000 });
+    assert.equal(queued.status, 0, queued.stderr);
+    assert.equal(server.isImageJobPending("Resume_Re_Sume@Balmung.png"), true);
+
+    const { close } = await startTestServer();
+    t.after(close);
+    await waitFor(() => !server.isImageJobPending("Resume_Re_Sume@Balmung.png"), 20000, "resumed job");
+    const url = readProfile(characterId).ProfileImageUrl;
+    assert.notEqual(url, "/images/Resume_Re_Sume@Balmung.png");
+    assert.match(url, /^\/images\/Resume_Re_Sume@Balmung\.[0-9a-f]+\.(jpg|png)$/);
+});
+
+test("a job whose profile moved on to another image is dropped", async () => {
+    const characterId = "Moved_Mo Ved@Balmung";
+    storeProfile(characterId, "Moved_Mo_Ved@Balmung.png", await solidPng(40, 200, 40));
+    // The profile has since been re-uploaded with a different image
+    storeProfile(characterId, "Moved_Mo_Ved@Balmung.newer.png", await solidPng(40, 40, 200));
+
+    const before = server.getImageQueueStats();
+    server.enqueueProfileImage(characterId, "Mo Ved@Balmung", "Moved_Mo_Ved@Balmung.png");
+    await waitFor(() => !server.isImageJobPending("Moved_Mo_Ved@Balmung.png"), 20000, "superseded job");
+
+    const after = server.getImageQueueStats();
+    assert.equal(after.superseded, before.superseded + 1);
+    assert.equal(after.processed, before.processed);
+    assert.equal(readProfile(characterId).ProfileImageUrl, "/images/Moved_Mo_Ved@Balmung.newer.png");
+});
+
+test("a failing job is kept for a retry and the original stays in place", async (t) => {
+    const characterId = "Broken_Bro Ken@Balmung";
+    storeProfile(characterId, "Broken_Bro_Ken@Balmung.png", Buffer.from("not really a png"));
+    const errors = [];
+    t.mock.method(console, "error", (...args) => errors.push(args.join(" ")));
+
+    const before = server.getImageQueueStats();
+    server.enqueueProfileImage(characterId, "Bro Ken@Balmung", "Broken_Bro_Ken@Balmung.png");
+    // The failed attempt leaves the job queued behind its retry delay
+    await waitFor(() => errors.some(e => e.includes("Broken_Bro_Ken@Balmung.png failed (attempt 1), will retry")), 20000, "failed attempt");
+    await waitFor(() => server.getImageQueueStats().running === 0, 5000, "worker to finish");
+
+    const after = server.getImageQueueStats();
+    assert.equal(server.isImageJobPending("Broken_Bro_Ken@Balmung.png"), true);
+    assert.equal(after.failed, before.failed);
+    assert.equal(after.processed, before.processed);
+    assert.equal(readProfile(characterId).ProfileImageUrl, "/images/Broken_Bro_Ken@Balmung.png");
+});
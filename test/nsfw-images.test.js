@@ -0,0 +1,100 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+const crypto = require("crypto");
+const Database = require("better-sqlite3");
+const { DATA_DIR, startTestServer, uploadAndProcess, textureImage, readProfile } = require("./harness");
+
+const plugin = { "x-plugin-auth": "cs-plus-gallery-client" };
+const MATURE_ID = "Night_Mid Night@Balmung";
+const GENERAL_ID = "Day_Mid Day@Balmung";
+
+// Signs a link the way the server does, for expiries the server itself would never issue
+function signLink(fileName, expires) {
+    const db = new Database(path.join(DATA_DIR, "profile_index.db"), { readonly: true });
+    try {
+        const { value } = db.prepare("SELECT value FROM index_meta WHERE key = 'image_url_secret'").get();
+        return crypto.createHmac("sha256", value).update(`${fileName}:${expires}`).digest("base64url");
+    } finally {
+        db.close();
+    }
+}
+
+test("Mature profile images are only served through signed links", async (t) => {
+    const { base, close } = await startTestServer();
+    t.after(close);
+    await uploadAndProcess(base, "Mid Night@Balmung", { CharacterName: "Night", Sharing: "ShowcasePublic", ContentRating: "Mature" }, await textureImage(2));
+    await uploadAndProcess(base, "Mid Day@Balmung", { CharacterName: "Day", Sharing: "ShowcasePublic" }, await textureImage(3));
+    const matureFile = readProfile(MATURE_ID).ProfileImageUrl.replace("/images/", "");
+    const generalFile = readProfile(GENERAL_ID).ProfileImageUrl.replace("/images/", "");
+
+    const gallery = await fetch(`${base}/gallery/v2?maxRating=Mature`, { headers: plugin }).then(r => r.json());
+    const signed = gallery.profiles.find(p => p.CharacterName === "Night").ProfileImageUrl;
+    const link = new URL(signed);
+    assert.equal(link.pathname, `/nsfw-images/${matureFile}`);
+    const expires = Number(link.searchParams.get("expires"));
+    const sig = link.searchParams.get("sig");
+
+    await t.test("the plain /images path is gated", async () => {
+        assert.equal((await fetch(`${base}/images/${matureFile}`)).status, 404);
+        assert.equal((await fetch(`${base}/images/${encodeURIComponent(matureFile)}`)).status, 404);
+        assert.equal((await fetch(`${base}/images/${generalFile}`)).status, 200);
+    });
+
+    await t.test("Mature links are left out below maxRating=Mature", async () => {
+        const sfw = await fetch(`${base}/gallery/v2`, { headers: plugin }).then(r => r.json());
+        assert.ok(!sfw.profiles.some(p => p.CharacterName === "Night"));
+    });
+
+    await t.test("a valid link serves the image, cached privately", async () => {
+        const res = await fetch(signed);
+        assert.equal(res.status, 200);
+        assert.match(res.headers.get("cache-control"), /^private, max-age=\d+$/);
+        assert.ok((await res.arrayBuffer()).byteLength > 0);
+    });
+
+    await t.test("a tampered signature or expiry is refused", async () => {
+        const flipped = (sig[0] === "A" ? "B" : "A") + sig.substring(1);
+        for (const url of [
+            `${base}/nsfw-images/${matureFile}?expires=${expires}&sig=${flipped}`,
+            `${base}/nsfw-images/${matureFile}?expires=${expires + 1}&sig=${sig}`,
+            `${base}/nsfw-images/${generalFile}?expires=${expires}&sig=${sig}`,
+            `${base}/nsfw-images/${matureFile}?expires=${expires}`
+        ]) {
+            const res = await fetch(url);
+            assert.equal(res.status, 403, url);
+            assert.equal((await res.json()).code, "IMAGE_LINK_INVALID");
+        }
+    });
+
+    await t.test("malformed signatures get a 403, not a server error", async () => {
+        const multiByte = encodeURIComponent("é".repeat(22)); // 22 characters, 44 bytes
+        for (const query of [`sig=${multiByte}`, `sig=${encodeURIComponent("é")}${sig.substring(1)}`, `sig=${sig}&sig=${sig}`, `sig=${sig}x`]) {
+            const res = await fetch(`${base}/nsfw-images/${matureFile}?expires=${expires}&${query}`);
+            assert.equal(res.status, 403, query);
+        }
+    });
+
+    await t.test("an expired link is refused", async () => {
+        const past = Math.floor(Date.now() / 1000) - 60;
+        const res = await fetch(`${base}/nsfw-images/${matureFile}?expires=${past}&sig=${signLink(matureFile, past)}`);
+        assert.equal(res.status, 403);
+        assert.equal((await res.json()).code, "IMAGE_LINK_EXPIRED");
+    });
+
+    await t.test("paths outside the images directory are never served", async () => {
+        for (const fileName of ["..%2Fprofiles%2FNight_Mid%20Night%40Balmung.json", "..%2F..%2Fserver.js", "%2E%2E", ".hidden"]) {
+            const decoded = decodeURIComponent(fileName);
+            const res = await fetch(`${base}/nsfw-images/${fileName}?expires=${expires}&sig=${signLink(decoded, expires)}`);
+            assert.ok([403, 404].includes(res.status), `${fileName}: ${res.status}`);
+        }
+    });
+
+    await t.test("the replaced image of a Mature profile stays gated", async () => {
+        await uploadAndProcess(base, "Mid Night@Balmung", { CharacterName: "Night", Sharing: "ShowcasePublic", ContentRating: "Mature" }, await textureImage(5));
+        const current = readProfile(MATURE_ID).ProfileImageUrl.replace("/images/", "");
+        assert.notEqual(current, matureFile);
+        assert.equal((await fetch(`${base}/images/${current}`)).status, 404);
+        assert.equal((await fetch(`${base}/images/${matureFile}`)).status, 404);
+    });
+});
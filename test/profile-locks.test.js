@@ -0,0 +1,63 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startTestServer, createOwner, uploadProfile, readProfile } = require("./harness");
+
+const PLAYER = "Lock Smith@Balmung";
+const TOKEN = "test-token-lock-smith";
+
+function upload(base, csName, extra = {}, fields = {}) {
+    return uploadProfile(base, PLAYER, { CharacterName: csName, Sharing: "ShowcasePublic", Bio: `${csName} bio`, ...extra }, { token: TOKEN, fields })
+        .then(res => { assert.equal(res.status, 200, `upload ${csName}`); });
+}
+
+test("profile locks follow one CS+ profile, and renames only with previousKeys", async (t) => {
+    const { base, close } = await startTestServer();
+    t.after(close);
+    const admin = await createOwner(base);
+    const lock = (characterId, field, body = {}) => fetch(`${base}/admin/profiles/${encodeURIComponent(characterId)}/locks/${field}`, {
+        method: "POST", headers: admin, body: JSON.stringify({ reason: "test", ...body })
+    }).then(res => { assert.equal(res.status, 200, `lock ${field}`); });
+    const lockedFields = characterId => fetch(`${base}/admin/profiles/${encodeURIComponent(characterId)}/locks`, { headers: admin })
+        .then(r => r.json()).then(body => body.locks.map(l => l.field).sort());
+
+    await upload(base, "Alpha");
+    await upload(base, "Beta");
+    await lock(`Alpha_${PLAYER}`, "bio");
+    await lock(`Alpha_${PLAYER}`, "rating", { value: "Mature" });
+
+    await t.test("a re-upload of the locked profile keeps the locked values", async () => {
+        await upload(base, "Alpha", { Bio: "new bio", ContentRating: "General" });
+        const alpha = readProfile(`Alpha_${PLAYER}`);
+        assert.equal(alpha.Bio, "");
+        assert.equal(alpha.ContentRating, "Mature");
+    });
+
+    await t.test("another CS+ profile of the same player is left alone", async () => {
+        await upload(base, "Beta", { Bio: "beta again" });
+        const beta = readProfile(`Beta_${PLAYER}`);
+        assert.equal(beta.Bio, "beta again");
+        assert.equal(beta.ContentRating, "General");
+        assert.deepEqual(await lockedFields(`Beta_${PLAYER}`), []);
+    });
+
+    await t.test("a new CS+ name without previousKeys is a new, unlocked profile", async () => {
+        await upload(base, "Gamma", { Bio: "gamma bio" });
+        const gamma = readProfile(`Gamma_${PLAYER}`);
+        assert.equal(gamma.Bio, "gamma bio");
+        assert.equal(gamma.ContentRating, "General");
+        assert.deepEqual(await lockedFields(`Gamma_${PLAYER}`), []);
+        assert.deepEqual(await lockedFields(`Alpha_${PLAYER}`), ["bio", "rating"]);
+    });
+
+    await t.test("a rename with previousKeys carries the locks over", async () => {
+        await upload(base, "Delta", { Bio: "renamed bio" }, { previousKeys: JSON.stringify([`Alpha_${PLAYER}`]) });
+        const delta = readProfile(`Delta_${PLAYER}`);
+        assert.equal(delta.Bio, "");
+        assert.equal(delta.ContentRating, "Mature");
+        assert.deepEqual(await lockedFields(`Delta_${PLAYER}`), ["bio", "rating"]);
+        assert.deepEqual(await lockedFields(`Alpha_${PLAYER}`), []);
+        // The sibling profiles still have none
+        assert.deepEqual(await lockedFields(`Beta_${PLAYER}`), []);
+        assert.deepEqual(await lockedFields(`Gamma_${PLAYER}`), []);
+    });
+});
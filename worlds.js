@@ -0,0 +1,35 @@
+// ============================================================================
+// WORLD REGISTRY DEFAULTS
+// ============================================================================
+// The global-client FFXIV worlds (NA, EU, OCE and JP), grouped by logical data
+// center and region. Chinese and Korean worlds are not listed. The server seeds
+// its world registry from this table; admins can add, move or remove worlds at
+// runtime from /admin/worlds, and those edits are stored as overrides in
+// worlds_database.json, so this file only needs updating when Square Enix opens
+// or merges data centers. Uploads from worlds missing here are still accepted,
+// without a data center or region.
+// ============================================================================
+
+const DEFAULT_DATA_CENTERS = [
+    { name: 'Aether', region: 'NA', worlds: ['Adamantoise', 'Cactuar', 'Faerie', 'Gilgamesh', 'Jenova', 'Midgardsormr', 'Sargatanas', 'Siren'] },
+    { name: 'Crystal', region: 'NA', worlds: ['Balmung', 'Brynhildr', 'Coeurl', 'Diabolos', 'Goblin', 'Malboro', 'Mateus', 'Zalera'] },
+    { name: 'Dynamis', region: 'NA', worlds: ['Cuchulainn', 'Golem', 'Halicarnassus', 'Kraken', 'Maduin', 'Marilith', 'Rafflesia', 'Seraph'] },
+    { name: 'Primal', region: 'NA', worlds: ['Behemoth', 'Excalibur', 'Exodus', 'Famfrit', 'Hyperion', 'Lamia', 'Leviathan', 'Ultros'] },
+    { name: 'Chaos', region: 'EU', worlds: ['Cerberus', 'Louisoix', 'Moogle', 'Omega', 'Phantom', 'Ragnarok', 'Sagittarius', 'Spriggan'] },
+    { name: 'Light', region: 'EU', worlds: ['Alpha', 'Lich', 'Odin', 'Phoenix', 'Raiden', 'Shiva', 'Twintania', 'Zodiark'] },
+    { name: 'Materia', region: 'OCE', worlds: ['Bismarck', 'Ravana', 'Sephirot', 'Sophia', 'Zurvan'] },
+    { name: 'Elemental', region: 'JP', worlds: ['Aegis', 'Atomos', 'Carbuncle', 'Garuda', 'Gungnir', 'Kujata', 'Tonberry', 'Typhon'] },
+    { name: 'Gaia', region: 'JP', worlds: ['Alexander', 'Bahamut', 'Durandal', 'Fenrir', 'Ifrit', 'Ridill', 'Tiamat', 'Ultima'] },
+    { name: 'Mana', region: 'JP', worlds: ['Anima', 'Asura', 'Chocobo', 'Hades', 'Ixion', 'Masamune', 'Pandaemonium', 'Titan'] },
+    { name: 'Meteor', region: 'JP', worlds: ['Belias', 'Mandragora', 'Ramuh', 'Shinryu', 'Unicorn', 'Valefor', 'Yojimbo', 'Zeromus'] }
+];
+
+// World name -> { dataCenter, region }
+const DEFAULT_WORLDS = {};
+for (const dc of DEFAULT_DATA_CENTERS) {
+    for (const world of dc.worlds) {
+        DEFAULT_WORLDS[world] = { dataCenter: dc.name, region: dc.region };
+    }
+}
+
+module.exports = { DEFAULT_WORLDS };